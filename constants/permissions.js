@@ -24,6 +24,10 @@ const PERMISSIONS = {
   SEND_MESSAGE: 'priv_can_message',
   END_CHAT: 'priv_can_end_chat',
   CAN_TRANSFER: 'priv_can_transfer',
+
+  // Queue Management
+  SUPERVISE_QUEUE: 'priv_can_supervise_queue',
+  MONITOR_CHATS: 'priv_can_monitor_chats',
   
   // Auto Reply Management
   VIEW_AUTO_REPLY: 'priv_can_view_auto_reply',
@@ -45,6 +49,9 @@ const PERMISSIONS = {
   EDIT_MANAGE_AGENTS: 'priv_can_edit_manage_agents',
   EDIT_DEPT_MANAGE_AGENTS: 'priv_can_edit_dept_manage_agents',
   VIEW_ANALYTICS_MANAGE_AGENTS: 'priv_can_view_analytics_manage_agents',
+
+  // Reports
+  MANAGE_REPORTS: 'priv_can_manage_reports',
 };
 
 // Helper functions
@@ -16,4 +16,147 @@ const USER_PRESENCE_STATUS = {
   OFFLINE: 'offline',
 };
 
-module.exports = { CHAT_STATUS, USER_PRESENCE_STATUS };
+// Role name constants - more maintainable than hardcoded IDs
+const ROLE_NAMES = {
+  AGENT: 'Agent',
+  ADMIN: 'Admin',
+  CLIENT: 'Client',
+};
+
+const CHAT_MESSAGE_TYPE = {
+  MESSAGE: 'message',
+  SYSTEM: 'system',
+  INTERNAL_NOTE: 'internal_note',
+};
+
+const MESSAGE_EDIT_ACTION = {
+  EDIT: 'edit',
+  DELETE: 'delete',
+};
+
+const AUTO_REPLY_TRIGGER = {
+  GREETING: 'greeting',
+  KEYWORD: 'keyword',
+  REGEX: 'regex',
+  OUTSIDE_HOURS: 'outside_hours',
+  QUEUE_WAIT: 'queue_wait',
+  FIRST_MESSAGE: 'first_message',
+};
+
+const QUEUE_REASON = {
+  NO_AGENTS: 'no_agents',
+  OUT_OF_HOURS: 'out_of_hours',
+  MANUAL_PICK: 'manual_pick',
+  AWAITING_PREVIOUS_AGENT: 'awaiting_previous_agent',
+};
+
+const ROUTING_STRATEGY = {
+  LEAST_BUSY: 'least_busy',
+  ROUND_ROBIN: 'round_robin',
+  LONGEST_IDLE: 'longest_idle',
+  STICKY_LAST_AGENT: 'sticky_last_agent',
+  MANUAL_PICK_ONLY: 'manual_pick_only',
+};
+
+// How a chat ended up with its agent; routing strategies record their own name
+const ASSIGNMENT_RULE = {
+  PREVIOUS_AGENT: 'previous_agent',
+  MANUAL_ACCEPT: 'manual_accept',
+  AGENT_TRANSFER: 'agent_transfer',
+  BARGE_IN: 'barge_in',
+};
+
+// Agents in a chat besides its assigned agent
+const PARTICIPANT_ROLE = {
+  COLLABORATOR: 'collaborator',
+  MONITOR: 'monitor',
+};
+
+// Entries in a chat's timeline (chat_event)
+const CHAT_EVENT_TYPE = {
+  CREATED: 'created',
+  QUEUED: 'queued',
+  ASSIGNED: 'assigned',
+  TRANSFERRED: 'transferred',
+  SNOOZED: 'snoozed',
+  REACTIVATED: 'reactivated',
+  PARTICIPANT_JOINED: 'participant_joined',
+  PARTICIPANT_LEFT: 'participant_left',
+  RESOLVED: 'resolved',
+  FEEDBACK: 'feedback',
+};
+
+const CHAT_EVENT_ACTOR = {
+  AGENT: 'agent',
+  CLIENT: 'client',
+  SYSTEM: 'system',
+};
+
+const CHAT_PRIORITY = {
+  LOW: 0,
+  NORMAL: 1,
+  HIGH: 2,
+  URGENT: 3,
+};
+
+const PRIORITY_SOURCE = {
+  DEFAULT: 'default',
+  DEPARTMENT: 'department',
+  CLIENT_TIER: 'client_tier',
+  KEYWORD: 'keyword',
+  MANUAL: 'manual',
+};
+
+const CLIENT_TIER = {
+  STANDARD: 'standard',
+  PREMIUM: 'premium',
+  VIP: 'vip',
+};
+
+const SLA_STATUS = {
+  OK: 'ok',
+  AT_RISK: 'at_risk',
+  BREACHED: 'breached',
+};
+
+const SLA_METRIC = {
+  FIRST_RESPONSE: 'first_response',
+  NEXT_RESPONSE: 'next_response',
+  RESOLUTION: 'resolution',
+};
+
+const TRANSFER_TYPE = {
+  MANUAL: 'manual',
+  AUTO_REASSIGN: 'auto_reassign',
+  AGENT_OFFLINE: 'agent_offline',
+  OVERFLOW: 'overflow',
+  ABANDONED: 'abandoned',
+};
+
+const REPORT_RUN_STATUS = {
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+};
+
+module.exports = {
+  CHAT_STATUS,
+  USER_PRESENCE_STATUS,
+  ROLE_NAMES,
+  CHAT_MESSAGE_TYPE,
+  MESSAGE_EDIT_ACTION,
+  AUTO_REPLY_TRIGGER,
+  QUEUE_REASON,
+  ROUTING_STRATEGY,
+  ASSIGNMENT_RULE,
+  PARTICIPANT_ROLE,
+  CHAT_EVENT_TYPE,
+  CHAT_EVENT_ACTOR,
+  TRANSFER_TYPE,
+  CHAT_PRIORITY,
+  PRIORITY_SOURCE,
+  CLIENT_TIER,
+  SLA_STATUS,
+  SLA_METRIC,
+  REPORT_RUN_STATUS,
+};
@@ -1,9 +1,16 @@
 const express = require("express");
 const agentService = require("../services/agent.service");
+const skillService = require("../services/skill.service");
 const cacheService = require("../services/cache.service");
+const agentScorecardService = require("../services/agentScorecard.service");
+const presenceLogService = require("../services/presenceLog.service");
 const getCurrentUser = require("../middleware/getCurrentUser");
 const { checkPermission, checkAnyPermission } = require("../middleware/checkPermission");
 const { PERMISSIONS } = require("../constants/permissions");
+const { parseScorecardPeriod } = require("../utils/agentScorecard");
+const { parseTimeTrackingFilters } = require("../utils/presenceLog");
+
+const SKILL_TYPES = ["language", "product", "other"];
 
 class AgentController {
   getRouter() {
@@ -24,6 +31,18 @@ class AgentController {
       (req, res) => this.getActiveDepartments(req, res)
     );
 
+    // Get an agent's concurrency limit and skills - requires view manage agents permission
+    router.get("/agents/:id",
+      checkPermission(PERMISSIONS.VIEW_MANAGE_AGENTS),
+      (req, res) => this.getAgent(req, res)
+    );
+
+    // Performance scorecard with period comparison - requires agent analytics permission
+    router.get("/agents/:id/scorecard",
+      checkPermission(PERMISSIONS.VIEW_ANALYTICS_MANAGE_AGENTS),
+      (req, res) => this.getScorecard(req, res)
+    );
+
     // Update agent - requires edit manage agents permission
     router.put("/agents/:id", 
       checkPermission(PERMISSIONS.EDIT_MANAGE_AGENTS),
@@ -36,6 +55,31 @@ class AgentController {
       (req, res) => this.createAgent(req, res)
     );
 
+    // Skill catalogue used for routing - requires view manage agents permission
+    router.get("/skills",
+      checkPermission(PERMISSIONS.VIEW_MANAGE_AGENTS),
+      (req, res) => this.getSkills(req, res)
+    );
+
+    // Add a skill - requires edit manage agents permission
+    router.post("/skills",
+      checkPermission(PERMISSIONS.EDIT_MANAGE_AGENTS),
+      (req, res) => this.createSkill(req, res)
+    );
+
+    // Update a skill - requires edit manage agents permission
+    router.put("/skills/:id",
+      checkPermission(PERMISSIONS.EDIT_MANAGE_AGENTS),
+      (req, res) => this.updateSkill(req, res)
+    );
+
+    // Logged-in, accepting, not-accepting and offline-gap time per agent per day
+    // - requires agent analytics permission
+    router.get("/time-tracking",
+      checkPermission(PERMISSIONS.VIEW_ANALYTICS_MANAGE_AGENTS),
+      (req, res) => this.getTimeTracking(req, res)
+    );
+
     // Get all user presences (online status)
     router.get("/presence", 
       checkPermission(PERMISSIONS.VIEW_MANAGE_AGENTS),
@@ -76,13 +120,80 @@ class AgentController {
     }
   }
 
+  /**
+   * Get an agent's routing settings (concurrency limit and skills)
+   */
+  async getAgent(req, res) {
+    try {
+      const { id } = req.params;
+      const agent = await agentService.getAgentRoutingProfile(id);
+      res.status(200).json({ data: agent });
+    } catch (err) {
+      if (err.message === "Agent not found") {
+        return res.status(404).json({ error: err.message });
+      }
+      console.error("❌ Error fetching agent:", err.message);
+      res.status(500).json({ error: "Failed to fetch agent" });
+    }
+  }
+
+  /**
+   * Get an agent's performance scorecard
+   * Query: period (day|week|month, default week) or from/to, compare=false to skip the previous period
+   */
+  async getScorecard(req, res) {
+    try {
+      const agentId = Number(req.params.id);
+      if (!Number.isInteger(agentId) || agentId < 1) {
+        return res.status(400).json({ error: "Agent id must be a positive integer" });
+      }
+
+      const { current, previous, period, error } = parseScorecardPeriod(req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const scorecard = await agentScorecardService.getScorecard(agentId, { current, previous });
+      res.status(200).json({ data: { period, ...scorecard } });
+    } catch (err) {
+      if (err.message === "Agent not found") {
+        return res.status(404).json({ error: err.message });
+      }
+      console.error("❌ Error fetching agent scorecard:", err.message);
+      res.status(500).json({ error: "Failed to fetch agent scorecard" });
+    }
+  }
+
   /**
    * Update an agent
+   * Optional routing fields: max_concurrent_chats, skills [{ skill_id, proficiency }]
    */
   async updateAgent(req, res) {
     try {
       const { id } = req.params;
-      const { email, active, departments, password } = req.body;
+      const { email, active, departments, password, max_concurrent_chats, skills } = req.body;
+
+      if (
+        max_concurrent_chats !== undefined &&
+        (!Number.isInteger(max_concurrent_chats) || max_concurrent_chats < 1)
+      ) {
+        return res.status(400).json({ error: "max_concurrent_chats must be a positive integer" });
+      }
+
+      if (skills !== undefined) {
+        const validSkills =
+          Array.isArray(skills) &&
+          skills.every(
+            (skill) =>
+              Number.isInteger(skill?.skill_id) &&
+              Number.isInteger(skill?.proficiency) &&
+              skill.proficiency >= 1 &&
+              skill.proficiency <= 5
+          );
+        if (!validSkills) {
+          return res.status(400).json({ error: "skills must be a list of { skill_id, proficiency (1-5) }" });
+        }
+      }
 
       // Get system user
       const sysUser = await agentService.getSystemUserById(id);
@@ -106,6 +217,14 @@ class AgentController {
         }
       }
 
+      // Update routing settings
+      if (max_concurrent_chats !== undefined) {
+        await agentService.updateMaxConcurrentChats(id, max_concurrent_chats);
+      }
+      if (skills !== undefined) {
+        await skillService.setAgentSkills(id, skills);
+      }
+
       // Update Supabase Auth
       if (authUserId) {
         await agentService.updateAuthUser(authUserId, email, password);
@@ -138,6 +257,106 @@ class AgentController {
     }
   }
 
+  /**
+   * Get the skill catalogue
+   */
+  async getSkills(req, res) {
+    try {
+      const skills = await skillService.getSkills();
+      res.status(200).json({ data: skills });
+    } catch (err) {
+      console.error("❌ Error fetching skills:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Add a skill to the catalogue
+   */
+  async createSkill(req, res) {
+    try {
+      const { skill_name, skill_type = "other" } = req.body;
+
+      if (typeof skill_name !== "string" || !skill_name.trim()) {
+        return res.status(400).json({ error: "skill_name is required" });
+      }
+      if (!SKILL_TYPES.includes(skill_type)) {
+        return res.status(400).json({ error: `skill_type must be one of: ${SKILL_TYPES.join(", ")}` });
+      }
+
+      const skill = await skillService.createSkill(skill_name.trim(), skill_type, req.userId);
+      res.status(201).json({ data: skill });
+    } catch (err) {
+      console.error("❌ Error creating skill:", err.message);
+      if (err.code === "23505") {
+        return res.status(409).json({ error: "A skill with that name already exists" });
+      }
+      res.status(500).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Update a skill
+   */
+  async updateSkill(req, res) {
+    try {
+      const { id } = req.params;
+      const { skill_name, skill_type, skill_is_active } = req.body;
+
+      const updateData = {};
+      if (skill_name !== undefined) {
+        if (typeof skill_name !== "string" || !skill_name.trim()) {
+          return res.status(400).json({ error: "skill_name must be a non-empty string" });
+        }
+        updateData.skill_name = skill_name.trim();
+      }
+      if (skill_type !== undefined) {
+        if (!SKILL_TYPES.includes(skill_type)) {
+          return res.status(400).json({ error: `skill_type must be one of: ${SKILL_TYPES.join(", ")}` });
+        }
+        updateData.skill_type = skill_type;
+      }
+      if (skill_is_active !== undefined) {
+        if (typeof skill_is_active !== "boolean") {
+          return res.status(400).json({ error: "skill_is_active must be a boolean" });
+        }
+        updateData.skill_is_active = skill_is_active;
+      }
+
+      if (Object.keys(updateData).length === 0) {
+        return res.status(400).json({ error: "Nothing to update" });
+      }
+
+      const skill = await skillService.updateSkill(id, updateData, req.userId);
+      res.status(200).json({ data: skill });
+    } catch (err) {
+      console.error("❌ Error updating skill:", err.message);
+      if (err.code === "23505") {
+        return res.status(409).json({ error: "A skill with that name already exists" });
+      }
+      res.status(500).json({ error: err.message });
+    }
+  }
+
+  /**
+   * Get presence time per agent per day from the presence log
+   * Query: from, to (default last 30 days), dept_id, agent_id, timezone (default Asia/Manila)
+   */
+  async getTimeTracking(req, res) {
+    try {
+      const { filters, error } = parseTimeTrackingFilters(req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const rows = await presenceLogService.getTimeTracking(filters);
+      res.status(200).json({ data: { filters, rows } });
+    } catch (err) {
+      console.error("❌ Error fetching agent time tracking:", err.message);
+      res.status(500).json({ error: "Failed to fetch agent time tracking" });
+    }
+  }
+
   /**
    * Get all user presences
    */
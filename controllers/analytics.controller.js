@@ -0,0 +1,70 @@
+const express = require("express");
+const analyticsService = require("../services/analytics.service");
+const getCurrentUser = require("../middleware/getCurrentUser");
+const { checkPermission } = require("../middleware/checkPermission");
+const { PERMISSIONS } = require("../constants/permissions");
+const { parseAnalyticsFilters } = require("../utils/analytics");
+
+class AnalyticsController {
+  getRouter() {
+    const router = express.Router();
+
+    router.use(getCurrentUser);
+
+    // Every report takes from, to, dept_id and agent_id; time series also take bucket (day|week|month).
+    // All require agent analytics permission.
+    router.use(checkPermission(PERMISSIONS.VIEW_ANALYTICS_MANAGE_AGENTS));
+
+    // Client and agent message counts per period
+    router.get("/messages", (req, res) =>
+      this.sendReport(req, res, "message volume", (filters) => analyticsService.getMessageVolume(filters)),
+    );
+
+    // Average and median first response time per period
+    router.get("/response-times", (req, res) =>
+      this.sendReport(req, res, "response times", (filters) => analyticsService.getFirstResponseTimes(filters)),
+    );
+
+    // Average and median time to resolution per period
+    router.get("/resolution-times", (req, res) =>
+      this.sendReport(req, res, "resolution times", (filters) => analyticsService.getResolutionTimes(filters)),
+    );
+
+    // Chats per department by status, with average timings
+    router.get("/departments", (req, res) =>
+      this.sendReport(req, res, "department analytics", (filters) => analyticsService.getDepartmentBreakdown(filters)),
+    );
+
+    // Transfers by type and the share of chats transferred
+    router.get("/transfers", (req, res) =>
+      this.sendReport(req, res, "transfer rates", (filters) => analyticsService.getTransferRates(filters)),
+    );
+
+    // Rating distribution, average rating and CSAT
+    router.get("/csat", (req, res) =>
+      this.sendReport(req, res, "CSAT", (filters) => analyticsService.getCsat(filters)),
+    );
+
+    return router;
+  }
+
+  /**
+   * Validate the shared filters, run the report and echo the filters back with it
+   */
+  async sendReport(req, res, name, loadReport) {
+    try {
+      const { filters, error } = parseAnalyticsFilters(req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const report = await loadReport(filters);
+      res.json({ data: { filters, report } });
+    } catch (err) {
+      console.error(`❌ Error fetching ${name}:`, err.message);
+      res.status(500).json({ error: `Failed to fetch ${name}` });
+    }
+  }
+}
+
+module.exports = new AnalyticsController();
@@ -3,6 +3,7 @@ const autoReplyService = require("../services/autoReply.service");
 const getCurrentUser = require("../middleware/getCurrentUser");
 const { checkPermission } = require("../middleware/checkPermission");
 const { PERMISSIONS } = require("../constants/permissions")
+const { validateTriggerSettings } = require("../utils/autoReplyRules");
 
 class AutoReplyController {
   getRouter() {
@@ -105,7 +106,13 @@ class AutoReplyController {
         return res.status(400).json({ error: "Missing required fields" });
       }
 
-      const autoReply = await autoReplyService.createAutoReply(message, dept_id, created_by);
+      const triggerSettings = this.getTriggerSettings(req.body);
+      const validationError = validateTriggerSettings(triggerSettings);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const autoReply = await autoReplyService.createAutoReply(message, dept_id, created_by, triggerSettings);
       res.status(201).json({ data: autoReply });
     } catch (err) {
       console.error("Error creating auto reply:", err.message);
@@ -125,7 +132,18 @@ class AutoReplyController {
         return res.status(400).json({ error: "updated_by is required" });
       }
 
-      const autoReply = await autoReplyService.updateAutoReply(id, message, dept_id, updated_by);
+      const existing = await autoReplyService.getAutoReplyById(id);
+      if (!existing) {
+        return res.status(404).json({ error: "Auto reply not found" });
+      }
+
+      const triggerSettings = this.getTriggerSettings(req.body);
+      const validationError = validateTriggerSettings(triggerSettings, existing);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const autoReply = await autoReplyService.updateAutoReply(id, message, dept_id, updated_by, triggerSettings);
       res.json({ data: autoReply });
     } catch (err) {
       console.error("Error updating auto reply:", err.message);
@@ -133,6 +151,18 @@ class AutoReplyController {
     }
   }
 
+  /**
+   * Pick trigger rule fields out of a request body
+   */
+  getTriggerSettings(body) {
+    return {
+      trigger: body.trigger,
+      pattern: body.pattern,
+      waitMinutes: body.wait_minutes,
+      cooldownSeconds: body.cooldown_seconds,
+    };
+  }
+
   /**
    * Toggle auto reply active status
    */
@@ -2,6 +2,7 @@ const express = require("express");
 const chatService = require("../services/chat.service");
 const getCurrentUser = require("../middleware/getCurrentUser");
 const { checkPermission } = require("../middleware/checkPermission");
+const checkChatAccess = require("../middleware/checkChatAccess");
 const { PERMISSIONS } = require("../constants/permissions");
 const { formatChatGroups } = require("../utils/formatChatGroups");
 const { getProfileImages, getLatestMessageTimes, getUnreadMessageStatus } = require("../utils/messageHelpers");
@@ -9,6 +10,41 @@ const { CHAT_STATUS } = require("../constants/statuses");
 const { parseDurationToSeconds } = require("../utils/parseDuration");
 const { getChatGroupInfo, getClientInfo } = require("../socket/customer-list");
 const pushService = require("../services/push.service");
+const { handleAutoReply } = require("../socket/auto-reply");
+const { broadcastQueuePositions } = require("../socket/queue-updates");
+const { refreshWallboard } = require("../socket/wallboard");
+const attachmentService = require("../services/attachment.service");
+const uploadAttachment = require("../middleware/uploadAttachment");
+const { validateAttachment } = require("../utils/chatAttachments");
+const internalNoteService = require("../services/internalNote.service");
+const { emitInternalNote } = require("../socket/internal-notes");
+const { MAX_NOTE_LENGTH } = require("../utils/internalNotes");
+const messageEditService = require("../services/messageEdit.service");
+const { MESSAGE_EDIT_ERRORS } = require("../utils/messageEdits");
+const chatSearchService = require("../services/chatSearch.service");
+const { parseSearchFilters } = require("../utils/chatSearch");
+const transcriptService = require("../services/transcript.service");
+const { parseTranscriptFormat, isValidEmail, TRANSCRIPT_FORMATS } = require("../utils/transcript");
+const wrapUpService = require("../services/wrapUp.service");
+const {
+  WRAP_UP_ERRORS,
+  MAX_DISPOSITION_NOTE_LENGTH,
+  parseChatTagsInput,
+  parseTagFilter,
+} = require("../utils/wrapUp");
+const { emitToChatAgents } = require("../socket/internal-notes");
+const chatLifecycleService = require("../services/chatLifecycle.service");
+const { CHAT_LIFECYCLE_ERRORS, parseSnoozeUntil } = require("../utils/chatLifecycle");
+const { notifyChatSnoozed, notifyChatReactivated } = require("../socket/chat-lifecycle");
+const profileService = require("../services/profile.service");
+const chatParticipantService = require("../services/chatParticipant.service");
+const chatEventService = require("../services/chatEvent.service");
+const { PARTICIPANT_ERRORS } = require("../utils/chatParticipants");
+const {
+  notifyCollaboratorInvited,
+  notifyParticipantLeft,
+  notifyBargeIn,
+} = require("../socket/chat-participants");
 
 class ChatController {
   getRouter() {
@@ -34,6 +70,12 @@ class ChatController {
       (req, res) => this.getResolvedChatGroups(req, res)
     );
 
+    // Get snoozed (pending) chat groups for current user - requires message viewing permission
+    router.get("/pending-chatgroups",
+      checkPermission(PERMISSIONS.VIEW_MESSAGE),
+      (req, res) => this.getPendingChatGroups(req, res)
+    );
+
     // Transfer chat group to another department - requires transfer permission
     router.post("/:chatGroupId/transfer",
       checkPermission(PERMISSIONS.CAN_TRANSFER),
@@ -52,6 +94,132 @@ class ChatController {
       (req, res) => this.resolveChatGroup(req, res)
     );
 
+    // Snooze an active chat into pending, or wake it early - requires message sending permission
+    router.patch("/:chatGroupId/snooze",
+      checkPermission(PERMISSIONS.SEND_MESSAGE),
+      (req, res) => this.snoozeChatGroup(req, res)
+    );
+
+    router.patch("/:chatGroupId/wake",
+      checkPermission(PERMISSIONS.SEND_MESSAGE),
+      (req, res) => this.wakeChatGroup(req, res)
+    );
+
+    // What happened to a chat and who did it, oldest first - requires message viewing permission
+    // and access to the chat
+    router.get("/:chatGroupId/timeline",
+      checkPermission(PERMISSIONS.VIEW_MESSAGE),
+      checkChatAccess,
+      (req, res) => this.getTimeline(req, res)
+    );
+
+    // Agents in a chat besides the assigned one - viewing requires message viewing permission,
+    // inviting and removing collaborators requires message sending permission; all require access to the chat
+    router.get("/:chatGroupId/participants",
+      checkPermission(PERMISSIONS.VIEW_MESSAGE),
+      checkChatAccess,
+      (req, res) => this.getParticipants(req, res)
+    );
+
+    router.post("/:chatGroupId/participants",
+      checkPermission(PERMISSIONS.SEND_MESSAGE),
+      checkChatAccess,
+      (req, res) => this.inviteParticipant(req, res)
+    );
+
+    router.delete("/:chatGroupId/participants/:sysUserId",
+      checkPermission(PERMISSIONS.SEND_MESSAGE),
+      checkChatAccess,
+      (req, res) => this.removeParticipant(req, res)
+    );
+
+    // Silently monitor, whisper to the agent or barge in on any active chat - requires chat monitoring permission
+    router.post("/:chatGroupId/monitor",
+      checkPermission(PERMISSIONS.MONITOR_CHATS),
+      (req, res) => this.monitorChatGroup(req, res)
+    );
+
+    router.post("/:chatGroupId/whisper",
+      checkPermission(PERMISSIONS.MONITOR_CHATS),
+      (req, res) => this.whisperToAgent(req, res)
+    );
+
+    router.post("/:chatGroupId/barge-in",
+      checkPermission(PERMISSIONS.MONITOR_CHATS),
+      (req, res) => this.bargeIn(req, res)
+    );
+
+    // Tags on a chat - viewing requires message viewing permission, editing requires message sending permission;
+    // both require access to the chat
+    router.get("/:chatGroupId/tags",
+      checkPermission(PERMISSIONS.VIEW_MESSAGE),
+      checkChatAccess,
+      (req, res) => this.getChatTags(req, res)
+    );
+
+    router.put("/:chatGroupId/tags",
+      checkPermission(PERMISSIONS.SEND_MESSAGE),
+      checkChatAccess,
+      (req, res) => this.setChatTags(req, res)
+    );
+
+    // Add an internal note (agents only, never shown to the client) - requires message sending permission
+    router.post("/:chatGroupId/notes",
+      checkPermission(PERMISSIONS.SEND_MESSAGE),
+      (req, res) => this.createInternalNote(req, res)
+    );
+
+    // Download a transcript (pdf, html or text) - requires message viewing permission and access to the chat
+    router.get("/:chatGroupId/transcript",
+      checkPermission(PERMISSIONS.VIEW_MESSAGE),
+      checkChatAccess,
+      (req, res) => this.downloadTranscript(req, res)
+    );
+
+    // Email a transcript to the client or another address - requires message viewing permission
+    // and access to the chat
+    router.post("/:chatGroupId/transcript/email",
+      checkPermission(PERMISSIONS.VIEW_MESSAGE),
+      checkChatAccess,
+      (req, res) => this.emailTranscript(req, res)
+    );
+
+    // Search conversations in the user's departments - requires message viewing permission
+    router.get("/search",
+      checkPermission(PERMISSIONS.VIEW_MESSAGE),
+      (req, res) => this.searchChats(req, res)
+    );
+
+    // Notes where the current agent was @-mentioned - requires message viewing permission
+    router.get("/mentions",
+      checkPermission(PERMISSIONS.VIEW_MESSAGE),
+      (req, res) => this.getMentions(req, res)
+    );
+
+    router.patch("/mentions/:mentionId/read",
+      checkPermission(PERMISSIONS.VIEW_MESSAGE),
+      (req, res) => this.markMentionRead(req, res)
+    );
+
+    // Edit and unsend history of a message (audit) - requires message viewing permission
+    router.get("/messages/:chatId/history",
+      checkPermission(PERMISSIONS.VIEW_MESSAGE),
+      (req, res) => this.getMessageHistory(req, res)
+    );
+
+    // Upload a file to send with a message - requires message sending permission
+    router.post("/attachments",
+      checkPermission(PERMISSIONS.SEND_MESSAGE),
+      uploadAttachment,
+      (req, res) => this.uploadAttachment(req, res)
+    );
+
+    // Get a fresh signed download URL for an attachment - requires message viewing permission
+    router.get("/attachments/:attachmentId/url",
+      checkPermission(PERMISSIONS.VIEW_MESSAGE),
+      (req, res) => this.getAttachmentUrl(req, res)
+    );
+
     // Get room statistics (for monitoring) - protected by getCurrentUser middleware above
     router.get("/admin/room-stats", (req, res) => this.getRoomStats(req, res));
 
@@ -88,7 +256,12 @@ class ChatController {
     try {
       const { userId } = req;
 
-      const groups = await chatService.getChatGroupsByUser(userId);
+      const { tagIds, error: tagFilterError } = parseTagFilter(req.query.tag_ids);
+      if (tagFilterError) {
+        return res.status(400).json({ error: tagFilterError });
+      }
+
+      const groups = await this.withTags(await chatService.getChatGroupsByUser(userId), tagIds);
 
       if (!groups || groups.length === 0) {
         return res.json({ data: [] });
@@ -126,6 +299,19 @@ class ChatController {
     }
   }
 
+  /**
+   * Attach each chat group's tags, keeping only groups with one of tagIds when a filter is given
+   */
+  async withTags(groups, tagIds = null) {
+    if (!groups || groups.length === 0) return groups;
+
+    const tagMap = await wrapUpService.getTagsForChatGroups(groups.map((group) => group.chat_group_id));
+
+    return groups
+      .map((group) => ({ ...group, tags: tagMap[group.chat_group_id] || [] }))
+      .filter((group) => !tagIds || group.tags.some((tag) => tagIds.includes(tag.chat_tag_id)));
+  }
+
   /**
    * Get resolved chat groups for the current user - Optimized
    */
@@ -133,7 +319,12 @@ class ChatController {
     try {
       const { userId } = req;
 
-      const groups = await chatService.getResolvedChatGroupsByUser(userId);
+      const { tagIds, error: tagFilterError } = parseTagFilter(req.query.tag_ids);
+      if (tagFilterError) {
+        return res.status(400).json({ error: tagFilterError });
+      }
+
+      const groups = await this.withTags(await chatService.getResolvedChatGroupsByUser(userId), tagIds);
 
       if (!groups || groups.length === 0) {
         return res.json({ data: [] });
@@ -171,6 +362,258 @@ class ChatController {
     }
   }
 
+  /**
+   * Get the current user's snoozed (pending) chat groups, soonest wake-up first
+   */
+  async getPendingChatGroups(req, res) {
+    try {
+      const { userId } = req;
+
+      const groups = await chatLifecycleService.getPendingChatGroupsByUser(userId);
+
+      if (groups.length === 0) {
+        return res.json({ data: [] });
+      }
+
+      const chatGroupIds = groups.map((group) => group.chat_group_id);
+      const profIds = groups.map((group) => group.client?.prof_id).filter(Boolean);
+
+      const [imageMap, timeMap, unreadMap] = await Promise.all([
+        profIds.length > 0 ? getProfileImages(profIds) : Promise.resolve({}),
+        getLatestMessageTimes(chatGroupIds),
+        getUnreadMessageStatus(chatGroupIds),
+      ]);
+
+      const formatted = formatChatGroups(groups, imageMap, timeMap, unreadMap, {
+        status: CHAT_STATUS.PENDING,
+        sysUserId: userId,
+        isAccepted: true,
+      });
+
+      res.json({ data: formatted });
+    } catch (err) {
+      console.error("❌ Error fetching pending chat groups:", err);
+      res.status(500).json({ error: "Failed to fetch pending chat groups" });
+    }
+  }
+
+  /**
+   * Snooze an active chat into pending
+   * Body: { until? } - ISO time to wake it; without one it waits for the client's reply.
+   * A client reply always wakes it early.
+   */
+  async snoozeChatGroup(req, res) {
+    try {
+      const { chatGroupId } = req.params;
+      const { userId } = req;
+
+      const { snoozedUntil, error: untilError } = parseSnoozeUntil((req.body || {}).until);
+      if (untilError) {
+        return res.status(400).json({ error: untilError });
+      }
+
+      const chatGroup = await chatLifecycleService.snoozeChatGroup(chatGroupId, userId, snoozedUntil);
+
+      notifyChatSnoozed(req.app.get('io'), chatGroup);
+
+      res.json({ data: chatGroup });
+    } catch (err) {
+      console.error("❌ Error snoozing chat:", err.message);
+      this.sendLifecycleError(res, err, "Failed to snooze chat");
+    }
+  }
+
+  /**
+   * Wake a snoozed chat before its time; it comes straight back to the agent
+   */
+  async wakeChatGroup(req, res) {
+    try {
+      const { chatGroupId } = req.params;
+      const { userId } = req;
+
+      const result = await chatLifecycleService.wakeChatGroup(chatGroupId, userId);
+
+      await notifyChatReactivated(req.app.get('io'), result);
+
+      res.json({ data: result });
+    } catch (err) {
+      console.error("❌ Error waking chat:", err.message);
+      this.sendLifecycleError(res, err, "Failed to wake chat");
+    }
+  }
+
+  sendLifecycleError(res, err, fallback) {
+    if (err.message === CHAT_LIFECYCLE_ERRORS.NOT_FOUND) {
+      return res.status(404).json({ error: err.message });
+    }
+    if (Object.values(CHAT_LIFECYCLE_ERRORS).includes(err.message)) {
+      return res.status(400).json({ error: err.message });
+    }
+    return res.status(500).json({ error: fallback });
+  }
+
+  /**
+   * Get a chat's lifecycle events. Only supervisors see monitoring.
+   */
+  async getTimeline(req, res) {
+    try {
+      const includeMonitors = await profileService.checkUserPermission(req.userId, PERMISSIONS.MONITOR_CHATS);
+      const timeline = await chatEventService.getTimeline(req.params.chatGroupId, { includeMonitors });
+      res.json({ data: timeline });
+    } catch (err) {
+      console.error("❌ Error fetching chat timeline:", err.message);
+
+      if (err.message === "Chat group not found") {
+        return res.status(404).json({ error: err.message });
+      }
+
+      res.status(500).json({ error: "Failed to fetch chat timeline" });
+    }
+  }
+
+  /**
+   * Get the collaborators in a chat. Supervisors also see who is monitoring it.
+   */
+  async getParticipants(req, res) {
+    try {
+      const includeMonitors = await profileService.checkUserPermission(req.userId, PERMISSIONS.MONITOR_CHATS);
+      const participants = await chatParticipantService.getParticipants(req.params.chatGroupId, { includeMonitors });
+      res.json({ data: participants });
+    } catch (err) {
+      console.error("❌ Error fetching chat participants:", err.message);
+      res.status(500).json({ error: "Failed to fetch chat participants" });
+    }
+  }
+
+  /**
+   * Invite another agent into the chat as a collaborator
+   */
+  async inviteParticipant(req, res) {
+    try {
+      const { chatGroupId } = req.params;
+      const { userId } = req;
+      const agentId = (req.body || {}).sys_user_id;
+
+      if (!Number.isInteger(agentId)) {
+        return res.status(400).json({ error: "sys_user_id must be an integer" });
+      }
+
+      const canMonitor = await profileService.checkUserPermission(userId, PERMISSIONS.MONITOR_CHATS);
+      const result = await chatParticipantService.inviteCollaborator(chatGroupId, agentId, userId, { canMonitor });
+
+      await notifyCollaboratorInvited(req.app.get('io'), result, userId);
+
+      res.status(201).json({ data: result.participant });
+    } catch (err) {
+      console.error("❌ Error inviting chat participant:", err.message);
+      this.sendParticipantError(res, err, "Failed to invite agent");
+    }
+  }
+
+  /**
+   * Remove an agent from the chat, or leave it yourself
+   */
+  async removeParticipant(req, res) {
+    try {
+      const { chatGroupId, sysUserId } = req.params;
+      const { userId } = req;
+
+      const canMonitor = await profileService.checkUserPermission(userId, PERMISSIONS.MONITOR_CHATS);
+      const result = await chatParticipantService.removeParticipant(chatGroupId, sysUserId, userId, { canMonitor });
+
+      await notifyParticipantLeft(req.app.get('io'), result);
+
+      res.json({ data: result.participant });
+    } catch (err) {
+      console.error("❌ Error removing chat participant:", err.message);
+      this.sendParticipantError(res, err, "Failed to remove agent");
+    }
+  }
+
+  /**
+   * Start silently monitoring a chat; the supervisor then joins its room over the socket
+   */
+  async monitorChatGroup(req, res) {
+    try {
+      const participant = await chatParticipantService.startMonitoring(req.params.chatGroupId, req.userId);
+      res.status(201).json({ data: participant });
+    } catch (err) {
+      console.error("❌ Error monitoring chat:", err.message);
+      this.sendParticipantError(res, err, "Failed to monitor chat");
+    }
+  }
+
+  /**
+   * Whisper to the chat's agent: an internal note the client never sees,
+   * also sent to the agent directly so it reaches them outside the chat
+   */
+  async whisperToAgent(req, res) {
+    try {
+      const { chatGroupId } = req.params;
+      const body = typeof (req.body || {}).chat_body === "string" ? req.body.chat_body.trim() : "";
+
+      if (!body) {
+        return res.status(400).json({ error: "chat_body is required" });
+      }
+
+      if (body.length > MAX_NOTE_LENGTH) {
+        return res.status(400).json({ error: `Whispers are limited to ${MAX_NOTE_LENGTH} characters` });
+      }
+
+      const chatGroup = await chatParticipantService.getChatGroup(chatGroupId);
+      const { note, mentionedUserIds } = await internalNoteService.createNote(chatGroupId, body, req.userId);
+      const whisper = { ...note, whisper: true };
+
+      const io = req.app.get('io');
+      if (io) {
+        await emitInternalNote(io, whisper, mentionedUserIds);
+
+        if (chatGroup.sys_user_id) {
+          io.to(`agent_${chatGroup.sys_user_id}`).emit("chat:whisper", {
+            ...whisper,
+            sender_type: "agent",
+            sender_id: note.sys_user_id,
+          });
+        }
+      }
+
+      res.status(201).json({ data: whisper });
+    } catch (err) {
+      console.error("❌ Error whispering to agent:", err.message);
+      this.sendParticipantError(res, err, "Failed to send whisper");
+    }
+  }
+
+  /**
+   * Take over a chat from its agent, who stays on as a collaborator
+   */
+  async bargeIn(req, res) {
+    try {
+      const result = await chatParticipantService.bargeIn(req.params.chatGroupId, req.userId);
+      const { message, ...data } = result;
+
+      await notifyBargeIn(req.app.get('io'), result);
+
+      res.json({ data });
+    } catch (err) {
+      console.error("❌ Error barging in on chat:", err.message);
+      this.sendParticipantError(res, err, "Failed to take over chat");
+    }
+  }
+
+  sendParticipantError(res, err, fallback) {
+    if (err.message === PARTICIPANT_ERRORS.CHAT_NOT_FOUND || err.message === PARTICIPANT_ERRORS.NOT_PARTICIPATING) {
+      return res.status(404).json({ error: err.message });
+    }
+    if (err.message === PARTICIPANT_ERRORS.NOT_ALLOWED) {
+      return res.status(403).json({ error: err.message });
+    }
+    if (Object.values(PARTICIPANT_ERRORS).includes(err.message)) {
+      return res.status(400).json({ error: err.message });
+    }
+    return res.status(500).json({ error: fallback });
+  }
+
   /**
    * Transfer chat group to another department
    */
@@ -206,6 +649,13 @@ class ChatController {
           assigned: result.assignmentResult.assigned,
           timestamp: new Date().toISOString()
         });
+        refreshWallboard(io);
+
+        // Chat landed in the new department's queue - let the client know via auto reply
+        if (!result.assignmentResult.assigned) {
+          await handleAutoReply(io, chatGroupId, deptId);
+          await broadcastQueuePositions(io, deptId);
+        }
 
         // Emit customerListUpdate to move chat to top of list for assigned agent
         const chatGroupInfo = await getChatGroupInfo(chatGroupId);
@@ -302,6 +752,7 @@ class ChatController {
           assigned: true,
           timestamp: new Date().toISOString()
         });
+        refreshWallboard(io);
 
         // Emit customerListUpdate to the receiving agent
         const chatGroupInfo = await getChatGroupInfo(chatGroupId);
@@ -380,7 +831,35 @@ class ChatController {
         feedbackData.chatDurationSeconds = parseDurationToSeconds(feedbackData.chatDuration);
       }
 
-      const resolvedChat = await chatService.resolveChatGroup(chatGroupId, userId, feedbackData);
+      // Wrap-up: disposition (required when the department says so) and final tags
+      const dispositionId = feedbackData.disposition_id ?? null;
+      if (dispositionId !== null && !Number.isInteger(dispositionId)) {
+        return res.status(400).json({ error: "disposition_id must be an integer" });
+      }
+
+      const dispositionNote = typeof feedbackData.disposition_note === "string"
+        ? feedbackData.disposition_note.trim() || null
+        : null;
+      if (dispositionNote && dispositionNote.length > MAX_DISPOSITION_NOTE_LENGTH) {
+        return res.status(400).json({ error: `disposition_note is limited to ${MAX_DISPOSITION_NOTE_LENGTH} characters` });
+      }
+
+      const updatesTags = feedbackData.tag_ids !== undefined || feedbackData.tags !== undefined;
+      const tagInput = parseChatTagsInput(feedbackData);
+      if (tagInput.error) {
+        return res.status(400).json({ error: tagInput.error });
+      }
+
+      await wrapUpService.assertResolvable(chatGroupId, dispositionId);
+
+      if (updatesTags) {
+        await wrapUpService.setChatGroupTags(chatGroupId, tagInput, userId);
+      }
+
+      const resolvedChat = await chatService.resolveChatGroup(chatGroupId, userId, feedbackData, {
+        dispositionId,
+        dispositionNote,
+      });
 
       // Emit socket notification for chat resolution
       const io = req.app.get('io');
@@ -407,6 +886,7 @@ class ChatController {
         };
 
         io.to(`chat_${chatGroupId}`).emit("chat:resolved", eventData);
+        refreshWallboard(io);
         // console.log(`💻 Chat ${chatGroupId} resolved by agent ${userId}`);
       }
 
@@ -416,10 +896,19 @@ class ChatController {
         chat_group_id: resolvedChat.chat_group_id,
         status: resolvedChat.status,
         resolved_at: resolvedChat.resolved_at,
+        disposition_id: resolvedChat.disposition_id,
         feedback: resolvedChat.feedback
       } });
     } catch (err) {
       console.error("❌ Error resolving chat:", err.message);
+
+      if (err.message === "Chat group not found") {
+        return res.status(404).json({ error: err.message });
+      }
+      if (Object.values(WRAP_UP_ERRORS).includes(err.message)) {
+        return res.status(400).json({ error: err.message });
+      }
+
       res.status(500).json({ error: "Failed to resolve chat" });
     }
   }
@@ -467,6 +956,292 @@ class ChatController {
     }
   }
 
+  /**
+   * Add an internal note to a chat
+   * Body: { chat_body } - mention colleagues with @[Name](sys_user_id)
+   */
+  async createInternalNote(req, res) {
+    try {
+      const { chatGroupId } = req.params;
+      const body = typeof req.body.chat_body === "string" ? req.body.chat_body.trim() : "";
+
+      if (!body) {
+        return res.status(400).json({ error: "chat_body is required" });
+      }
+
+      if (body.length > MAX_NOTE_LENGTH) {
+        return res.status(400).json({ error: `Notes are limited to ${MAX_NOTE_LENGTH} characters` });
+      }
+
+      const { note, mentionedUserIds } = await internalNoteService.createNote(
+        chatGroupId,
+        body,
+        req.userId,
+      );
+
+      const io = req.app.get('io');
+      if (io) {
+        await emitInternalNote(io, note, mentionedUserIds);
+      }
+
+      res.status(201).json({ data: { ...note, mentioned_user_ids: mentionedUserIds } });
+    } catch (err) {
+      console.error("❌ Error creating internal note:", err.message);
+
+      if (err.message === "Chat group not found") {
+        return res.status(404).json({ error: err.message });
+      }
+
+      res.status(500).json({ error: "Failed to create internal note" });
+    }
+  }
+
+  /**
+   * Get the tags on a chat group
+   */
+  async getChatTags(req, res) {
+    try {
+      const tags = await wrapUpService.getChatGroupTags(req.params.chatGroupId);
+      res.json({ data: tags });
+    } catch (err) {
+      console.error("❌ Error fetching chat tags:", err.message);
+      res.status(500).json({ error: "Failed to fetch chat tags" });
+    }
+  }
+
+  /**
+   * Replace the tags on an open chat group
+   * Body: { tag_ids?: number[], tags?: string[] } - names not yet in the catalogue are added
+   * to the chat's department
+   */
+  async setChatTags(req, res) {
+    try {
+      const { chatGroupId } = req.params;
+
+      const tagInput = parseChatTagsInput(req.body || {});
+      if (tagInput.error) {
+        return res.status(400).json({ error: tagInput.error });
+      }
+
+      const tags = await wrapUpService.setChatGroupTags(chatGroupId, tagInput, req.userId);
+
+      const io = req.app.get('io');
+      if (io) {
+        await emitToChatAgents(io, chatGroupId, "chat:tagsUpdated", {
+          chat_group_id: Number(chatGroupId),
+          tags,
+          updated_by: req.userId,
+        });
+      }
+
+      res.json({ data: tags });
+    } catch (err) {
+      console.error("❌ Error updating chat tags:", err.message);
+
+      if (err.message === "Chat group not found") {
+        return res.status(404).json({ error: err.message });
+      }
+      if (Object.values(WRAP_UP_ERRORS).includes(err.message)) {
+        return res.status(400).json({ error: err.message });
+      }
+
+      res.status(500).json({ error: "Failed to update chat tags" });
+    }
+  }
+
+  /**
+   * Download a chat group transcript
+   * Query: format (pdf, html or text; default pdf), include_notes=true to add internal notes
+   */
+  async downloadTranscript(req, res) {
+    try {
+      const format = parseTranscriptFormat(req.query.format);
+      if (!format) {
+        return res.status(400).json({
+          error: `format must be one of: ${Object.values(TRANSCRIPT_FORMATS).join(", ")}`,
+        });
+      }
+
+      const file = await transcriptService.renderTranscript(req.params.chatGroupId, format, {
+        includeInternalNotes: req.query.include_notes === "true",
+      });
+
+      res.setHeader("Content-Type", file.contentType);
+      res.setHeader("Content-Disposition", `attachment; filename="${file.fileName}"`);
+      res.send(file.content);
+    } catch (err) {
+      console.error("❌ Error exporting transcript:", err.message);
+
+      if (err.message === "Chat group not found") {
+        return res.status(404).json({ error: err.message });
+      }
+
+      res.status(500).json({ error: "Failed to export transcript" });
+    }
+  }
+
+  /**
+   * Email a chat group transcript
+   * Body: { email, format } - internal notes are never included
+   */
+  async emailTranscript(req, res) {
+    try {
+      const { email, format: requestedFormat } = req.body || {};
+
+      if (!isValidEmail(email)) {
+        return res.status(400).json({ error: "A valid email address is required" });
+      }
+
+      const format = parseTranscriptFormat(requestedFormat);
+      if (!format) {
+        return res.status(400).json({
+          error: `format must be one of: ${Object.values(TRANSCRIPT_FORMATS).join(", ")}`,
+        });
+      }
+
+      const result = await transcriptService.emailTranscript(req.params.chatGroupId, email.trim(), format);
+      res.json({ data: result });
+    } catch (err) {
+      console.error("❌ Error emailing transcript:", err.message);
+
+      if (err.message === "Chat group not found") {
+        return res.status(404).json({ error: err.message });
+      }
+
+      res.status(500).json({ error: "Failed to email transcript" });
+    }
+  }
+
+  /**
+   * Search message text, client name or number, department, tags, status and date range.
+   * Agents only see their departments' chats; admins see every chat.
+   * Query: q, client, dept_id, tag_ids, status, from, to, limit, offset
+   */
+  async searchChats(req, res) {
+    try {
+      const { filters, error: filterError } = parseSearchFilters(req.query);
+      if (filterError) {
+        return res.status(400).json({ error: filterError });
+      }
+
+      const result = await chatSearchService.search(req.userId, filters);
+
+      res.json({ data: { ...result, limit: filters.limit, offset: filters.offset } });
+    } catch (err) {
+      console.error("❌ Error searching chats:", err.message);
+      res.status(500).json({ error: "Failed to search chats" });
+    }
+  }
+
+  /**
+   * Get notes where the current agent was mentioned
+   * Query: unread=true to only return mentions not yet read
+   */
+  async getMentions(req, res) {
+    try {
+      const mentions = await internalNoteService.getMentions(req.userId, {
+        unreadOnly: req.query.unread === "true",
+      });
+
+      res.json({ data: mentions });
+    } catch (err) {
+      console.error("❌ Error fetching mentions:", err.message);
+      res.status(500).json({ error: "Failed to fetch mentions" });
+    }
+  }
+
+  /**
+   * Mark a mention as read
+   */
+  async markMentionRead(req, res) {
+    try {
+      const mention = await internalNoteService.markMentionRead(req.params.mentionId, req.userId);
+      res.json({ data: mention });
+    } catch (err) {
+      console.error("❌ Error marking mention read:", err.message);
+
+      if (err.message === "Mention not found") {
+        return res.status(404).json({ error: err.message });
+      }
+
+      res.status(500).json({ error: "Failed to mark mention as read" });
+    }
+  }
+
+  /**
+   * Get the edit and unsend history of a message
+   */
+  async getMessageHistory(req, res) {
+    try {
+      const result = await messageEditService.getEditHistory(req.params.chatId);
+      res.json({ data: result });
+    } catch (err) {
+      console.error("❌ Error fetching message history:", err.message);
+
+      if (err.message === MESSAGE_EDIT_ERRORS.NOT_FOUND) {
+        return res.status(404).json({ error: err.message });
+      }
+
+      res.status(500).json({ error: "Failed to fetch message history" });
+    }
+  }
+
+  /**
+   * Upload a file for the agent's next message
+   * Multipart: file, chat_group_id. Send the returned attachment_id in sendMessage's attachment_ids.
+   */
+  async uploadAttachment(req, res) {
+    try {
+      const chatGroupId = parseInt(req.body.chat_group_id);
+
+      if (!chatGroupId) {
+        return res.status(400).json({ error: "chat_group_id is required" });
+      }
+
+      const validationError = validateAttachment(req.file);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const attachment = await attachmentService.uploadAttachment(chatGroupId, req.file, {
+        sysUserId: req.userId,
+      });
+
+      res.status(201).json({ data: attachment });
+    } catch (err) {
+      console.error("❌ Error uploading attachment:", err.message);
+
+      if (err.message === "Chat group not found or access denied") {
+        return res.status(404).json({ error: err.message });
+      }
+      if (err.message === "Cannot send messages to a resolved chat") {
+        return res.status(400).json({ error: err.message });
+      }
+
+      res.status(500).json({ error: "Failed to upload attachment" });
+    }
+  }
+
+  /**
+   * Get a fresh signed download URL for an attachment
+   */
+  async getAttachmentUrl(req, res) {
+    try {
+      const { attachmentId } = req.params;
+
+      const result = await attachmentService.getDownloadUrl(attachmentId);
+      res.json({ data: result });
+    } catch (err) {
+      console.error("❌ Error signing attachment URL:", err.message);
+
+      if (err.message === "Attachment not found") {
+        return res.status(404).json({ error: err.message });
+      }
+
+      res.status(500).json({ error: "Failed to get attachment URL" });
+    }
+  }
+
   /**
    * Get room statistics for monitoring
    */
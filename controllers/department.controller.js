@@ -1,8 +1,14 @@
 const express = require("express");
 const departmentService = require("../services/department.service");
+const businessHoursService = require("../services/businessHours.service");
+const queueOverflowService = require("../services/queueOverflow.service");
 const getCurrentUser = require("../middleware/getCurrentUser");
 const { checkPermission, checkAnyPermission } = require("../middleware/checkPermission");
 const { PERMISSIONS } = require("../constants/permissions")
+const { validateSchedule, isValidTimeZone } = require("../utils/businessHours");
+const { validateOverflowRule } = require("../utils/queueOverflow");
+const { isValidPriority } = require("../utils/chatPriority");
+const { ROUTING_STRATEGY, CHAT_PRIORITY } = require("../constants/statuses");
 
 class DepartmentController {
   getRouter() {
@@ -46,6 +52,48 @@ class DepartmentController {
       (req, res) => this.viewDepartmentMembers(req, res)
     );
 
+    // Get business hours, holidays and open/closed status - requires view department permission
+    router.get("/:id/hours",
+      checkPermission(PERMISSIONS.VIEW_DEPT),
+      (req, res) => this.getDepartmentHours(req, res)
+    );
+
+    // Replace weekly schedule and timezone - requires edit department permission
+    router.put("/:id/hours",
+      checkPermission(PERMISSIONS.EDIT_DEPT),
+      (req, res) => this.updateDepartmentHours(req, res)
+    );
+
+    // Add a holiday - requires edit department permission
+    router.post("/:id/hours/holidays",
+      checkPermission(PERMISSIONS.EDIT_DEPT),
+      (req, res) => this.addDepartmentHoliday(req, res)
+    );
+
+    // Remove a holiday - requires edit department permission
+    router.delete("/:id/hours/holidays/:holidayId",
+      checkPermission(PERMISSIONS.EDIT_DEPT),
+      (req, res) => this.removeDepartmentHoliday(req, res)
+    );
+
+    // Get queue overflow/escalation rule - requires view department permission
+    router.get("/:id/overflow-rule",
+      checkPermission(PERMISSIONS.VIEW_DEPT),
+      (req, res) => this.getOverflowRule(req, res)
+    );
+
+    // Create or replace queue overflow/escalation rule - requires edit department permission
+    router.put("/:id/overflow-rule",
+      checkPermission(PERMISSIONS.EDIT_DEPT),
+      (req, res) => this.saveOverflowRule(req, res)
+    );
+
+    // Remove queue overflow/escalation rule - requires edit department permission
+    router.delete("/:id/overflow-rule",
+      checkPermission(PERMISSIONS.EDIT_DEPT),
+      (req, res) => this.deleteOverflowRule(req, res)
+    );
+
     return router;
   }
   /**
@@ -86,16 +134,79 @@ class DepartmentController {
   async updateDepartment(req, res) {
     try {
       const { id } = req.params;
-      const { dept_name, dept_updated_by } = req.body;
+      const {
+        dept_name,
+        dept_updated_by,
+        dept_routing_strategy,
+        dept_prefer_previous_agent,
+        dept_previous_agent_wait_seconds,
+        dept_default_priority,
+        dept_require_disposition,
+        dept_reopen_window_minutes,
+      } = req.body;
+
+      const hasChanges =
+        dept_name ||
+        dept_routing_strategy !== undefined ||
+        dept_prefer_previous_agent !== undefined ||
+        dept_previous_agent_wait_seconds !== undefined ||
+        dept_default_priority !== undefined ||
+        dept_require_disposition !== undefined ||
+        dept_reopen_window_minutes !== undefined;
 
-      if (!dept_name || !dept_updated_by) {
-        return res.status(400).json({ error: "dept_name and dept_updated_by are required" });
+      if (!hasChanges || !dept_updated_by) {
+        return res.status(400).json({ error: "dept_updated_by and at least one field to update are required" });
       }
 
-      const updateData = {
-        dept_name,
-        dept_updated_by
-      };
+      if (
+        dept_routing_strategy !== undefined &&
+        !Object.values(ROUTING_STRATEGY).includes(dept_routing_strategy)
+      ) {
+        return res.status(400).json({
+          error: `dept_routing_strategy must be one of: ${Object.values(ROUTING_STRATEGY).join(", ")}`,
+        });
+      }
+
+      if (dept_prefer_previous_agent !== undefined && typeof dept_prefer_previous_agent !== "boolean") {
+        return res.status(400).json({ error: "dept_prefer_previous_agent must be a boolean" });
+      }
+
+      if (
+        dept_previous_agent_wait_seconds !== undefined &&
+        (!Number.isInteger(dept_previous_agent_wait_seconds) || dept_previous_agent_wait_seconds < 0)
+      ) {
+        return res.status(400).json({ error: "dept_previous_agent_wait_seconds must be a non-negative integer" });
+      }
+
+      if (dept_default_priority !== undefined && !isValidPriority(dept_default_priority)) {
+        return res.status(400).json({
+          error: `dept_default_priority must be one of: ${Object.values(CHAT_PRIORITY).join(", ")}`,
+        });
+      }
+
+      if (dept_require_disposition !== undefined && typeof dept_require_disposition !== "boolean") {
+        return res.status(400).json({ error: "dept_require_disposition must be a boolean" });
+      }
+
+      if (
+        dept_reopen_window_minutes !== undefined &&
+        (!Number.isInteger(dept_reopen_window_minutes) || dept_reopen_window_minutes < 0)
+      ) {
+        return res.status(400).json({ error: "dept_reopen_window_minutes must be a non-negative integer" });
+      }
+
+      const updateData = { dept_updated_by };
+      if (dept_name) updateData.dept_name = dept_name;
+      if (dept_routing_strategy !== undefined) updateData.dept_routing_strategy = dept_routing_strategy;
+      if (dept_prefer_previous_agent !== undefined) updateData.dept_prefer_previous_agent = dept_prefer_previous_agent;
+      if (dept_previous_agent_wait_seconds !== undefined) {
+        updateData.dept_previous_agent_wait_seconds = dept_previous_agent_wait_seconds;
+      }
+      if (dept_default_priority !== undefined) updateData.dept_default_priority = dept_default_priority;
+      if (dept_require_disposition !== undefined) updateData.dept_require_disposition = dept_require_disposition;
+      if (dept_reopen_window_minutes !== undefined) {
+        updateData.dept_reopen_window_minutes = dept_reopen_window_minutes;
+      }
 
       const department = await departmentService.updateDepartment(id, updateData);
       res.status(200).json({ data: department });
@@ -157,6 +268,165 @@ class DepartmentController {
       res.status(500).json({ error: "Failed to view department members" });
     }
   }
+
+  /**
+   * Get a department's weekly schedule, holidays and current open/closed status
+   */
+  async getDepartmentHours(req, res) {
+    try {
+      const { id } = req.params;
+
+      const businessHours = await businessHoursService.getDepartmentBusinessHours(id);
+      const status = await businessHoursService.getDepartmentStatus(id);
+
+      res.status(200).json({ data: { ...businessHours, ...status } });
+    } catch (err) {
+      console.error("Error fetching department hours:", err.message);
+      res.status(500).json({ error: "Failed to fetch department hours" });
+    }
+  }
+
+  /**
+   * Replace a department's weekly schedule
+   * Body: { schedule: [{ day, open, close }], timezone? } - an empty schedule means always open
+   */
+  async updateDepartmentHours(req, res) {
+    try {
+      const { id } = req.params;
+      const { schedule, timezone } = req.body;
+
+      const scheduleError = validateSchedule(schedule);
+      if (scheduleError) {
+        return res.status(400).json({ error: scheduleError });
+      }
+
+      if (timezone !== undefined && timezone !== null && !isValidTimeZone(timezone)) {
+        return res.status(400).json({ error: "timezone must be a valid IANA timezone, e.g. Asia/Manila" });
+      }
+
+      const businessHours = await businessHoursService.updateWeeklySchedule(id, schedule, timezone, req.userId);
+      const status = await businessHoursService.getDepartmentStatus(id);
+
+      res.status(200).json({ data: { ...businessHours, ...status } });
+    } catch (err) {
+      console.error("Error updating department hours:", err.message);
+      res.status(500).json({ error: "Failed to update department hours" });
+    }
+  }
+
+  /**
+   * Add a holiday to a department's calendar
+   * Body: { date: "YYYY-MM-DD", name? }
+   */
+  async addDepartmentHoliday(req, res) {
+    try {
+      const { id } = req.params;
+      const { date, name } = req.body;
+
+      if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date).getTime())) {
+        return res.status(400).json({ error: "date is required in YYYY-MM-DD format" });
+      }
+
+      const holiday = await businessHoursService.addHoliday(id, date, name, req.userId);
+      res.status(201).json({ data: holiday });
+    } catch (err) {
+      console.error("Error adding department holiday:", err.message);
+      if (err.code === "23505") {
+        return res.status(409).json({ error: "A holiday already exists on that date" });
+      }
+      res.status(500).json({ error: "Failed to add department holiday" });
+    }
+  }
+
+  /**
+   * Remove a holiday from a department's calendar
+   */
+  async removeDepartmentHoliday(req, res) {
+    try {
+      const { id, holidayId } = req.params;
+
+      const holiday = await businessHoursService.removeHoliday(id, holidayId);
+      res.status(200).json({ data: holiday });
+    } catch (err) {
+      console.error("Error removing department holiday:", err.message);
+      if (err.message === "Holiday not found") {
+        return res.status(404).json({ error: err.message });
+      }
+      res.status(500).json({ error: "Failed to remove department holiday" });
+    }
+  }
+
+  /**
+   * Get a department's queue overflow rule (null when none is configured)
+   */
+  async getOverflowRule(req, res) {
+    try {
+      const { id } = req.params;
+
+      const rule = await queueOverflowService.getOverflowRule(id);
+      res.status(200).json({ data: rule });
+    } catch (err) {
+      console.error("Error fetching overflow rule:", err.message);
+      res.status(500).json({ error: "Failed to fetch overflow rule" });
+    }
+  }
+
+  /**
+   * Create or replace a department's queue overflow rule
+   * Body: { backup_dept_id?, overflow_after_minutes?, escalate_after_minutes?,
+   *         abandon_after_minutes?, abandon_message?, overflow_rule_is_active? }
+   */
+  async saveOverflowRule(req, res) {
+    try {
+      const { id } = req.params;
+      const settings = {
+        backup_dept_id: req.body.backup_dept_id ?? null,
+        overflow_after_minutes: req.body.overflow_after_minutes ?? null,
+        escalate_after_minutes: req.body.escalate_after_minutes ?? null,
+        abandon_after_minutes: req.body.abandon_after_minutes ?? null,
+        abandon_message: req.body.abandon_message ?? null,
+      };
+
+      const ruleError = validateOverflowRule({ dept_id: id, ...settings });
+      if (ruleError) {
+        return res.status(400).json({ error: ruleError });
+      }
+
+      if (req.body.overflow_rule_is_active !== undefined) {
+        if (typeof req.body.overflow_rule_is_active !== "boolean") {
+          return res.status(400).json({ error: "overflow_rule_is_active must be a boolean" });
+        }
+        settings.overflow_rule_is_active = req.body.overflow_rule_is_active;
+      }
+
+      const rule = await queueOverflowService.saveOverflowRule(id, settings, req.userId);
+      res.status(200).json({ data: rule });
+    } catch (err) {
+      console.error("Error saving overflow rule:", err.message);
+      if (err.code === "23503") {
+        return res.status(400).json({ error: "Department or backup department not found" });
+      }
+      res.status(500).json({ error: "Failed to save overflow rule" });
+    }
+  }
+
+  /**
+   * Remove a department's queue overflow rule
+   */
+  async deleteOverflowRule(req, res) {
+    try {
+      const { id } = req.params;
+
+      const rule = await queueOverflowService.deleteOverflowRule(id);
+      res.status(200).json({ data: rule });
+    } catch (err) {
+      console.error("Error deleting overflow rule:", err.message);
+      if (err.message === "Overflow rule not found") {
+        return res.status(404).json({ error: err.message });
+      }
+      res.status(500).json({ error: "Failed to delete overflow rule" });
+    }
+  }
 }
 
 module.exports = new DepartmentController();
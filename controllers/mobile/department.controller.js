@@ -1,5 +1,6 @@
 const express = require("express");
 const mobileDepartmentService = require("../../services/mobile/department.service");
+const skillService = require("../../services/skill.service");
 const getCurrentMobileUser = require("../../middleware/getCurrentMobileUser");
 
 class MobileDepartmentController {
@@ -9,6 +10,9 @@ class MobileDepartmentController {
     // Get all active departments (public route)
     router.get("/active", (req, res) => this.getActiveDepartments(req, res));
 
+    // Get skills a client can request when starting a chat, e.g. languages (public route)
+    router.get("/skills", (req, res) => this.getSkills(req, res));
+
     // Protected routes
     router.use(getCurrentMobileUser);
 
@@ -26,6 +30,19 @@ class MobileDepartmentController {
       res.status(500).json({ error: "Failed to fetch departments" });
     }
   }
+
+  /**
+   * Get active skills
+   */
+  async getSkills(req, res) {
+    try {
+      const skills = await skillService.getSkills({ activeOnly: true });
+      res.json({ data: { skills } });
+    } catch (error) {
+      console.error("Error fetching skills:", error);
+      res.status(500).json({ error: "Failed to fetch skills" });
+    }
+  }
 }
 
 module.exports = new MobileDepartmentController();
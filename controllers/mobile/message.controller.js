@@ -1,8 +1,36 @@
 const express = require("express");
+const rateLimit = require("express-rate-limit");
 const mobileMessageService = require("../../services/mobile/message.service");
 const getCurrentMobileUser = require("../../middleware/getCurrentMobileUser");
 const { parseDurationToSeconds } = require("../../utils/parseDuration");
 const { handleChatAssignment, handleChatQueued, handleChatResolvedByClient } = require("../../socket/customer-list");
+const { handleAutoReply, handleClientMessageAutoReply } = require("../../socket/auto-reply");
+const { broadcastQueuePositions } = require("../../socket/queue-updates");
+const { handleClientMessagePriority } = require("../../socket/priority");
+const queueService = require("../../services/queue.service");
+const attachmentService = require("../../services/attachment.service");
+const uploadAttachment = require("../../middleware/uploadAttachment");
+const { validateAttachment, parseAttachmentIds } = require("../../utils/chatAttachments");
+const messageEditService = require("../../services/messageEdit.service");
+const { MESSAGE_EDIT_ERRORS, MAX_MESSAGE_LENGTH } = require("../../utils/messageEdits");
+const { emitMessageEdited, emitMessageDeleted } = require("../../socket/message-updates");
+const messageSyncService = require("../../services/messageSync.service");
+const { MESSAGE_SYNC_ERRORS, parseClientMessageId, parseSyncCursor } = require("../../utils/messageSync");
+const transcriptService = require("../../services/transcript.service");
+const { parseTranscriptFormat, isValidEmail, TRANSCRIPT_FORMATS } = require("../../utils/transcript");
+const { QUEUE_REASON } = require("../../constants/statuses");
+const chatLifecycleService = require("../../services/chatLifecycle.service");
+const { notifyChatReactivated } = require("../../socket/chat-lifecycle");
+
+// Transcripts go out through our SMTP account to any address, so cap them per client
+const transcriptEmailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // 5 transcript emails per client per window
+  keyGenerator: (req) => String(req.userId),
+  message: { error: "Too many transcript emails, please try again later" },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
 
 class MobileMessageController {
   getRouter() {
@@ -14,44 +42,238 @@ class MobileMessageController {
     // Create a new message
     router.post("/", (req, res) => this.createMessage(req, res));
 
+    // Upload a file to send with the next message
+    router.post("/attachments", uploadAttachment, (req, res) => this.uploadAttachment(req, res));
+
+    // Get a fresh signed download URL for an attachment
+    router.get("/attachments/:attachmentId/url", (req, res) => this.getAttachmentUrl(req, res));
+
     // Get messages by chat group ID
     router.get("/group/:id", (req, res) => this.getMessagesByGroupId(req, res));
 
+    // Get messages and status changes since a cursor (offline resync)
+    router.get("/group/:id/sync", (req, res) => this.syncMessages(req, res));
+
     // Get latest chat group for current client
     router.get("/latest", (req, res) => this.getLatestChatGroup(req, res));
 
-    // Create a new chat group
+    // Create a new chat group (or reopen one resolved within the reopen window)
     router.post("/group/create", (req, res) => this.createChatGroup(req, res));
 
     // End/resolve a chat group (mobile client)
     router.patch("/group/:id/end", (req, res) => this.endChatGroup(req, res));
 
+    // Email the client their transcript once the chat has ended
+    router.post("/group/:id/transcript", transcriptEmailLimiter, (req, res) => this.emailTranscript(req, res));
+
     // Get resolved chats for current client
     router.get("/resolved", (req, res) => this.getResolvedChats(req, res));
 
+    // Get queue position and estimated wait for a queued chat group
+    router.get("/group/:id/queue", (req, res) => this.getQueuePosition(req, res));
+
+    // Edit or unsend one of the client's own messages
+    router.patch("/:chatId", (req, res) => this.editMessage(req, res));
+    router.delete("/:chatId", (req, res) => this.deleteMessage(req, res));
+
     return router;
   }
   /**
    * Create a new message
+   * A retried send with the same client_message_id returns the stored message with 200
    */
   async createMessage(req, res) {
+    const { chat_body, chat_group_id, attachment_ids, reply_to_chat_id, client_message_id } = req.body || {};
+    const client_id = req.userId;
+
+    const { id: clientMessageId, error: clientMessageIdError } = parseClientMessageId(client_message_id);
+
     try {
-      const { chat_body, chat_group_id } = req.body;
-      const client_id = req.userId;
+      if (clientMessageIdError) {
+        return res.status(400).json({ error: clientMessageIdError });
+      }
 
-      if (!chat_body || !chat_group_id || !client_id) {
+      const { ids: attachmentIds, error: attachmentError } = parseAttachmentIds(attachment_ids);
+      if (attachmentError) {
+        return res.status(400).json({ error: attachmentError });
+      }
+
+      // A message needs text, attachments, or both
+      if ((!chat_body && !attachmentIds.length) || !chat_group_id || !client_id) {
         return res.status(400).json({ error: "Missing required fields" });
       }
 
-      const data = await mobileMessageService.createMessage(chat_body, client_id, chat_group_id);
+      const duplicate = await messageSyncService.findDuplicate(chat_group_id, clientMessageId, {
+        clientId: client_id,
+      });
+      if (duplicate) {
+        return res.status(200).json({ data: duplicate });
+      }
+
+      // A valid message to a snoozed or recently resolved chat brings it back (reactivation)
+      const { message: data, reactivation } = await mobileMessageService.createMessage(
+        chat_body,
+        client_id,
+        chat_group_id,
+        { attachmentIds, replyToChatId: reply_to_chat_id, clientMessageId },
+      );
+
+      const io = req.app.get('io');
+      await notifyChatReactivated(io, reactivation);
+
+      // Evaluate auto reply and keyword priority rules against the client's message
+      if (chat_body) {
+        await handleClientMessageAutoReply(io, chat_group_id, chat_body);
+        await handleClientMessagePriority(io, chat_group_id, chat_body);
+      }
 
       res.status(201).json({ data });
     } catch (err) {
       console.error("Failed to insert chat:", err.message);
+
+      // Lost the race with a concurrent retry of the same message
+      if (err.code === "23505" && clientMessageId) {
+        try {
+          const duplicate = await messageSyncService.findDuplicate(chat_group_id, clientMessageId, {
+            clientId: client_id,
+          });
+          if (duplicate) {
+            return res.status(200).json({ data: duplicate });
+          }
+        } catch (lookupErr) {
+          console.error("Failed to load duplicate chat:", lookupErr.message);
+        }
+      }
+
+      if (
+        err.message === "Attachment not found or already sent" ||
+        err.message === MESSAGE_SYNC_ERRORS.CLIENT_MESSAGE_ID_IN_USE ||
+        Object.values(MESSAGE_EDIT_ERRORS).includes(err.message)
+      ) {
+        return res.status(400).json({ error: err.message });
+      }
+
       res.status(500).json({ error: "Failed to insert chat" });
     }
   }
 
+  /**
+   * Edit one of the client's own messages within the edit window
+   * Body: { chat_body }
+   */
+  async editMessage(req, res) {
+    try {
+      const { chatId } = req.params;
+      const body = typeof req.body.chat_body === "string" ? req.body.chat_body.trim() : "";
+
+      if (!body) {
+        return res.status(400).json({ error: "chat_body is required" });
+      }
+      if (body.length > MAX_MESSAGE_LENGTH) {
+        return res.status(400).json({ error: `Messages are limited to ${MAX_MESSAGE_LENGTH} characters` });
+      }
+
+      const message = await messageEditService.editMessage(chatId, body, { clientId: req.userId });
+
+      const io = req.app.get('io');
+      if (io) {
+        await emitMessageEdited(io, message);
+      }
+
+      res.json({ data: message });
+    } catch (err) {
+      console.error("❌ Failed to edit message:", err.message);
+      this.sendMessageEditError(res, err, "Failed to edit message");
+    }
+  }
+
+  /**
+   * Unsend one of the client's own messages within the edit window
+   */
+  async deleteMessage(req, res) {
+    try {
+      const { chatId } = req.params;
+
+      const message = await messageEditService.unsendMessage(chatId, { clientId: req.userId });
+
+      const io = req.app.get('io');
+      if (io) {
+        await emitMessageDeleted(io, message);
+      }
+
+      res.json({ data: message });
+    } catch (err) {
+      console.error("❌ Failed to unsend message:", err.message);
+      this.sendMessageEditError(res, err, "Failed to unsend message");
+    }
+  }
+
+  sendMessageEditError(res, err, fallback) {
+    if (err.message === MESSAGE_EDIT_ERRORS.NOT_FOUND) {
+      return res.status(404).json({ error: err.message });
+    }
+    if (Object.values(MESSAGE_EDIT_ERRORS).includes(err.message)) {
+      return res.status(403).json({ error: err.message });
+    }
+    return res.status(500).json({ error: fallback });
+  }
+
+  /**
+   * Upload a file for the client's next message
+   * Multipart: file, chat_group_id. Send the returned attachment_id in POST /messages attachment_ids.
+   */
+  async uploadAttachment(req, res) {
+    try {
+      const chatGroupId = parseInt(req.body.chat_group_id);
+
+      if (!chatGroupId) {
+        return res.status(400).json({ error: "chat_group_id is required" });
+      }
+
+      const validationError = validateAttachment(req.file);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const attachment = await attachmentService.uploadAttachment(chatGroupId, req.file, {
+        clientId: req.userId,
+      });
+
+      res.status(201).json({ data: attachment });
+    } catch (err) {
+      console.error("❌ Failed to upload attachment:", err.message);
+
+      if (err.message === "Chat group not found or access denied") {
+        return res.status(404).json({ error: err.message });
+      }
+      if (err.message === "Cannot send messages to a resolved chat") {
+        return res.status(400).json({ error: err.message });
+      }
+
+      res.status(500).json({ error: "Failed to upload attachment" });
+    }
+  }
+
+  /**
+   * Get a fresh signed download URL for an attachment in one of the client's chats
+   */
+  async getAttachmentUrl(req, res) {
+    try {
+      const { attachmentId } = req.params;
+
+      const result = await attachmentService.getDownloadUrl(attachmentId, { clientId: req.userId });
+      res.json({ data: result });
+    } catch (err) {
+      console.error("❌ Failed to sign attachment URL:", err.message);
+
+      if (err.message === "Attachment not found") {
+        return res.status(404).json({ error: err.message });
+      }
+
+      res.status(500).json({ error: "Failed to get attachment URL" });
+    }
+  }
+
   /**
    * Get messages by chat group ID with pagination
    */
@@ -90,6 +312,75 @@ class MobileMessageController {
     }
   }
 
+  /**
+   * Get messages created or changed since a cursor
+   * Query: since (cursor from the previous sync, or the newest chat_created_at the app holds)
+   */
+  async syncMessages(req, res) {
+    try {
+      const { id } = req.params;
+
+      const { cursor, error: cursorError } = parseSyncCursor(req.query.since);
+      if (cursorError) {
+        return res.status(400).json({ error: cursorError });
+      }
+
+      const result = await messageSyncService.getChangesSince(id, cursor, {
+        userType: "client",
+        userId: req.userId,
+      });
+
+      res.json({ data: result });
+    } catch (err) {
+      console.error("❌ Failed to sync messages:", err.message);
+
+      if (err.message === "Chat group not found") {
+        return res.status(404).json({ error: err.message });
+      }
+
+      res.status(500).json({ error: "Failed to sync messages" });
+    }
+  }
+
+  /**
+   * Email the transcript of one of the client's ended chats
+   * Body: { email, format } (format defaults to pdf)
+   */
+  async emailTranscript(req, res) {
+    try {
+      const { id: chatGroupId } = req.params;
+      const { email, format: requestedFormat } = req.body || {};
+
+      if (!isValidEmail(email)) {
+        return res.status(400).json({ error: "A valid email address is required" });
+      }
+
+      const format = parseTranscriptFormat(requestedFormat);
+      if (!format) {
+        return res.status(400).json({
+          error: `format must be one of: ${Object.values(TRANSCRIPT_FORMATS).join(", ")}`,
+        });
+      }
+
+      const result = await transcriptService.emailTranscript(chatGroupId, email.trim(), format, {
+        clientId: req.userId,
+      });
+
+      res.json({ data: result });
+    } catch (err) {
+      console.error("❌ Failed to email transcript:", err.message);
+
+      if (err.message === "Chat group not found") {
+        return res.status(404).json({ error: err.message });
+      }
+      if (err.message === "Transcript is available once the chat has ended") {
+        return res.status(400).json({ error: err.message });
+      }
+
+      res.status(500).json({ error: "Failed to email transcript" });
+    }
+  }
+
   /**
    * Get latest chat group for current client
    */
@@ -108,17 +399,47 @@ class MobileMessageController {
 
   /**
    * Create a new chat group
+   * Reopens the client's last chat in the department instead when it was resolved
+   * within the department's reopen window (200 with reopened: true)
    */
   async createChatGroup(req, res) {
     try {
-      const { department } = req.body;
+      const { department, required_skills } = req.body;
       const clientId = req.userId;
 
       if (!department || !clientId) {
         return res.status(400).json({ error: "Missing required fields" });
       }
 
-      const result = await mobileMessageService.createChatGroup(department, clientId);
+      // Optional skills (e.g. language) as skill IDs or { skill_id, min_proficiency }
+      const requiredSkills = (Array.isArray(required_skills) ? required_skills : [])
+        .map((skill) => (typeof skill === "object" ? skill : { skill_id: skill }))
+        .map((skill) => ({
+          skill_id: parseInt(skill?.skill_id),
+          min_proficiency: parseInt(skill?.min_proficiency) || 1,
+        }))
+        .filter((skill) => !isNaN(skill.skill_id));
+
+      // A chat resolved within the department's reopen window is picked up again
+      const reopenable = await chatLifecycleService.findReopenableChatGroup(clientId, department);
+      const reopened = reopenable && (await chatLifecycleService.reopenChatGroup(reopenable));
+      if (reopened) {
+        await notifyChatReactivated(req.app.get('io'), reopened);
+
+        return res.status(200).json({ data: {
+          chat_group_id: reopened.chat_group_id,
+          assigned: reopened.assigned,
+          status: reopened.status,
+          agent_id: reopened.agent_id,
+          department,
+          queue_reason: reopened.queue_reason,
+          is_open: reopened.queue_reason !== QUEUE_REASON.OUT_OF_HOURS,
+          next_open_at: reopened.next_open_at,
+          reopened: true,
+        } });
+      }
+
+      const result = await mobileMessageService.createChatGroup(department, clientId, requiredSkills);
 
       // Emit customerListUpdate to agents
       const io = req.app.get('io');
@@ -130,6 +451,9 @@ class MobileMessageController {
         }
       }
 
+      // Greet the client with the department's auto reply (covers the queued case too)
+      await handleAutoReply(io, result.chat_group_id, department);
+
       res.status(201).json({ data: result });
     } catch (err) {
       console.error("Error creating chat group:", err.message);
@@ -207,6 +531,11 @@ class MobileMessageController {
         if (result.agent_id) {
           await handleChatResolvedByClient(io, chatGroupId, result.agent_id);
         }
+
+        // Client gave up waiting - everyone behind them moves up
+        if (result.was_queued) {
+          await broadcastQueuePositions(io, result.dept_id);
+        }
       }
 
       res.json({ data: {
@@ -220,6 +549,28 @@ class MobileMessageController {
     }
   }
 
+  /**
+   * Get queue position and estimated wait for current client's chat group
+   */
+  async getQueuePosition(req, res) {
+    try {
+      const { id } = req.params;
+      const clientId = req.userId;
+
+      const queueStatus = await queueService.getQueuePosition(id, clientId);
+
+      res.json({ data: queueStatus });
+    } catch (err) {
+      console.error("❌ Error fetching queue position:", err.message);
+
+      if (err.message === "Chat group not found or access denied") {
+        return res.status(404).json({ error: err.message });
+      }
+
+      res.status(500).json({ error: "Failed to fetch queue position" });
+    }
+  }
+
   /**
    * Get resolved chats for current client
    */
@@ -5,7 +5,10 @@ const { checkPermission } = require("../middleware/checkPermission");
 const { PERMISSIONS } = require("../constants/permissions");
 const { formatChatGroups } = require("../utils/formatChatGroups");
 const { getProfileImages, getLatestMessageTimes, getUnreadMessageStatus } = require("../utils/messageHelpers");
-const { handleChatAccepted } = require("../socket/customer-list");
+const priorityService = require("../services/priority.service");
+const { handleChatAccepted, handleChatPriorityUpdated } = require("../socket/customer-list");
+const { isValidPriority } = require("../utils/chatPriority");
+const { CHAT_PRIORITY, CLIENT_TIER } = require("../constants/statuses");
 
 class QueueController {
   getRouter() {
@@ -27,6 +30,45 @@ class QueueController {
       (req, res) => this.acceptChat(req, res),
     );
 
+    // Bump a waiting chat's priority - requires queue supervision permission
+    router.patch(
+      "/:chatGroupId/priority",
+      checkPermission(PERMISSIONS.SUPERVISE_QUEUE),
+      (req, res) => this.updateChatPriority(req, res),
+    );
+
+    // Keyword priority rules - requires queue supervision permission
+    router.get(
+      "/priority-rules",
+      checkPermission(PERMISSIONS.SUPERVISE_QUEUE),
+      (req, res) => this.getPriorityRules(req, res),
+    );
+
+    router.post(
+      "/priority-rules",
+      checkPermission(PERMISSIONS.SUPERVISE_QUEUE),
+      (req, res) => this.createPriorityRule(req, res),
+    );
+
+    router.put(
+      "/priority-rules/:ruleId",
+      checkPermission(PERMISSIONS.SUPERVISE_QUEUE),
+      (req, res) => this.updatePriorityRule(req, res),
+    );
+
+    router.delete(
+      "/priority-rules/:ruleId",
+      checkPermission(PERMISSIONS.SUPERVISE_QUEUE),
+      (req, res) => this.deletePriorityRule(req, res),
+    );
+
+    // Set a client's service tier (standard/premium/vip) - requires queue supervision permission
+    router.put(
+      "/clients/:clientId/tier",
+      checkPermission(PERMISSIONS.SUPERVISE_QUEUE),
+      (req, res) => this.updateClientTier(req, res),
+    );
+
     // Get chat messages and assign to user - requires message viewing permission
     router.get(
       "/:clientId",
@@ -62,7 +104,7 @@ class QueueController {
         getUnreadMessageStatus(chatGroupIds),
       ]);
 
-      const sortedFormatted = formatChatGroups(groups, imageMap, timeMap, unreadMap);
+      const sortedFormatted = formatChatGroups(groups, imageMap, timeMap, unreadMap, { queueOrder: true });
 
       res.json({ data: sortedFormatted });
     } catch (err) {
@@ -142,6 +184,183 @@ class QueueController {
       res.status(500).json({ error: err.message });
     }
   }
+
+  /**
+   * Bump a waiting chat's priority
+   * Body: { priority: 0-3 }
+   */
+  async updateChatPriority(req, res) {
+    try {
+      const { chatGroupId } = req.params;
+      const { priority } = req.body;
+
+      if (!isValidPriority(priority)) {
+        return res.status(400).json({
+          error: `priority must be one of: ${Object.values(CHAT_PRIORITY).join(", ")}`,
+        });
+      }
+
+      const chatGroup = await priorityService.setManualPriority(chatGroupId, priority, req.userId);
+
+      const io = req.app.get('io');
+      if (io) {
+        await handleChatPriorityUpdated(io, chatGroup);
+      }
+
+      res.json({ data: chatGroup });
+    } catch (err) {
+      console.error("❌ Error updating chat priority:", err.message);
+
+      if (err.message === "Chat group not found or not waiting in queue") {
+        return res.status(404).json({ error: err.message });
+      }
+
+      res.status(500).json({ error: "Failed to update chat priority" });
+    }
+  }
+
+  /**
+   * Get keyword priority rules
+   */
+  async getPriorityRules(req, res) {
+    try {
+      const deptId = req.query.dept_id ? parseInt(req.query.dept_id) : null;
+      const rules = await priorityService.getPriorityRules({ deptId });
+
+      res.json({ data: rules });
+    } catch (err) {
+      console.error("❌ Error fetching priority rules:", err.message);
+      res.status(500).json({ error: "Failed to fetch priority rules" });
+    }
+  }
+
+  /**
+   * Add a keyword priority rule
+   * Body: { keywords: "refund, cancel", priority: 0-3, dept_id? }
+   */
+  async createPriorityRule(req, res) {
+    try {
+      const { keywords, priority, dept_id } = req.body;
+
+      if (!keywords || typeof keywords !== "string" || !keywords.trim()) {
+        return res.status(400).json({ error: "keywords is required" });
+      }
+
+      if (!isValidPriority(priority)) {
+        return res.status(400).json({
+          error: `priority must be one of: ${Object.values(CHAT_PRIORITY).join(", ")}`,
+        });
+      }
+
+      const rule = await priorityService.createPriorityRule(
+        { dept_id, priority_rule_keywords: keywords.trim(), priority },
+        req.userId,
+      );
+
+      res.status(201).json({ data: rule });
+    } catch (err) {
+      console.error("❌ Error creating priority rule:", err.message);
+      res.status(500).json({ error: "Failed to create priority rule" });
+    }
+  }
+
+  /**
+   * Update a keyword priority rule
+   * Body: { keywords?, priority?, is_active? }
+   */
+  async updatePriorityRule(req, res) {
+    try {
+      const { ruleId } = req.params;
+      const { keywords, priority, is_active } = req.body;
+      const updateData = {};
+
+      if (keywords !== undefined) {
+        if (typeof keywords !== "string" || !keywords.trim()) {
+          return res.status(400).json({ error: "keywords cannot be empty" });
+        }
+        updateData.priority_rule_keywords = keywords.trim();
+      }
+
+      if (priority !== undefined) {
+        if (!isValidPriority(priority)) {
+          return res.status(400).json({
+            error: `priority must be one of: ${Object.values(CHAT_PRIORITY).join(", ")}`,
+          });
+        }
+        updateData.priority = priority;
+      }
+
+      if (is_active !== undefined) {
+        if (typeof is_active !== "boolean") {
+          return res.status(400).json({ error: "is_active must be a boolean" });
+        }
+        updateData.priority_rule_is_active = is_active;
+      }
+
+      if (Object.keys(updateData).length === 0) {
+        return res.status(400).json({ error: "Nothing to update" });
+      }
+
+      const rule = await priorityService.updatePriorityRule(ruleId, updateData, req.userId);
+      res.json({ data: rule });
+    } catch (err) {
+      console.error("❌ Error updating priority rule:", err.message);
+
+      if (err.message === "Priority rule not found") {
+        return res.status(404).json({ error: err.message });
+      }
+
+      res.status(500).json({ error: "Failed to update priority rule" });
+    }
+  }
+
+  /**
+   * Delete a keyword priority rule
+   */
+  async deletePriorityRule(req, res) {
+    try {
+      const { ruleId } = req.params;
+
+      const rule = await priorityService.deletePriorityRule(ruleId);
+      res.json({ data: rule });
+    } catch (err) {
+      console.error("❌ Error deleting priority rule:", err.message);
+
+      if (err.message === "Priority rule not found") {
+        return res.status(404).json({ error: err.message });
+      }
+
+      res.status(500).json({ error: "Failed to delete priority rule" });
+    }
+  }
+
+  /**
+   * Set a client's service tier
+   * Body: { tier: "standard" | "premium" | "vip" }
+   */
+  async updateClientTier(req, res) {
+    try {
+      const { clientId } = req.params;
+      const { tier } = req.body;
+
+      if (!Object.values(CLIENT_TIER).includes(tier)) {
+        return res.status(400).json({
+          error: `tier must be one of: ${Object.values(CLIENT_TIER).join(", ")}`,
+        });
+      }
+
+      const client = await priorityService.setClientTier(clientId, tier);
+      res.json({ data: client });
+    } catch (err) {
+      console.error("❌ Error updating client tier:", err.message);
+
+      if (err.message === "Client not found") {
+        return res.status(404).json({ error: err.message });
+      }
+
+      res.status(500).json({ error: "Failed to update client tier" });
+    }
+  }
 }
 
 module.exports = new QueueController();
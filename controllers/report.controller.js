@@ -0,0 +1,221 @@
+const express = require("express");
+const reportService = require("../services/report.service");
+const reportScheduleService = require("../services/reportSchedule.service");
+const profileService = require("../services/profile.service");
+const getCurrentUser = require("../middleware/getCurrentUser");
+const { checkPermission } = require("../middleware/checkPermission");
+const { PERMISSIONS } = require("../constants/permissions");
+const { REPORT_TYPES, parseExportRequest, validateReportSchedule } = require("../utils/reports");
+
+const MAX_PAGE_SIZE = 200;
+
+class ReportController {
+  getRouter() {
+    const router = express.Router();
+
+    router.use(getCurrentUser);
+
+    // Export chat groups, messages, feedback, transfers or agent stats as CSV/XLSX
+    // - requires agent analytics permission (messages also need message viewing permission)
+    router.get("/export/:type",
+      checkPermission(PERMISSIONS.VIEW_ANALYTICS_MANAGE_AGENTS),
+      (req, res) => this.exportReport(req, res)
+    );
+
+    // Scheduled email reports - requires manage reports permission
+    router.get("/schedules",
+      checkPermission(PERMISSIONS.MANAGE_REPORTS),
+      (req, res) => this.getSchedules(req, res)
+    );
+
+    router.post("/schedules",
+      checkPermission(PERMISSIONS.MANAGE_REPORTS),
+      (req, res) => this.createSchedule(req, res)
+    );
+
+    router.put("/schedules/:scheduleId",
+      checkPermission(PERMISSIONS.MANAGE_REPORTS),
+      (req, res) => this.updateSchedule(req, res)
+    );
+
+    router.delete("/schedules/:scheduleId",
+      checkPermission(PERMISSIONS.MANAGE_REPORTS),
+      (req, res) => this.deleteSchedule(req, res)
+    );
+
+    // Run history including failures - requires manage reports permission
+    router.get("/schedules/:scheduleId/runs",
+      checkPermission(PERMISSIONS.MANAGE_REPORTS),
+      (req, res) => this.getRuns(req, res)
+    );
+
+    // Send a scheduled report now - requires manage reports permission
+    router.post("/schedules/:scheduleId/run",
+      checkPermission(PERMISSIONS.MANAGE_REPORTS),
+      (req, res) => this.runSchedule(req, res)
+    );
+
+    return router;
+  }
+
+  /**
+   * Download an export
+   * Query: format (csv|xlsx, default csv), from, to, dept_id, agent_id
+   */
+  async exportReport(req, res) {
+    try {
+      const { type, format, filters, error } = parseExportRequest(req.params.type, req.query);
+      if (error) {
+        return res.status(type ? 400 : 404).json({ error });
+      }
+
+      if (type === REPORT_TYPES.MESSAGES) {
+        const canViewMessages = await profileService.checkUserPermission(req.userId, PERMISSIONS.VIEW_MESSAGE);
+        if (!canViewMessages) {
+          return res.status(403).json({ error: "Message export requires message viewing permission" });
+        }
+      }
+
+      const file = await reportService.renderReport(type, format, filters);
+
+      res.setHeader("Content-Type", file.contentType);
+      res.setHeader("Content-Disposition", `attachment; filename="${file.fileName}"`);
+      res.setHeader("X-Report-Row-Count", String(file.rowCount));
+      res.setHeader("X-Report-Truncated", String(file.truncated));
+      res.send(file.content);
+    } catch (err) {
+      console.error("❌ Error exporting report:", err.message);
+      res.status(500).json({ error: "Failed to export report" });
+    }
+  }
+
+  /**
+   * Get all scheduled reports
+   */
+  async getSchedules(req, res) {
+    try {
+      const schedules = await reportScheduleService.getSchedules();
+      res.json({ data: schedules });
+    } catch (err) {
+      console.error("❌ Error fetching report schedules:", err.message);
+      res.status(500).json({ error: "Failed to fetch report schedules" });
+    }
+  }
+
+  /**
+   * Add a scheduled report
+   * Body: { report_type, file_format?, frequency, day_of_week? (weekly), send_hour?, timezone?,
+   *         recipient_email, dept_id? }
+   */
+  async createSchedule(req, res) {
+    try {
+      const { settings, error } = validateReportSchedule(req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const schedule = await reportScheduleService.createSchedule(settings, req.userId);
+      res.status(201).json({ data: schedule });
+    } catch (err) {
+      console.error("❌ Error creating report schedule:", err.message);
+
+      if (err.code === "23503") {
+        return res.status(400).json({ error: "Department not found" });
+      }
+
+      res.status(500).json({ error: "Failed to create report schedule" });
+    }
+  }
+
+  /**
+   * Update a scheduled report
+   */
+  async updateSchedule(req, res) {
+    try {
+      const { scheduleId } = req.params;
+
+      // Validate against the stored schedule so switching to weekly still needs a day
+      const existing = await reportScheduleService.getSchedule(scheduleId);
+      const { settings, error } = validateReportSchedule(req.body, existing);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const schedule = await reportScheduleService.updateSchedule(scheduleId, settings, existing, req.userId);
+      res.json({ data: schedule });
+    } catch (err) {
+      console.error("❌ Error updating report schedule:", err.message);
+
+      if (err.message === "Report schedule not found") {
+        return res.status(404).json({ error: err.message });
+      }
+      if (err.code === "23503") {
+        return res.status(400).json({ error: "Department not found" });
+      }
+
+      res.status(500).json({ error: "Failed to update report schedule" });
+    }
+  }
+
+  /**
+   * Delete a scheduled report
+   */
+  async deleteSchedule(req, res) {
+    try {
+      const schedule = await reportScheduleService.deleteSchedule(req.params.scheduleId);
+      res.json({ data: schedule });
+    } catch (err) {
+      console.error("❌ Error deleting report schedule:", err.message);
+
+      if (err.message === "Report schedule not found") {
+        return res.status(404).json({ error: err.message });
+      }
+
+      res.status(500).json({ error: "Failed to delete report schedule" });
+    }
+  }
+
+  /**
+   * Run history of a scheduled report
+   * Query: limit?, offset?
+   */
+  async getRuns(req, res) {
+    try {
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_PAGE_SIZE);
+      const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+      const result = await reportScheduleService.getRuns(req.params.scheduleId, { limit, offset });
+      res.json({ data: { ...result, limit, offset } });
+    } catch (err) {
+      console.error("❌ Error fetching report runs:", err.message);
+
+      if (err.message === "Report schedule not found") {
+        return res.status(404).json({ error: err.message });
+      }
+
+      res.status(500).json({ error: "Failed to fetch report runs" });
+    }
+  }
+
+  /**
+   * Generate and send a scheduled report now, covering the period up to now.
+   * Does not move the next scheduled run.
+   */
+  async runSchedule(req, res) {
+    try {
+      const schedule = await reportScheduleService.getSchedule(req.params.scheduleId);
+      const run = await reportScheduleService.runSchedule(schedule, { triggeredBy: req.userId });
+      res.json({ data: run });
+    } catch (err) {
+      console.error("❌ Error running report schedule:", err.message);
+
+      if (err.message === "Report schedule not found") {
+        return res.status(404).json({ error: err.message });
+      }
+
+      res.status(500).json({ error: "Failed to run report schedule" });
+    }
+  }
+}
+
+module.exports = new ReportController();
@@ -0,0 +1,213 @@
+const express = require("express");
+const slaService = require("../services/sla.service");
+const getCurrentUser = require("../middleware/getCurrentUser");
+const { checkPermission, checkAnyPermission } = require("../middleware/checkPermission");
+const { PERMISSIONS } = require("../constants/permissions");
+const { validateSlaPolicy } = require("../utils/sla");
+const { isValidPriority } = require("../utils/chatPriority");
+const { CHAT_PRIORITY, SLA_METRIC } = require("../constants/statuses");
+
+const MAX_PAGE_SIZE = 200;
+
+class SlaController {
+  getRouter() {
+    const router = express.Router();
+
+    router.use(getCurrentUser);
+
+    // SLA policies - viewing requires department view permission
+    router.get(
+      "/policies",
+      checkPermission(PERMISSIONS.VIEW_DEPT),
+      (req, res) => this.getPolicies(req, res),
+    );
+
+    router.post(
+      "/policies",
+      checkPermission(PERMISSIONS.EDIT_DEPT),
+      (req, res) => this.createPolicy(req, res),
+    );
+
+    router.put(
+      "/policies/:policyId",
+      checkPermission(PERMISSIONS.EDIT_DEPT),
+      (req, res) => this.updatePolicy(req, res),
+    );
+
+    router.delete(
+      "/policies/:policyId",
+      checkPermission(PERMISSIONS.EDIT_DEPT),
+      (req, res) => this.deletePolicy(req, res),
+    );
+
+    // Breach history - queue supervisors or agent analytics viewers
+    router.get(
+      "/breaches",
+      checkAnyPermission([PERMISSIONS.SUPERVISE_QUEUE, PERMISSIONS.VIEW_ANALYTICS_MANAGE_AGENTS]),
+      (req, res) => this.getBreaches(req, res),
+    );
+
+    return router;
+  }
+
+  /**
+   * Validate the scope fields shared by create and update
+   * @returns {string|null} Error message, or null when valid
+   */
+  validateScope({ dept_id, priority, sla_policy_is_active }) {
+    if (dept_id !== undefined && dept_id !== null && !Number.isInteger(dept_id)) {
+      return "dept_id must be an integer or null";
+    }
+    if (priority !== undefined && priority !== null && !isValidPriority(priority)) {
+      return `priority must be null or one of: ${Object.values(CHAT_PRIORITY).join(", ")}`;
+    }
+    if (sla_policy_is_active !== undefined && typeof sla_policy_is_active !== "boolean") {
+      return "sla_policy_is_active must be a boolean";
+    }
+    return null;
+  }
+
+  /**
+   * Get all SLA policies
+   */
+  async getPolicies(req, res) {
+    try {
+      const policies = await slaService.getPolicies();
+      res.json({ data: policies });
+    } catch (err) {
+      console.error("❌ Error fetching SLA policies:", err.message);
+      res.status(500).json({ error: "Failed to fetch SLA policies" });
+    }
+  }
+
+  /**
+   * Add an SLA policy
+   * Body: { dept_id?, priority?, first_response_minutes?, next_response_minutes?,
+   *         resolution_minutes?, warning_threshold_percent? }
+   */
+  async createPolicy(req, res) {
+    try {
+      const validationError = this.validateScope(req.body) || validateSlaPolicy(req.body);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const policy = await slaService.createPolicy(req.body, req.userId);
+      res.status(201).json({ data: policy });
+    } catch (err) {
+      console.error("❌ Error creating SLA policy:", err.message);
+
+      if (err.code === "23505") {
+        return res.status(409).json({ error: "An SLA policy already exists for this department and priority" });
+      }
+      if (err.code === "23503") {
+        return res.status(400).json({ error: "Department not found" });
+      }
+
+      res.status(500).json({ error: "Failed to create SLA policy" });
+    }
+  }
+
+  /**
+   * Update an SLA policy
+   */
+  async updatePolicy(req, res) {
+    try {
+      const { policyId } = req.params;
+
+      const scopeError = this.validateScope(req.body);
+      if (scopeError) {
+        return res.status(400).json({ error: scopeError });
+      }
+
+      const targets = ["first_response_minutes", "next_response_minutes", "resolution_minutes"];
+      if (targets.some((field) => req.body[field] !== undefined) || req.body.warning_threshold_percent !== undefined) {
+        // Validate against the stored targets so clearing one doesn't leave the policy empty
+        const existing = await slaService.getPolicy(policyId);
+        const validationError = validateSlaPolicy({ ...existing, ...req.body });
+        if (validationError) {
+          return res.status(400).json({ error: validationError });
+        }
+      }
+
+      const policy = await slaService.updatePolicy(policyId, req.body, req.userId);
+      res.json({ data: policy });
+    } catch (err) {
+      console.error("❌ Error updating SLA policy:", err.message);
+
+      if (err.message === "SLA policy not found") {
+        return res.status(404).json({ error: err.message });
+      }
+      if (err.code === "23505") {
+        return res.status(409).json({ error: "An SLA policy already exists for this department and priority" });
+      }
+      if (err.code === "23503") {
+        return res.status(400).json({ error: "Department not found" });
+      }
+
+      res.status(500).json({ error: "Failed to update SLA policy" });
+    }
+  }
+
+  /**
+   * Delete an SLA policy
+   */
+  async deletePolicy(req, res) {
+    try {
+      const { policyId } = req.params;
+
+      const policy = await slaService.deletePolicy(policyId);
+      res.json({ data: policy });
+    } catch (err) {
+      console.error("❌ Error deleting SLA policy:", err.message);
+
+      if (err.message === "SLA policy not found") {
+        return res.status(404).json({ error: err.message });
+      }
+
+      res.status(500).json({ error: "Failed to delete SLA policy" });
+    }
+  }
+
+  /**
+   * Breach history
+   * Query: dept_id?, agent_id?, metric?, from?, to?, limit?, offset?
+   */
+  async getBreaches(req, res) {
+    try {
+      const { dept_id, agent_id, metric, from, to } = req.query;
+
+      if (metric && !Object.values(SLA_METRIC).includes(metric)) {
+        return res.status(400).json({
+          error: `metric must be one of: ${Object.values(SLA_METRIC).join(", ")}`,
+        });
+      }
+
+      for (const [name, value] of Object.entries({ from, to })) {
+        if (value && isNaN(new Date(value).getTime())) {
+          return res.status(400).json({ error: `${name} must be a valid date` });
+        }
+      }
+
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_PAGE_SIZE);
+      const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+      const result = await slaService.getBreaches({
+        deptId: dept_id ? parseInt(dept_id) : null,
+        agentId: agent_id ? parseInt(agent_id) : null,
+        metric,
+        from,
+        to,
+        limit,
+        offset,
+      });
+
+      res.json({ data: { ...result, limit, offset } });
+    } catch (err) {
+      console.error("❌ Error fetching SLA breaches:", err.message);
+      res.status(500).json({ error: "Failed to fetch SLA breaches" });
+    }
+  }
+}
+
+module.exports = new SlaController();
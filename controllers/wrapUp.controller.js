@@ -0,0 +1,220 @@
+const express = require("express");
+const wrapUpService = require("../services/wrapUp.service");
+const getCurrentUser = require("../middleware/getCurrentUser");
+const { checkPermission } = require("../middleware/checkPermission");
+const { PERMISSIONS } = require("../constants/permissions");
+const { validateTagInput, validateDispositionInput } = require("../utils/wrapUp");
+
+class WrapUpController {
+  getRouter() {
+    const router = express.Router();
+
+    router.use(getCurrentUser);
+
+    // Tag catalogue - agents read it to tag chats, department editors manage it
+    router.get(
+      "/tags",
+      checkPermission(PERMISSIONS.VIEW_MESSAGE),
+      (req, res) => this.getTags(req, res),
+    );
+
+    router.post(
+      "/tags",
+      checkPermission(PERMISSIONS.EDIT_DEPT),
+      (req, res) => this.createTag(req, res),
+    );
+
+    router.put(
+      "/tags/:tagId",
+      checkPermission(PERMISSIONS.EDIT_DEPT),
+      (req, res) => this.updateTag(req, res),
+    );
+
+    // Deactivates rather than deletes, so reporting on past chats keeps its tags
+    router.delete(
+      "/tags/:tagId",
+      checkPermission(PERMISSIONS.EDIT_DEPT),
+      (req, res) => this.deactivateTag(req, res),
+    );
+
+    // Disposition (wrap-up code) catalogue
+    router.get(
+      "/dispositions",
+      checkPermission(PERMISSIONS.VIEW_MESSAGE),
+      (req, res) => this.getDispositions(req, res),
+    );
+
+    router.post(
+      "/dispositions",
+      checkPermission(PERMISSIONS.EDIT_DEPT),
+      (req, res) => this.createDisposition(req, res),
+    );
+
+    router.put(
+      "/dispositions/:dispositionId",
+      checkPermission(PERMISSIONS.EDIT_DEPT),
+      (req, res) => this.updateDisposition(req, res),
+    );
+
+    router.delete(
+      "/dispositions/:dispositionId",
+      checkPermission(PERMISSIONS.EDIT_DEPT),
+      (req, res) => this.deactivateDisposition(req, res),
+    );
+
+    return router;
+  }
+
+  /**
+   * Catalogue query: dept_id to list what a department can use, active=true to hide retired entries
+   */
+  parseCatalogueQuery(query) {
+    return {
+      deptId: parseInt(query.dept_id) || null,
+      activeOnly: query.active === "true",
+    };
+  }
+
+  /**
+   * Get the tag catalogue
+   */
+  async getTags(req, res) {
+    try {
+      const tags = await wrapUpService.getTags(this.parseCatalogueQuery(req.query));
+      res.json({ data: tags });
+    } catch (err) {
+      console.error("❌ Error fetching tags:", err.message);
+      res.status(500).json({ error: "Failed to fetch tags" });
+    }
+  }
+
+  /**
+   * Add a tag
+   * Body: { tag_name, dept_id?, tag_color? }
+   */
+  async createTag(req, res) {
+    try {
+      const validationError = validateTagInput(req.body);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const tag = await wrapUpService.createTag(req.body, req.userId);
+      res.status(201).json({ data: tag });
+    } catch (err) {
+      console.error("❌ Error creating tag:", err.message);
+      this.sendCatalogueError(res, err, "A tag with this name already exists in this department", "Failed to create tag");
+    }
+  }
+
+  /**
+   * Update a tag
+   */
+  async updateTag(req, res) {
+    try {
+      const validationError = validateTagInput(req.body, { partial: true });
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const tag = await wrapUpService.updateTag(req.params.tagId, req.body);
+      res.json({ data: tag });
+    } catch (err) {
+      console.error("❌ Error updating tag:", err.message);
+      this.sendCatalogueError(res, err, "A tag with this name already exists in this department", "Failed to update tag");
+    }
+  }
+
+  /**
+   * Retire a tag from the catalogue
+   */
+  async deactivateTag(req, res) {
+    try {
+      const tag = await wrapUpService.updateTag(req.params.tagId, { tag_is_active: false });
+      res.json({ data: tag });
+    } catch (err) {
+      console.error("❌ Error deactivating tag:", err.message);
+      this.sendCatalogueError(res, err, null, "Failed to deactivate tag");
+    }
+  }
+
+  /**
+   * Get the disposition catalogue
+   */
+  async getDispositions(req, res) {
+    try {
+      const dispositions = await wrapUpService.getDispositions(this.parseCatalogueQuery(req.query));
+      res.json({ data: dispositions });
+    } catch (err) {
+      console.error("❌ Error fetching dispositions:", err.message);
+      res.status(500).json({ error: "Failed to fetch dispositions" });
+    }
+  }
+
+  /**
+   * Add a disposition
+   * Body: { disposition_code, disposition_label, dept_id? }
+   */
+  async createDisposition(req, res) {
+    try {
+      const validationError = validateDispositionInput(req.body);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const disposition = await wrapUpService.createDisposition(req.body, req.userId);
+      res.status(201).json({ data: disposition });
+    } catch (err) {
+      console.error("❌ Error creating disposition:", err.message);
+      this.sendCatalogueError(res, err, "A disposition with this code already exists in this department", "Failed to create disposition");
+    }
+  }
+
+  /**
+   * Update a disposition
+   */
+  async updateDisposition(req, res) {
+    try {
+      const validationError = validateDispositionInput(req.body, { partial: true });
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const disposition = await wrapUpService.updateDisposition(req.params.dispositionId, req.body);
+      res.json({ data: disposition });
+    } catch (err) {
+      console.error("❌ Error updating disposition:", err.message);
+      this.sendCatalogueError(res, err, "A disposition with this code already exists in this department", "Failed to update disposition");
+    }
+  }
+
+  /**
+   * Retire a disposition from the catalogue
+   */
+  async deactivateDisposition(req, res) {
+    try {
+      const disposition = await wrapUpService.updateDisposition(req.params.dispositionId, {
+        disposition_is_active: false,
+      });
+      res.json({ data: disposition });
+    } catch (err) {
+      console.error("❌ Error deactivating disposition:", err.message);
+      this.sendCatalogueError(res, err, null, "Failed to deactivate disposition");
+    }
+  }
+
+  sendCatalogueError(res, err, duplicateMessage, fallback) {
+    if (err.message === "Tag not found" || err.message === "Disposition not found") {
+      return res.status(404).json({ error: err.message });
+    }
+    if (err.code === "23505" && duplicateMessage) {
+      return res.status(409).json({ error: duplicateMessage });
+    }
+    if (err.code === "23503") {
+      return res.status(400).json({ error: "Department not found" });
+    }
+    return res.status(500).json({ error: fallback });
+  }
+}
+
+module.exports = new WrapUpController();
@@ -0,0 +1,22 @@
+const chatSearchService = require("../services/chatSearch.service");
+
+/**
+ * Middleware to limit a /:chatGroupId route to chats the user can reach
+ * (their departments, chats assigned to them or that they take part in; admins reach all).
+ * Chats outside that scope answer 404, the same as chats that do not exist.
+ */
+const checkChatAccess = async (req, res, next) => {
+  try {
+    const canAccess = await chatSearchService.canAccessChat(req.userId, req.params.chatGroupId);
+
+    if (!canAccess) {
+      return res.status(404).json({ error: "Chat group not found" });
+    }
+    next();
+  } catch (error) {
+    console.error("❌ Chat access check failed:", error.message);
+    res.status(500).json({ error: "Chat access check failed" });
+  }
+};
+
+module.exports = checkChatAccess;
@@ -0,0 +1,27 @@
+const multer = require("multer");
+const { MAX_ATTACHMENT_SIZE_BYTES } = require("../utils/chatAttachments");
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_SIZE_BYTES, files: 1 },
+});
+
+/**
+ * Accept a single chat attachment in the "file" field.
+ * Multer errors (oversized file, extra files) become 400 responses.
+ */
+const uploadAttachment = (req, res, next) => {
+  upload.single("file")(req, res, (err) => {
+    if (!err) return next();
+
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return res.status(400).json({
+        error: `File too large. Maximum size is ${MAX_ATTACHMENT_SIZE_BYTES / (1024 * 1024)}MB`,
+      });
+    }
+
+    return res.status(400).json({ error: err.message });
+  });
+};
+
+module.exports = uploadAttachment;
@@ -0,0 +1,22 @@
+-- Migration: Auto-reply messages
+-- Description: Lets the auto-reply engine post system messages into a chat
+-- and remember which auto-reply produced them
+
+-- Distinguish regular messages from system-generated ones
+ALTER TABLE public.chat
+ADD COLUMN IF NOT EXISTS chat_type text NOT NULL DEFAULT 'message',
+ADD COLUMN IF NOT EXISTS auto_reply_id bigint NULL;
+
+ALTER TABLE public.chat
+ADD CONSTRAINT chat_chat_type_check
+CHECK (chat_type = ANY (ARRAY['message'::text, 'system'::text]));
+
+ALTER TABLE public.chat
+ADD CONSTRAINT chat_auto_reply_id_fkey FOREIGN KEY (auto_reply_id) REFERENCES auto_reply (auto_reply_id) ON UPDATE CASCADE ON DELETE SET NULL;
+
+-- Lookups of auto-replies already sent to a chat group
+CREATE INDEX IF NOT EXISTS idx_chat_group_auto_reply ON public.chat(chat_group_id, auto_reply_id) WHERE auto_reply_id IS NOT NULL;
+
+-- Add comments for documentation
+COMMENT ON COLUMN public.chat.chat_type IS 'Type of message: message (sent by a client or agent), system (generated by the server)';
+COMMENT ON COLUMN public.chat.auto_reply_id IS 'Auto-reply that generated this system message, if any';
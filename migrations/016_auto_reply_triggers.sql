@@ -0,0 +1,26 @@
+-- Migration: Auto-reply trigger rules
+-- Description: Adds trigger rules (keyword/regex match, outside business hours,
+-- queue wait and first message) and a per-rule cooldown to auto-replies
+
+ALTER TABLE public.auto_reply
+ADD COLUMN IF NOT EXISTS auto_reply_trigger text NOT NULL DEFAULT 'greeting',
+ADD COLUMN IF NOT EXISTS auto_reply_pattern text NULL,
+ADD COLUMN IF NOT EXISTS auto_reply_wait_minutes integer NULL,
+ADD COLUMN IF NOT EXISTS auto_reply_cooldown_seconds integer NOT NULL DEFAULT 0;
+
+ALTER TABLE public.auto_reply
+ADD CONSTRAINT auto_reply_trigger_check
+CHECK (auto_reply_trigger = ANY (ARRAY['greeting'::text, 'keyword'::text, 'regex'::text, 'outside_hours'::text, 'queue_wait'::text, 'first_message'::text]));
+
+ALTER TABLE public.auto_reply
+ADD CONSTRAINT auto_reply_wait_minutes_check CHECK (auto_reply_wait_minutes IS NULL OR auto_reply_wait_minutes > 0),
+ADD CONSTRAINT auto_reply_cooldown_seconds_check CHECK (auto_reply_cooldown_seconds >= 0);
+
+-- Cooldown lookups: latest message sent by a given auto-reply in a chat group
+CREATE INDEX IF NOT EXISTS idx_chat_auto_reply_created ON public.chat(auto_reply_id, chat_group_id, chat_created_at DESC) WHERE auto_reply_id IS NOT NULL;
+
+-- Add comments for documentation
+COMMENT ON COLUMN public.auto_reply.auto_reply_trigger IS 'When the auto-reply fires: greeting (chat opened), keyword, regex, outside_hours, queue_wait, first_message';
+COMMENT ON COLUMN public.auto_reply.auto_reply_pattern IS 'Comma-separated keywords (keyword trigger) or a regular expression (regex trigger)';
+COMMENT ON COLUMN public.auto_reply.auto_reply_wait_minutes IS 'Minutes a chat must have been queued before a queue_wait auto-reply fires';
+COMMENT ON COLUMN public.auto_reply.auto_reply_cooldown_seconds IS 'Minimum seconds between two sends of the same auto-reply in one chat group (0 = no cooldown)';
@@ -0,0 +1,57 @@
+-- Migration: Department business hours and holidays
+-- Description: Adds per-department weekly schedules, timezones and holiday
+-- exceptions, and records why a chat group is sitting in the queue
+
+-- Department timezone (NULL falls back to BUSINESS_HOURS_TIMEZONE)
+ALTER TABLE public.department
+ADD COLUMN IF NOT EXISTS dept_timezone text NULL;
+
+-- Weekly opening windows; a department with no rows is always open
+CREATE TABLE IF NOT EXISTS public.department_hours (
+    dept_hours_id bigserial NOT NULL,
+    dept_id bigint NOT NULL,
+    day_of_week smallint NOT NULL,
+    open_time time without time zone NOT NULL,
+    close_time time without time zone NOT NULL,
+    dept_hours_updated_by bigint NULL,
+    dept_hours_updated_at timestamp without time zone NULL DEFAULT now(),
+    CONSTRAINT department_hours_pkey PRIMARY KEY (dept_hours_id),
+    CONSTRAINT department_hours_dept_id_fkey FOREIGN KEY (dept_id) REFERENCES department (dept_id) ON UPDATE CASCADE ON DELETE CASCADE,
+    CONSTRAINT department_hours_updated_by_fkey FOREIGN KEY (dept_hours_updated_by) REFERENCES sys_user (sys_user_id) ON UPDATE CASCADE ON DELETE SET NULL,
+    CONSTRAINT department_hours_day_check CHECK (day_of_week BETWEEN 0 AND 6),
+    CONSTRAINT department_hours_window_check CHECK (open_time <> close_time),
+    CONSTRAINT department_hours_unique_window UNIQUE (dept_id, day_of_week, open_time)
+);
+
+-- Holiday exceptions: the department is closed for the whole local day
+CREATE TABLE IF NOT EXISTS public.department_holiday (
+    dept_holiday_id bigserial NOT NULL,
+    dept_id bigint NOT NULL,
+    holiday_date date NOT NULL,
+    holiday_name text NULL,
+    holiday_created_by bigint NULL,
+    holiday_created_at timestamp without time zone NULL DEFAULT now(),
+    CONSTRAINT department_holiday_pkey PRIMARY KEY (dept_holiday_id),
+    CONSTRAINT department_holiday_dept_id_fkey FOREIGN KEY (dept_id) REFERENCES department (dept_id) ON UPDATE CASCADE ON DELETE CASCADE,
+    CONSTRAINT department_holiday_created_by_fkey FOREIGN KEY (holiday_created_by) REFERENCES sys_user (sys_user_id) ON UPDATE CASCADE ON DELETE SET NULL,
+    CONSTRAINT department_holiday_unique_date UNIQUE (dept_id, holiday_date)
+);
+
+-- Why a chat group is queued (cleared when it gets assigned)
+ALTER TABLE public.chat_group
+ADD COLUMN IF NOT EXISTS queue_reason text NULL;
+
+ALTER TABLE public.chat_group
+ADD CONSTRAINT chat_group_queue_reason_check
+CHECK (queue_reason IS NULL OR queue_reason = ANY (ARRAY['no_agents'::text, 'out_of_hours'::text]));
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_department_hours_dept ON public.department_hours(dept_id);
+CREATE INDEX IF NOT EXISTS idx_department_holiday_dept_date ON public.department_holiday(dept_id, holiday_date);
+CREATE INDEX IF NOT EXISTS idx_chat_group_queue_reason ON public.chat_group(queue_reason) WHERE status = 'queued';
+
+-- Add comments for documentation
+COMMENT ON COLUMN public.department.dept_timezone IS 'IANA timezone for the department schedule, e.g. Asia/Manila';
+COMMENT ON TABLE public.department_hours IS 'Weekly opening windows per department (0 = Sunday); close_time before open_time runs past midnight';
+COMMENT ON TABLE public.department_holiday IS 'Dates on which a department is closed regardless of its weekly schedule';
+COMMENT ON COLUMN public.chat_group.queue_reason IS 'Why the chat is queued: no_agents, out_of_hours';
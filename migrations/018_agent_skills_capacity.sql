@@ -0,0 +1,58 @@
+-- Migration: Skills-based and capacity-aware routing
+-- Description: Adds per-agent concurrency limits, a skill catalogue with agent
+-- proficiency levels, and skills a chat group requires from its agent
+
+-- Per-agent concurrency limit (replaces the hard-coded limit of 5)
+ALTER TABLE public.sys_user
+ADD COLUMN IF NOT EXISTS sys_user_max_concurrent_chats integer NOT NULL DEFAULT 5;
+
+ALTER TABLE public.sys_user
+ADD CONSTRAINT sys_user_max_concurrent_chats_check CHECK (sys_user_max_concurrent_chats > 0);
+
+-- Skill catalogue (languages, products, ...)
+CREATE TABLE IF NOT EXISTS public.skill (
+    skill_id bigserial NOT NULL,
+    skill_name text NOT NULL,
+    skill_type text NOT NULL DEFAULT 'other',
+    skill_is_active boolean NOT NULL DEFAULT true,
+    skill_created_by bigint NULL,
+    skill_created_at timestamp without time zone NULL DEFAULT now(),
+    skill_updated_by bigint NULL,
+    skill_updated_at timestamp without time zone NULL DEFAULT now(),
+    CONSTRAINT skill_pkey PRIMARY KEY (skill_id),
+    CONSTRAINT skill_name_type_unique UNIQUE (skill_type, skill_name),
+    CONSTRAINT skill_type_check CHECK (skill_type = ANY (ARRAY['language'::text, 'product'::text, 'other'::text])),
+    CONSTRAINT skill_created_by_fkey FOREIGN KEY (skill_created_by) REFERENCES sys_user (sys_user_id) ON UPDATE CASCADE ON DELETE SET NULL,
+    CONSTRAINT skill_updated_by_fkey FOREIGN KEY (skill_updated_by) REFERENCES sys_user (sys_user_id) ON UPDATE CASCADE ON DELETE SET NULL
+);
+
+-- Agent skills with proficiency (1 = basic ... 5 = expert)
+CREATE TABLE IF NOT EXISTS public.sys_user_skill (
+    sys_user_id bigint NOT NULL,
+    skill_id bigint NOT NULL,
+    proficiency smallint NOT NULL DEFAULT 3,
+    CONSTRAINT sys_user_skill_pkey PRIMARY KEY (sys_user_id, skill_id),
+    CONSTRAINT sys_user_skill_sys_user_id_fkey FOREIGN KEY (sys_user_id) REFERENCES sys_user (sys_user_id) ON UPDATE CASCADE ON DELETE CASCADE,
+    CONSTRAINT sys_user_skill_skill_id_fkey FOREIGN KEY (skill_id) REFERENCES skill (skill_id) ON UPDATE CASCADE ON DELETE CASCADE,
+    CONSTRAINT sys_user_skill_proficiency_check CHECK (proficiency BETWEEN 1 AND 5)
+);
+
+-- Skills a chat group needs from its agent
+CREATE TABLE IF NOT EXISTS public.chat_group_required_skill (
+    chat_group_id bigint NOT NULL,
+    skill_id bigint NOT NULL,
+    min_proficiency smallint NOT NULL DEFAULT 1,
+    CONSTRAINT chat_group_required_skill_pkey PRIMARY KEY (chat_group_id, skill_id),
+    CONSTRAINT chat_group_required_skill_chat_group_id_fkey FOREIGN KEY (chat_group_id) REFERENCES chat_group (chat_group_id) ON UPDATE CASCADE ON DELETE CASCADE,
+    CONSTRAINT chat_group_required_skill_skill_id_fkey FOREIGN KEY (skill_id) REFERENCES skill (skill_id) ON UPDATE CASCADE ON DELETE CASCADE,
+    CONSTRAINT chat_group_required_skill_proficiency_check CHECK (min_proficiency BETWEEN 1 AND 5)
+);
+
+-- Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_sys_user_skill_skill ON public.sys_user_skill(skill_id);
+
+-- Add comments for documentation
+COMMENT ON COLUMN public.sys_user.sys_user_max_concurrent_chats IS 'Maximum number of active chats routed to this agent at once';
+COMMENT ON TABLE public.skill IS 'Skill catalogue used for routing, e.g. languages and products';
+COMMENT ON TABLE public.sys_user_skill IS 'Agent skills with proficiency from 1 (basic) to 5 (expert)';
+COMMENT ON TABLE public.chat_group_required_skill IS 'Skills and minimum proficiency a chat group needs from its agent';
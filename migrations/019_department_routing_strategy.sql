@@ -0,0 +1,30 @@
+-- Migration: Per-department routing strategies
+-- Description: Lets each department choose how chats are routed to agents and
+-- records when a chat was assigned (used by the longest-idle strategy)
+
+ALTER TABLE public.department
+ADD COLUMN IF NOT EXISTS dept_routing_strategy text NOT NULL DEFAULT 'least_busy';
+
+ALTER TABLE public.department
+ADD CONSTRAINT department_routing_strategy_check
+CHECK (dept_routing_strategy = ANY (ARRAY['least_busy'::text, 'round_robin'::text, 'longest_idle'::text, 'sticky_last_agent'::text, 'manual_pick_only'::text]));
+
+-- When the chat group was last assigned to an agent
+ALTER TABLE public.chat_group
+ADD COLUMN IF NOT EXISTS assigned_at timestamp with time zone NULL;
+
+-- Manual-pick departments keep chats queued for agents to accept
+ALTER TABLE public.chat_group
+DROP CONSTRAINT IF EXISTS chat_group_queue_reason_check;
+
+ALTER TABLE public.chat_group
+ADD CONSTRAINT chat_group_queue_reason_check
+CHECK (queue_reason IS NULL OR queue_reason = ANY (ARRAY['no_agents'::text, 'out_of_hours'::text, 'manual_pick'::text]));
+
+-- Longest-idle lookups: latest assignment per agent
+CREATE INDEX IF NOT EXISTS idx_chat_group_agent_assigned_at ON public.chat_group(sys_user_id, assigned_at DESC) WHERE assigned_at IS NOT NULL;
+
+-- Add comments for documentation
+COMMENT ON COLUMN public.department.dept_routing_strategy IS 'How chats are routed: least_busy, round_robin, longest_idle, sticky_last_agent, manual_pick_only';
+COMMENT ON COLUMN public.chat_group.assigned_at IS 'When the chat group was last assigned to an agent';
+COMMENT ON COLUMN public.chat_group.queue_reason IS 'Why the chat is queued: no_agents, out_of_hours, manual_pick';
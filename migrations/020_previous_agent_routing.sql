@@ -0,0 +1,50 @@
+-- Migration: Route returning clients to their previous agent
+-- Description: Department option to hold a returning client's chat for the agent
+-- who resolved their last chat, and a record of which rule assigned each chat
+
+-- Department options
+ALTER TABLE public.department
+ADD COLUMN IF NOT EXISTS dept_prefer_previous_agent boolean NOT NULL DEFAULT false,
+ADD COLUMN IF NOT EXISTS dept_previous_agent_wait_seconds integer NOT NULL DEFAULT 0;
+
+ALTER TABLE public.department
+ADD CONSTRAINT department_previous_agent_wait_check CHECK (dept_previous_agent_wait_seconds >= 0);
+
+-- Chat group: agent the chat is being held for, and which rule assigned it
+ALTER TABLE public.chat_group
+ADD COLUMN IF NOT EXISTS preferred_agent_id bigint NULL,
+ADD COLUMN IF NOT EXISTS preferred_agent_until timestamp with time zone NULL,
+ADD COLUMN IF NOT EXISTS assignment_rule text NULL;
+
+ALTER TABLE public.chat_group
+ADD CONSTRAINT chat_group_preferred_agent_id_fkey FOREIGN KEY (preferred_agent_id) REFERENCES sys_user (sys_user_id) ON UPDATE CASCADE ON DELETE SET NULL;
+
+ALTER TABLE public.chat_group
+ADD CONSTRAINT chat_group_assignment_rule_check
+CHECK (assignment_rule IS NULL OR assignment_rule = ANY (ARRAY['previous_agent'::text, 'least_busy'::text, 'round_robin'::text, 'longest_idle'::text, 'sticky_last_agent'::text, 'manual_accept'::text, 'agent_transfer'::text]));
+
+ALTER TABLE public.chat_transfer_log
+ADD COLUMN IF NOT EXISTS assignment_rule text NULL;
+
+ALTER TABLE public.chat_transfer_log
+ADD CONSTRAINT chat_transfer_log_assignment_rule_check
+CHECK (assignment_rule IS NULL OR assignment_rule = ANY (ARRAY['previous_agent'::text, 'least_busy'::text, 'round_robin'::text, 'longest_idle'::text, 'sticky_last_agent'::text, 'manual_accept'::text, 'agent_transfer'::text]));
+
+-- Chats held for a previous agent wait in the queue
+ALTER TABLE public.chat_group
+DROP CONSTRAINT IF EXISTS chat_group_queue_reason_check;
+
+ALTER TABLE public.chat_group
+ADD CONSTRAINT chat_group_queue_reason_check
+CHECK (queue_reason IS NULL OR queue_reason = ANY (ARRAY['no_agents'::text, 'out_of_hours'::text, 'manual_pick'::text, 'awaiting_previous_agent'::text]));
+
+-- Previous agent lookups: client's latest resolved chat per department
+CREATE INDEX IF NOT EXISTS idx_chat_group_client_dept_resolved ON public.chat_group(client_id, dept_id, resolved_at DESC) WHERE status = 'resolved';
+
+-- Add comments for documentation
+COMMENT ON COLUMN public.department.dept_prefer_previous_agent IS 'Try the agent who resolved the client''s last chat in this department first';
+COMMENT ON COLUMN public.department.dept_previous_agent_wait_seconds IS 'Seconds to hold a chat for the previous agent before normal routing (0 = no wait)';
+COMMENT ON COLUMN public.chat_group.preferred_agent_id IS 'Previous agent the chat is being held for';
+COMMENT ON COLUMN public.chat_group.preferred_agent_until IS 'When the hold for the previous agent expires';
+COMMENT ON COLUMN public.chat_group.assignment_rule IS 'Rule that assigned the chat: previous_agent, a routing strategy, manual_accept or agent_transfer';
+COMMENT ON COLUMN public.chat_transfer_log.assignment_rule IS 'Rule that picked the receiving agent';
@@ -0,0 +1,64 @@
+-- Migration: Queue overflow and escalation rules
+-- Description: Per-department rules that move long-waiting queued chats to a backup
+-- department, notify supervisors, and finally close them as abandoned
+
+-- Supervisors receive escalation notifications for their departments
+ALTER TABLE privilege
+ADD COLUMN IF NOT EXISTS priv_can_supervise_queue BOOLEAN DEFAULT FALSE;
+
+-- One overflow rule per department; each step is optional (NULL = disabled)
+CREATE TABLE IF NOT EXISTS public.dept_overflow_rule (
+    overflow_rule_id bigserial NOT NULL,
+    dept_id bigint NOT NULL,
+    backup_dept_id bigint NULL,
+    overflow_after_minutes integer NULL,
+    escalate_after_minutes integer NULL,
+    abandon_after_minutes integer NULL,
+    abandon_message text NULL,
+    overflow_rule_is_active boolean NOT NULL DEFAULT true,
+    overflow_rule_created_at timestamp with time zone NOT NULL DEFAULT now(),
+    overflow_rule_created_by bigint NULL,
+    overflow_rule_updated_at timestamp with time zone NULL,
+    overflow_rule_updated_by bigint NULL,
+    CONSTRAINT dept_overflow_rule_pkey PRIMARY KEY (overflow_rule_id),
+    CONSTRAINT dept_overflow_rule_dept_id_key UNIQUE (dept_id),
+    CONSTRAINT dept_overflow_rule_dept_id_fkey FOREIGN KEY (dept_id) REFERENCES department (dept_id) ON UPDATE CASCADE ON DELETE CASCADE,
+    CONSTRAINT dept_overflow_rule_backup_dept_id_fkey FOREIGN KEY (backup_dept_id) REFERENCES department (dept_id) ON UPDATE CASCADE ON DELETE SET NULL,
+    CONSTRAINT dept_overflow_rule_created_by_fkey FOREIGN KEY (overflow_rule_created_by) REFERENCES sys_user (sys_user_id) ON UPDATE CASCADE ON DELETE SET NULL,
+    CONSTRAINT dept_overflow_rule_updated_by_fkey FOREIGN KEY (overflow_rule_updated_by) REFERENCES sys_user (sys_user_id) ON UPDATE CASCADE ON DELETE SET NULL,
+    CONSTRAINT dept_overflow_rule_backup_check CHECK (backup_dept_id IS NULL OR backup_dept_id <> dept_id),
+    CONSTRAINT dept_overflow_rule_minutes_check CHECK (
+        (overflow_after_minutes IS NULL OR overflow_after_minutes > 0) AND
+        (escalate_after_minutes IS NULL OR escalate_after_minutes > 0) AND
+        (abandon_after_minutes IS NULL OR abandon_after_minutes > 0)
+    )
+);
+
+-- Chat group: when the chat entered the queue and its current department's queue, and when it was escalated
+ALTER TABLE public.chat_group
+ADD COLUMN IF NOT EXISTS queued_at timestamp with time zone NULL,
+ADD COLUMN IF NOT EXISTS queue_started_at timestamp with time zone NULL,
+ADD COLUMN IF NOT EXISTS queue_escalated_at timestamp with time zone NULL;
+
+-- New transfer types for overflow moves and abandoned chats
+ALTER TABLE public.chat_transfer_log
+DROP CONSTRAINT IF EXISTS chat_transfer_log_transfer_type_check;
+
+ALTER TABLE public.chat_transfer_log
+ADD CONSTRAINT chat_transfer_log_transfer_type_check
+CHECK (transfer_type IS NULL OR transfer_type = ANY (ARRAY['manual'::text, 'auto_reassign'::text, 'agent_offline'::text, 'overflow'::text, 'abandoned'::text]));
+
+-- Queue sweeps scan queued chats per department
+CREATE INDEX IF NOT EXISTS idx_chat_group_dept_queued ON public.chat_group(dept_id, created_at) WHERE status = 'queued';
+
+-- Add comments for documentation
+COMMENT ON COLUMN privilege.priv_can_supervise_queue IS 'Permission to receive queue escalation notifications for own departments';
+COMMENT ON TABLE public.dept_overflow_rule IS 'Overflow, escalation and abandonment timeouts for queued chats';
+COMMENT ON COLUMN public.dept_overflow_rule.overflow_after_minutes IS 'Minutes in this department''s queue before the chat moves to backup_dept_id';
+COMMENT ON COLUMN public.dept_overflow_rule.escalate_after_minutes IS 'Minutes in this department''s queue before supervisors are notified';
+COMMENT ON COLUMN public.dept_overflow_rule.abandon_after_minutes IS 'Minutes since the chat entered the queue (across overflow moves) before it is closed as abandoned';
+COMMENT ON COLUMN public.dept_overflow_rule.abandon_message IS 'Message posted to the client when the chat is closed as abandoned';
+COMMENT ON COLUMN public.chat_group.queued_at IS 'When the chat entered its current department''s queue (NULL = since created_at)';
+COMMENT ON COLUMN public.chat_group.queue_started_at IS 'When the chat last entered the queue; kept when it overflows to another department (NULL = since queued_at)';
+COMMENT ON COLUMN public.chat_group.queue_escalated_at IS 'When supervisors were notified about the chat''s queue wait';
+COMMENT ON COLUMN public.chat_transfer_log.transfer_type IS 'Type of transfer: manual, auto_reassign, agent_offline, overflow (queue timeout moved to backup department) or abandoned (closed after queue timeout)';
@@ -0,0 +1,65 @@
+-- Migration: Priority queueing and VIP clients
+-- Description: Chat priority derived from client tier, department defaults and keyword
+-- rules, honoured by the queue drain and queue listing; supervisors can bump it manually
+
+-- Client tier (premium/VIP clients get a higher starting priority)
+ALTER TABLE public.client
+ADD COLUMN IF NOT EXISTS client_tier text NOT NULL DEFAULT 'standard';
+
+ALTER TABLE public.client
+ADD CONSTRAINT client_tier_check CHECK (client_tier = ANY (ARRAY['standard'::text, 'premium'::text, 'vip'::text]));
+
+-- Department default priority (0 = low, 1 = normal, 2 = high, 3 = urgent)
+ALTER TABLE public.department
+ADD COLUMN IF NOT EXISTS dept_default_priority smallint NOT NULL DEFAULT 1;
+
+ALTER TABLE public.department
+ADD CONSTRAINT department_default_priority_check CHECK (dept_default_priority BETWEEN 0 AND 3);
+
+-- Chat group priority and where it came from
+ALTER TABLE public.chat_group
+ADD COLUMN IF NOT EXISTS priority smallint NOT NULL DEFAULT 1,
+ADD COLUMN IF NOT EXISTS priority_source text NOT NULL DEFAULT 'default',
+ADD COLUMN IF NOT EXISTS priority_updated_at timestamp with time zone NULL,
+ADD COLUMN IF NOT EXISTS priority_updated_by bigint NULL;
+
+ALTER TABLE public.chat_group
+ADD CONSTRAINT chat_group_priority_check CHECK (priority BETWEEN 0 AND 3);
+
+ALTER TABLE public.chat_group
+ADD CONSTRAINT chat_group_priority_source_check
+CHECK (priority_source = ANY (ARRAY['default'::text, 'department'::text, 'client_tier'::text, 'keyword'::text, 'manual'::text]));
+
+ALTER TABLE public.chat_group
+ADD CONSTRAINT chat_group_priority_updated_by_fkey FOREIGN KEY (priority_updated_by) REFERENCES sys_user (sys_user_id) ON UPDATE CASCADE ON DELETE SET NULL;
+
+-- Keyword rules that raise a queued chat's priority (dept_id NULL = every department)
+CREATE TABLE IF NOT EXISTS public.priority_rule (
+    priority_rule_id bigserial NOT NULL,
+    dept_id bigint NULL,
+    priority_rule_keywords text NOT NULL,
+    priority smallint NOT NULL,
+    priority_rule_is_active boolean NOT NULL DEFAULT true,
+    priority_rule_created_at timestamp with time zone NOT NULL DEFAULT now(),
+    priority_rule_created_by bigint NULL,
+    priority_rule_updated_at timestamp with time zone NULL,
+    priority_rule_updated_by bigint NULL,
+    CONSTRAINT priority_rule_pkey PRIMARY KEY (priority_rule_id),
+    CONSTRAINT priority_rule_dept_id_fkey FOREIGN KEY (dept_id) REFERENCES department (dept_id) ON UPDATE CASCADE ON DELETE CASCADE,
+    CONSTRAINT priority_rule_created_by_fkey FOREIGN KEY (priority_rule_created_by) REFERENCES sys_user (sys_user_id) ON UPDATE CASCADE ON DELETE SET NULL,
+    CONSTRAINT priority_rule_updated_by_fkey FOREIGN KEY (priority_rule_updated_by) REFERENCES sys_user (sys_user_id) ON UPDATE CASCADE ON DELETE SET NULL,
+    CONSTRAINT priority_rule_priority_check CHECK (priority BETWEEN 0 AND 3)
+);
+
+CREATE INDEX IF NOT EXISTS idx_priority_rule_dept_active ON public.priority_rule(dept_id) WHERE priority_rule_is_active = true;
+
+-- Queue drain order: highest priority first, then oldest
+DROP INDEX IF EXISTS idx_chat_group_dept_queued;
+CREATE INDEX IF NOT EXISTS idx_chat_group_dept_queued ON public.chat_group(dept_id, priority DESC, created_at) WHERE status = 'queued';
+
+-- Add comments for documentation
+COMMENT ON COLUMN public.client.client_tier IS 'Service tier: standard, premium or vip';
+COMMENT ON COLUMN public.department.dept_default_priority IS 'Starting priority for chats opened in this department (0-3)';
+COMMENT ON COLUMN public.chat_group.priority IS 'Queue priority: 0 = low, 1 = normal, 2 = high, 3 = urgent';
+COMMENT ON COLUMN public.chat_group.priority_source IS 'What set the priority: default, department, client_tier, keyword or manual';
+COMMENT ON TABLE public.priority_rule IS 'Comma-separated keywords in a client message that raise a queued chat''s priority';
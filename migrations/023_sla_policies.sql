@@ -0,0 +1,118 @@
+-- Migration: SLA policies with breach tracking
+-- Description: First-response, next-response and resolution targets per department and
+-- priority, the current SLA state of open chats, and a history of every breach
+
+-- SLA targets (dept_id NULL = all departments, priority NULL = any priority)
+CREATE TABLE IF NOT EXISTS public.sla_policy (
+    sla_policy_id bigserial NOT NULL,
+    dept_id bigint NULL,
+    priority smallint NULL,
+    first_response_minutes integer NULL,
+    next_response_minutes integer NULL,
+    resolution_minutes integer NULL,
+    warning_threshold_percent integer NOT NULL DEFAULT 80,
+    sla_policy_is_active boolean NOT NULL DEFAULT true,
+    sla_policy_created_at timestamp with time zone NOT NULL DEFAULT now(),
+    sla_policy_created_by bigint NULL,
+    sla_policy_updated_at timestamp with time zone NULL,
+    sla_policy_updated_by bigint NULL,
+    CONSTRAINT sla_policy_pkey PRIMARY KEY (sla_policy_id),
+    CONSTRAINT sla_policy_dept_id_fkey FOREIGN KEY (dept_id) REFERENCES department (dept_id) ON UPDATE CASCADE ON DELETE CASCADE,
+    CONSTRAINT sla_policy_created_by_fkey FOREIGN KEY (sla_policy_created_by) REFERENCES sys_user (sys_user_id) ON UPDATE CASCADE ON DELETE SET NULL,
+    CONSTRAINT sla_policy_updated_by_fkey FOREIGN KEY (sla_policy_updated_by) REFERENCES sys_user (sys_user_id) ON UPDATE CASCADE ON DELETE SET NULL,
+    CONSTRAINT sla_policy_priority_check CHECK (priority IS NULL OR priority BETWEEN 0 AND 3),
+    CONSTRAINT sla_policy_targets_check CHECK (
+        (first_response_minutes IS NULL OR first_response_minutes > 0) AND
+        (next_response_minutes IS NULL OR next_response_minutes > 0) AND
+        (resolution_minutes IS NULL OR resolution_minutes > 0)
+    ),
+    CONSTRAINT sla_policy_warning_threshold_check CHECK (warning_threshold_percent BETWEEN 1 AND 99)
+);
+
+-- One policy per department/priority combination, treating NULLs as "any"
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sla_policy_scope ON public.sla_policy(COALESCE(dept_id, 0), COALESCE(priority, -1));
+
+-- Current SLA state of a chat, kept up to date by the SLA monitor
+ALTER TABLE public.chat_group
+ADD COLUMN IF NOT EXISTS sla_status text NULL,
+ADD COLUMN IF NOT EXISTS sla_due_at timestamp with time zone NULL;
+
+ALTER TABLE public.chat_group
+ADD CONSTRAINT chat_group_sla_status_check CHECK (sla_status IS NULL OR sla_status = ANY (ARRAY['ok'::text, 'at_risk'::text, 'breached'::text]));
+
+-- Breach history
+CREATE TABLE IF NOT EXISTS public.sla_breach (
+    sla_breach_id bigserial NOT NULL,
+    chat_group_id bigint NOT NULL,
+    sla_policy_id bigint NULL,
+    dept_id bigint NULL,
+    sys_user_id bigint NULL,
+    sla_metric text NOT NULL,
+    target_minutes integer NOT NULL,
+    started_at timestamp with time zone NOT NULL,
+    due_at timestamp with time zone NOT NULL,
+    breached_at timestamp with time zone NOT NULL DEFAULT now(),
+    met_at timestamp with time zone NULL,
+    CONSTRAINT sla_breach_pkey PRIMARY KEY (sla_breach_id),
+    CONSTRAINT sla_breach_chat_group_id_fkey FOREIGN KEY (chat_group_id) REFERENCES chat_group (chat_group_id) ON UPDATE CASCADE ON DELETE CASCADE,
+    CONSTRAINT sla_breach_sla_policy_id_fkey FOREIGN KEY (sla_policy_id) REFERENCES sla_policy (sla_policy_id) ON UPDATE CASCADE ON DELETE SET NULL,
+    CONSTRAINT sla_breach_dept_id_fkey FOREIGN KEY (dept_id) REFERENCES department (dept_id) ON UPDATE CASCADE ON DELETE SET NULL,
+    CONSTRAINT sla_breach_sys_user_id_fkey FOREIGN KEY (sys_user_id) REFERENCES sys_user (sys_user_id) ON UPDATE CASCADE ON DELETE SET NULL,
+    CONSTRAINT sla_breach_metric_check CHECK (sla_metric = ANY (ARRAY['first_response'::text, 'next_response'::text, 'resolution'::text])),
+    CONSTRAINT sla_breach_unique_key UNIQUE (chat_group_id, sla_metric, started_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sla_breach_breached_at ON public.sla_breach(breached_at DESC);
+CREATE INDEX IF NOT EXISTS idx_sla_breach_dept ON public.sla_breach(dept_id, breached_at DESC);
+CREATE INDEX IF NOT EXISTS idx_sla_breach_agent ON public.sla_breach(sys_user_id, breached_at DESC);
+
+-- Per-chat message lookups for reply tracking
+CREATE INDEX IF NOT EXISTS idx_chat_chat_group_created ON public.chat(chat_group_id, chat_created_at);
+
+-- The messages that decide a chat's reply state: its latest agent reply and the oldest
+-- client message after it. At most two rows per chat, however long the conversation.
+CREATE OR REPLACE FUNCTION get_chat_reply_messages(p_chat_group_ids BIGINT[])
+RETURNS TABLE (
+  chat_group_id BIGINT,
+  chat_created_at TIMESTAMP,
+  client_id BIGINT,
+  sys_user_id BIGINT
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH last_reply AS (
+    SELECT DISTINCT ON (c.chat_group_id) c.chat_group_id, c.chat_created_at, c.client_id, c.sys_user_id
+    FROM chat c
+    WHERE c.chat_group_id = ANY(p_chat_group_ids)
+      AND c.chat_type = 'message'
+      AND c.sys_user_id IS NOT NULL
+    ORDER BY c.chat_group_id, c.chat_created_at DESC
+  ),
+  first_unanswered AS (
+    SELECT DISTINCT ON (c.chat_group_id) c.chat_group_id, c.chat_created_at, c.client_id, c.sys_user_id
+    FROM chat c
+    LEFT JOIN last_reply lr ON lr.chat_group_id = c.chat_group_id
+    WHERE c.chat_group_id = ANY(p_chat_group_ids)
+      AND c.chat_type = 'message'
+      AND c.sys_user_id IS NULL
+      AND c.client_id IS NOT NULL
+      AND (lr.chat_created_at IS NULL OR c.chat_created_at > lr.chat_created_at)
+    ORDER BY c.chat_group_id, c.chat_created_at ASC
+  )
+  SELECT * FROM last_reply
+  UNION ALL
+  SELECT * FROM first_unanswered
+  ORDER BY 1, 2 DESC;
+$$;
+
+-- Add comments for documentation
+COMMENT ON TABLE public.sla_policy IS 'SLA targets per department and priority; the most specific active policy applies';
+COMMENT ON COLUMN public.sla_policy.first_response_minutes IS 'Minutes from chat creation to the first agent reply';
+COMMENT ON COLUMN public.sla_policy.next_response_minutes IS 'Minutes from an unanswered client message to the next agent reply';
+COMMENT ON COLUMN public.sla_policy.resolution_minutes IS 'Minutes from chat creation to resolution';
+COMMENT ON COLUMN public.sla_policy.warning_threshold_percent IS 'Share of a target elapsed before the chat is marked at risk';
+COMMENT ON COLUMN public.chat_group.sla_status IS 'Worst SLA state so far: ok, at_risk or breached (NULL = no policy)';
+COMMENT ON COLUMN public.chat_group.sla_due_at IS 'Earliest outstanding SLA deadline';
+COMMENT ON FUNCTION get_chat_reply_messages IS 'Latest agent reply and oldest unanswered client message per chat, newest first';
+COMMENT ON TABLE public.sla_breach IS 'Every SLA target a chat missed, with when it was eventually met';
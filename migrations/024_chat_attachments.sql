@@ -0,0 +1,39 @@
+-- Migration: Chat message attachments
+-- Description: Files and images sent with chat messages. Files live in the private
+-- chat-attachments storage bucket and are downloaded through signed URLs.
+
+-- Private bucket for attachment files
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('chat-attachments', 'chat-attachments', false)
+ON CONFLICT (id) DO NOTHING;
+
+-- Attachment metadata (chat_id is NULL between upload and the message being sent)
+CREATE TABLE IF NOT EXISTS public.chat_attachment (
+    attachment_id bigserial NOT NULL,
+    chat_id bigint NULL,
+    chat_group_id bigint NOT NULL,
+    sys_user_id bigint NULL,
+    client_id bigint NULL,
+    attachment_storage_path text NOT NULL,
+    attachment_file_name text NOT NULL,
+    attachment_mime_type text NOT NULL,
+    attachment_size_bytes integer NOT NULL,
+    attachment_created_at timestamp with time zone NOT NULL DEFAULT now(),
+    CONSTRAINT chat_attachment_pkey PRIMARY KEY (attachment_id),
+    CONSTRAINT chat_attachment_chat_id_fkey FOREIGN KEY (chat_id) REFERENCES chat (chat_id) ON UPDATE CASCADE ON DELETE CASCADE,
+    CONSTRAINT chat_attachment_chat_group_id_fkey FOREIGN KEY (chat_group_id) REFERENCES chat_group (chat_group_id) ON UPDATE CASCADE ON DELETE CASCADE,
+    CONSTRAINT chat_attachment_sys_user_id_fkey FOREIGN KEY (sys_user_id) REFERENCES sys_user (sys_user_id) ON UPDATE CASCADE ON DELETE SET NULL,
+    CONSTRAINT chat_attachment_client_id_fkey FOREIGN KEY (client_id) REFERENCES client (client_id) ON UPDATE CASCADE ON DELETE SET NULL,
+    CONSTRAINT chat_attachment_storage_path_key UNIQUE (attachment_storage_path),
+    CONSTRAINT chat_attachment_size_check CHECK (attachment_size_bytes > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_attachment_chat ON public.chat_attachment(chat_id);
+CREATE INDEX IF NOT EXISTS idx_chat_attachment_unsent ON public.chat_attachment(chat_group_id, attachment_created_at) WHERE chat_id IS NULL;
+
+-- Add comments for documentation
+COMMENT ON TABLE public.chat_attachment IS 'Files sent with chat messages, stored in the chat-attachments bucket';
+COMMENT ON COLUMN public.chat_attachment.chat_id IS 'Message the file was sent with; NULL until the message is sent';
+COMMENT ON COLUMN public.chat_attachment.sys_user_id IS 'Uploading agent (NULL when uploaded by the client)';
+COMMENT ON COLUMN public.chat_attachment.client_id IS 'Uploading client (NULL when uploaded by an agent)';
+COMMENT ON COLUMN public.chat_attachment.attachment_storage_path IS 'Object path inside the chat-attachments bucket';
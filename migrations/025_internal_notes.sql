@@ -0,0 +1,55 @@
+-- Migration: Internal agent notes
+-- Description: Notes agents leave on a chat that the client never sees, and
+-- @-mentions that notify a colleague about a note
+
+-- Allow internal notes as a message type
+ALTER TABLE public.chat
+DROP CONSTRAINT IF EXISTS chat_chat_type_check;
+
+ALTER TABLE public.chat
+ADD CONSTRAINT chat_chat_type_check
+CHECK (chat_type = ANY (ARRAY['message'::text, 'system'::text, 'internal_note'::text]));
+
+-- Notes are not replies to the client, so they must not count as the first response
+CREATE OR REPLACE FUNCTION calculate_response_time()
+RETURNS TRIGGER AS $$
+BEGIN
+  -- Only process agent messages the client can see
+  IF NEW.sys_user_id IS NOT NULL AND NEW.chat_type = 'message' THEN
+    -- Update chat_group with first response time if not already set
+    UPDATE chat_group
+    SET 
+      first_response_at = NEW.chat_created_at,
+      response_time_minutes = EXTRACT(EPOCH FROM (NEW.chat_created_at - chat_group.created_at))/60
+    WHERE chat_group_id = NEW.chat_group_id
+      AND first_response_at IS NULL;
+  END IF;
+  
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Colleagues mentioned in a note
+CREATE TABLE IF NOT EXISTS public.chat_mention (
+    chat_mention_id bigserial NOT NULL,
+    chat_id bigint NOT NULL,
+    chat_group_id bigint NOT NULL,
+    mentioned_sys_user_id bigint NOT NULL,
+    mentioned_by bigint NULL,
+    chat_mention_created_at timestamp with time zone NOT NULL DEFAULT now(),
+    chat_mention_read_at timestamp with time zone NULL,
+    CONSTRAINT chat_mention_pkey PRIMARY KEY (chat_mention_id),
+    CONSTRAINT chat_mention_chat_id_fkey FOREIGN KEY (chat_id) REFERENCES chat (chat_id) ON UPDATE CASCADE ON DELETE CASCADE,
+    CONSTRAINT chat_mention_chat_group_id_fkey FOREIGN KEY (chat_group_id) REFERENCES chat_group (chat_group_id) ON UPDATE CASCADE ON DELETE CASCADE,
+    CONSTRAINT chat_mention_mentioned_sys_user_id_fkey FOREIGN KEY (mentioned_sys_user_id) REFERENCES sys_user (sys_user_id) ON UPDATE CASCADE ON DELETE CASCADE,
+    CONSTRAINT chat_mention_mentioned_by_fkey FOREIGN KEY (mentioned_by) REFERENCES sys_user (sys_user_id) ON UPDATE CASCADE ON DELETE SET NULL,
+    CONSTRAINT chat_mention_unique_key UNIQUE (chat_id, mentioned_sys_user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_mention_user ON public.chat_mention(mentioned_sys_user_id, chat_mention_created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_chat_mention_unread ON public.chat_mention(mentioned_sys_user_id) WHERE chat_mention_read_at IS NULL;
+
+-- Add comments for documentation
+COMMENT ON COLUMN public.chat.chat_type IS 'Type of message: message (sent by a client or agent), system (generated by the server), internal_note (agents only)';
+COMMENT ON TABLE public.chat_mention IS 'Agents @-mentioned in an internal note';
+COMMENT ON COLUMN public.chat_mention.chat_mention_read_at IS 'When the mentioned agent dismissed the mention';
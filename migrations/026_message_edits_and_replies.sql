@@ -0,0 +1,38 @@
+-- Migration: Message edit, unsend and reply-to
+-- Description: Lets senders edit or unsend their own messages for a short window
+-- (keeping every previous version for audit) and lets a message quote an earlier one
+
+ALTER TABLE public.chat
+ADD COLUMN IF NOT EXISTS chat_reply_to_id bigint NULL,
+ADD COLUMN IF NOT EXISTS chat_edited_at timestamp with time zone NULL,
+ADD COLUMN IF NOT EXISTS chat_deleted_at timestamp with time zone NULL;
+
+ALTER TABLE public.chat
+ADD CONSTRAINT chat_reply_to_id_fkey FOREIGN KEY (chat_reply_to_id) REFERENCES chat (chat_id) ON UPDATE CASCADE ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_chat_reply_to ON public.chat(chat_reply_to_id) WHERE chat_reply_to_id IS NOT NULL;
+
+-- Every edit and unsend, with the text as it was before
+CREATE TABLE IF NOT EXISTS public.chat_edit_history (
+    chat_edit_id bigserial NOT NULL,
+    chat_id bigint NOT NULL,
+    chat_edit_action text NOT NULL,
+    previous_body text NULL,
+    new_body text NULL,
+    sys_user_id bigint NULL,
+    client_id bigint NULL,
+    chat_edited_at timestamp with time zone NOT NULL DEFAULT now(),
+    CONSTRAINT chat_edit_history_pkey PRIMARY KEY (chat_edit_id),
+    CONSTRAINT chat_edit_history_chat_id_fkey FOREIGN KEY (chat_id) REFERENCES chat (chat_id) ON UPDATE CASCADE ON DELETE CASCADE,
+    CONSTRAINT chat_edit_history_sys_user_id_fkey FOREIGN KEY (sys_user_id) REFERENCES sys_user (sys_user_id) ON UPDATE CASCADE ON DELETE SET NULL,
+    CONSTRAINT chat_edit_history_client_id_fkey FOREIGN KEY (client_id) REFERENCES client (client_id) ON UPDATE CASCADE ON DELETE SET NULL,
+    CONSTRAINT chat_edit_history_action_check CHECK (chat_edit_action = ANY (ARRAY['edit'::text, 'delete'::text]))
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_edit_history_chat ON public.chat_edit_history(chat_id, chat_edited_at);
+
+-- Add comments for documentation
+COMMENT ON COLUMN public.chat.chat_reply_to_id IS 'Earlier message in the same chat this message replies to';
+COMMENT ON COLUMN public.chat.chat_edited_at IS 'When the sender last edited the message';
+COMMENT ON COLUMN public.chat.chat_deleted_at IS 'When the sender unsent the message; chat_body is cleared and kept in chat_edit_history';
+COMMENT ON TABLE public.chat_edit_history IS 'Audit trail of message edits and unsends';
@@ -0,0 +1,43 @@
+-- Migration: Idempotent message sending and offline resync
+-- Description: Client-generated message IDs so retried sends are stored once, and a
+-- last-changed timestamp so reconnecting clients can fetch everything they missed
+
+ALTER TABLE public.chat
+ADD COLUMN IF NOT EXISTS client_message_id text NULL,
+ADD COLUMN IF NOT EXISTS chat_updated_at timestamp with time zone NULL;
+
+-- A retried send carries the same client_message_id and must not create a second row
+CREATE UNIQUE INDEX IF NOT EXISTS idx_chat_client_message_id
+ON public.chat(chat_group_id, client_message_id)
+WHERE client_message_id IS NOT NULL;
+
+-- Backfill from the latest known change before the trigger takes over
+UPDATE public.chat
+SET chat_updated_at = COALESCE(chat_deleted_at, chat_edited_at, chat_read_at, chat_delivered_at, chat_created_at, now())
+WHERE chat_updated_at IS NULL;
+
+ALTER TABLE public.chat
+ALTER COLUMN chat_updated_at SET DEFAULT now(),
+ALTER COLUMN chat_updated_at SET NOT NULL;
+
+-- Every change (delivered, read, edited, unsent) moves the row past sync cursors
+CREATE OR REPLACE FUNCTION set_chat_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.chat_updated_at = clock_timestamp();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_set_chat_updated_at ON chat;
+
+CREATE TRIGGER trigger_set_chat_updated_at
+  BEFORE UPDATE ON chat
+  FOR EACH ROW
+  EXECUTE FUNCTION set_chat_updated_at();
+
+CREATE INDEX IF NOT EXISTS idx_chat_group_updated_at ON public.chat(chat_group_id, chat_updated_at);
+
+-- Add comments for documentation
+COMMENT ON COLUMN public.chat.client_message_id IS 'Idempotency key generated by the sending app; unique per chat group';
+COMMENT ON COLUMN public.chat.chat_updated_at IS 'Last time the row was inserted or changed; used as the resync cursor';
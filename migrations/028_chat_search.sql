@@ -0,0 +1,138 @@
+-- Migration: Full-text search across conversations
+-- Description: Full-text index on message bodies, trigram indexes for client name and
+-- phone lookups, and a search RPC that returns highlighted snippets per chat group
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- The 'simple' configuration does no stemming, so it behaves the same for English
+-- and Filipino messages
+ALTER TABLE public.chat
+ADD COLUMN IF NOT EXISTS chat_search_vector tsvector
+GENERATED ALWAYS AS (to_tsvector('simple', COALESCE(chat_body, ''))) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_chat_search_vector ON public.chat USING gin(chat_search_vector);
+
+CREATE INDEX IF NOT EXISTS idx_profile_name_trgm
+ON public.profile USING gin((prof_firstname || ' ' || prof_lastname) gin_trgm_ops);
+
+CREATE INDEX IF NOT EXISTS idx_client_number_trgm
+ON public.client USING gin(client_number gin_trgm_ops);
+
+CREATE INDEX IF NOT EXISTS idx_chat_group_created_at ON public.chat_group(created_at);
+
+-- Search chat groups by message text, client name or number, department, status and
+-- creation date. p_dept_ids limits the search to the caller's departments (NULL = all).
+-- When p_query is given only chat groups with a matching message are returned, ranked by
+-- their best match; the snippet is HTML-escaped with matches wrapped in <mark>.
+CREATE OR REPLACE FUNCTION search_chats(
+  p_query TEXT DEFAULT NULL,
+  p_client TEXT DEFAULT NULL,
+  p_dept_ids BIGINT[] DEFAULT NULL,
+  p_dept_id BIGINT DEFAULT NULL,
+  p_status TEXT DEFAULT NULL,
+  p_from TIMESTAMPTZ DEFAULT NULL,
+  p_to TIMESTAMPTZ DEFAULT NULL,
+  p_limit INT DEFAULT 20,
+  p_offset INT DEFAULT 0
+)
+RETURNS TABLE (
+  chat_group_id BIGINT,
+  dept_id BIGINT,
+  dept_name TEXT,
+  status TEXT,
+  sys_user_id BIGINT,
+  client_id BIGINT,
+  client_name TEXT,
+  client_number TEXT,
+  created_at TIMESTAMP,
+  match_count BIGINT,
+  matched_chat_id BIGINT,
+  matched_at TIMESTAMP,
+  snippet TEXT,
+  rank REAL,
+  total_count BIGINT
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH search AS (
+    SELECT CASE
+      WHEN NULLIF(TRIM(p_query), '') IS NULL THEN NULL
+      ELSE websearch_to_tsquery('simple', p_query)
+    END AS tsq
+  ),
+  groups AS (
+    SELECT
+      cg.chat_group_id,
+      cg.dept_id,
+      d.dept_name,
+      cg.status,
+      cg.sys_user_id,
+      cg.client_id,
+      TRIM(COALESCE(p.prof_firstname, '') || ' ' || COALESCE(p.prof_lastname, '')) AS client_name,
+      c.client_number,
+      cg.created_at
+    FROM chat_group cg
+    JOIN client c ON c.client_id = cg.client_id
+    LEFT JOIN profile p ON p.prof_id = c.prof_id
+    LEFT JOIN department d ON d.dept_id = cg.dept_id
+    WHERE (p_dept_ids IS NULL OR cg.dept_id = ANY(p_dept_ids))
+      AND (p_dept_id IS NULL OR cg.dept_id = p_dept_id)
+      AND (p_status IS NULL OR cg.status = p_status)
+      AND (p_from IS NULL OR cg.created_at >= p_from)
+      AND (p_to IS NULL OR cg.created_at <= p_to)
+      AND (
+        p_client IS NULL
+        OR (p.prof_firstname || ' ' || p.prof_lastname) ILIKE '%' || p_client || '%'
+        OR c.client_number ILIKE '%' || p_client || '%'
+      )
+  ),
+  matches AS (
+    SELECT DISTINCT ON (ch.chat_group_id)
+      ch.chat_group_id,
+      ch.chat_id,
+      ch.chat_body,
+      ch.chat_created_at,
+      ts_rank(ch.chat_search_vector, s.tsq) AS rank,
+      COUNT(*) OVER (PARTITION BY ch.chat_group_id) AS match_count
+    FROM chat ch
+    CROSS JOIN search s
+    WHERE s.tsq IS NOT NULL
+      AND ch.chat_search_vector @@ s.tsq
+      AND ch.chat_deleted_at IS NULL
+      AND ch.chat_group_id IN (SELECT g.chat_group_id FROM groups g)
+    ORDER BY ch.chat_group_id, rank DESC, ch.chat_created_at DESC
+  )
+  SELECT
+    g.chat_group_id,
+    g.dept_id,
+    g.dept_name,
+    g.status,
+    g.sys_user_id,
+    g.client_id,
+    g.client_name,
+    g.client_number,
+    g.created_at,
+    COALESCE(m.match_count, 0) AS match_count,
+    m.chat_id AS matched_chat_id,
+    m.chat_created_at AS matched_at,
+    CASE WHEN m.chat_id IS NULL THEN NULL ELSE ts_headline(
+      'simple',
+      REPLACE(REPLACE(REPLACE(m.chat_body, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'),
+      s.tsq,
+      'StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=10, MaxFragments=2'
+    ) END AS snippet,
+    m.rank,
+    COUNT(*) OVER () AS total_count
+  FROM groups g
+  CROSS JOIN search s
+  LEFT JOIN matches m ON m.chat_group_id = g.chat_group_id
+  WHERE s.tsq IS NULL OR m.chat_id IS NOT NULL
+  ORDER BY m.rank DESC NULLS LAST, g.created_at DESC, g.chat_group_id DESC
+  LIMIT p_limit
+  OFFSET p_offset;
+$$;
+
+-- Add comments for documentation
+COMMENT ON COLUMN public.chat.chat_search_vector IS 'Full-text index of chat_body (simple configuration)';
+COMMENT ON FUNCTION search_chats IS 'Permission-scoped conversation search with highlighted snippets';
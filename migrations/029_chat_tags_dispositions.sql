@@ -0,0 +1,196 @@
+-- Migration: Chat tags, dispositions and wrap-up codes
+-- Description: Admin-managed tag and disposition catalogues per department, tags on
+-- chat groups, and the disposition an agent picks when resolving a chat
+
+-- Tag catalogue (dept_id NULL = available in all departments)
+CREATE TABLE IF NOT EXISTS public.chat_tag (
+    chat_tag_id bigserial NOT NULL,
+    dept_id bigint NULL,
+    tag_name text NOT NULL,
+    tag_color text NULL,
+    tag_is_active boolean NOT NULL DEFAULT true,
+    tag_created_at timestamp with time zone NOT NULL DEFAULT now(),
+    tag_created_by bigint NULL,
+    CONSTRAINT chat_tag_pkey PRIMARY KEY (chat_tag_id),
+    CONSTRAINT chat_tag_dept_id_fkey FOREIGN KEY (dept_id) REFERENCES department (dept_id) ON UPDATE CASCADE ON DELETE CASCADE,
+    CONSTRAINT chat_tag_created_by_fkey FOREIGN KEY (tag_created_by) REFERENCES sys_user (sys_user_id) ON UPDATE CASCADE ON DELETE SET NULL,
+    CONSTRAINT chat_tag_name_check CHECK (length(btrim(tag_name)) BETWEEN 1 AND 50)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_chat_tag_scope_name ON public.chat_tag(COALESCE(dept_id, 0), lower(tag_name));
+
+-- Tags applied to a chat group
+CREATE TABLE IF NOT EXISTS public.chat_group_tag (
+    chat_group_id bigint NOT NULL,
+    chat_tag_id bigint NOT NULL,
+    tagged_by bigint NULL,
+    tagged_at timestamp with time zone NOT NULL DEFAULT now(),
+    CONSTRAINT chat_group_tag_pkey PRIMARY KEY (chat_group_id, chat_tag_id),
+    CONSTRAINT chat_group_tag_chat_group_id_fkey FOREIGN KEY (chat_group_id) REFERENCES chat_group (chat_group_id) ON UPDATE CASCADE ON DELETE CASCADE,
+    CONSTRAINT chat_group_tag_chat_tag_id_fkey FOREIGN KEY (chat_tag_id) REFERENCES chat_tag (chat_tag_id) ON UPDATE CASCADE ON DELETE CASCADE,
+    CONSTRAINT chat_group_tag_tagged_by_fkey FOREIGN KEY (tagged_by) REFERENCES sys_user (sys_user_id) ON UPDATE CASCADE ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_group_tag_tag_id ON public.chat_group_tag(chat_tag_id);
+
+-- Disposition (wrap-up code) catalogue (dept_id NULL = available in all departments)
+CREATE TABLE IF NOT EXISTS public.chat_disposition (
+    chat_disposition_id bigserial NOT NULL,
+    dept_id bigint NULL,
+    disposition_code text NOT NULL,
+    disposition_label text NOT NULL,
+    disposition_is_active boolean NOT NULL DEFAULT true,
+    disposition_created_at timestamp with time zone NOT NULL DEFAULT now(),
+    disposition_created_by bigint NULL,
+    CONSTRAINT chat_disposition_pkey PRIMARY KEY (chat_disposition_id),
+    CONSTRAINT chat_disposition_dept_id_fkey FOREIGN KEY (dept_id) REFERENCES department (dept_id) ON UPDATE CASCADE ON DELETE CASCADE,
+    CONSTRAINT chat_disposition_created_by_fkey FOREIGN KEY (disposition_created_by) REFERENCES sys_user (sys_user_id) ON UPDATE CASCADE ON DELETE SET NULL,
+    CONSTRAINT chat_disposition_code_check CHECK (disposition_code ~ '^[a-z0-9_]{1,50}$'),
+    CONSTRAINT chat_disposition_label_check CHECK (length(btrim(disposition_label)) BETWEEN 1 AND 100)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_chat_disposition_scope_code ON public.chat_disposition(COALESCE(dept_id, 0), disposition_code);
+
+-- Disposition recorded when the chat is resolved
+ALTER TABLE public.chat_group
+ADD COLUMN IF NOT EXISTS disposition_id bigint NULL,
+ADD COLUMN IF NOT EXISTS disposition_note text NULL,
+ADD COLUMN IF NOT EXISTS disposition_set_by bigint NULL;
+
+ALTER TABLE public.chat_group
+ADD CONSTRAINT chat_group_disposition_id_fkey FOREIGN KEY (disposition_id) REFERENCES chat_disposition (chat_disposition_id) ON UPDATE CASCADE ON DELETE SET NULL,
+ADD CONSTRAINT chat_group_disposition_set_by_fkey FOREIGN KEY (disposition_set_by) REFERENCES sys_user (sys_user_id) ON UPDATE CASCADE ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_chat_group_disposition_id ON public.chat_group(disposition_id);
+
+-- Departments can make a disposition mandatory when resolving
+ALTER TABLE public.department
+ADD COLUMN IF NOT EXISTS dept_require_disposition boolean NOT NULL DEFAULT false;
+
+-- Search: add a tag filter (chat groups with any of the given tags)
+DROP FUNCTION IF EXISTS search_chats(TEXT, TEXT, BIGINT[], BIGINT, TEXT, TIMESTAMPTZ, TIMESTAMPTZ, INT, INT);
+
+CREATE OR REPLACE FUNCTION search_chats(
+  p_query TEXT DEFAULT NULL,
+  p_client TEXT DEFAULT NULL,
+  p_dept_ids BIGINT[] DEFAULT NULL,
+  p_dept_id BIGINT DEFAULT NULL,
+  p_status TEXT DEFAULT NULL,
+  p_from TIMESTAMPTZ DEFAULT NULL,
+  p_to TIMESTAMPTZ DEFAULT NULL,
+  p_limit INT DEFAULT 20,
+  p_offset INT DEFAULT 0,
+  p_tag_ids BIGINT[] DEFAULT NULL
+)
+RETURNS TABLE (
+  chat_group_id BIGINT,
+  dept_id BIGINT,
+  dept_name TEXT,
+  status TEXT,
+  sys_user_id BIGINT,
+  client_id BIGINT,
+  client_name TEXT,
+  client_number TEXT,
+  created_at TIMESTAMP,
+  match_count BIGINT,
+  matched_chat_id BIGINT,
+  matched_at TIMESTAMP,
+  snippet TEXT,
+  rank REAL,
+  total_count BIGINT
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH search AS (
+    SELECT CASE
+      WHEN NULLIF(TRIM(p_query), '') IS NULL THEN NULL
+      ELSE websearch_to_tsquery('simple', p_query)
+    END AS tsq
+  ),
+  groups AS (
+    SELECT
+      cg.chat_group_id,
+      cg.dept_id,
+      d.dept_name,
+      cg.status,
+      cg.sys_user_id,
+      cg.client_id,
+      TRIM(COALESCE(p.prof_firstname, '') || ' ' || COALESCE(p.prof_lastname, '')) AS client_name,
+      c.client_number,
+      cg.created_at
+    FROM chat_group cg
+    JOIN client c ON c.client_id = cg.client_id
+    LEFT JOIN profile p ON p.prof_id = c.prof_id
+    LEFT JOIN department d ON d.dept_id = cg.dept_id
+    WHERE (p_dept_ids IS NULL OR cg.dept_id = ANY(p_dept_ids))
+      AND (p_dept_id IS NULL OR cg.dept_id = p_dept_id)
+      AND (p_status IS NULL OR cg.status = p_status)
+      AND (p_from IS NULL OR cg.created_at >= p_from)
+      AND (p_to IS NULL OR cg.created_at <= p_to)
+      AND (
+        p_client IS NULL
+        OR (p.prof_firstname || ' ' || p.prof_lastname) ILIKE '%' || p_client || '%'
+        OR c.client_number ILIKE '%' || p_client || '%'
+      )
+      AND (
+        p_tag_ids IS NULL
+        OR EXISTS (
+          SELECT 1 FROM chat_group_tag cgt
+          WHERE cgt.chat_group_id = cg.chat_group_id AND cgt.chat_tag_id = ANY(p_tag_ids)
+        )
+      )
+  ),
+  matches AS (
+    SELECT DISTINCT ON (ch.chat_group_id)
+      ch.chat_group_id,
+      ch.chat_id,
+      ch.chat_body,
+      ch.chat_created_at,
+      ts_rank(ch.chat_search_vector, s.tsq) AS rank,
+      COUNT(*) OVER (PARTITION BY ch.chat_group_id) AS match_count
+    FROM chat ch
+    CROSS JOIN search s
+    WHERE s.tsq IS NOT NULL
+      AND ch.chat_search_vector @@ s.tsq
+      AND ch.chat_deleted_at IS NULL
+      AND ch.chat_group_id IN (SELECT g.chat_group_id FROM groups g)
+    ORDER BY ch.chat_group_id, rank DESC, ch.chat_created_at DESC
+  )
+  SELECT
+    g.chat_group_id,
+    g.dept_id,
+    g.dept_name,
+    g.status,
+    g.sys_user_id,
+    g.client_id,
+    g.client_name,
+    g.client_number,
+    g.created_at,
+    COALESCE(m.match_count, 0) AS match_count,
+    m.chat_id AS matched_chat_id,
+    m.chat_created_at AS matched_at,
+    CASE WHEN m.chat_id IS NULL THEN NULL ELSE ts_headline(
+      'simple',
+      REPLACE(REPLACE(REPLACE(m.chat_body, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'),
+      s.tsq,
+      'StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=10, MaxFragments=2'
+    ) END AS snippet,
+    m.rank,
+    COUNT(*) OVER () AS total_count
+  FROM groups g
+  CROSS JOIN search s
+  LEFT JOIN matches m ON m.chat_group_id = g.chat_group_id
+  WHERE s.tsq IS NULL OR m.chat_id IS NOT NULL
+  ORDER BY m.rank DESC NULLS LAST, g.created_at DESC, g.chat_group_id DESC
+  LIMIT p_limit
+  OFFSET p_offset;
+$$;
+
+-- Add comments for documentation
+COMMENT ON TABLE public.chat_tag IS 'Tag catalogue per department (dept_id NULL = all departments)';
+COMMENT ON TABLE public.chat_group_tag IS 'Tags applied to chat groups, editable while the chat is open and when resolving';
+COMMENT ON TABLE public.chat_disposition IS 'Disposition (wrap-up code) catalogue per department (dept_id NULL = all departments)';
+COMMENT ON COLUMN public.chat_group.disposition_id IS 'Disposition picked by the agent when resolving the chat';
+COMMENT ON COLUMN public.department.dept_require_disposition IS 'When true, agents must pick a disposition to resolve a chat';
+COMMENT ON FUNCTION search_chats IS 'Permission-scoped conversation search with highlighted snippets';
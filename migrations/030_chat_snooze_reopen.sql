@@ -0,0 +1,36 @@
+-- Migration: Snoozed (pending) chats and reopening resolved chats
+-- Description: Agents can park an active chat as pending until a time or until the
+-- client replies, and a resolved chat reopens when the client writes again within
+-- the department's reopen window instead of starting a new chat group
+
+-- Snooze state - the assigned agent keeps ownership while the chat is pending
+ALTER TABLE public.chat_group
+ADD COLUMN IF NOT EXISTS snoozed_at timestamp with time zone NULL,
+ADD COLUMN IF NOT EXISTS snoozed_until timestamp with time zone NULL,
+ADD COLUMN IF NOT EXISTS snoozed_by bigint NULL,
+ADD COLUMN IF NOT EXISTS reopened_at timestamp with time zone NULL,
+ADD COLUMN IF NOT EXISTS reopen_count integer NOT NULL DEFAULT 0;
+
+ALTER TABLE public.chat_group
+ADD CONSTRAINT chat_group_snoozed_by_fkey FOREIGN KEY (snoozed_by) REFERENCES sys_user (sys_user_id) ON UPDATE CASCADE ON DELETE SET NULL;
+
+-- Department option: minutes after resolution during which a client message reopens the chat
+ALTER TABLE public.department
+ADD COLUMN IF NOT EXISTS dept_reopen_window_minutes integer NOT NULL DEFAULT 1440;
+
+ALTER TABLE public.department
+ADD CONSTRAINT department_reopen_window_check CHECK (dept_reopen_window_minutes >= 0);
+
+-- Wake-up sweep: pending chats with a snooze time
+CREATE INDEX IF NOT EXISTS idx_chat_group_snoozed_until ON public.chat_group(snoozed_until) WHERE status = 'pending' AND snoozed_until IS NOT NULL;
+
+-- Agent's pending list
+CREATE INDEX IF NOT EXISTS idx_chat_group_agent_pending ON public.chat_group(sys_user_id) WHERE status = 'pending';
+
+-- Add comments for documentation
+COMMENT ON COLUMN public.chat_group.snoozed_at IS 'When the chat was last snoozed into pending';
+COMMENT ON COLUMN public.chat_group.snoozed_until IS 'When a pending chat wakes up on its own (NULL = only when the client replies)';
+COMMENT ON COLUMN public.chat_group.snoozed_by IS 'Agent who snoozed the chat';
+COMMENT ON COLUMN public.chat_group.reopened_at IS 'When the chat was last reopened after being resolved';
+COMMENT ON COLUMN public.chat_group.reopen_count IS 'Number of times the chat was reopened after being resolved';
+COMMENT ON COLUMN public.department.dept_reopen_window_minutes IS 'Minutes after resolution during which a client message reopens the chat (0 = never reopen)';
@@ -0,0 +1,48 @@
+-- Migration: Multi-agent chats and supervisor monitoring
+-- Description: Agents besides the assigned one can take part in a chat as collaborators,
+-- and supervisors can silently monitor any active chat, whisper to its agents, or barge
+-- in and take it over
+
+-- Supervisors monitor, whisper and barge in on chats outside their own queue
+ALTER TABLE privilege
+ADD COLUMN IF NOT EXISTS priv_can_monitor_chats BOOLEAN DEFAULT FALSE;
+
+-- Agents in a chat other than the assigned one (chat_group.sys_user_id).
+-- Rows are closed with left_at rather than deleted so the history stays.
+CREATE TABLE IF NOT EXISTS public.chat_participant (
+    chat_participant_id bigserial NOT NULL,
+    chat_group_id bigint NOT NULL,
+    sys_user_id bigint NOT NULL,
+    participant_role text NOT NULL,
+    invited_by bigint NULL,
+    joined_at timestamp with time zone NOT NULL DEFAULT now(),
+    left_at timestamp with time zone NULL,
+    CONSTRAINT chat_participant_pkey PRIMARY KEY (chat_participant_id),
+    CONSTRAINT chat_participant_chat_group_id_fkey FOREIGN KEY (chat_group_id) REFERENCES chat_group (chat_group_id) ON UPDATE CASCADE ON DELETE CASCADE,
+    CONSTRAINT chat_participant_sys_user_id_fkey FOREIGN KEY (sys_user_id) REFERENCES sys_user (sys_user_id) ON UPDATE CASCADE ON DELETE CASCADE,
+    CONSTRAINT chat_participant_invited_by_fkey FOREIGN KEY (invited_by) REFERENCES sys_user (sys_user_id) ON UPDATE CASCADE ON DELETE SET NULL,
+    CONSTRAINT chat_participant_role_check CHECK (participant_role = ANY (ARRAY['collaborator'::text, 'monitor'::text]))
+);
+
+-- One open participation per agent per chat
+CREATE UNIQUE INDEX IF NOT EXISTS idx_chat_participant_active
+ON public.chat_participant(chat_group_id, sys_user_id) WHERE left_at IS NULL;
+
+-- Room access checks and "chats I collaborate on"
+CREATE INDEX IF NOT EXISTS idx_chat_participant_user_active
+ON public.chat_participant(sys_user_id) WHERE left_at IS NULL;
+
+-- Chats a supervisor barged in on record it as the assignment rule
+ALTER TABLE public.chat_group
+DROP CONSTRAINT IF EXISTS chat_group_assignment_rule_check;
+
+ALTER TABLE public.chat_group
+ADD CONSTRAINT chat_group_assignment_rule_check
+CHECK (assignment_rule IS NULL OR assignment_rule = ANY (ARRAY['previous_agent'::text, 'least_busy'::text, 'round_robin'::text, 'longest_idle'::text, 'sticky_last_agent'::text, 'manual_accept'::text, 'agent_transfer'::text, 'barge_in'::text]));
+
+-- Add comments for documentation
+COMMENT ON COLUMN privilege.priv_can_monitor_chats IS 'Permission to silently monitor any active chat, whisper to its agents and barge in';
+COMMENT ON TABLE public.chat_participant IS 'Agents taking part in a chat besides its assigned agent';
+COMMENT ON COLUMN public.chat_participant.participant_role IS 'collaborator (invited, can message the client) or monitor (silent supervisor, never shown to the client)';
+COMMENT ON COLUMN public.chat_participant.invited_by IS 'Agent who invited a collaborator (NULL for monitors)';
+COMMENT ON COLUMN public.chat_participant.left_at IS 'When the agent left the chat (NULL = still participating)';
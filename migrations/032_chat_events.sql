@@ -0,0 +1,29 @@
+-- Migration: Chat event timeline
+-- Description: One ordered history of what happened to a chat - creation, queueing,
+-- assignment, transfers, snoozes, participants, resolution and feedback - with who did it
+
+CREATE TABLE IF NOT EXISTS public.chat_event (
+    chat_event_id bigserial NOT NULL,
+    chat_group_id bigint NOT NULL,
+    event_type text NOT NULL,
+    actor_type text NOT NULL DEFAULT 'system',
+    actor_sys_user_id bigint NULL,
+    actor_client_id bigint NULL,
+    event_data jsonb NOT NULL DEFAULT '{}'::jsonb,
+    created_at timestamp with time zone NOT NULL DEFAULT now(),
+    CONSTRAINT chat_event_pkey PRIMARY KEY (chat_event_id),
+    CONSTRAINT chat_event_chat_group_id_fkey FOREIGN KEY (chat_group_id) REFERENCES chat_group (chat_group_id) ON UPDATE CASCADE ON DELETE CASCADE,
+    CONSTRAINT chat_event_actor_sys_user_id_fkey FOREIGN KEY (actor_sys_user_id) REFERENCES sys_user (sys_user_id) ON UPDATE CASCADE ON DELETE SET NULL,
+    CONSTRAINT chat_event_actor_client_id_fkey FOREIGN KEY (actor_client_id) REFERENCES client (client_id) ON UPDATE CASCADE ON DELETE SET NULL,
+    CONSTRAINT chat_event_type_check CHECK (event_type = ANY (ARRAY['created'::text, 'queued'::text, 'assigned'::text, 'transferred'::text, 'snoozed'::text, 'reactivated'::text, 'participant_joined'::text, 'participant_left'::text, 'resolved'::text, 'feedback'::text])),
+    CONSTRAINT chat_event_actor_type_check CHECK (actor_type = ANY (ARRAY['agent'::text, 'client'::text, 'system'::text]))
+);
+
+-- Timeline lookups
+CREATE INDEX IF NOT EXISTS idx_chat_event_chat_group
+ON public.chat_event(chat_group_id, created_at, chat_event_id);
+
+-- Add comments for documentation
+COMMENT ON TABLE public.chat_event IS 'Audit log of chat lifecycle events, read as the conversation timeline';
+COMMENT ON COLUMN public.chat_event.actor_type IS 'Who caused the event: agent (actor_sys_user_id), client (actor_client_id) or system (routing, schedulers)';
+COMMENT ON COLUMN public.chat_event.event_data IS 'Event details, e.g. agent_id and assignment_rule for assigned, from/to department for transferred';
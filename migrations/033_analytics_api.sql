@@ -0,0 +1,222 @@
+-- Migration: Analytics API
+-- Description: Filtered message volume and first response functions, alongside the trailing-interval
+-- versions from 002_analytics_schema.sql (left unchanged for existing callers), plus resolution
+-- time, per-department, transfer and CSAT functions.
+-- Every function takes the same filters; NULL means unfiltered. An agent filter matches
+-- chats currently assigned to that agent (transfers match either side of the transfer).
+
+-- Message volume per period. Internal notes and system messages are not counted.
+CREATE OR REPLACE FUNCTION get_message_volume_analytics(
+  p_from TIMESTAMPTZ,
+  p_to TIMESTAMPTZ,
+  p_bucket TEXT DEFAULT 'day',
+  p_dept_id BIGINT DEFAULT NULL,
+  p_agent_id BIGINT DEFAULT NULL
+)
+RETURNS TABLE (
+  period_start TIMESTAMP,
+  total_messages BIGINT,
+  client_messages BIGINT,
+  agent_messages BIGINT
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    date_trunc(p_bucket, ch.chat_created_at) AS period_start,
+    COUNT(*) AS total_messages,
+    COUNT(*) FILTER (WHERE ch.client_id IS NOT NULL) AS client_messages,
+    COUNT(*) FILTER (WHERE ch.sys_user_id IS NOT NULL) AS agent_messages
+  FROM chat ch
+  JOIN chat_group cg ON cg.chat_group_id = ch.chat_group_id
+  WHERE ch.chat_created_at >= p_from
+    AND ch.chat_created_at < p_to
+    AND COALESCE(ch.chat_type, 'message') = 'message'
+    AND ch.chat_deleted_at IS NULL
+    AND (p_dept_id IS NULL OR cg.dept_id = p_dept_id)
+    AND (p_agent_id IS NULL OR cg.sys_user_id = p_agent_id)
+  GROUP BY 1
+  ORDER BY 1;
+$$;
+
+-- Average and median first response time per period, by chat creation time
+CREATE OR REPLACE FUNCTION get_first_response_analytics(
+  p_from TIMESTAMPTZ,
+  p_to TIMESTAMPTZ,
+  p_bucket TEXT DEFAULT 'day',
+  p_dept_id BIGINT DEFAULT NULL,
+  p_agent_id BIGINT DEFAULT NULL
+)
+RETURNS TABLE (
+  period_start TIMESTAMP,
+  chat_count BIGINT,
+  avg_minutes NUMERIC,
+  median_minutes NUMERIC
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    date_trunc(p_bucket, cg.created_at) AS period_start,
+    COUNT(*) AS chat_count,
+    ROUND(AVG(cg.response_time_minutes)::NUMERIC, 2) AS avg_minutes,
+    ROUND((percentile_cont(0.5) WITHIN GROUP (ORDER BY cg.response_time_minutes))::NUMERIC, 2) AS median_minutes
+  FROM chat_group cg
+  WHERE cg.created_at >= p_from
+    AND cg.created_at < p_to
+    AND cg.response_time_minutes IS NOT NULL
+    AND (p_dept_id IS NULL OR cg.dept_id = p_dept_id)
+    AND (p_agent_id IS NULL OR cg.sys_user_id = p_agent_id)
+  GROUP BY 1
+  ORDER BY 1;
+$$;
+
+-- Average and median time from creation to resolution per period, by resolution time
+CREATE OR REPLACE FUNCTION get_resolution_time_analytics(
+  p_from TIMESTAMPTZ,
+  p_to TIMESTAMPTZ,
+  p_bucket TEXT DEFAULT 'day',
+  p_dept_id BIGINT DEFAULT NULL,
+  p_agent_id BIGINT DEFAULT NULL
+)
+RETURNS TABLE (
+  period_start TIMESTAMP,
+  resolved_count BIGINT,
+  avg_minutes NUMERIC,
+  median_minutes NUMERIC
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH resolved AS (
+    SELECT
+      cg.resolved_at,
+      EXTRACT(EPOCH FROM (cg.resolved_at - cg.created_at)) / 60 AS minutes
+    FROM chat_group cg
+    WHERE cg.status = 'resolved'
+      AND cg.resolved_at >= p_from
+      AND cg.resolved_at < p_to
+      AND (p_dept_id IS NULL OR cg.dept_id = p_dept_id)
+      AND (p_agent_id IS NULL OR cg.sys_user_id = p_agent_id)
+  )
+  SELECT
+    date_trunc(p_bucket, r.resolved_at) AS period_start,
+    COUNT(*) AS resolved_count,
+    ROUND(AVG(r.minutes)::NUMERIC, 2) AS avg_minutes,
+    ROUND((percentile_cont(0.5) WITHIN GROUP (ORDER BY r.minutes))::NUMERIC, 2) AS median_minutes
+  FROM resolved r
+  GROUP BY 1
+  ORDER BY 1;
+$$;
+
+-- Chats created in the range per department, with their current status and timings
+CREATE OR REPLACE FUNCTION get_department_chat_analytics(
+  p_from TIMESTAMPTZ,
+  p_to TIMESTAMPTZ,
+  p_dept_id BIGINT DEFAULT NULL,
+  p_agent_id BIGINT DEFAULT NULL
+)
+RETURNS TABLE (
+  dept_id BIGINT,
+  dept_name TEXT,
+  total_chats BIGINT,
+  active_chats BIGINT,
+  queued_chats BIGINT,
+  pending_chats BIGINT,
+  resolved_chats BIGINT,
+  avg_first_response_minutes NUMERIC,
+  avg_resolution_minutes NUMERIC
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    cg.dept_id,
+    d.dept_name,
+    COUNT(*) AS total_chats,
+    COUNT(*) FILTER (WHERE cg.status = 'active') AS active_chats,
+    COUNT(*) FILTER (WHERE cg.status = 'queued') AS queued_chats,
+    COUNT(*) FILTER (WHERE cg.status = 'pending') AS pending_chats,
+    COUNT(*) FILTER (WHERE cg.status = 'resolved') AS resolved_chats,
+    ROUND(AVG(cg.response_time_minutes)::NUMERIC, 2) AS avg_first_response_minutes,
+    ROUND((AVG(EXTRACT(EPOCH FROM (cg.resolved_at - cg.created_at)) / 60)
+      FILTER (WHERE cg.status = 'resolved'))::NUMERIC, 2) AS avg_resolution_minutes
+  FROM chat_group cg
+  LEFT JOIN department d ON d.dept_id = cg.dept_id
+  WHERE cg.created_at >= p_from
+    AND cg.created_at < p_to
+    AND (p_dept_id IS NULL OR cg.dept_id = p_dept_id)
+    AND (p_agent_id IS NULL OR cg.sys_user_id = p_agent_id)
+  GROUP BY cg.dept_id, d.dept_name
+  ORDER BY total_chats DESC, d.dept_name;
+$$;
+
+-- Transfers in the range by type, plus a row with transfer_type NULL for all types.
+-- Abandoned queue timeouts are logged in chat_transfer_log but are not transfers.
+CREATE OR REPLACE FUNCTION get_transfer_analytics(
+  p_from TIMESTAMPTZ,
+  p_to TIMESTAMPTZ,
+  p_dept_id BIGINT DEFAULT NULL,
+  p_agent_id BIGINT DEFAULT NULL
+)
+RETURNS TABLE (
+  transfer_type TEXT,
+  transfer_count BIGINT,
+  chats_transferred BIGINT
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    COALESCE(tl.transfer_type, 'manual') AS transfer_type,
+    COUNT(*) AS transfer_count,
+    COUNT(DISTINCT tl.chat_group_id) AS chats_transferred
+  FROM chat_transfer_log tl
+  WHERE tl.transferred_at >= p_from
+    AND tl.transferred_at < p_to
+    AND COALESCE(tl.transfer_type, 'manual') <> 'abandoned'
+    AND (p_dept_id IS NULL OR tl.from_dept_id = p_dept_id OR tl.to_dept_id = p_dept_id)
+    AND (p_agent_id IS NULL OR tl.from_agent_id = p_agent_id OR tl.to_agent_id = p_agent_id)
+  GROUP BY GROUPING SETS ((COALESCE(tl.transfer_type, 'manual')), ())
+  ORDER BY transfer_count DESC;
+$$;
+
+-- Rating distribution of feedback left in the range
+CREATE OR REPLACE FUNCTION get_csat_analytics(
+  p_from TIMESTAMPTZ,
+  p_to TIMESTAMPTZ,
+  p_dept_id BIGINT DEFAULT NULL,
+  p_agent_id BIGINT DEFAULT NULL
+)
+RETURNS TABLE (
+  rating INT,
+  response_count BIGINT
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    f.rating,
+    COUNT(*) AS response_count
+  FROM chat_feedback f
+  JOIN chat_group cg ON cg.chat_group_id = f.chat_group_id
+  WHERE f.created_at >= p_from
+    AND f.created_at < p_to
+    AND f.rating IS NOT NULL
+    AND (p_dept_id IS NULL OR cg.dept_id = p_dept_id)
+    AND (p_agent_id IS NULL OR cg.sys_user_id = p_agent_id)
+  GROUP BY f.rating
+  ORDER BY f.rating;
+$$;
+
+-- Range lookups on the tables the functions scan
+CREATE INDEX IF NOT EXISTS idx_chat_created_at ON public.chat(chat_created_at);
+CREATE INDEX IF NOT EXISTS idx_chat_transfer_log_transferred_at ON public.chat_transfer_log(transferred_at);
+
+-- Add comments for documentation
+COMMENT ON FUNCTION get_message_volume_analytics IS 'Client and agent message counts per day/week/month';
+COMMENT ON FUNCTION get_first_response_analytics IS 'Average and median first response minutes per day/week/month';
+COMMENT ON FUNCTION get_resolution_time_analytics IS 'Average and median minutes to resolution per day/week/month';
+COMMENT ON FUNCTION get_department_chat_analytics IS 'Chat counts by status and average timings per department';
+COMMENT ON FUNCTION get_transfer_analytics IS 'Transfer counts by type, with an all-types row (transfer_type NULL)';
+COMMENT ON FUNCTION get_csat_analytics IS 'Feedback rating distribution';
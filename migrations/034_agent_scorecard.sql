@@ -0,0 +1,73 @@
+-- Migration: Agent scorecard
+-- Description: Per-agent chat, timing and transfer figures for a date range, read by the
+-- scorecard endpoint. CSAT comes from get_csat_analytics (033) with the agent filter.
+
+-- One row of figures for a single agent.
+-- chats_handled counts every chat assigned or transferred to the agent in the range (from
+-- chat_event and chat_transfer_log) plus chats they resolved in it, so chats later moved
+-- to someone else still count. Timings are over the chats the agent resolved in the range.
+CREATE OR REPLACE FUNCTION get_agent_scorecard(
+  p_agent_id BIGINT,
+  p_from TIMESTAMPTZ,
+  p_to TIMESTAMPTZ
+)
+RETURNS TABLE (
+  chats_handled BIGINT,
+  chats_resolved BIGINT,
+  median_first_response_minutes NUMERIC,
+  median_resolution_minutes NUMERIC,
+  transfers_in BIGINT,
+  transfers_out BIGINT
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH resolved AS (
+    SELECT
+      cg.chat_group_id,
+      cg.response_time_minutes,
+      EXTRACT(EPOCH FROM (cg.resolved_at - cg.created_at)) / 60 AS resolution_minutes
+    FROM chat_group cg
+    WHERE cg.sys_user_id = p_agent_id
+      AND cg.status = 'resolved'
+      AND cg.resolved_at >= p_from
+      AND cg.resolved_at < p_to
+  ),
+  transfers AS (
+    SELECT tl.chat_group_id, tl.from_agent_id, tl.to_agent_id
+    FROM chat_transfer_log tl
+    WHERE tl.transferred_at >= p_from
+      AND tl.transferred_at < p_to
+      AND COALESCE(tl.transfer_type, 'manual') <> 'abandoned'
+      AND (tl.from_agent_id = p_agent_id OR tl.to_agent_id = p_agent_id)
+  ),
+  handled AS (
+    SELECT ce.chat_group_id
+    FROM chat_event ce
+    WHERE ce.event_type = 'assigned'
+      AND ce.created_at >= p_from
+      AND ce.created_at < p_to
+      AND (ce.event_data->>'agent_id')::BIGINT = p_agent_id
+    UNION
+    SELECT t.chat_group_id FROM transfers t WHERE t.to_agent_id = p_agent_id
+    UNION
+    SELECT r.chat_group_id FROM resolved r
+  )
+  SELECT
+    (SELECT COUNT(*) FROM handled) AS chats_handled,
+    (SELECT COUNT(*) FROM resolved) AS chats_resolved,
+    (SELECT ROUND((percentile_cont(0.5) WITHIN GROUP (ORDER BY r.response_time_minutes))::NUMERIC, 2)
+       FROM resolved r WHERE r.response_time_minutes IS NOT NULL) AS median_first_response_minutes,
+    (SELECT ROUND((percentile_cont(0.5) WITHIN GROUP (ORDER BY r.resolution_minutes))::NUMERIC, 2)
+       FROM resolved r) AS median_resolution_minutes,
+    (SELECT COUNT(*) FROM transfers t WHERE t.to_agent_id = p_agent_id) AS transfers_in,
+    (SELECT COUNT(*) FROM transfers t WHERE t.from_agent_id = p_agent_id) AS transfers_out;
+$$;
+
+-- Assignment events by agent
+CREATE INDEX IF NOT EXISTS idx_chat_event_assigned_agent
+ON public.chat_event(((event_data->>'agent_id')::BIGINT), created_at)
+WHERE event_type = 'assigned';
+
+-- Add comments for documentation
+COMMENT ON FUNCTION get_agent_scorecard IS 'Chats handled and resolved, median timings and transfers in/out for one agent';
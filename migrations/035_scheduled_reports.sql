@@ -0,0 +1,72 @@
+-- Migration: Report exports and scheduled email reports
+-- Description: Admins schedule daily or weekly CSV/XLSX reports per recipient. A background
+-- job generates each report when it falls due, emails it, and keeps a run history.
+
+-- Configure scheduled reports and read their run history
+ALTER TABLE privilege
+ADD COLUMN IF NOT EXISTS priv_can_manage_reports BOOLEAN DEFAULT FALSE;
+
+CREATE TABLE IF NOT EXISTS public.report_schedule (
+    report_schedule_id bigserial NOT NULL,
+    report_type text NOT NULL,
+    file_format text NOT NULL DEFAULT 'csv',
+    frequency text NOT NULL,
+    day_of_week smallint NULL,
+    send_hour smallint NOT NULL DEFAULT 8,
+    timezone text NOT NULL DEFAULT 'Asia/Manila',
+    recipient_email text NOT NULL,
+    dept_id bigint NULL,
+    report_schedule_is_active boolean NOT NULL DEFAULT true,
+    next_run_at timestamp with time zone NOT NULL,
+    last_run_at timestamp with time zone NULL,
+    report_schedule_created_by bigint NULL,
+    report_schedule_created_at timestamp with time zone NOT NULL DEFAULT now(),
+    report_schedule_updated_by bigint NULL,
+    report_schedule_updated_at timestamp with time zone NULL,
+    CONSTRAINT report_schedule_pkey PRIMARY KEY (report_schedule_id),
+    CONSTRAINT report_schedule_dept_id_fkey FOREIGN KEY (dept_id) REFERENCES department (dept_id) ON UPDATE CASCADE ON DELETE CASCADE,
+    CONSTRAINT report_schedule_created_by_fkey FOREIGN KEY (report_schedule_created_by) REFERENCES sys_user (sys_user_id) ON UPDATE CASCADE ON DELETE SET NULL,
+    CONSTRAINT report_schedule_updated_by_fkey FOREIGN KEY (report_schedule_updated_by) REFERENCES sys_user (sys_user_id) ON UPDATE CASCADE ON DELETE SET NULL,
+    CONSTRAINT report_schedule_type_check CHECK (report_type = ANY (ARRAY['chat_groups'::text, 'messages'::text, 'feedback'::text, 'transfers'::text, 'agent_stats'::text])),
+    CONSTRAINT report_schedule_format_check CHECK (file_format = ANY (ARRAY['csv'::text, 'xlsx'::text])),
+    CONSTRAINT report_schedule_frequency_check CHECK (frequency = ANY (ARRAY['daily'::text, 'weekly'::text])),
+    CONSTRAINT report_schedule_day_of_week_check CHECK (
+        (frequency = 'weekly' AND day_of_week BETWEEN 0 AND 6) OR (frequency = 'daily' AND day_of_week IS NULL)
+    ),
+    CONSTRAINT report_schedule_send_hour_check CHECK (send_hour BETWEEN 0 AND 23)
+);
+
+-- One row per attempt to generate and send a scheduled report
+CREATE TABLE IF NOT EXISTS public.report_run (
+    report_run_id bigserial NOT NULL,
+    report_schedule_id bigint NOT NULL,
+    run_status text NOT NULL DEFAULT 'running',
+    range_from timestamp with time zone NOT NULL,
+    range_to timestamp with time zone NOT NULL,
+    row_count integer NULL,
+    error_message text NULL,
+    triggered_by bigint NULL,
+    started_at timestamp with time zone NOT NULL DEFAULT now(),
+    finished_at timestamp with time zone NULL,
+    CONSTRAINT report_run_pkey PRIMARY KEY (report_run_id),
+    CONSTRAINT report_run_schedule_fkey FOREIGN KEY (report_schedule_id) REFERENCES report_schedule (report_schedule_id) ON UPDATE CASCADE ON DELETE CASCADE,
+    CONSTRAINT report_run_triggered_by_fkey FOREIGN KEY (triggered_by) REFERENCES sys_user (sys_user_id) ON UPDATE CASCADE ON DELETE SET NULL,
+    CONSTRAINT report_run_status_check CHECK (run_status = ANY (ARRAY['running'::text, 'succeeded'::text, 'failed'::text]))
+);
+
+-- Due schedules for the background job
+CREATE INDEX IF NOT EXISTS idx_report_schedule_due
+ON public.report_schedule(next_run_at)
+WHERE report_schedule_is_active = true;
+
+-- Run history per schedule, newest first
+CREATE INDEX IF NOT EXISTS idx_report_run_schedule
+ON public.report_run(report_schedule_id, started_at DESC);
+
+-- Add comments for documentation
+COMMENT ON TABLE public.report_schedule IS 'Daily or weekly report exports emailed to one recipient';
+COMMENT ON COLUMN public.report_schedule.day_of_week IS 'Weekly schedules only: 0 = Sunday ... 6 = Saturday, in the schedule timezone';
+COMMENT ON COLUMN public.report_schedule.send_hour IS 'Local hour (0-23) in the schedule timezone the report is sent at';
+COMMENT ON COLUMN public.report_schedule.next_run_at IS 'When the background job next generates the report';
+COMMENT ON TABLE public.report_run IS 'Run history of scheduled reports, including failures';
+COMMENT ON COLUMN public.report_run.triggered_by IS 'Admin who ran the report by hand (NULL = background job)';
@@ -0,0 +1,58 @@
+-- Migration: Presence history
+-- Description: Every agent presence transition, which Redis only keeps as the latest value,
+-- for logged-in, accepting and offline-gap time per agent per day
+
+CREATE TABLE IF NOT EXISTS public.presence_log (
+    presence_log_id bigserial NOT NULL,
+    sys_user_id bigint NOT NULL,
+    presence_status text NOT NULL,
+    previous_status text NULL,
+    reason text NULL,
+    changed_at timestamp with time zone NOT NULL DEFAULT now(),
+    CONSTRAINT presence_log_pkey PRIMARY KEY (presence_log_id),
+    CONSTRAINT presence_log_sys_user_id_fkey FOREIGN KEY (sys_user_id) REFERENCES sys_user (sys_user_id) ON UPDATE CASCADE ON DELETE CASCADE,
+    CONSTRAINT presence_log_status_check CHECK (presence_status = ANY (ARRAY['accepting_chats'::text, 'not_accepting_chats'::text, 'offline'::text]))
+);
+
+-- Per-agent history in time order
+CREATE INDEX IF NOT EXISTS idx_presence_log_user_changed
+ON public.presence_log(sys_user_id, changed_at);
+
+CREATE INDEX IF NOT EXISTS idx_presence_log_changed
+ON public.presence_log(changed_at);
+
+-- Transitions in the range, plus each agent's last transition before it so the
+-- state at the start of the range is known
+CREATE OR REPLACE FUNCTION get_presence_log(
+  p_from TIMESTAMPTZ,
+  p_to TIMESTAMPTZ,
+  p_agent_id BIGINT DEFAULT NULL
+)
+RETURNS TABLE (
+  sys_user_id BIGINT,
+  presence_status TEXT,
+  changed_at TIMESTAMPTZ
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT * FROM (
+    SELECT DISTINCT ON (pl.sys_user_id) pl.sys_user_id, pl.presence_status, pl.changed_at
+    FROM presence_log pl
+    WHERE pl.changed_at < p_from
+      AND (p_agent_id IS NULL OR pl.sys_user_id = p_agent_id)
+    ORDER BY pl.sys_user_id, pl.changed_at DESC, pl.presence_log_id DESC
+  ) before_range
+  UNION ALL
+  SELECT pl.sys_user_id, pl.presence_status, pl.changed_at
+  FROM presence_log pl
+  WHERE pl.changed_at >= p_from
+    AND pl.changed_at < p_to
+    AND (p_agent_id IS NULL OR pl.sys_user_id = p_agent_id)
+  ORDER BY 1, 3;
+$$;
+
+-- Add comments for documentation
+COMMENT ON TABLE public.presence_log IS 'Agent presence transitions; each row holds until the next one for the same agent';
+COMMENT ON COLUMN public.presence_log.reason IS 'What caused the change: manual (agent), disconnect, stale_cleanup or admin_update';
+COMMENT ON FUNCTION get_presence_log IS 'Presence transitions in a range with each agent''s state at its start';
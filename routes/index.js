@@ -7,6 +7,10 @@ const macroController = require('../controllers/macro.controller');
 const changeRoleController = require('../controllers/changeRole.controller');
 const chatController = require('../controllers/chat.controller');
 const queueController = require('../controllers/queue.controller');
+const slaController = require('../controllers/sla.controller');
+const analyticsController = require('../controllers/analytics.controller');
+const reportController = require('../controllers/report.controller');
+const wrapUpController = require('../controllers/wrapUp.controller');
 const roleController = require('../controllers/role.controller');
 const agentController = require('../controllers/agent.controller');
 const clientAccountController = require('../controllers/mobile/clientAccount.controller');
@@ -26,9 +30,13 @@ async function setupRoutes(app) {
   // Department & Queue routes
   app.use('/departments', departmentController.getRouter());
   app.use('/queues', queueController.getRouter());
+  app.use('/sla', slaController.getRouter());
+  app.use('/analytics', analyticsController.getRouter());
+  app.use('/reports', reportController.getRouter());
   
   // Chat & Communication routes
   app.use('/chat', chatController.getRouter());
+  app.use('/wrap-up', wrapUpController.getRouter());
   app.use('/auto-replies', autoReplyController.getRouter());
   
   // Role management
@@ -2,13 +2,8 @@ const supabase = require("../helpers/supabaseClient");
 const cacheService = require("./cache.service");
 const profileService = require("./profile.service");
 const roleService = require("./role.service");
-
-// Role name constants - more maintainable than hardcoded IDs
-const ROLE_NAMES = {
-  AGENT: "Agent",
-  ADMIN: "Admin",
-  CLIENT: "Client",
-};
+const skillService = require("./skill.service");
+const { ROLE_NAMES } = require("../constants/statuses");
 
 class AgentService {
   /**
@@ -51,6 +46,7 @@ class AgentService {
           sys_user_id,
           sys_user_email,
           sys_user_is_active,
+          sys_user_max_concurrent_chats,
           role_id,
           prof_id
         `)
@@ -121,6 +117,7 @@ class AgentService {
           email: user.sys_user_email,
           active: user.sys_user_is_active,
           departments: userDepartments,
+          max_concurrent_chats: user.sys_user_max_concurrent_chats,
           profile_picture: user.prof_id ? profileImages[user.prof_id] : null,
         };
       });
@@ -242,6 +239,48 @@ class AgentService {
     console.log("🧹 Invalidated agents cache after system user update");
   }
 
+  /**
+   * Get an agent's routing settings: concurrency limit and skills
+   */
+  async getAgentRoutingProfile(userId) {
+    const { data, error } = await supabase
+      .from("sys_user")
+      .select("sys_user_id, sys_user_email, sys_user_is_active, sys_user_max_concurrent_chats")
+      .eq("sys_user_id", userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new Error("Agent not found");
+
+    const skills = await skillService.getAgentSkills(userId);
+
+    return {
+      id: data.sys_user_id,
+      email: data.sys_user_email,
+      active: data.sys_user_is_active,
+      max_concurrent_chats: data.sys_user_max_concurrent_chats,
+      skills,
+    };
+  }
+
+  /**
+   * Update an agent's concurrency limit
+   */
+  async updateMaxConcurrentChats(userId, maxConcurrentChats) {
+    const { error } = await supabase
+      .from("sys_user")
+      .update({
+        sys_user_max_concurrent_chats: maxConcurrentChats,
+        sys_user_updated_at: new Date(),
+      })
+      .eq("sys_user_id", userId);
+
+    if (error) throw error;
+
+    await cacheService.invalidateAgents();
+    console.log("🧹 Invalidated agents cache after concurrency limit update");
+  }
+
   /**
    * Delete user departments
    */
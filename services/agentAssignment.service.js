@@ -1,13 +1,28 @@
 const supabase = require("../helpers/supabaseClient");
 const cacheService = require("./cache.service");
 const { cacheManager } = require("../helpers/redisClient");
-const { USER_PRESENCE_STATUS, CHAT_STATUS } = require("../constants/statuses");
+const businessHoursService = require("./businessHours.service");
+const skillService = require("./skill.service");
+const chatEventService = require("./chatEvent.service");
+const { getRoutingStrategy } = require("./routing");
+const {
+  DEFAULT_MAX_CONCURRENT_CHATS,
+  rankAgents,
+} = require("../utils/agentMatching");
+const {
+  USER_PRESENCE_STATUS,
+  CHAT_STATUS,
+  QUEUE_REASON,
+  ASSIGNMENT_RULE,
+  CHAT_EVENT_TYPE,
+} = require("../constants/statuses");
+const { agentActor } = require("../utils/chatEvents");
+const { isHeldInQueue, HELD_QUEUE_REASONS } = require("../utils/queueOverflow");
 
 class AgentAssignmentService {
   constructor() {
     this.REDIS_KEY_PREFIX = "round_robin:dept:";
     this.REDIS_TTL = 86400;
-    this.MAX_WORKLOAD = 5;
   }
 
   // --- Redis helpers ---
@@ -66,33 +81,122 @@ class AgentAssignmentService {
     return workloads;
   }
 
-  async selectNextAgent(availableAgents, deptId) {
-    if (!availableAgents?.length) return null;
-    if (availableAgents.length === 1) return availableAgents[0];
+  /**
+   * Per-agent concurrency limits from sys_user_max_concurrent_chats
+   */
+  async getAgentCapacities(agentIds) {
+    if (!agentIds?.length) return {};
+    const capacities = Object.fromEntries(
+      agentIds.map((id) => [id, DEFAULT_MAX_CONCURRENT_CHATS]),
+    );
+    try {
+      const { data, error } = await supabase
+        .from("sys_user")
+        .select("sys_user_id, sys_user_max_concurrent_chats")
+        .in("sys_user_id", agentIds);
+      if (error) throw error;
+      data?.forEach(({ sys_user_id, sys_user_max_concurrent_chats }) => {
+        if (sys_user_max_concurrent_chats) {
+          capacities[sys_user_id] = sys_user_max_concurrent_chats;
+        }
+      });
+    } catch (e) {
+      console.error("❌ getAgentCapacities:", e.message);
+    }
+    return capacities;
+  }
 
+  async getChatRequiredSkills(chatGroupId) {
     try {
-      const workloadMap = await this.getAgentWorkloads(availableAgents);
-      const minWorkload = Math.min(
-        ...availableAgents.map((id) => workloadMap[id]),
-      );
-      const candidates = availableAgents.filter(
-        (id) => workloadMap[id] === minWorkload,
-      );
+      return await skillService.getChatRequiredSkills(chatGroupId);
+    } catch (e) {
+      console.error("❌ getChatRequiredSkills:", e.message);
+      return [];
+    }
+  }
 
-      let selected;
-      if (candidates.length === 1) {
-        selected = candidates[0];
-      } else {
-        // Atomic INCR — no race condition between concurrent assignment calls
-        const counter = await this.getRoundRobinCounter(deptId);
-        const idx = counter !== null ? (counter - 1) % candidates.length : 0;
-        selected = candidates[idx];
+  /**
+   * Get a department's routing settings: strategy and previous-agent preference
+   */
+  async getDepartmentRoutingSettings(deptId) {
+    try {
+      const { data, error } = await supabase
+        .from("department")
+        .select("dept_routing_strategy, dept_prefer_previous_agent, dept_previous_agent_wait_seconds")
+        .eq("dept_id", deptId)
+        .single();
+      if (error) throw error;
+      return {
+        strategy: getRoutingStrategy(data?.dept_routing_strategy),
+        preferPreviousAgent: data?.dept_prefer_previous_agent === true,
+        previousAgentWaitSeconds: data?.dept_previous_agent_wait_seconds || 0,
+      };
+    } catch (e) {
+      console.error("❌ getDepartmentRoutingSettings:", e.message);
+      return {
+        strategy: getRoutingStrategy(null),
+        preferPreviousAgent: false,
+        previousAgentWaitSeconds: 0,
+      };
+    }
+  }
+
+  /**
+   * Pick one candidate by rotating the department's round-robin counter
+   */
+  async pickRoundRobin(candidates, deptId) {
+    // Atomic INCR — no race condition between concurrent assignment calls
+    const counter = await this.getRoundRobinCounter(deptId);
+    const idx = counter !== null ? (counter - 1) % candidates.length : 0;
+    return candidates[idx];
+  }
+
+  /**
+   * Pick an agent under capacity using the department's routing strategy.
+   * Only agents meeting the most required skills are considered.
+   * Returns null when every available agent is at capacity.
+   */
+  async selectNextAgent(availableAgents, deptId, requiredSkills = [], { strategy, chatGroupId } = {}) {
+    if (!availableAgents?.length) return null;
+
+    const routingStrategy = strategy || getRoutingStrategy(null);
+
+    try {
+      const skillIds = requiredSkills.map((s) => s.skill_id);
+      const [workloads, capacities, agentSkills] = await Promise.all([
+        this.getAgentWorkloads(availableAgents),
+        this.getAgentCapacities(availableAgents),
+        skillIds.length
+          ? skillService.getSkillsForAgents(availableAgents, skillIds)
+          : {},
+      ]);
+
+      const ranked = rankAgents(availableAgents, {
+        workloads,
+        capacities,
+        agentSkills,
+        requiredSkills,
+      });
+      if (!ranked.length) {
+        console.log(`⏳ All available agents in dept ${deptId} are at capacity`);
+        return null;
       }
 
+      const bestMatch = ranked[0].matched;
+      const candidates = ranked.filter((c) => c.matched === bestMatch);
+
+      const selected = await routingStrategy.selectAgent(candidates, {
+        deptId,
+        chatGroupId,
+        pickRoundRobin: (list) => this.pickRoundRobin(list, deptId),
+        getPreviousAgent: () => this.getPreviousAgentForChat(chatGroupId, deptId),
+      });
+      if (!selected) return null;
+
       console.log(
-        `🔄 Round-robin → agent ${selected} for dept ${deptId} (workload: ${minWorkload})`,
+        `🔄 ${routingStrategy.name} → agent ${selected.agentId} for dept ${deptId} (workload: ${selected.workload}/${selected.capacity}, skills: ${selected.matched}/${requiredSkills.length})`,
       );
-      return selected;
+      return selected.agentId;
     } catch (e) {
       console.error("❌ selectNextAgent:", e.message);
       // Fallback: pick first available agent
@@ -100,12 +204,37 @@ class AgentAssignmentService {
     }
   }
 
+  /**
+   * Business hours status for routing; treat the department as open if it cannot be
+   * determined so a lookup failure never strands chats in the queue
+   */
+  async getDepartmentStatus(deptId) {
+    try {
+      return await businessHoursService.getDepartmentStatus(deptId);
+    } catch (e) {
+      console.error("❌ getDepartmentStatus:", e.message);
+      return { is_open: true, next_open_at: null };
+    }
+  }
+
   // --- Assignment actions ---
 
-  async assignChatGroupToAgent(chatGroupId, agentId, { requiredStatus } = {}) {
+  /**
+   * @param {{ requiredStatus?: string, assignmentRule?: string, actorId?: number }} options -
+   *   actorId is the agent who made the assignment (e.g. accepting from the queue); routing otherwise
+   */
+  async assignChatGroupToAgent(chatGroupId, agentId, { requiredStatus, assignmentRule = null, actorId = null } = {}) {
     let query = supabase
       .from("chat_group")
-      .update({ sys_user_id: agentId, status: CHAT_STATUS.ACTIVE })
+      .update({
+        sys_user_id: agentId,
+        status: CHAT_STATUS.ACTIVE,
+        queue_reason: null,
+        assigned_at: new Date().toISOString(),
+        assignment_rule: assignmentRule,
+        preferred_agent_id: null,
+        preferred_agent_until: null,
+      })
       .eq("chat_group_id", chatGroupId)
       .is("sys_user_id", null);
 
@@ -121,7 +250,7 @@ class AgentAssignmentService {
     // Best-effort: fill in the pending transfer log entry
     const { error: logErr } = await supabase
       .from("chat_transfer_log")
-      .update({ to_agent_id: agentId })
+      .update({ to_agent_id: agentId, assignment_rule: assignmentRule })
       .eq("chat_group_id", chatGroupId)
       .is("to_agent_id", null)
       .order("transferred_at", { ascending: false })
@@ -129,6 +258,11 @@ class AgentAssignmentService {
 
     if (logErr) console.error("⚠️ Transfer log update failed:", logErr.message);
 
+    await chatEventService.record(chatGroupId, CHAT_EVENT_TYPE.ASSIGNED, {
+      actor: agentActor(actorId),
+      data: { agent_id: agentId, assignment_rule: assignmentRule },
+    });
+
     // Invalidate agent's chat groups cache (new chat assigned)
     await cacheService.invalidateUserChatGroups(agentId);
 
@@ -136,34 +270,246 @@ class AgentAssignmentService {
     return data;
   }
 
-  async setChatGroupQueued(chatGroupId) {
+  async setChatGroupQueued(chatGroupId, queueReason = QUEUE_REASON.NO_AGENTS) {
+    // Queued chats are re-routed whenever an agent frees up; only log a change of state
+    const { data: previous } = await supabase
+      .from("chat_group")
+      .select("status, queue_reason")
+      .eq("chat_group_id", chatGroupId)
+      .maybeSingle();
+
+    // The queue wait starts when the chat enters the queue or a hold on it ends (e.g. an
+    // out-of-hours chat still queued at opening time), not on every re-route
+    const entersQueue =
+      previous?.status !== CHAT_STATUS.QUEUED ||
+      (isHeldInQueue(previous) && !HELD_QUEUE_REASONS.includes(queueReason));
+    const queueEntry = entersQueue ? this.getQueueEntryFields() : {};
+
     const { data, error } = await supabase
       .from("chat_group")
-      .update({ status: CHAT_STATUS.QUEUED })
+      .update({ status: CHAT_STATUS.QUEUED, queue_reason: queueReason, ...queueEntry })
       .eq("chat_group_id", chatGroupId)
       .select()
       .single();
     if (error) throw error;
+
+    if (previous?.status !== CHAT_STATUS.QUEUED || previous.queue_reason !== queueReason) {
+      await chatEventService.record(chatGroupId, CHAT_EVENT_TYPE.QUEUED, {
+        data: { queue_reason: queueReason },
+      });
+    }
     return data;
   }
 
+  /**
+   * Queue wait timestamps for a chat entering the queue: queued_at (current department)
+   * and queue_started_at (whole wait, kept across overflow moves), escalation reset
+   */
+  getQueueEntryFields(now = new Date()) {
+    const queuedAt = now.toISOString();
+    return { queued_at: queuedAt, queue_started_at: queuedAt, queue_escalated_at: null };
+  }
+
   // --- Orchestration ---
 
   async autoAssignChatGroup(chatGroupId, deptId) {
+    // Outside business hours the chat is accepted offline and waits for opening time
+    const deptStatus = await this.getDepartmentStatus(deptId);
+    if (!deptStatus.is_open) {
+      await this.setChatGroupQueued(chatGroupId, QUEUE_REASON.OUT_OF_HOURS);
+      return {
+        assigned: false,
+        status: "queued",
+        queueReason: QUEUE_REASON.OUT_OF_HOURS,
+        nextOpenAt: deptStatus.next_open_at,
+        message: "Department is closed",
+      };
+    }
+
+    // Manual-pick departments leave every chat in the queue for agents to accept
+    const settings = await this.getDepartmentRoutingSettings(deptId);
+    const { strategy } = settings;
+    if (strategy.manualOnly) {
+      await this.setChatGroupQueued(chatGroupId, QUEUE_REASON.MANUAL_PICK);
+      return {
+        assigned: false,
+        status: "queued",
+        queueReason: QUEUE_REASON.MANUAL_PICK,
+        message: "Department routes chats manually",
+      };
+    }
+
     const available = await this.getAvailableAgents(deptId);
 
+    // Returning clients go back to the agent who helped them last when possible
+    if (settings.preferPreviousAgent) {
+      const previousAgentResult = await this.routeToPreviousAgent(
+        chatGroupId,
+        deptId,
+        available,
+        settings.previousAgentWaitSeconds,
+      );
+      if (previousAgentResult) return previousAgentResult;
+    }
+
     if (!available.length) {
-      await this.setChatGroupQueued(chatGroupId);
+      await this.setChatGroupQueued(chatGroupId, QUEUE_REASON.NO_AGENTS);
       return {
         assigned: false,
         status: "queued",
+        queueReason: QUEUE_REASON.NO_AGENTS,
         message: "No available agents",
       };
     }
 
-    const agentId = await this.selectNextAgent(available, deptId);
-    const chatGroup = await this.assignChatGroupToAgent(chatGroupId, agentId);
-    return { assigned: true, status: "active", agentId, chatGroup };
+    const requiredSkills = await this.getChatRequiredSkills(chatGroupId);
+    const agentId = await this.selectNextAgent(available, deptId, requiredSkills, {
+      strategy,
+      chatGroupId,
+    });
+
+    if (!agentId) {
+      await this.setChatGroupQueued(chatGroupId, QUEUE_REASON.NO_AGENTS);
+      return {
+        assigned: false,
+        status: "queued",
+        queueReason: QUEUE_REASON.NO_AGENTS,
+        message: "All available agents are at capacity",
+      };
+    }
+
+    const chatGroup = await this.assignChatGroupToAgent(chatGroupId, agentId, {
+      assignmentRule: strategy.name,
+    });
+    return {
+      assigned: true,
+      status: "active",
+      agentId,
+      chatGroup,
+      assignmentRule: strategy.name,
+    };
+  }
+
+  /**
+   * Agent who resolved the client's most recent chat in the department
+   */
+  async getPreviousAgent(clientId, deptId, excludeChatGroupId) {
+    const { data, error } = await supabase
+      .from("chat_group")
+      .select("sys_user_id")
+      .eq("client_id", clientId)
+      .eq("dept_id", deptId)
+      .eq("status", CHAT_STATUS.RESOLVED)
+      .neq("chat_group_id", excludeChatGroupId)
+      .not("sys_user_id", "is", null)
+      .order("resolved_at", { ascending: false, nullsFirst: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data?.sys_user_id || null;
+  }
+
+  /**
+   * Previous agent (see getPreviousAgent) of the client who owns a chat group
+   */
+  async getPreviousAgentForChat(chatGroupId, deptId) {
+    const { data: chat, error } = await supabase
+      .from("chat_group")
+      .select("client_id")
+      .eq("chat_group_id", chatGroupId)
+      .single();
+
+    if (error) throw error;
+    return this.getPreviousAgent(chat.client_id, deptId, chatGroupId);
+  }
+
+  /**
+   * Try the client's previous agent. Assigns when that agent is accepting chats and
+   * under capacity; otherwise holds the chat in the queue for them until the
+   * department's wait runs out. Returns null to fall back to normal routing.
+   */
+  async routeToPreviousAgent(chatGroupId, deptId, availableAgents, waitSeconds) {
+    try {
+      const { data: chat, error } = await supabase
+        .from("chat_group")
+        .select("client_id, status, preferred_agent_id, preferred_agent_until")
+        .eq("chat_group_id", chatGroupId)
+        .single();
+      if (error) throw error;
+
+      // Hold already expired - route normally
+      if (chat.preferred_agent_until && new Date(chat.preferred_agent_until) <= new Date()) {
+        return null;
+      }
+
+      const previousAgentId =
+        chat.preferred_agent_id ||
+        (await this.getPreviousAgent(chat.client_id, deptId, chatGroupId));
+      if (!previousAgentId) return null;
+
+      if (availableAgents.includes(previousAgentId)) {
+        const [workloads, capacities] = await Promise.all([
+          this.getAgentWorkloads([previousAgentId]),
+          this.getAgentCapacities([previousAgentId]),
+        ]);
+        if (workloads[previousAgentId] < capacities[previousAgentId]) {
+          const chatGroup = await this.assignChatGroupToAgent(chatGroupId, previousAgentId, {
+            assignmentRule: ASSIGNMENT_RULE.PREVIOUS_AGENT,
+          });
+          console.log(`🔁 Chat ${chatGroupId} → previous agent ${previousAgentId}`);
+          return {
+            assigned: true,
+            status: "active",
+            agentId: previousAgentId,
+            chatGroup,
+            assignmentRule: ASSIGNMENT_RULE.PREVIOUS_AGENT,
+          };
+        }
+      }
+
+      if (waitSeconds <= 0) return null;
+
+      const holdUntil =
+        chat.preferred_agent_until ||
+        new Date(Date.now() + waitSeconds * 1000).toISOString();
+
+      const { error: holdError } = await supabase
+        .from("chat_group")
+        .update({
+          status: CHAT_STATUS.QUEUED,
+          queue_reason: QUEUE_REASON.AWAITING_PREVIOUS_AGENT,
+          preferred_agent_id: previousAgentId,
+          preferred_agent_until: holdUntil,
+          ...(chat.status !== CHAT_STATUS.QUEUED ? this.getQueueEntryFields() : {}),
+        })
+        .eq("chat_group_id", chatGroupId);
+      if (holdError) throw holdError;
+
+      if (!chat.preferred_agent_until) {
+        await chatEventService.record(chatGroupId, CHAT_EVENT_TYPE.QUEUED, {
+          data: {
+            queue_reason: QUEUE_REASON.AWAITING_PREVIOUS_AGENT,
+            preferred_agent_id: previousAgentId,
+          },
+        });
+      }
+
+      console.log(
+        `⏳ Chat ${chatGroupId} held for previous agent ${previousAgentId} until ${holdUntil}`,
+      );
+      return {
+        assigned: false,
+        status: "queued",
+        queueReason: QUEUE_REASON.AWAITING_PREVIOUS_AGENT,
+        preferredAgentId: previousAgentId,
+        preferredAgentUntil: holdUntil,
+        message: "Waiting for the client's previous agent",
+      };
+    } catch (e) {
+      console.error("❌ routeToPreviousAgent:", e.message);
+      return null;
+    }
   }
 
   async assignQueuedChatsToAgent(agentId) {
@@ -179,8 +525,11 @@ class AgentAssignmentService {
     if (presence?.userPresence !== USER_PRESENCE_STATUS.ACCEPTING_CHATS)
       return [];
 
-    const workloads = await this.getAgentWorkloads([agentId]);
-    const slots = Math.max(0, this.MAX_WORKLOAD - (workloads[agentId] ?? 0));
+    const [workloads, capacities] = await Promise.all([
+      this.getAgentWorkloads([agentId]),
+      this.getAgentCapacities([agentId]),
+    ]);
+    const slots = Math.max(0, capacities[agentId] - (workloads[agentId] ?? 0));
     if (!slots) return [];
 
     const deptIds = depts.map((d) => d.dept_id);
@@ -190,6 +539,7 @@ class AgentAssignmentService {
       .in("dept_id", deptIds)
       .eq("status", CHAT_STATUS.QUEUED)
       .is("sys_user_id", null)
+      .order("priority", { ascending: false })
       .order("created_at", { ascending: true });
 
     if (qErr || !queued?.length) return [];
@@ -216,6 +566,85 @@ class AgentAssignmentService {
     );
     return assigned;
   }
+
+  /**
+   * Route chats that were queued out of hours once their department opens.
+   * Chats that still find no agent stay queued as no_agents.
+   * @returns {Promise<Array>} Chats that were assigned, for socket notifications
+   */
+  async releaseOutOfHoursQueue() {
+    const { data: queued, error } = await supabase
+      .from("chat_group")
+      .select("chat_group_id, dept_id, client_id")
+      .eq("status", CHAT_STATUS.QUEUED)
+      .eq("queue_reason", QUEUE_REASON.OUT_OF_HOURS)
+      .is("sys_user_id", null)
+      .order("priority", { ascending: false })
+      .order("created_at", { ascending: true });
+
+    if (error || !queued?.length) return [];
+
+    const openDepts = new Set();
+    for (const deptId of new Set(queued.map((chat) => chat.dept_id))) {
+      const deptStatus = await this.getDepartmentStatus(deptId);
+      if (deptStatus.is_open) openDepts.add(deptId);
+    }
+
+    const assigned = [];
+    for (const chat of queued) {
+      if (!openDepts.has(chat.dept_id)) continue;
+      const result = await this.autoAssignChatGroup(chat.chat_group_id, chat.dept_id);
+      if (result.assigned) {
+        assigned.push({
+          chat_group_id: chat.chat_group_id,
+          dept_id: chat.dept_id,
+          client_id: chat.client_id,
+          agent_id: result.agentId,
+        });
+      }
+    }
+
+    if (assigned.length > 0) {
+      console.log(`🕘 Released ${assigned.length} out-of-hours chats after opening`);
+    }
+    return assigned;
+  }
+
+  /**
+   * Route chats whose hold for a previous agent has expired
+   * @returns {Promise<Array>} Chats that were assigned, for socket notifications
+   */
+  async releaseExpiredPreviousAgentHolds() {
+    const { data: held, error } = await supabase
+      .from("chat_group")
+      .select("chat_group_id, dept_id, client_id")
+      .eq("status", CHAT_STATUS.QUEUED)
+      .eq("queue_reason", QUEUE_REASON.AWAITING_PREVIOUS_AGENT)
+      .is("sys_user_id", null)
+      .lte("preferred_agent_until", new Date().toISOString())
+      .order("priority", { ascending: false })
+      .order("created_at", { ascending: true });
+
+    if (error || !held?.length) return [];
+
+    const assigned = [];
+    for (const chat of held) {
+      const result = await this.autoAssignChatGroup(chat.chat_group_id, chat.dept_id);
+      if (result.assigned) {
+        assigned.push({
+          chat_group_id: chat.chat_group_id,
+          dept_id: chat.dept_id,
+          client_id: chat.client_id,
+          agent_id: result.agentId,
+        });
+      }
+    }
+
+    if (assigned.length > 0) {
+      console.log(`⏳ Routed ${assigned.length} chats after previous-agent hold expired`);
+    }
+    return assigned;
+  }
 }
 
 module.exports = new AgentAssignmentService();
@@ -0,0 +1,106 @@
+const supabase = require("../helpers/supabaseClient");
+const analyticsService = require("./analytics.service");
+const presenceLogService = require("./presenceLog.service");
+const { summarizeCsat } = require("../utils/analytics");
+const { computeConcurrency, compareScorecards } = require("../utils/agentScorecard");
+
+class AgentScorecardService {
+  /**
+   * Scorecard for one agent over the current range, with the previous range and the
+   * change between them when one is given
+   * @param {{ current: {from, to}, previous: {from, to}|null }} range - From parseScorecardPeriod
+   */
+  async getScorecard(agentId, { current, previous }, now = new Date()) {
+    const agent = await this.getAgent(agentId);
+    if (!agent) throw new Error("Agent not found");
+
+    const [currentCard, previousCard] = await Promise.all([
+      this.buildScorecard(agentId, current, now),
+      previous ? this.buildScorecard(agentId, previous, now) : null,
+    ]);
+
+    return {
+      agent,
+      current: currentCard,
+      previous: previousCard,
+      change: previousCard ? compareScorecards(currentCard, previousCard) : null,
+    };
+  }
+
+  async buildScorecard(agentId, { from, to }, now) {
+    const [figures, chats, csatRows, presence] = await Promise.all([
+      this.getFigures(agentId, from, to),
+      this.getChatIntervals(agentId, from, to),
+      analyticsService.callAnalyticsFunction("get_csat_analytics", {
+        p_from: from,
+        p_to: to,
+        p_dept_id: null,
+        p_agent_id: agentId,
+      }),
+      presenceLogService.getPresenceTotals(agentId, from, to, now),
+    ]);
+
+    return {
+      from,
+      to,
+      chats_handled: Number(figures?.chats_handled || 0),
+      chats_resolved: Number(figures?.chats_resolved || 0),
+      concurrency: computeConcurrency(chats, from, to, now),
+      median_first_response_minutes: this.toNumber(figures?.median_first_response_minutes),
+      median_resolution_minutes: this.toNumber(figures?.median_resolution_minutes),
+      transfers_in: Number(figures?.transfers_in || 0),
+      transfers_out: Number(figures?.transfers_out || 0),
+      csat: summarizeCsat(csatRows),
+      presence,
+    };
+  }
+
+  async getAgent(agentId) {
+    const { data, error } = await supabase
+      .from("sys_user")
+      .select("sys_user_id, sys_user_email, sys_user_is_active, profile:prof_id(prof_firstname, prof_lastname)")
+      .eq("sys_user_id", agentId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return null;
+
+    const { profile, ...agent } = data;
+    const name = profile ? `${profile.prof_firstname || ""} ${profile.prof_lastname || ""}`.trim() : "";
+    return { ...agent, name: name || null };
+  }
+
+  async getFigures(agentId, from, to) {
+    const { data, error } = await supabase.rpc("get_agent_scorecard", {
+      p_agent_id: agentId,
+      p_from: from,
+      p_to: to,
+    });
+
+    if (error) throw error;
+    return data?.[0] || null;
+  }
+
+  /**
+   * Chats the agent still holds that were open at some point in the range.
+   * Chats transferred away keep no record of the time the agent had them.
+   */
+  async getChatIntervals(agentId, from, to) {
+    const { data, error } = await supabase
+      .from("chat_group")
+      .select("chat_group_id, assigned_at, resolved_at, status")
+      .eq("sys_user_id", agentId)
+      .not("assigned_at", "is", null)
+      .lt("assigned_at", to)
+      .or(`resolved_at.is.null,resolved_at.gte.${from}`);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  toNumber(value) {
+    return value === null || value === undefined ? null : Number(value);
+  }
+}
+
+module.exports = new AgentScorecardService();
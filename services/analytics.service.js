@@ -0,0 +1,88 @@
+const supabase = require("../helpers/supabaseClient");
+const { summarizeTransfers, summarizeCsat } = require("../utils/analytics");
+
+class AnalyticsService {
+  async callAnalyticsFunction(name, params) {
+    const { data, error } = await supabase.rpc(name, params);
+    if (error) throw error;
+    return data || [];
+  }
+
+  rangeParams({ from, to, deptId, agentId }) {
+    return {
+      p_from: from,
+      p_to: to,
+      p_dept_id: deptId,
+      p_agent_id: agentId,
+    };
+  }
+
+  seriesParams(filters) {
+    return { ...this.rangeParams(filters), p_bucket: filters.bucket };
+  }
+
+  /**
+   * Client and agent message counts per period
+   */
+  async getMessageVolume(filters) {
+    return this.callAnalyticsFunction("get_message_volume_analytics", this.seriesParams(filters));
+  }
+
+  /**
+   * Average and median first response minutes per period
+   */
+  async getFirstResponseTimes(filters) {
+    return this.callAnalyticsFunction("get_first_response_analytics", this.seriesParams(filters));
+  }
+
+  /**
+   * Average and median minutes to resolution per period
+   */
+  async getResolutionTimes(filters) {
+    return this.callAnalyticsFunction("get_resolution_time_analytics", this.seriesParams(filters));
+  }
+
+  /**
+   * Chats per department with status counts and average timings
+   */
+  async getDepartmentBreakdown(filters) {
+    return this.callAnalyticsFunction("get_department_chat_analytics", this.rangeParams(filters));
+  }
+
+  /**
+   * Transfers by type and the share of chats created in the range that were transferred
+   */
+  async getTransferRates(filters) {
+    const [rows, totalChats] = await Promise.all([
+      this.callAnalyticsFunction("get_transfer_analytics", this.rangeParams(filters)),
+      this.countChats(filters),
+    ]);
+
+    return summarizeTransfers(rows, totalChats);
+  }
+
+  /**
+   * Rating distribution, average rating and CSAT from chat_feedback
+   */
+  async getCsat(filters) {
+    const rows = await this.callAnalyticsFunction("get_csat_analytics", this.rangeParams(filters));
+    return summarizeCsat(rows);
+  }
+
+  async countChats({ from, to, deptId, agentId }) {
+    let query = supabase
+      .from("chat_group")
+      .select("chat_group_id", { count: "exact", head: true })
+      .gte("created_at", from)
+      .lt("created_at", to);
+
+    if (deptId) query = query.eq("dept_id", deptId);
+    if (agentId) query = query.eq("sys_user_id", agentId);
+
+    const { count, error } = await query;
+    if (error) throw error;
+    return count || 0;
+  }
+}
+
+module.exports = new AnalyticsService();
@@ -0,0 +1,222 @@
+const { v4: uuidv4 } = require("uuid");
+const supabase = require("../helpers/supabaseClient");
+const cacheService = require("./cache.service");
+const { CHAT_STATUS } = require("../constants/statuses");
+const { getExtension } = require("../utils/chatAttachments");
+
+const BUCKET = "chat-attachments";
+const SIGNED_URL_TTL_SECONDS = 60 * 60; // 1 hour
+
+const ATTACHMENT_COLUMNS = `
+  attachment_id,
+  attachment_storage_path,
+  attachment_file_name,
+  attachment_mime_type,
+  attachment_size_bytes
+`;
+
+class AttachmentService {
+  /**
+   * Check the uploader can post to this chat group
+   * @param {{ sysUserId?: number, clientId?: number }} uploader
+   */
+  async getWritableChatGroup(chatGroupId, { clientId } = {}) {
+    const { data: chatGroup, error } = await supabase
+      .from("chat_group")
+      .select("chat_group_id, client_id, status")
+      .eq("chat_group_id", chatGroupId)
+      .single();
+
+    if (error || !chatGroup || (clientId && String(chatGroup.client_id) !== String(clientId))) {
+      throw new Error("Chat group not found or access denied");
+    }
+
+    if (chatGroup.status === CHAT_STATUS.RESOLVED) {
+      throw new Error("Cannot send messages to a resolved chat");
+    }
+
+    return chatGroup;
+  }
+
+  /**
+   * Store an uploaded file and record it against the chat group, ready to be sent
+   * @param {number} chatGroupId
+   * @param {Object} file - multer file (already validated)
+   * @param {{ sysUserId?: number, clientId?: number }} uploader
+   */
+  async uploadAttachment(chatGroupId, file, { sysUserId = null, clientId = null } = {}) {
+    await this.getWritableChatGroup(chatGroupId, { clientId });
+
+    const storagePath = `${chatGroupId}/${uuidv4()}.${getExtension(file.originalname)}`;
+
+    const { error: uploadErr } = await supabase.storage
+      .from(BUCKET)
+      .upload(storagePath, file.buffer, {
+        contentType: file.mimetype,
+        upsert: false,
+      });
+
+    if (uploadErr) throw uploadErr;
+
+    const { data, error } = await supabase
+      .from("chat_attachment")
+      .insert([
+        {
+          chat_group_id: chatGroupId,
+          sys_user_id: sysUserId,
+          client_id: clientId,
+          attachment_storage_path: storagePath,
+          attachment_file_name: file.originalname,
+          attachment_mime_type: file.mimetype,
+          attachment_size_bytes: file.size,
+        },
+      ])
+      .select(ATTACHMENT_COLUMNS)
+      .single();
+
+    if (error) {
+      // Don't leave an orphaned file behind
+      await supabase.storage.from(BUCKET).remove([storagePath]);
+      throw error;
+    }
+
+    const [attachment] = await this.withSignedUrls([data]);
+    return attachment;
+  }
+
+  /**
+   * Make sure every attachment was uploaded by this sender to this chat and not sent yet.
+   * Call before inserting the message so a bad ID never leaves a half-sent message.
+   */
+  async assertSendable(attachmentIds, chatGroupId, { sysUserId = null, clientId = null } = {}) {
+    if (!attachmentIds.length) return;
+
+    let query = supabase
+      .from("chat_attachment")
+      .select("attachment_id")
+      .in("attachment_id", attachmentIds)
+      .eq("chat_group_id", chatGroupId)
+      .is("chat_id", null);
+
+    query = clientId ? query.eq("client_id", clientId) : query.eq("sys_user_id", sysUserId);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    if ((data || []).length !== attachmentIds.length) {
+      throw new Error("Attachment not found or already sent");
+    }
+  }
+
+  /**
+   * Attach uploaded files to the message they were sent with
+   * @returns {Promise<Array>} Attachments with signed URLs, for broadcasting
+   */
+  async linkToMessage(attachmentIds, chatId, chatGroupId) {
+    if (!attachmentIds.length) return [];
+
+    const { data, error } = await supabase
+      .from("chat_attachment")
+      .update({ chat_id: chatId })
+      .in("attachment_id", attachmentIds)
+      .eq("chat_group_id", chatGroupId)
+      .is("chat_id", null)
+      .select(ATTACHMENT_COLUMNS);
+
+    if (error) throw error;
+
+    // The message may have been cached before its attachments were linked
+    await cacheService.invalidateChatMessages(chatGroupId);
+
+    return this.withSignedUrls(data || []);
+  }
+
+  /**
+   * Replace storage paths with short-lived signed download URLs.
+   * Accepts either attachment rows or messages carrying an `attachments` array.
+   */
+  async withSignedUrls(items = []) {
+    const isMessageList = items.some((item) => Array.isArray(item?.attachments));
+    const attachments = isMessageList
+      ? items.flatMap((item) => (item.chat_deleted_at ? [] : item.attachments || []))
+      : items;
+
+    if (!isMessageList && !attachments.length) return items;
+
+    const paths = attachments.map((a) => a.attachment_storage_path).filter(Boolean);
+    const urlByPath = {};
+
+    if (paths.length) {
+      const { data, error } = await supabase.storage
+        .from(BUCKET)
+        .createSignedUrls(paths, SIGNED_URL_TTL_SECONDS);
+
+      if (error) {
+        console.error("❌ Error signing attachment URLs:", error.message);
+      }
+      (data || []).forEach(({ path, signedUrl }) => {
+        if (signedUrl) urlByPath[path] = signedUrl;
+      });
+    }
+
+    const sign = ({ attachment_storage_path, ...attachment }) => ({
+      ...attachment,
+      url: urlByPath[attachment_storage_path] || null,
+    });
+
+    if (!isMessageList) return items.map(sign);
+
+    // Unsent messages keep their attachment rows for audit but no longer expose the files
+    return items.map((item) => {
+      if (!Array.isArray(item?.attachments)) return item;
+      return {
+        ...item,
+        attachments: item.chat_deleted_at ? [] : item.attachments.map(sign),
+      };
+    });
+  }
+
+  /**
+   * Fresh signed download URL for one attachment
+   * @param {{ clientId?: number }} requester - Clients may only download from their own chats
+   */
+  async getDownloadUrl(attachmentId, { clientId = null } = {}) {
+    const { data: attachment, error } = await supabase
+      .from("chat_attachment")
+      .select(`
+        attachment_id,
+        attachment_storage_path,
+        attachment_file_name,
+        chat_group:chat_group_id(client_id),
+        chat:chat_id(chat_deleted_at)
+      `)
+      .eq("attachment_id", attachmentId)
+      .single();
+
+    if (
+      error ||
+      !attachment ||
+      attachment.chat?.chat_deleted_at ||
+      (clientId && String(attachment.chat_group?.client_id) !== String(clientId))
+    ) {
+      throw new Error("Attachment not found");
+    }
+
+    const { data, error: signErr } = await supabase.storage
+      .from(BUCKET)
+      .createSignedUrl(attachment.attachment_storage_path, SIGNED_URL_TTL_SECONDS, {
+        download: attachment.attachment_file_name,
+      });
+
+    if (signErr) throw signErr;
+
+    return {
+      attachment_id: attachment.attachment_id,
+      file_name: attachment.attachment_file_name,
+      url: data.signedUrl,
+      expires_in: SIGNED_URL_TTL_SECONDS,
+    };
+  }
+}
+
+module.exports = new AttachmentService();
@@ -1,5 +1,17 @@
 const supabase = require("../helpers/supabaseClient");
 const cacheService = require("./cache.service");
+const {
+  CHAT_STATUS,
+  CHAT_MESSAGE_TYPE,
+  AUTO_REPLY_TRIGGER,
+} = require("../constants/statuses");
+const {
+  AUTO_REPLY_EVENT,
+  getTrigger,
+  getRulesForEvent,
+  matchAutoReplyRules,
+} = require("../utils/autoReplyRules");
+const businessHoursService = require("./businessHours.service");
 
 class AutoReplyService {
   /**
@@ -12,6 +24,10 @@ class AutoReplyService {
         auto_reply_id,
         auto_reply_message,
         auto_reply_is_active,
+        auto_reply_trigger,
+        auto_reply_pattern,
+        auto_reply_wait_minutes,
+        auto_reply_cooldown_seconds,
         dept_id,
         department:dept_id(dept_name, dept_is_active)
       `)
@@ -50,8 +66,9 @@ class AutoReplyService {
 
   /**
    * Create a new auto reply
+   * @param {Object} triggerSettings - { trigger, pattern, waitMinutes, cooldownSeconds }
    */
-  async createAutoReply(message, deptId, createdBy) {
+  async createAutoReply(message, deptId, createdBy, triggerSettings = {}) {
     const { data, error } = await supabase
       .from("auto_reply")
       .insert([
@@ -60,6 +77,7 @@ class AutoReplyService {
           dept_id: deptId,
           auto_reply_created_by: createdBy,
           auto_reply_updated_by: createdBy,
+          ...this.buildTriggerFields(triggerSettings),
         },
       ])
       .select();
@@ -69,14 +87,30 @@ class AutoReplyService {
     return data[0];
   }
 
+  /**
+   * Get a single auto reply, or null when it does not exist
+   */
+  async getAutoReplyById(autoReplyId) {
+    const { data, error } = await supabase
+      .from("auto_reply")
+      .select("auto_reply_id, auto_reply_trigger, auto_reply_pattern, auto_reply_wait_minutes, auto_reply_cooldown_seconds")
+      .eq("auto_reply_id", autoReplyId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
   /**
    * Update an auto reply
+   * @param {Object} triggerSettings - { trigger, pattern, waitMinutes, cooldownSeconds }
    */
-  async updateAutoReply(autoReplyId, message, deptId, updatedBy) {
+  async updateAutoReply(autoReplyId, message, deptId, updatedBy, triggerSettings = {}) {
     const updateFields = {
       dept_id: deptId,
       auto_reply_updated_by: updatedBy,
       auto_reply_updated_at: new Date(),
+      ...this.buildTriggerFields(triggerSettings),
     };
 
     if (message !== undefined) {
@@ -94,6 +128,18 @@ class AutoReplyService {
     return data[0];
   }
 
+  /**
+   * Map trigger settings onto auto_reply columns, skipping fields that were not provided
+   */
+  buildTriggerFields({ trigger, pattern, waitMinutes, cooldownSeconds }) {
+    const fields = {};
+    if (trigger !== undefined) fields.auto_reply_trigger = trigger;
+    if (pattern !== undefined) fields.auto_reply_pattern = pattern;
+    if (waitMinutes !== undefined) fields.auto_reply_wait_minutes = waitMinutes;
+    if (cooldownSeconds !== undefined) fields.auto_reply_cooldown_seconds = cooldownSeconds;
+    return fields;
+  }
+
   /**
    * Toggle auto reply active status
    */
@@ -112,6 +158,183 @@ class AutoReplyService {
     await cacheService.invalidateAutoReplies();
     return data[0];
   }
+
+  /**
+   * Get active auto replies - cache-aside on the AUTO_REPLY cache
+   * (invalidated by every create/update/toggle above)
+   */
+  async getActiveAutoReplies() {
+    const cached = await cacheService.getAutoReplies();
+    if (cached !== null && cached !== undefined) {
+      return cached;
+    }
+
+    const { data, error } = await supabase
+      .from("auto_reply")
+      .select(`
+        auto_reply_id,
+        auto_reply_message,
+        auto_reply_trigger,
+        auto_reply_pattern,
+        auto_reply_wait_minutes,
+        auto_reply_cooldown_seconds,
+        dept_id
+      `)
+      .eq("auto_reply_is_active", true)
+      .order("auto_reply_id", { ascending: true });
+
+    if (error) throw error;
+
+    const autoReplies = data || [];
+    await cacheService.updateAutoReplies(autoReplies);
+    return autoReplies;
+  }
+
+  /**
+   * Get the active auto replies configured for a department
+   */
+  async getActiveAutoRepliesForDepartment(deptId) {
+    const autoReplies = await this.getActiveAutoReplies();
+    return autoReplies.filter((reply) => String(reply.dept_id) === String(deptId));
+  }
+
+  /**
+   * Post the department's auto reply for a newly opened (or re-queued) chat group.
+   * Greeting rules fire here, or the outside-hours rule when the department is closed.
+   * Returns the inserted chat row, or null when no rule fires.
+   */
+  async sendAutoReply(chatGroupId, deptId) {
+    const rules = getRulesForEvent(
+      await this.getActiveAutoRepliesForDepartment(deptId),
+      AUTO_REPLY_EVENT.CHAT_OPENED,
+    );
+    if (rules.length === 0) return null;
+
+    const context = {
+      event: AUTO_REPLY_EVENT.CHAT_OPENED,
+      isOutsideHours: this.hasTrigger(rules, AUTO_REPLY_TRIGGER.OUTSIDE_HOURS)
+        ? !(await businessHoursService.isDepartmentOpen(deptId))
+        : false,
+    };
+
+    return this.sendFirstAvailable(chatGroupId, matchAutoReplyRules(rules, context));
+  }
+
+  /**
+   * Evaluate trigger rules against a message the client just sent.
+   * Returns the inserted chat row, or null when no rule fires.
+   */
+  async sendAutoReplyForClientMessage(chatGroupId, messageBody) {
+    const { data: chatGroup, error } = await supabase
+      .from("chat_group")
+      .select("chat_group_id, dept_id, status, created_at, queued_at")
+      .eq("chat_group_id", chatGroupId)
+      .single();
+
+    if (error) throw error;
+    if (!chatGroup.dept_id || chatGroup.status === CHAT_STATUS.RESOLVED) return null;
+
+    const rules = getRulesForEvent(
+      await this.getActiveAutoRepliesForDepartment(chatGroup.dept_id),
+      AUTO_REPLY_EVENT.CLIENT_MESSAGE,
+    );
+    if (rules.length === 0) return null;
+
+    // Only gather the context the department's rules actually need
+    const context = {
+      event: AUTO_REPLY_EVENT.CLIENT_MESSAGE,
+      messageBody,
+      isOutsideHours: this.hasTrigger(rules, AUTO_REPLY_TRIGGER.OUTSIDE_HOURS)
+        ? !(await businessHoursService.isDepartmentOpen(chatGroup.dept_id))
+        : false,
+      // Measured from when the chat entered the queue, so a requeued or reopened chat starts over
+      queuedMinutes:
+        chatGroup.status === CHAT_STATUS.QUEUED
+          ? (Date.now() - new Date(chatGroup.queued_at || chatGroup.created_at).getTime()) / 60000
+          : null,
+      isFirstMessage: this.hasTrigger(rules, AUTO_REPLY_TRIGGER.FIRST_MESSAGE)
+        ? (await this.countClientMessages(chatGroupId)) === 1
+        : false,
+    };
+
+    return this.sendFirstAvailable(chatGroupId, matchAutoReplyRules(rules, context));
+  }
+
+  hasTrigger(rules, trigger) {
+    return rules.some((rule) => getTrigger(rule) === trigger);
+  }
+
+  /**
+   * Count messages sent by the client in a chat group
+   */
+  async countClientMessages(chatGroupId) {
+    const { count, error } = await supabase
+      .from("chat")
+      .select("chat_id", { count: "exact", head: true })
+      .eq("chat_group_id", chatGroupId)
+      .not("client_id", "is", null);
+
+    if (error) throw error;
+    return count || 0;
+  }
+
+  /**
+   * Check whether an auto reply was already sent to the chat group within its cooldown
+   */
+  async isInCooldown(chatGroupId, rule) {
+    const cooldownSeconds = rule.auto_reply_cooldown_seconds || 0;
+    if (cooldownSeconds <= 0) return false;
+
+    const { data, error } = await supabase
+      .from("chat")
+      .select("chat_created_at")
+      .eq("chat_group_id", chatGroupId)
+      .eq("auto_reply_id", rule.auto_reply_id)
+      .order("chat_created_at", { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return false;
+
+    return Date.now() - new Date(data.chat_created_at).getTime() < cooldownSeconds * 1000;
+  }
+
+  /**
+   * Send the first matching rule that is not cooling down (one auto reply per event)
+   */
+  async sendFirstAvailable(chatGroupId, matchingRules) {
+    for (const rule of matchingRules) {
+      if (await this.isInCooldown(chatGroupId, rule)) continue;
+      return this.insertAutoReplyMessage(chatGroupId, rule);
+    }
+    return null;
+  }
+
+  /**
+   * Insert an auto reply into a chat group as a system message
+   */
+  async insertAutoReplyMessage(chatGroupId, autoReply) {
+    const { data, error } = await supabase
+      .from("chat")
+      .insert([
+        {
+          chat_body: autoReply.auto_reply_message,
+          chat_group_id: chatGroupId,
+          chat_type: CHAT_MESSAGE_TYPE.SYSTEM,
+          auto_reply_id: autoReply.auto_reply_id,
+          sys_user_id: null,
+          client_id: null,
+        },
+      ])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await cacheService.invalidateChatMessages(chatGroupId);
+    return data;
+  }
 }
 
 module.exports = new AutoReplyService();
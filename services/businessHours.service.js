@@ -0,0 +1,189 @@
+const supabase = require("../helpers/supabaseClient");
+const cacheService = require("./cache.service");
+const {
+  isWithinBusinessHours,
+  getNextOpening,
+  getDefaultBusinessHours,
+} = require("../utils/businessHours");
+
+class BusinessHoursService {
+  /**
+   * Get a department's business hours - cache-aside on the DEPARTMENT cache.
+   * Departments without their own weekly schedule use the BUSINESS_HOURS_* default;
+   * a null schedule means the department is always open.
+   */
+  async getDepartmentBusinessHours(deptId) {
+    const cached = await cacheService.getDepartmentHours(deptId);
+    if (cached !== null && cached !== undefined) {
+      return cached;
+    }
+
+    const [deptResult, hoursResult, holidaysResult] = await Promise.all([
+      supabase
+        .from("department")
+        .select("dept_id, dept_timezone")
+        .eq("dept_id", deptId)
+        .single(),
+      supabase
+        .from("department_hours")
+        .select("day_of_week, open_time, close_time")
+        .eq("dept_id", deptId)
+        .order("day_of_week", { ascending: true })
+        .order("open_time", { ascending: true }),
+      supabase
+        .from("department_holiday")
+        .select("dept_holiday_id, holiday_date, holiday_name")
+        .eq("dept_id", deptId)
+        .order("holiday_date", { ascending: true }),
+    ]);
+
+    if (deptResult.error) throw deptResult.error;
+    if (hoursResult.error) throw hoursResult.error;
+    if (holidaysResult.error) throw holidaysResult.error;
+
+    const defaults = getDefaultBusinessHours();
+    const ownSchedule = (hoursResult.data || []).map((row) => ({
+      day: row.day_of_week,
+      open: row.open_time.slice(0, 5),
+      close: row.close_time.slice(0, 5),
+    }));
+
+    const businessHours = {
+      dept_id: deptResult.data.dept_id,
+      timezone: deptResult.data.dept_timezone || defaults.timeZone,
+      schedule: ownSchedule.length > 0 ? ownSchedule : defaults.schedule,
+      uses_default_schedule: ownSchedule.length === 0,
+      holidays: holidaysResult.data || [],
+    };
+
+    await cacheService.setDepartmentHours(deptId, businessHours);
+    return businessHours;
+  }
+
+  /**
+   * Whether a department is open right now, and when it opens next if not
+   * @returns {Promise<{ is_open: boolean, next_open_at: string|null, timezone: string }>}
+   */
+  async getDepartmentStatus(deptId, now = new Date()) {
+    const { schedule, timezone, holidays } = await this.getDepartmentBusinessHours(deptId);
+
+    if (!schedule) {
+      return { is_open: true, next_open_at: null, timezone };
+    }
+
+    const holidayDates = holidays.map((holiday) => holiday.holiday_date);
+    const isOpen = isWithinBusinessHours(schedule, now, timezone, holidayDates);
+    const nextOpenAt = isOpen ? null : getNextOpening(schedule, now, timezone, holidayDates);
+
+    return {
+      is_open: isOpen,
+      next_open_at: nextOpenAt ? nextOpenAt.toISOString() : null,
+      timezone,
+    };
+  }
+
+  async isDepartmentOpen(deptId) {
+    const { is_open } = await this.getDepartmentStatus(deptId);
+    return is_open;
+  }
+
+  /**
+   * Replace a department's weekly schedule (and optionally its timezone)
+   */
+  async updateWeeklySchedule(deptId, schedule, timezone, updatedBy) {
+    if (timezone !== undefined) {
+      const { error: deptError } = await supabase
+        .from("department")
+        .update({
+          dept_timezone: timezone,
+          dept_updated_by: updatedBy,
+          dept_updated_at: new Date(),
+        })
+        .eq("dept_id", deptId);
+
+      if (deptError) throw deptError;
+      await cacheService.invalidateDepartments();
+    }
+
+    // Write the new windows before removing the old ones, so a failed write
+    // leaves the previous schedule in place rather than no hours at all
+    let keptIds = [];
+    if (schedule.length > 0) {
+      const { data: saved, error: saveError } = await supabase
+        .from("department_hours")
+        .upsert(
+          schedule.map((window) => ({
+            dept_id: deptId,
+            day_of_week: window.day,
+            open_time: window.open,
+            close_time: window.close,
+            dept_hours_updated_by: updatedBy,
+            dept_hours_updated_at: new Date(),
+          })),
+          { onConflict: "dept_id,day_of_week,open_time" },
+        )
+        .select("dept_hours_id");
+
+      if (saveError) throw saveError;
+      keptIds = saved.map((row) => row.dept_hours_id);
+    }
+
+    let removeQuery = supabase.from("department_hours").delete().eq("dept_id", deptId);
+    if (keptIds.length) {
+      removeQuery = removeQuery.not("dept_hours_id", "in", `(${keptIds.join(",")})`);
+    }
+
+    const { error: removeError } = await removeQuery;
+    if (removeError) throw removeError;
+
+    await cacheService.invalidateDepartmentHours(deptId);
+    console.log(`🕘 Updated business hours for dept ${deptId} (${schedule.length} windows)`);
+
+    return this.getDepartmentBusinessHours(deptId);
+  }
+
+  /**
+   * Add a holiday on which the department is closed all day
+   */
+  async addHoliday(deptId, holidayDate, holidayName, createdBy) {
+    const { data, error } = await supabase
+      .from("department_holiday")
+      .insert([
+        {
+          dept_id: deptId,
+          holiday_date: holidayDate,
+          holiday_name: holidayName || null,
+          holiday_created_by: createdBy,
+        },
+      ])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await cacheService.invalidateDepartmentHours(deptId);
+    return data;
+  }
+
+  /**
+   * Remove a holiday from a department's calendar
+   */
+  async removeHoliday(deptId, holidayId) {
+    const { data, error } = await supabase
+      .from("department_holiday")
+      .delete()
+      .eq("dept_holiday_id", holidayId)
+      .eq("dept_id", deptId)
+      .select();
+
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      throw new Error("Holiday not found");
+    }
+
+    await cacheService.invalidateDepartmentHours(deptId);
+    return data[0];
+  }
+}
+
+module.exports = new BusinessHoursService();
@@ -56,6 +56,18 @@ class CacheService {
     return await this.cache.delete("DEPARTMENT", "all");
   }
 
+  async getDepartmentHours(deptId) {
+    return await this.cache.get("DEPARTMENT", `hours_${deptId}`);
+  }
+
+  async setDepartmentHours(deptId, hours) {
+    return await this.cache.set("DEPARTMENT", `hours_${deptId}`, hours);
+  }
+
+  async invalidateDepartmentHours(deptId) {
+    return await this.cache.delete("DEPARTMENT", `hours_${deptId}`);
+  }
+
   /**
    * ROLE CACHING (Cache-Aside)
    */
@@ -1,6 +1,10 @@
 const supabase = require("../helpers/supabaseClient");
 const cacheService = require("./cache.service");
 const agentAssignmentService = require("./agentAssignment.service");
+const attachmentService = require("./attachment.service");
+const chatEventService = require("./chatEvent.service");
+const { ASSIGNMENT_RULE, CHAT_EVENT_TYPE, TRANSFER_TYPE } = require("../constants/statuses");
+const { agentActor, clientActor } = require("../utils/chatEvents");
 const {
   determineSenderType,
   getSenderName,
@@ -273,7 +277,7 @@ class ChatService {
             .reverse();
 
           return {
-            messages: processedMessages,
+            messages: await attachmentService.withSignedUrls(processedMessages),
             totalCount: processedMessages.length,
           };
         }
@@ -286,12 +290,30 @@ class ChatService {
           `
           chat_id,
           chat_body,
+          chat_type,
           chat_created_at,
           chat_group_id,
           client_id,
           sys_user_id,
           chat_delivered_at,
           chat_read_at,
+          chat_reply_to_id,
+          chat_edited_at,
+          chat_deleted_at,
+          reply_to:chat!chat_reply_to_id(
+            chat_id,
+            chat_body,
+            sys_user_id,
+            client_id,
+            chat_deleted_at
+          ),
+          attachments:chat_attachment(
+            attachment_id,
+            attachment_storage_path,
+            attachment_file_name,
+            attachment_mime_type,
+            attachment_size_bytes
+          ),
           sys_user:sys_user(
             sys_user_id,
             prof_id,
@@ -369,6 +391,10 @@ class ChatService {
           transferText = `Chat transferred to ${toDept}`;
         } else if (transferType === "agent_offline") {
           transferText = "Chat reassigned (previous agent went offline)";
+        } else if (transferType === "overflow") {
+          transferText = `Chat moved to ${toDept} (queue wait exceeded)`;
+        } else if (transferType === "abandoned") {
+          transferText = "Chat closed (no agent available in time)";
         } else {
           transferText = "Chat transferred";
         }
@@ -425,7 +451,7 @@ class ChatService {
       }
 
       return {
-        messages,
+        messages: await attachmentService.withSignedUrls(messages),
         totalCount: messages.length,
       };
     } catch (error) {
@@ -525,11 +551,23 @@ class ChatService {
         .update({
           dept_id: deptId,
           sys_user_id: null,
+          queued_at: new Date().toISOString(),
+          queue_escalated_at: null,
         })
         .eq("chat_group_id", chatGroupId);
 
       if (updateError) throw updateError;
 
+      await chatEventService.record(chatGroupId, CHAT_EVENT_TYPE.TRANSFERRED, {
+        actor: agentActor(userId),
+        data: {
+          transfer_type: TRANSFER_TYPE.MANUAL,
+          from_dept_id: fromDeptId,
+          to_dept_id: deptId,
+          from_agent_id: fromAgentId,
+        },
+      });
+
       // Use round-robin to auto-assign to an available agent in the new department
       const assignmentResult = await agentAssignmentService.autoAssignChatGroup(
         chatGroupId,
@@ -643,6 +681,7 @@ class ChatService {
           from_dept_id: fromDeptId,
           to_dept_id: toDeptId,
           transfer_type: "manual",
+          assignment_rule: ASSIGNMENT_RULE.AGENT_TRANSFER,
           transferred_at: new Date().toISOString(),
         });
 
@@ -657,11 +696,28 @@ class ChatService {
           sys_user_id: agentId,
           dept_id: toDeptId,
           status: "active",
+          queue_reason: null,
+          assigned_at: new Date().toISOString(),
+          assignment_rule: ASSIGNMENT_RULE.AGENT_TRANSFER,
+          preferred_agent_id: null,
+          preferred_agent_until: null,
         })
         .eq("chat_group_id", chatGroupId);
 
       if (updateError) throw updateError;
 
+      await chatEventService.record(chatGroupId, CHAT_EVENT_TYPE.TRANSFERRED, {
+        actor: agentActor(userId),
+        data: {
+          transfer_type: TRANSFER_TYPE.MANUAL,
+          from_dept_id: fromDeptId,
+          to_dept_id: toDeptId,
+          from_agent_id: fromAgentId,
+          to_agent_id: agentId,
+          assignment_rule: ASSIGNMENT_RULE.AGENT_TRANSFER,
+        },
+      });
+
       console.log(
         `✅ Chat ${chatGroupId} transferred directly from agent ${fromAgentId} to agent ${agentId}`,
       );
@@ -692,8 +748,9 @@ class ChatService {
 
   /**
    * Resolve chat group (mark as resolved)
+   * @param {{ dispositionId?: number, dispositionNote?: string }} wrapUp - Disposition already checked by WrapUpService
    */
-  async resolveChatGroup(chatGroupId, userId, feedbackData = {}) {
+  async resolveChatGroup(chatGroupId, userId, feedbackData = {}, { dispositionId = null, dispositionNote = null } = {}) {
     try {
       // Start a transaction to handle both chat resolution and feedback
       const { data: chatGroup, error: chatError } = await supabase
@@ -701,6 +758,9 @@ class ChatService {
         .update({
           status: "resolved",
           resolved_at: new Date().toISOString(),
+          disposition_id: dispositionId,
+          disposition_note: dispositionNote,
+          disposition_set_by: dispositionId ? userId : null,
         })
         .eq("chat_group_id", chatGroupId)
         .eq("sys_user_id", userId) // Ensure only the assigned user can resolve
@@ -715,18 +775,22 @@ class ChatService {
         );
       }
 
-      // If feedback data is provided, store it
+      // If feedback data is provided, store it (a reopened chat keeps one row, with the latest feedback)
       let feedbackRecord = null;
       if (feedbackData.rating || feedbackData.feedback) {
         const { data: feedback, error: feedbackError } = await supabase
           .from("chat_feedback")
-          .insert({
-            chat_group_id: chatGroupId,
-            client_id: chatGroup.client_id,
-            rating: feedbackData.rating || null,
-            feedback_text: feedbackData.feedback || null,
-            message_count: feedbackData.messageCount || null,
-          })
+          .upsert(
+            {
+              chat_group_id: chatGroupId,
+              client_id: chatGroup.client_id,
+              rating: feedbackData.rating || null,
+              feedback_text: feedbackData.feedback || null,
+              message_count: feedbackData.messageCount || null,
+              created_at: new Date().toISOString(),
+            },
+            { onConflict: "chat_group_id" },
+          )
           .select()
           .single();
 
@@ -743,6 +807,18 @@ class ChatService {
         }
       }
 
+      await chatEventService.record(chatGroupId, CHAT_EVENT_TYPE.RESOLVED, {
+        actor: agentActor(userId),
+        data: { disposition_id: dispositionId },
+      });
+
+      if (feedbackRecord) {
+        await chatEventService.record(chatGroupId, CHAT_EVENT_TYPE.FEEDBACK, {
+          actor: clientActor(chatGroup.client_id),
+          data: { rating: feedbackRecord.rating },
+        });
+      }
+
       await cacheService.invalidateChatMessages(chatGroupId);
 
       // Invalidate user's active and resolved chat groups cache
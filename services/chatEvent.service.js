@@ -0,0 +1,116 @@
+const supabase = require("../helpers/supabaseClient");
+const {
+  SYSTEM_ACTOR,
+  buildChatEventRow,
+  collectReferencedIds,
+  isMonitorEvent,
+  formatTimelineEvent,
+} = require("../utils/chatEvents");
+
+const formatName = (profile) =>
+  profile ? `${profile.prof_firstname || ""} ${profile.prof_lastname || ""}`.trim() || null : null;
+
+class ChatEventService {
+  /**
+   * Append an event to a chat's timeline. Best-effort like the transfer log:
+   * a failure is logged and never interrupts the action being recorded.
+   * @param {{ actor?: Object, data?: Object }} options - actor from agentActor/clientActor (default system)
+   */
+  async record(chatGroupId, eventType, { actor = SYSTEM_ACTOR, data = {} } = {}) {
+    try {
+      const { error } = await supabase
+        .from("chat_event")
+        .insert([buildChatEventRow(chatGroupId, eventType, actor, data)]);
+
+      if (error) throw error;
+    } catch (error) {
+      console.error(`⚠️ Failed to record ${eventType} event for chat ${chatGroupId}:`, error.message);
+    }
+  }
+
+  /**
+   * Ordered events for a chat with their actors and descriptions
+   * @param {{ includeMonitors?: boolean }} options - Supervisor monitoring is only shown to supervisors
+   */
+  async getTimeline(chatGroupId, { includeMonitors = false } = {}) {
+    const { data: chatGroup, error: groupError } = await supabase
+      .from("chat_group")
+      .select("chat_group_id")
+      .eq("chat_group_id", chatGroupId)
+      .maybeSingle();
+
+    if (groupError) throw groupError;
+    if (!chatGroup) throw new Error("Chat group not found");
+
+    const { data, error } = await supabase
+      .from("chat_event")
+      .select(`
+        chat_event_id,
+        event_type,
+        actor_type,
+        actor_sys_user_id,
+        actor_client_id,
+        event_data,
+        created_at,
+        actor_agent:sys_user!actor_sys_user_id(
+          profile:profile(prof_firstname, prof_lastname)
+        ),
+        actor_client:client!actor_client_id(
+          profile:profile(prof_firstname, prof_lastname)
+        )
+      `)
+      .eq("chat_group_id", chatGroupId)
+      .order("created_at", { ascending: true })
+      .order("chat_event_id", { ascending: true });
+
+    if (error) throw error;
+
+    const events = (data || [])
+      .filter((event) => includeMonitors || !isMonitorEvent(event))
+      .map(({ actor_agent, actor_client, ...event }) => ({
+        ...event,
+        actor_name: event.actor_client_id
+          ? formatName(actor_client?.profile) || "Client"
+          : formatName(actor_agent?.profile),
+      }));
+
+    const names = await this.getReferencedNames(events);
+    return events.map((event) => formatTimelineEvent(event, names));
+  }
+
+  /**
+   * Names of the agents and departments events refer to, keyed by id
+   */
+  async getReferencedNames(events) {
+    const { agentIds, deptIds } = collectReferencedIds(events);
+
+    const [agentsResult, deptsResult] = await Promise.all([
+      agentIds.length
+        ? supabase
+            .from("sys_user")
+            .select("sys_user_id, profile:profile(prof_firstname, prof_lastname)")
+            .in("sys_user_id", agentIds)
+        : { data: [] },
+      deptIds.length
+        ? supabase.from("department").select("dept_id, dept_name").in("dept_id", deptIds)
+        : { data: [] },
+    ]);
+
+    if (agentsResult.error) throw agentsResult.error;
+    if (deptsResult.error) throw deptsResult.error;
+
+    const agentNames = {};
+    (agentsResult.data || []).forEach((user) => {
+      agentNames[user.sys_user_id] = formatName(user.profile);
+    });
+
+    const deptNames = {};
+    (deptsResult.data || []).forEach((dept) => {
+      deptNames[dept.dept_id] = dept.dept_name;
+    });
+
+    return { agentNames, deptNames };
+  }
+}
+
+module.exports = new ChatEventService();
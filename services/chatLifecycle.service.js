@@ -0,0 +1,349 @@
+const supabase = require("../helpers/supabaseClient");
+const cacheService = require("./cache.service");
+const agentAssignmentService = require("./agentAssignment.service");
+const chatEventService = require("./chatEvent.service");
+const { CHAT_STATUS, ASSIGNMENT_RULE, CHAT_EVENT_TYPE, QUEUE_REASON } = require("../constants/statuses");
+const { SYSTEM_ACTOR, agentActor, clientActor } = require("../utils/chatEvents");
+const {
+  CHAT_LIFECYCLE_ERRORS,
+  REACTIVATION_REASON,
+  getClientMessageReactivation,
+} = require("../utils/chatLifecycle");
+
+const REACTIVATION_COLUMNS = `
+  chat_group_id,
+  client_id,
+  dept_id,
+  sys_user_id,
+  status,
+  resolved_at,
+  reopen_count,
+  department:dept_id(dept_reopen_window_minutes)
+`;
+
+class ChatLifecycleService {
+  /**
+   * Chat group assigned to the agent, for snoozing and waking
+   */
+  async getOwnedChatGroup(chatGroupId, userId) {
+    const { data, error } = await supabase
+      .from("chat_group")
+      .select(REACTIVATION_COLUMNS)
+      .eq("chat_group_id", chatGroupId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data || String(data.sys_user_id) !== String(userId)) {
+      throw new Error(CHAT_LIFECYCLE_ERRORS.NOT_FOUND);
+    }
+
+    return data;
+  }
+
+  /**
+   * Park an active chat as pending. The agent keeps it, but it no longer counts
+   * toward their concurrent chats until it wakes.
+   * @param {string|null} snoozedUntil - Wake time, or null to wait for the client's reply
+   */
+  async snoozeChatGroup(chatGroupId, userId, snoozedUntil = null) {
+    const chatGroup = await this.getOwnedChatGroup(chatGroupId, userId);
+
+    if (chatGroup.status !== CHAT_STATUS.ACTIVE) {
+      throw new Error(CHAT_LIFECYCLE_ERRORS.NOT_ACTIVE);
+    }
+
+    const { data, error } = await supabase
+      .from("chat_group")
+      .update({
+        status: CHAT_STATUS.PENDING,
+        snoozed_at: new Date().toISOString(),
+        snoozed_until: snoozedUntil,
+        snoozed_by: userId,
+      })
+      .eq("chat_group_id", chatGroupId)
+      .eq("status", CHAT_STATUS.ACTIVE)
+      .select("chat_group_id, client_id, dept_id, sys_user_id, status, snoozed_at, snoozed_until, snoozed_by")
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new Error(CHAT_LIFECYCLE_ERRORS.NOT_ACTIVE);
+
+    await cacheService.invalidateUserChatGroups(userId);
+
+    await chatEventService.record(chatGroupId, CHAT_EVENT_TYPE.SNOOZED, {
+      actor: agentActor(userId),
+      data: { snoozed_until: snoozedUntil },
+    });
+
+    console.log(`💤 Chat ${chatGroupId} snoozed by agent ${userId} until ${snoozedUntil || "client reply"}`);
+    return data;
+  }
+
+  /**
+   * Get the agent's pending (snoozed) chat groups
+   */
+  async getPendingChatGroupsByUser(userId) {
+    const { data, error } = await supabase
+      .from("chat_group")
+      .select(
+        `
+          chat_group_id,
+          dept_id,
+          sys_user_id,
+          status,
+          snoozed_at,
+          snoozed_until,
+          department:department(dept_name),
+          client:client!chat_group_client_id_fkey(
+            client_id,
+            client_number,
+            prof_id,
+            profile:profile(
+              prof_firstname,
+              prof_lastname
+            )
+          )
+        `,
+      )
+      .eq("status", CHAT_STATUS.PENDING)
+      .eq("sys_user_id", userId)
+      .order("snoozed_until", { ascending: true, nullsFirst: false });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Wake one of the agent's pending chats early. It goes straight back to them.
+   */
+  async wakeChatGroup(chatGroupId, userId) {
+    const chatGroup = await this.getOwnedChatGroup(chatGroupId, userId);
+
+    if (chatGroup.status !== CHAT_STATUS.PENDING) {
+      throw new Error(CHAT_LIFECYCLE_ERRORS.NOT_PENDING);
+    }
+
+    const result = await this.reactivate(chatGroup, REACTIVATION_REASON.AGENT_WAKE, { agentId: userId });
+    if (!result) throw new Error(CHAT_LIFECYCLE_ERRORS.NOT_PENDING);
+    return result;
+  }
+
+  /**
+   * Run once a client's message has passed its checks, just before it is stored: wakes a
+   * pending chat, or reopens a resolved one still inside its department's reopen window.
+   * @returns {Promise<Object|null>} Reactivation result for notifications, or null if nothing changed
+   */
+  async reactivateOnClientMessage(chatGroupId, clientId) {
+    const { data: chatGroup, error } = await supabase
+      .from("chat_group")
+      .select(REACTIVATION_COLUMNS)
+      .eq("chat_group_id", chatGroupId)
+      .eq("client_id", clientId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!chatGroup) return null;
+
+    const reason = getClientMessageReactivation(
+      chatGroup,
+      chatGroup.department?.dept_reopen_window_minutes ?? 0,
+    );
+    if (!reason) return null;
+
+    return this.reactivate(chatGroup, reason);
+  }
+
+  /**
+   * Client's most recently resolved chat in the department, if it can still be reopened
+   */
+  async findReopenableChatGroup(clientId, deptId) {
+    const { data: chatGroup, error } = await supabase
+      .from("chat_group")
+      .select(REACTIVATION_COLUMNS)
+      .eq("client_id", clientId)
+      .eq("dept_id", deptId)
+      .eq("status", CHAT_STATUS.RESOLVED)
+      .order("resolved_at", { ascending: false, nullsFirst: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!chatGroup) return null;
+
+    const reason = getClientMessageReactivation(
+      chatGroup,
+      chatGroup.department?.dept_reopen_window_minutes ?? 0,
+    );
+    return reason === REACTIVATION_REASON.REOPENED ? chatGroup : null;
+  }
+
+  /**
+   * Reopen a resolved chat found by findReopenableChatGroup
+   */
+  async reopenChatGroup(chatGroup) {
+    return this.reactivate(chatGroup, REACTIVATION_REASON.REOPENED);
+  }
+
+  /**
+   * Wake pending chats whose snooze time has passed
+   * @returns {Promise<Array>} Reactivation results, for socket notifications
+   */
+  async wakeDueSnoozes() {
+    const { data: due, error } = await supabase
+      .from("chat_group")
+      .select(REACTIVATION_COLUMNS)
+      .eq("status", CHAT_STATUS.PENDING)
+      .lte("snoozed_until", new Date().toISOString())
+      .order("snoozed_until", { ascending: true });
+
+    if (error) throw error;
+    if (!due?.length) return [];
+
+    const results = [];
+    for (const chatGroup of due) {
+      try {
+        const result = await this.reactivate(chatGroup, REACTIVATION_REASON.SNOOZE_EXPIRED);
+        if (result) results.push(result);
+      } catch (e) {
+        console.error(`❌ Error waking snoozed chat ${chatGroup.chat_group_id}:`, e.message);
+      }
+    }
+
+    if (results.length > 0) {
+      console.log(`⏰ Woke ${results.length} snoozed chats`);
+    }
+    return results;
+  }
+
+  /**
+   * The chat's original agent, if they are accepting chats in its department and have room
+   */
+  async getReturningAgent(agentId, deptId) {
+    if (!agentId) return null;
+
+    const available = await agentAssignmentService.getAvailableAgents(deptId);
+    if (!available.includes(agentId)) return null;
+
+    const [workloads, capacities] = await Promise.all([
+      agentAssignmentService.getAgentWorkloads([agentId]),
+      agentAssignmentService.getAgentCapacities([agentId]),
+    ]);
+    return workloads[agentId] < capacities[agentId] ? agentId : null;
+  }
+
+  /**
+   * Make a pending or resolved chat active again. It goes back to its original agent
+   * when they are available; otherwise it is routed like a new chat.
+   * Only the caller that moves the chat out of its current status does the work,
+   * so a client message racing the wake-up sweep reactivates it once.
+   * @param {{ agentId?: number }} options - Agent to hand the chat to regardless of availability
+   * @returns {Promise<Object|null>} null when the chat had already changed status
+   */
+  async reactivate(chatGroup, reason, { agentId = null } = {}) {
+    const chatGroupId = chatGroup.chat_group_id;
+    const previousAgentId = chatGroup.sys_user_id;
+    const now = new Date().toISOString();
+
+    const targetAgentId = agentId || (await this.getReturningAgent(previousAgentId, chatGroup.dept_id));
+
+    const update = {
+      snoozed_at: null,
+      snoozed_until: null,
+      snoozed_by: null,
+      queue_reason: null,
+      ...(targetAgentId
+        ? {
+            status: CHAT_STATUS.ACTIVE,
+            sys_user_id: targetAgentId,
+            assigned_at: now,
+            assignment_rule: ASSIGNMENT_RULE.PREVIOUS_AGENT,
+          }
+        : {
+            status: CHAT_STATUS.QUEUED,
+            sys_user_id: null,
+            queue_reason: QUEUE_REASON.NO_AGENTS,
+            ...agentAssignmentService.getQueueEntryFields(new Date(now)),
+          }),
+    };
+
+    if (reason === REACTIVATION_REASON.REOPENED) {
+      update.resolved_at = null;
+      update.reopened_at = now;
+      update.reopen_count = (chatGroup.reopen_count || 0) + 1;
+      // The wrap-up and feedback link belonged to the previous resolution
+      update.disposition_id = null;
+      update.disposition_note = null;
+      update.disposition_set_by = null;
+      update.feedback_id = null;
+    }
+
+    const { data, error } = await supabase
+      .from("chat_group")
+      .update(update)
+      .eq("chat_group_id", chatGroupId)
+      .eq("status", chatGroup.status)
+      .select("chat_group_id")
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return null;
+
+    await chatEventService.record(chatGroupId, CHAT_EVENT_TYPE.REACTIVATED, {
+      actor: this.getReactivationActor(chatGroup, reason, agentId),
+      data: { reason, previous_status: chatGroup.status },
+    });
+
+    if (targetAgentId) {
+      await chatEventService.record(chatGroupId, CHAT_EVENT_TYPE.ASSIGNED, {
+        data: { agent_id: targetAgentId, assignment_rule: ASSIGNMENT_RULE.PREVIOUS_AGENT },
+      });
+    } else {
+      await chatEventService.record(chatGroupId, CHAT_EVENT_TYPE.QUEUED, {
+        data: { queue_reason: QUEUE_REASON.NO_AGENTS },
+      });
+    }
+
+    if (previousAgentId) {
+      await cacheService.invalidateUserChatGroups(previousAgentId);
+      if (reason === REACTIVATION_REASON.REOPENED) {
+        await cacheService.invalidateResolvedUserChatGroups(previousAgentId);
+      }
+    }
+
+    const assignment = targetAgentId
+      ? { assigned: true, status: CHAT_STATUS.ACTIVE, agentId: targetAgentId }
+      : await agentAssignmentService.autoAssignChatGroup(chatGroupId, chatGroup.dept_id);
+
+    if (targetAgentId) {
+      await cacheService.invalidateUserChatGroups(targetAgentId);
+    }
+
+    console.log(
+      `🔓 Chat ${chatGroupId} ${chatGroup.status} → ${assignment.status} (${reason})` +
+        (assignment.assigned ? ` with agent ${assignment.agentId}` : ""),
+    );
+
+    return {
+      chat_group_id: chatGroupId,
+      client_id: chatGroup.client_id,
+      dept_id: chatGroup.dept_id,
+      reason,
+      previous_status: chatGroup.status,
+      previous_agent_id: previousAgentId,
+      assigned: assignment.assigned,
+      status: assignment.status,
+      agent_id: assignment.agentId || null,
+      queue_reason: assignment.queueReason || null,
+      next_open_at: assignment.nextOpenAt || null,
+    };
+  }
+
+  getReactivationActor(chatGroup, reason, agentId) {
+    if (reason === REACTIVATION_REASON.AGENT_WAKE) return agentActor(agentId);
+    if (reason === REACTIVATION_REASON.SNOOZE_EXPIRED) return SYSTEM_ACTOR;
+    return clientActor(chatGroup.client_id);
+  }
+}
+
+module.exports = new ChatLifecycleService();
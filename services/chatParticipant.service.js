@@ -0,0 +1,342 @@
+const supabase = require("../helpers/supabaseClient");
+const cacheService = require("./cache.service");
+const chatEventService = require("./chatEvent.service");
+const {
+  CHAT_STATUS,
+  CHAT_MESSAGE_TYPE,
+  CHAT_EVENT_TYPE,
+  ASSIGNMENT_RULE,
+  PARTICIPANT_ROLE,
+} = require("../constants/statuses");
+const { agentActor } = require("../utils/chatEvents");
+const {
+  PARTICIPANT_ERRORS,
+  getInviteError,
+  getRemoveError,
+  describeParticipantChange,
+} = require("../utils/chatParticipants");
+
+const PARTICIPANT_COLUMNS = `
+  chat_participant_id,
+  chat_group_id,
+  sys_user_id,
+  participant_role,
+  invited_by,
+  joined_at,
+  left_at
+`;
+
+class ChatParticipantService {
+  async getChatGroup(chatGroupId) {
+    const { data, error } = await supabase
+      .from("chat_group")
+      .select("chat_group_id, client_id, dept_id, sys_user_id, status")
+      .eq("chat_group_id", chatGroupId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new Error(PARTICIPANT_ERRORS.CHAT_NOT_FOUND);
+    return data;
+  }
+
+  /**
+   * The agent's open participation in a chat, if any
+   */
+  async getActiveParticipant(chatGroupId, userId) {
+    const { data, error } = await supabase
+      .from("chat_participant")
+      .select(PARTICIPANT_COLUMNS)
+      .eq("chat_group_id", chatGroupId)
+      .eq("sys_user_id", userId)
+      .is("left_at", null)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Agents currently in a chat besides its assigned agent
+   * @param {{ includeMonitors?: boolean }} options - Monitors are only shown to supervisors
+   */
+  async getParticipants(chatGroupId, { includeMonitors = false } = {}) {
+    let query = supabase
+      .from("chat_participant")
+      .select(`
+        ${PARTICIPANT_COLUMNS},
+        sys_user:sys_user_id(
+          sys_user_id,
+          profile:prof_id(prof_firstname, prof_lastname)
+        )
+      `)
+      .eq("chat_group_id", chatGroupId)
+      .is("left_at", null)
+      .order("joined_at", { ascending: true });
+
+    if (!includeMonitors) {
+      query = query.eq("participant_role", PARTICIPANT_ROLE.COLLABORATOR);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    return (data || []).map(({ sys_user, ...participant }) => ({
+      ...participant,
+      name: this.formatName(sys_user?.profile),
+    }));
+  }
+
+  /**
+   * Active agent's display name, or null if they do not exist or are inactive
+   */
+  async getActiveAgentName(userId) {
+    const { data, error } = await supabase
+      .from("sys_user")
+      .select("sys_user_id, sys_user_is_active, profile:prof_id(prof_firstname, prof_lastname)")
+      .eq("sys_user_id", userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data || !data.sys_user_is_active) return null;
+
+    return this.formatName(data.profile) || "Agent";
+  }
+
+  formatName(profile) {
+    if (!profile) return null;
+    return `${profile.prof_firstname || ""} ${profile.prof_lastname || ""}`.trim() || null;
+  }
+
+  /**
+   * Invite another agent to help with a chat. They can read and message the client
+   * alongside the assigned agent. A supervisor already monitoring becomes a collaborator.
+   * @param {{ canMonitor?: boolean }} options - Inviter has priv_can_monitor_chats
+   * @returns {Promise<{ participant: Object, chatGroup: Object, message: Object|null }>}
+   */
+  async inviteCollaborator(chatGroupId, agentId, inviterId, { canMonitor = false } = {}) {
+    const chatGroup = await this.getChatGroup(chatGroupId);
+
+    const inviteError = getInviteError(chatGroup, inviterId, agentId, { canMonitor });
+    if (inviteError) throw new Error(inviteError);
+
+    const agentName = await this.getActiveAgentName(agentId);
+    if (!agentName) throw new Error(PARTICIPANT_ERRORS.AGENT_NOT_FOUND);
+
+    const existing = await this.getActiveParticipant(chatGroupId, agentId);
+    if (existing?.participant_role === PARTICIPANT_ROLE.COLLABORATOR) {
+      throw new Error(PARTICIPANT_ERRORS.ALREADY_PARTICIPATING);
+    }
+
+    const participant = existing
+      ? await this.changeRole(existing, PARTICIPANT_ROLE.COLLABORATOR, inviterId)
+      : await this.addParticipant(chatGroupId, agentId, PARTICIPANT_ROLE.COLLABORATOR, inviterId);
+
+    const message = await this.postSystemMessage(chatGroupId, describeParticipantChange(agentName, true));
+    await this.recordParticipantEvent(participant, CHAT_EVENT_TYPE.PARTICIPANT_JOINED, inviterId);
+
+    console.log(`👥 Agent ${agentId} invited to chat ${chatGroupId} by ${inviterId}`);
+    return { participant: { ...participant, name: agentName }, chatGroup, message };
+  }
+
+  /**
+   * Silently watch an active chat. Nothing is posted and the client never sees the supervisor.
+   */
+  async startMonitoring(chatGroupId, supervisorId) {
+    const chatGroup = await this.getChatGroup(chatGroupId);
+
+    if (chatGroup.status !== CHAT_STATUS.ACTIVE) {
+      throw new Error(PARTICIPANT_ERRORS.CHAT_NOT_ACTIVE);
+    }
+    if (String(chatGroup.sys_user_id) === String(supervisorId)) {
+      throw new Error(PARTICIPANT_ERRORS.ALREADY_ASSIGNED);
+    }
+
+    const existing = await this.getActiveParticipant(chatGroupId, supervisorId);
+    if (existing) return existing;
+
+    const participant = await this.addParticipant(chatGroupId, supervisorId, PARTICIPANT_ROLE.MONITOR, null);
+    await this.recordParticipantEvent(participant, CHAT_EVENT_TYPE.PARTICIPANT_JOINED, supervisorId);
+
+    console.log(`👀 Supervisor ${supervisorId} monitoring chat ${chatGroupId}`);
+    return participant;
+  }
+
+  /**
+   * Take an agent out of a chat (or leave it). Collaborators leaving shows in the timeline.
+   * @returns {Promise<{ participant: Object, message: Object|null }>}
+   */
+  async removeParticipant(chatGroupId, agentId, removerId, { canMonitor = false } = {}) {
+    const chatGroup = await this.getChatGroup(chatGroupId);
+
+    const removeError = getRemoveError(chatGroup, removerId, agentId, { canMonitor });
+    if (removeError) throw new Error(removeError);
+
+    const existing = await this.getActiveParticipant(chatGroupId, agentId);
+    if (!existing) throw new Error(PARTICIPANT_ERRORS.NOT_PARTICIPATING);
+
+    const participant = await this.closeParticipant(existing.chat_participant_id);
+    await this.recordParticipantEvent(participant, CHAT_EVENT_TYPE.PARTICIPANT_LEFT, removerId);
+
+    let message = null;
+    if (participant.participant_role === PARTICIPANT_ROLE.COLLABORATOR) {
+      const agentName = await this.getActiveAgentName(agentId);
+      message = await this.postSystemMessage(chatGroupId, describeParticipantChange(agentName, false));
+    }
+
+    console.log(`👋 Agent ${agentId} left chat ${chatGroupId} (${participant.participant_role})`);
+    return { participant, message };
+  }
+
+  /**
+   * A supervisor takes over an active chat. The agent they replace stays on as a collaborator.
+   * Only one caller wins when the chat is reassigned concurrently.
+   */
+  async bargeIn(chatGroupId, supervisorId) {
+    const chatGroup = await this.getChatGroup(chatGroupId);
+
+    if (chatGroup.status !== CHAT_STATUS.ACTIVE) {
+      throw new Error(PARTICIPANT_ERRORS.CHAT_NOT_ACTIVE);
+    }
+    if (String(chatGroup.sys_user_id) === String(supervisorId)) {
+      throw new Error(PARTICIPANT_ERRORS.ALREADY_ASSIGNED);
+    }
+
+    const previousAgentId = chatGroup.sys_user_id;
+
+    let query = supabase
+      .from("chat_group")
+      .update({
+        sys_user_id: supervisorId,
+        assigned_at: new Date().toISOString(),
+        assignment_rule: ASSIGNMENT_RULE.BARGE_IN,
+      })
+      .eq("chat_group_id", chatGroupId)
+      .eq("status", CHAT_STATUS.ACTIVE);
+
+    query = previousAgentId === null
+      ? query.is("sys_user_id", null)
+      : query.eq("sys_user_id", previousAgentId);
+
+    const { data, error } = await query.select("chat_group_id").maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new Error(PARTICIPANT_ERRORS.CHAT_NOT_ACTIVE);
+
+    // Supervisor is now the assigned agent rather than a participant
+    const ownRow = await this.getActiveParticipant(chatGroupId, supervisorId);
+    if (ownRow) {
+      const closed = await this.closeParticipant(ownRow.chat_participant_id);
+      await this.recordParticipantEvent(closed, CHAT_EVENT_TYPE.PARTICIPANT_LEFT, supervisorId);
+    }
+
+    await chatEventService.record(chatGroupId, CHAT_EVENT_TYPE.ASSIGNED, {
+      actor: agentActor(supervisorId),
+      data: { agent_id: supervisorId, assignment_rule: ASSIGNMENT_RULE.BARGE_IN, previous_agent_id: previousAgentId },
+    });
+
+    if (previousAgentId) {
+      const stayingOn = await this.addParticipant(chatGroupId, previousAgentId, PARTICIPANT_ROLE.COLLABORATOR, supervisorId);
+      await this.recordParticipantEvent(stayingOn, CHAT_EVENT_TYPE.PARTICIPANT_JOINED, supervisorId);
+      await cacheService.invalidateUserChatGroups(previousAgentId);
+    }
+    await cacheService.invalidateUserChatGroups(supervisorId);
+
+    const supervisorName = await this.getActiveAgentName(supervisorId);
+    const message = await this.postSystemMessage(chatGroupId, describeParticipantChange(supervisorName, true));
+
+    console.log(`🚨 Supervisor ${supervisorId} barged in on chat ${chatGroupId} (was agent ${previousAgentId})`);
+
+    return {
+      chat_group_id: chatGroup.chat_group_id,
+      client_id: chatGroup.client_id,
+      dept_id: chatGroup.dept_id,
+      previous_agent_id: previousAgentId,
+      agent_id: supervisorId,
+      agent_name: supervisorName,
+      message,
+    };
+  }
+
+  async addParticipant(chatGroupId, userId, role, invitedBy) {
+    const { data, error } = await supabase
+      .from("chat_participant")
+      .insert([
+        {
+          chat_group_id: chatGroupId,
+          sys_user_id: userId,
+          participant_role: role,
+          invited_by: invitedBy,
+        },
+      ])
+      .select(PARTICIPANT_COLUMNS)
+      .single();
+
+    if (!error) return data;
+    if (error.code !== "23505") throw error;
+
+    // Joined concurrently - use the row that won
+    const existing = await this.getActiveParticipant(chatGroupId, userId);
+    return existing.participant_role === role ? existing : this.changeRole(existing, role, invitedBy);
+  }
+
+  async changeRole(participant, role, invitedBy) {
+    const { data, error } = await supabase
+      .from("chat_participant")
+      .update({ participant_role: role, invited_by: invitedBy })
+      .eq("chat_participant_id", participant.chat_participant_id)
+      .select(PARTICIPANT_COLUMNS)
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async closeParticipant(chatParticipantId) {
+    const { data, error } = await supabase
+      .from("chat_participant")
+      .update({ left_at: new Date().toISOString() })
+      .eq("chat_participant_id", chatParticipantId)
+      .select(PARTICIPANT_COLUMNS)
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async recordParticipantEvent(participant, eventType, actorId) {
+    await chatEventService.record(participant.chat_group_id, eventType, {
+      actor: agentActor(actorId),
+      data: { sys_user_id: participant.sys_user_id, participant_role: participant.participant_role },
+    });
+  }
+
+  /**
+   * Post a join or leave line into the conversation
+   */
+  async postSystemMessage(chatGroupId, body) {
+    const { data, error } = await supabase
+      .from("chat")
+      .insert([
+        {
+          chat_body: body,
+          chat_group_id: chatGroupId,
+          chat_type: CHAT_MESSAGE_TYPE.SYSTEM,
+          sys_user_id: null,
+          client_id: null,
+          chat_created_at: new Date().toISOString(),
+        },
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      console.error("⚠️ Failed to post participant message:", error.message);
+      return null;
+    }
+
+    await cacheService.invalidateChatMessages(chatGroupId);
+    return data;
+  }
+}
+
+module.exports = new ChatParticipantService();
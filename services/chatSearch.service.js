@@ -0,0 +1,85 @@
+const supabase = require("../helpers/supabaseClient");
+const queueService = require("./queue.service");
+const chatParticipantService = require("./chatParticipant.service");
+const { escapeLikePattern, formatSearchResult } = require("../utils/chatSearch");
+const { ROLE_NAMES } = require("../constants/statuses");
+
+class ChatSearchService {
+  /**
+   * Departments the user may search. Admins search everything (null).
+   * @returns {Promise<number[]|null>}
+   */
+  async getSearchScope(userId) {
+    const { data: user, error } = await supabase
+      .from("sys_user")
+      .select("sys_user_id, role:role_id(role_name)")
+      .eq("sys_user_id", userId)
+      .single();
+
+    if (error) throw error;
+
+    if (user?.role?.role_name === ROLE_NAMES.ADMIN) return null;
+
+    return queueService.getCachedUserDepartments(userId);
+  }
+
+  /**
+   * Whether the user may open a chat: anyone whose search scope covers its department,
+   * plus its assigned agent and active participants
+   */
+  async canAccessChat(userId, chatGroupId) {
+    if (!Number.isInteger(Number(chatGroupId))) return false;
+
+    const { data: chatGroup, error } = await supabase
+      .from("chat_group")
+      .select("chat_group_id, dept_id, sys_user_id")
+      .eq("chat_group_id", chatGroupId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!chatGroup) return false;
+    if (Number(chatGroup.sys_user_id) === Number(userId)) return true;
+
+    const deptIds = await this.getSearchScope(userId);
+    if (!deptIds || deptIds.map(Number).includes(Number(chatGroup.dept_id))) return true;
+
+    return Boolean(await chatParticipantService.getActiveParticipant(chatGroupId, userId));
+  }
+
+  /**
+   * Search conversations within the user's departments
+   * @param {number} userId
+   * @param {Object} filters - Parsed by parseSearchFilters
+   * @returns {Promise<{ results: Object[], total: number }>}
+   */
+  async search(userId, { text, client, deptId, tagIds, status, from, to, limit, offset }) {
+    const deptIds = await this.getSearchScope(userId);
+
+    if (deptIds && (!deptIds.length || (deptId && !deptIds.includes(deptId)))) {
+      return { results: [], total: 0 };
+    }
+
+    const { data, error } = await supabase.rpc("search_chats", {
+      p_query: text,
+      p_client: client ? escapeLikePattern(client) : null,
+      p_dept_ids: deptIds,
+      p_dept_id: deptId,
+      p_status: status,
+      p_from: from,
+      p_to: to,
+      p_limit: limit,
+      p_offset: offset,
+      p_tag_ids: tagIds,
+    });
+
+    if (error) throw error;
+
+    const rows = data || [];
+    return {
+      results: rows.map(formatSearchResult),
+      total: rows.length ? Number(rows[0].total_count) : 0,
+    };
+  }
+}
+
+module.exports = new ChatSearchService();
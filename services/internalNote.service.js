@@ -0,0 +1,147 @@
+const supabase = require("../helpers/supabaseClient");
+const cacheService = require("./cache.service");
+const { CHAT_MESSAGE_TYPE } = require("../constants/statuses");
+const { extractMentionIds } = require("../utils/internalNotes");
+const { getSenderName } = require("../utils/messageHelpers");
+
+class InternalNoteService {
+  /**
+   * Add an internal note to a chat and record any @-mentions
+   * @returns {Promise<{ note: Object, mentionedUserIds: number[] }>} note includes sender_name
+   */
+  async createNote(chatGroupId, body, authorId) {
+    const { data: chatGroup, error: groupError } = await supabase
+      .from("chat_group")
+      .select("chat_group_id")
+      .eq("chat_group_id", chatGroupId)
+      .single();
+
+    if (groupError || !chatGroup) {
+      throw new Error("Chat group not found");
+    }
+
+    const { data: note, error } = await supabase
+      .from("chat")
+      .insert([
+        {
+          chat_body: body,
+          chat_group_id: chatGroupId,
+          chat_type: CHAT_MESSAGE_TYPE.INTERNAL_NOTE,
+          sys_user_id: authorId,
+          chat_created_at: new Date().toISOString(),
+        },
+      ])
+      .select(`
+        *,
+        sys_user:sys_user(
+          sys_user_id,
+          profile:profile(prof_firstname, prof_lastname)
+        )
+      `)
+      .single();
+
+    if (error) throw error;
+
+    await cacheService.invalidateChatMessages(chatGroupId);
+
+    const mentionedUserIds = await this.recordMentions(note, authorId);
+    const { sys_user, ...noteRow } = note;
+
+    return {
+      note: { ...noteRow, sender_name: getSenderName(note) },
+      mentionedUserIds,
+    };
+  }
+
+  /**
+   * Store mentions for active agents named in the note (never the author)
+   * @returns {Promise<number[]>} sys_user_ids that were mentioned
+   */
+  async recordMentions(note, authorId) {
+    const candidateIds = extractMentionIds(note.chat_body).filter(
+      (id) => id !== Number(authorId),
+    );
+    if (!candidateIds.length) return [];
+
+    const { data: users, error: usersError } = await supabase
+      .from("sys_user")
+      .select("sys_user_id")
+      .in("sys_user_id", candidateIds)
+      .eq("sys_user_is_active", true);
+
+    if (usersError) throw usersError;
+
+    const mentionedUserIds = (users || []).map((u) => u.sys_user_id);
+    if (!mentionedUserIds.length) return [];
+
+    const { error } = await supabase.from("chat_mention").insert(
+      mentionedUserIds.map((id) => ({
+        chat_id: note.chat_id,
+        chat_group_id: note.chat_group_id,
+        mentioned_sys_user_id: id,
+        mentioned_by: authorId,
+      })),
+    );
+
+    if (error) throw error;
+    return mentionedUserIds;
+  }
+
+  /**
+   * Mentions of the current agent, newest first
+   */
+  async getMentions(userId, { unreadOnly = false, limit = 50 } = {}) {
+    let query = supabase
+      .from("chat_mention")
+      .select(`
+        chat_mention_id,
+        chat_id,
+        chat_group_id,
+        chat_mention_created_at,
+        chat_mention_read_at,
+        note:chat_id(chat_body, chat_created_at),
+        mentioned_by_user:mentioned_by(
+          sys_user_id,
+          profile:prof_id(prof_firstname, prof_lastname)
+        )
+      `)
+      .eq("mentioned_sys_user_id", userId)
+      .order("chat_mention_created_at", { ascending: false })
+      .limit(limit);
+
+    if (unreadOnly) {
+      query = query.is("chat_mention_read_at", null);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    return (data || []).map(({ note, mentioned_by_user, ...mention }) => ({
+      ...mention,
+      note_body: note?.chat_body || null,
+      mentioned_by: mentioned_by_user?.sys_user_id || null,
+      mentioned_by_name: mentioned_by_user?.profile
+        ? `${mentioned_by_user.profile.prof_firstname} ${mentioned_by_user.profile.prof_lastname}`.trim()
+        : null,
+    }));
+  }
+
+  /**
+   * Mark one of the current agent's mentions as read
+   */
+  async markMentionRead(mentionId, userId) {
+    const { data, error } = await supabase
+      .from("chat_mention")
+      .update({ chat_mention_read_at: new Date().toISOString() })
+      .eq("chat_mention_id", mentionId)
+      .eq("mentioned_sys_user_id", userId)
+      .select();
+
+    if (error) throw error;
+    if (!data?.length) throw new Error("Mention not found");
+    return data[0];
+  }
+}
+
+module.exports = new InternalNoteService();
@@ -0,0 +1,51 @@
+const nodemailer = require("nodemailer");
+
+class MailService {
+  constructor() {
+    this.transporter = null;
+  }
+
+  /**
+   * SMTP transport from SMTP_* environment variables, created on first use
+   */
+  getTransporter() {
+    if (this.transporter) return this.transporter;
+
+    if (!process.env.SMTP_HOST) {
+      throw new Error("SMTP_HOST is not configured");
+    }
+
+    const port = parseInt(process.env.SMTP_PORT) || 587;
+
+    this.transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === "true" : port === 465,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+
+    return this.transporter;
+  }
+
+  /**
+   * Send an email
+   * @param {{ to: string, subject: string, text?: string, html?: string, attachments?: Object[] }} message
+   * @returns {Promise<Object>} nodemailer send info
+   */
+  async sendMail({ to, subject, text, html, attachments = [] }) {
+    const from = process.env.MAIL_FROM || process.env.SMTP_USER;
+
+    try {
+      const info = await this.getTransporter().sendMail({ from, to, subject, text, html, attachments });
+      console.log(`📧 Email sent to ${to}: ${subject}`);
+      return info;
+    } catch (error) {
+      console.error("❌ Mail Service Error:", error.message);
+      throw error;
+    }
+  }
+}
+
+module.exports = new MailService();
@@ -0,0 +1,119 @@
+const supabase = require("../helpers/supabaseClient");
+const cacheService = require("./cache.service");
+const { CHAT_MESSAGE_TYPE, MESSAGE_EDIT_ACTION } = require("../constants/statuses");
+const { MESSAGE_EDIT_ERRORS, getModifyError, getReplyError } = require("../utils/messageEdits");
+
+const MESSAGE_COLUMNS =
+  "chat_id, chat_group_id, chat_body, chat_type, sys_user_id, client_id, chat_created_at, chat_reply_to_id, chat_edited_at, chat_deleted_at";
+
+class MessageEditService {
+  async getMessage(chatId) {
+    const { data, error } = await supabase
+      .from("chat")
+      .select(MESSAGE_COLUMNS)
+      .eq("chat_id", chatId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Record one edit or unsend in the audit trail
+   */
+  async recordHistory(message, action, newBody, { sysUserId = null, clientId = null } = {}) {
+    const { error } = await supabase.from("chat_edit_history").insert([
+      {
+        chat_id: message.chat_id,
+        chat_edit_action: action,
+        previous_body: message.chat_body,
+        new_body: newBody,
+        sys_user_id: sysUserId,
+        client_id: clientId,
+      },
+    ]);
+
+    if (error) throw error;
+  }
+
+  /**
+   * Edit the text of the sender's own message
+   * @param {{ sysUserId?: number, clientId?: number }} sender
+   */
+  async editMessage(chatId, newBody, sender) {
+    const message = await this.getMessage(chatId);
+    const modifyError = getModifyError(message, sender);
+    if (modifyError) throw new Error(modifyError);
+
+    if (newBody === message.chat_body) return message;
+
+    await this.recordHistory(message, MESSAGE_EDIT_ACTION.EDIT, newBody, sender);
+
+    const { data, error } = await supabase
+      .from("chat")
+      .update({ chat_body: newBody, chat_edited_at: new Date().toISOString() })
+      .eq("chat_id", chatId)
+      .is("chat_deleted_at", null)
+      .select(MESSAGE_COLUMNS);
+
+    if (error) throw error;
+    if (!data?.length) throw new Error(MESSAGE_EDIT_ERRORS.ALREADY_UNSENT);
+
+    await cacheService.invalidateChatMessages(message.chat_group_id);
+    return data[0];
+  }
+
+  /**
+   * Unsend the sender's own message. The text is cleared from the chat and kept in the history.
+   */
+  async unsendMessage(chatId, sender) {
+    const message = await this.getMessage(chatId);
+    const modifyError = getModifyError(message, sender);
+    if (modifyError) throw new Error(modifyError);
+
+    await this.recordHistory(message, MESSAGE_EDIT_ACTION.DELETE, null, sender);
+
+    const { data, error } = await supabase
+      .from("chat")
+      .update({ chat_body: "", chat_deleted_at: new Date().toISOString() })
+      .eq("chat_id", chatId)
+      .is("chat_deleted_at", null)
+      .select(MESSAGE_COLUMNS);
+
+    if (error) throw error;
+    if (!data?.length) throw new Error(MESSAGE_EDIT_ERRORS.ALREADY_UNSENT);
+
+    await cacheService.invalidateChatMessages(message.chat_group_id);
+    return data[0];
+  }
+
+  /**
+   * Edit and unsend history for a message, oldest first
+   */
+  async getEditHistory(chatId) {
+    const message = await this.getMessage(chatId);
+    if (!message) throw new Error(MESSAGE_EDIT_ERRORS.NOT_FOUND);
+
+    const { data, error } = await supabase
+      .from("chat_edit_history")
+      .select("chat_edit_id, chat_edit_action, previous_body, new_body, sys_user_id, client_id, chat_edited_at")
+      .eq("chat_id", chatId)
+      .order("chat_edited_at", { ascending: true });
+
+    if (error) throw error;
+    return { message, history: data || [] };
+  }
+
+  /**
+   * Make sure a new message can reply to replyToId. Call before inserting the message.
+   */
+  async assertReplyTarget(replyToId, chatGroupId, chatType = CHAT_MESSAGE_TYPE.MESSAGE) {
+    if (!replyToId) return;
+
+    const parent = await this.getMessage(replyToId);
+    const replyError = getReplyError(parent, chatGroupId, chatType);
+    if (replyError) throw new Error(replyError);
+  }
+}
+
+module.exports = new MessageEditService();
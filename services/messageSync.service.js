@@ -0,0 +1,158 @@
+const supabase = require("../helpers/supabaseClient");
+const attachmentService = require("./attachment.service");
+const mobileMessageService = require("./mobile/message.service");
+const { isOwnMessage } = require("../utils/messageEdits");
+const { MESSAGE_SYNC_ERRORS, SYNC_PAGE_SIZE, buildSyncPage } = require("../utils/messageSync");
+const {
+  determineSenderType,
+  getSenderName,
+  getSenderImageOptimized,
+} = require("../utils/messageHelpers");
+
+const SYNC_COLUMNS = `
+  chat_id,
+  chat_body,
+  chat_type,
+  chat_created_at,
+  chat_updated_at,
+  chat_delivered_at,
+  chat_read_at,
+  chat_group_id,
+  client_id,
+  sys_user_id,
+  client_message_id,
+  chat_reply_to_id,
+  chat_edited_at,
+  chat_deleted_at,
+  reply_to:chat!chat_reply_to_id(
+    chat_id,
+    chat_body,
+    sys_user_id,
+    client_id,
+    chat_deleted_at
+  ),
+  attachments:chat_attachment(
+    attachment_id,
+    attachment_storage_path,
+    attachment_file_name,
+    attachment_mime_type,
+    attachment_size_bytes
+  ),
+  sys_user:sys_user(
+    sys_user_id,
+    prof_id,
+    profile:profile(
+      prof_firstname,
+      prof_lastname,
+      image:image!prof_id(
+        img_location,
+        img_is_current
+      )
+    )
+  ),
+  client:client(
+    client_id,
+    prof_id,
+    profile:profile(
+      prof_firstname,
+      prof_lastname,
+      image:image!prof_id(
+        img_location,
+        img_is_current
+      )
+    )
+  )
+`;
+
+class MessageSyncService {
+  /**
+   * Find a message already stored for this idempotency key. Returns null when the key is new.
+   * @param {{ sysUserId?: number, clientId?: number }} sender
+   */
+  async findDuplicate(chatGroupId, clientMessageId, sender) {
+    if (!clientMessageId) return null;
+
+    const { data, error } = await supabase
+      .from("chat")
+      .select("*")
+      .eq("chat_group_id", chatGroupId)
+      .eq("client_message_id", clientMessageId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return null;
+
+    if (!isOwnMessage(data, sender)) {
+      throw new Error(MESSAGE_SYNC_ERRORS.CLIENT_MESSAGE_ID_IN_USE);
+    }
+
+    return data;
+  }
+
+  /**
+   * Messages created or changed (delivered, read, edited, unsent) after the cursor
+   * @param {number} chatGroupId
+   * @param {{ updatedAt: string, chatId: number|null }} cursor - From parseSyncCursor: the previous
+   *   sync's cursor, or the newest timestamp the client holds
+   * @param {{ userType: string, userId: number }} viewer - Clients only see their own chats and never internal notes
+   */
+  async getChangesSince(chatGroupId, cursor, { userType, userId }) {
+    const isClient = userType === "client";
+
+    if (isClient) {
+      const { data: chatGroup, error: groupError } = await supabase
+        .from("chat_group")
+        .select("chat_group_id, client_id")
+        .eq("chat_group_id", chatGroupId)
+        .maybeSingle();
+
+      if (groupError) throw groupError;
+      if (!chatGroup || String(chatGroup.client_id) !== String(userId)) {
+        throw new Error("Chat group not found");
+      }
+    }
+
+    let query = supabase
+      .from("chat")
+      .select(SYNC_COLUMNS)
+      .eq("chat_group_id", chatGroupId);
+
+    // After the cursor: a later chat_updated_at, or the same one with a higher chat_id
+    const { updatedAt, chatId } = cursor;
+    query = chatId
+      ? query.or(
+          `chat_updated_at.gt."${updatedAt}",` +
+          `and(chat_updated_at.eq."${updatedAt}",chat_id.gt.${chatId})`,
+        )
+      : query.gt("chat_updated_at", updatedAt);
+
+    const { data: rows, error } = await query
+      .order("chat_updated_at", { ascending: true })
+      .order("chat_id", { ascending: true })
+      .limit(SYNC_PAGE_SIZE + 1);
+
+    if (error) throw error;
+
+    const page = buildSyncPage(rows || [], cursor, { includeInternalNotes: !isClient });
+
+    // Same sender fields the message list endpoints return for this kind of viewer
+    const messages = page.messages.map((msg) => ({
+      ...msg,
+      sender_type: isClient
+        ? mobileMessageService.determineSenderType(msg, userId)
+        : determineSenderType(msg, userId),
+      sender_name: isClient ? mobileMessageService.getSenderName(msg) : getSenderName(msg),
+      sender_image: getSenderImageOptimized(msg),
+    }));
+
+    return {
+      chat_group_id: Number(chatGroupId),
+      messages: await attachmentService.withSignedUrls(messages),
+      updates: page.updates,
+      cursor: page.cursor,
+      has_more: page.has_more,
+    };
+  }
+}
+
+module.exports = new MessageSyncService();
@@ -1,8 +1,9 @@
 const supabase = require("../../helpers/supabaseClient");
+const businessHoursService = require("../businessHours.service");
 
 class MobileDepartmentService {
   /**
-   * Get all active departments
+   * Get all active departments with their open/closed status and next opening time
    */
   async getActiveDepartments() {
     const { data, error } = await supabase
@@ -12,7 +13,18 @@ class MobileDepartmentService {
       .order("dept_name", { ascending: true });
 
     if (error) throw error;
-    return data;
+
+    return Promise.all(
+      (data || []).map(async (department) => {
+        try {
+          const status = await businessHoursService.getDepartmentStatus(department.dept_id);
+          return { ...department, is_open: status.is_open, next_open_at: status.next_open_at };
+        } catch (statusError) {
+          console.error(`❌ Error getting hours for dept ${department.dept_id}:`, statusError.message);
+          return { ...department, is_open: null, next_open_at: null };
+        }
+      }),
+    );
   }
 }
 
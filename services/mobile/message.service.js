@@ -1,13 +1,36 @@
 const supabase = require("../../helpers/supabaseClient");
 const agentAssignmentService = require("../agentAssignment.service");
 const cacheService = require("../cache.service");
+const skillService = require("../skill.service");
+const priorityService = require("../priority.service");
+const attachmentService = require("../attachment.service");
+const messageEditService = require("../messageEdit.service");
+const chatEventService = require("../chatEvent.service");
+const chatLifecycleService = require("../chatLifecycle.service");
+const { withoutInternalNotes } = require("../../utils/internalNotes");
+const { clientActor } = require("../../utils/chatEvents");
+const { QUEUE_REASON, CHAT_EVENT_TYPE } = require("../../constants/statuses");
 
 class MobileMessageService {
   /**
    * Create a new message
-   * Invalidates cache for the chat group
+   * Invalidates cache for the chat group. Once the message has passed its checks, a snoozed
+   * or recently resolved chat is brought back before the message is stored.
+   * @param {{ attachmentIds?: number[], replyToChatId?: number, clientMessageId?: string }} options
+   * @returns {Promise<{ message: Object, reactivation: Object|null }>} The stored message, and the
+   *   reactivation result for notifications (null if the chat was not reactivated)
    */
-  async createMessage(chatBody, clientId, chatGroupId) {
+  async createMessage(
+    chatBody,
+    clientId,
+    chatGroupId,
+    { attachmentIds = [], replyToChatId = null, clientMessageId = null } = {},
+  ) {
+    await messageEditService.assertReplyTarget(replyToChatId, chatGroupId);
+    await attachmentService.assertSendable(attachmentIds, chatGroupId, { clientId });
+
+    const reactivation = await chatLifecycleService.reactivateOnClientMessage(chatGroupId, clientId);
+
     // Verify chat group exists and is not resolved
     const { data: chatGroup, error: groupError } = await supabase
       .from("chat_group")
@@ -27,9 +50,11 @@ class MobileMessageService {
       .from("chat")
       .insert([
         {
-          chat_body: chatBody,
+          chat_body: chatBody || "",
           client_id: clientId,
           chat_group_id: chatGroupId,
+          chat_reply_to_id: replyToChatId || null,
+          client_message_id: clientMessageId || null,
         },
       ])
       .select()
@@ -39,7 +64,9 @@ class MobileMessageService {
 
     await cacheService.invalidateChatMessages(chatGroupId);
 
-    return data;
+    const attachments = await attachmentService.linkToMessage(attachmentIds, data.chat_id, chatGroupId);
+
+    return { message: { ...data, attachments }, reactivation };
   }
 
   /**
@@ -75,8 +102,9 @@ class MobileMessageService {
         cachedData.sort((a, b) => new Date(b.chat_created_at) - new Date(a.chat_created_at));
         const limitedMessages = cachedData.slice(0, safeLimit);
         
-        // Process cached messages to match expected format
-        const processedMessages = limitedMessages.map((msg) => {
+        // Process cached messages to match expected format (the cache is shared with
+        // the agent view, so internal notes are dropped here)
+        const processedMessages = withoutInternalNotes(limitedMessages).map((msg) => {
           if (msg.message_type === "transfer") {
             return msg;
           }
@@ -89,10 +117,10 @@ class MobileMessageService {
         }).reverse(); // Reverse to ASC (oldest first) for UI display
 
         return {
-          messages: processedMessages,
+          messages: await attachmentService.withSignedUrls(processedMessages),
           hasMore: cachedData.length >= safeLimit,
           count: processedMessages.length,
-          oldestTimestamp: processedMessages.length > 0 ? processedMessages[0].chat_created_at : null,
+          oldestTimestamp: limitedMessages.length > 0 ? limitedMessages[limitedMessages.length - 1].chat_created_at : null,
           newestTimestamp: processedMessages.length > 0 ? processedMessages[processedMessages.length - 1].chat_created_at : null,
         };
       }
@@ -105,12 +133,30 @@ class MobileMessageService {
         `
         chat_id,
         chat_body,
+        chat_type,
         chat_created_at,
         chat_delivered_at,
         chat_read_at,
         sys_user_id,
         client_id,
         chat_group_id,
+        chat_reply_to_id,
+        chat_edited_at,
+        chat_deleted_at,
+        reply_to:chat!chat_reply_to_id(
+          chat_id,
+          chat_body,
+          sys_user_id,
+          client_id,
+          chat_deleted_at
+        ),
+        attachments:chat_attachment(
+          attachment_id,
+          attachment_storage_path,
+          attachment_file_name,
+          attachment_mime_type,
+          attachment_size_bytes
+        ),
         sys_user:sys_user(
           sys_user_id,
           prof_id,
@@ -188,6 +234,10 @@ class MobileMessageService {
         transferText = `Chat transferred to ${toDept}`;
       } else if (transferType === "agent_offline") {
         transferText = "Chat reassigned (previous agent went offline)";
+      } else if (transferType === "overflow") {
+        transferText = `Chat moved to ${toDept} (queue wait exceeded)`;
+      } else if (transferType === "abandoned") {
+        transferText = "Chat closed (no agent available in time)";
       } else {
         transferText = "Chat transferred";
       }
@@ -238,12 +288,15 @@ class MobileMessageService {
       };
     });
 
-    // Messages are already in ascending order (oldest first) for UI display
+    // Messages are already in ascending order (oldest first) for UI display.
+    // Internal notes are agent-only; the unfiltered list is still what gets cached
+    // and what the pagination cursor is based on.
+    const visibleMessages = withoutInternalNotes(messages);
 
     const result = {
-      messages: messages,
+      messages: await attachmentService.withSignedUrls(visibleMessages),
       hasMore: rows.length === safeLimit, // If we got the full limit, there might be more
-      count: messages.length,
+      count: visibleMessages.length,
       oldestTimestamp: messages.length > 0 ? messages[0].chat_created_at : null,
       newestTimestamp:
         messages.length > 0
@@ -344,7 +397,7 @@ class MobileMessageService {
   /**
    * Create a new chat group with auto-assignment
    */
-  async createChatGroup(department, clientId) {
+  async createChatGroup(department, clientId, requiredSkills = []) {
     const { data, error } = await supabase
       .from("chat_group")
       .insert([
@@ -360,6 +413,27 @@ class MobileMessageService {
 
     const chatGroupId = data.chat_group_id;
 
+    await chatEventService.record(chatGroupId, CHAT_EVENT_TYPE.CREATED, {
+      actor: clientActor(clientId),
+      data: { dept_id: department },
+    });
+
+    // Record the skills the client asked for so routing can match an agent
+    if (requiredSkills.length > 0) {
+      try {
+        await skillService.setChatRequiredSkills(chatGroupId, requiredSkills);
+      } catch (skillError) {
+        console.error("❌ Error saving required skills:", skillError.message);
+      }
+    }
+
+    // Starting priority from the department default and client tier (VIP clients jump the queue)
+    try {
+      await priorityService.applyInitialPriority(chatGroupId, department, clientId);
+    } catch (priorityError) {
+      console.error("❌ Error setting chat priority:", priorityError.message);
+    }
+
     // Auto-assign to available agent or keep queued
     try {
       const assignmentResult = await agentAssignmentService.autoAssignChatGroup(
@@ -373,6 +447,9 @@ class MobileMessageService {
         status: assignmentResult.status,
         agent_id: assignmentResult.agentId || null,
         department,
+        queue_reason: assignmentResult.queueReason || null,
+        is_open: assignmentResult.queueReason !== QUEUE_REASON.OUT_OF_HOURS,
+        next_open_at: assignmentResult.nextOpenAt || null,
       };
     } catch (assignError) {
       console.error("❌ Error auto-assigning chat group:", assignError.message);
@@ -383,6 +460,9 @@ class MobileMessageService {
         status: "queued",
         agent_id: null,
         department,
+        queue_reason: null,
+        is_open: null,
+        next_open_at: null,
       };
     }
   }
@@ -442,14 +522,19 @@ class MobileMessageService {
           messageCount: feedbackData.messageCount,
         });
 
+        // A reopened chat keeps one feedback row, with the latest feedback
         const { data: feedback, error: feedbackError } = await supabase
           .from("chat_feedback")
-          .insert({
-            chat_group_id: chatGroupId,
-            client_id: clientId,
-            rating: feedbackData.rating || null,
-            feedback_text: feedbackData.feedback || null,
-          })
+          .upsert(
+            {
+              chat_group_id: chatGroupId,
+              client_id: clientId,
+              rating: feedbackData.rating || null,
+              feedback_text: feedbackData.feedback || null,
+              created_at: new Date().toISOString(),
+            },
+            { onConflict: "chat_group_id" },
+          )
           .select()
           .single();
 
@@ -459,10 +544,15 @@ class MobileMessageService {
           feedbackRecord = feedback;
           console.log("✅ Feedback saved successfully:", feedback);
 
-          if (updateError) {
+          const { error: linkError } = await supabase
+            .from("chat_group")
+            .update({ feedback_id: feedback.feedback_id })
+            .eq("chat_group_id", chatGroupId);
+
+          if (linkError) {
             console.warn(
               "⚠️ Failed to link feedback to chat group:",
-              updateError.message,
+              linkError.message,
             );
           }
         }
@@ -470,11 +560,25 @@ class MobileMessageService {
         console.log("ℹ️ No feedback provided by client");
       }
 
+      await chatEventService.record(chatGroupId, CHAT_EVENT_TYPE.RESOLVED, {
+        actor: clientActor(clientId),
+        data: { previous_status: chatGroup.status },
+      });
+
+      if (feedbackRecord) {
+        await chatEventService.record(chatGroupId, CHAT_EVENT_TYPE.FEEDBACK, {
+          actor: clientActor(clientId),
+          data: { rating: feedbackRecord.rating },
+        });
+      }
+
       return {
         chat_group_id: updatedGroup.chat_group_id,
         status: updatedGroup.status,
         resolved_at: updatedGroup.resolved_at,
         agent_id: chatGroup.sys_user_id, // Include agent_id for socket notification
+        dept_id: updatedGroup.dept_id,
+        was_queued: chatGroup.status === "queued", // Abandoned while waiting - queue moves up
         feedback: feedbackRecord,
       };
     } catch (error) {
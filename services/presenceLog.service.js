@@ -0,0 +1,106 @@
+const supabase = require("../helpers/supabaseClient");
+const {
+  PRESENCE_CHANGE_REASON,
+  isPresenceTransition,
+  buildPresenceIntervals,
+  summarizePresenceTime,
+  buildTimeTracking,
+} = require("../utils/presenceLog");
+
+class PresenceLogService {
+  /**
+   * Log a presence change. Updates that keep the same status are skipped.
+   * Best-effort like the chat event log: a failure is logged and never blocks the presence update.
+   * @param {{ previousStatus?: string|null, reason?: string, changedAt?: string }} options
+   * @returns {Promise<boolean>} Whether a transition was recorded
+   */
+  async recordTransition(userId, status, { previousStatus = null, reason = PRESENCE_CHANGE_REASON.MANUAL, changedAt } = {}) {
+    if (!userId || !isPresenceTransition(previousStatus, status)) return false;
+
+    try {
+      const { error } = await supabase.from("presence_log").insert([{
+        sys_user_id: userId,
+        presence_status: status,
+        previous_status: previousStatus,
+        reason,
+        changed_at: changedAt || new Date().toISOString(),
+      }]);
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.error(`⚠️ Failed to log presence change for user ${userId}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Transitions in the range, plus each agent's last one before it
+   */
+  async getLog(from, to, agentId = null) {
+    const { data, error } = await supabase.rpc("get_presence_log", {
+      p_from: from,
+      p_to: to,
+      p_agent_id: agentId,
+    });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Seconds logged in, accepting, not accepting and offline over a range for one agent
+   */
+  async getPresenceTotals(agentId, from, to, now = new Date()) {
+    const logs = await this.getLog(from, to, agentId);
+    return summarizePresenceTime(buildPresenceIntervals(logs, from, to, now));
+  }
+
+  /**
+   * Logged-in, accepting, not-accepting and offline-gap time per agent per local day
+   * @param {{ from, to, deptId, agentId, timeZone }} filters
+   */
+  async getTimeTracking({ from, to, deptId, agentId, timeZone }, now = new Date()) {
+    let logs = await this.getLog(from, to, agentId);
+
+    if (deptId) {
+      const memberIds = await this.getDepartmentMemberIds(deptId);
+      logs = logs.filter((log) => memberIds.has(log.sys_user_id));
+    }
+
+    const rows = buildTimeTracking(logs, { from, to, timeZone, now });
+    const names = await this.getAgentNames([...new Set(rows.map((row) => row.sys_user_id))]);
+
+    return rows.map((row) => ({ ...row, name: names[row.sys_user_id] || null }));
+  }
+
+  async getDepartmentMemberIds(deptId) {
+    const { data, error } = await supabase
+      .from("sys_user_department")
+      .select("sys_user_id")
+      .eq("dept_id", deptId);
+
+    if (error) throw error;
+    return new Set((data || []).map((row) => row.sys_user_id));
+  }
+
+  async getAgentNames(userIds) {
+    if (!userIds.length) return {};
+
+    const { data, error } = await supabase
+      .from("sys_user")
+      .select("sys_user_id, sys_user_email, profile:prof_id(prof_firstname, prof_lastname)")
+      .in("sys_user_id", userIds);
+
+    if (error) throw error;
+
+    return Object.fromEntries(
+      (data || []).map(({ sys_user_id, sys_user_email, profile }) => {
+        const name = profile ? `${profile.prof_firstname || ""} ${profile.prof_lastname || ""}`.trim() : "";
+        return [sys_user_id, name || sys_user_email];
+      }),
+    );
+  }
+}
+
+module.exports = new PresenceLogService();
@@ -0,0 +1,188 @@
+const supabase = require("../helpers/supabaseClient");
+const { CHAT_STATUS, PRIORITY_SOURCE } = require("../constants/statuses");
+const { getInitialPriority, getMessagePriority } = require("../utils/chatPriority");
+
+class PriorityService {
+  /**
+   * Get keyword priority rules, optionally for one department (plus global rules)
+   */
+  async getPriorityRules({ deptId = null, activeOnly = false } = {}) {
+    let query = supabase
+      .from("priority_rule")
+      .select(`
+        priority_rule_id,
+        dept_id,
+        priority_rule_keywords,
+        priority,
+        priority_rule_is_active,
+        department:dept_id(dept_name)
+      `)
+      .order("priority", { ascending: false })
+      .order("priority_rule_id", { ascending: true });
+
+    if (deptId) {
+      query = query.or(`dept_id.eq.${deptId},dept_id.is.null`);
+    }
+    if (activeOnly) {
+      query = query.eq("priority_rule_is_active", true);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Add a keyword priority rule
+   */
+  async createPriorityRule({ dept_id, priority_rule_keywords, priority }, createdBy) {
+    const { data, error } = await supabase
+      .from("priority_rule")
+      .insert([
+        {
+          dept_id: dept_id || null,
+          priority_rule_keywords,
+          priority,
+          priority_rule_created_by: createdBy,
+        },
+      ])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Update a keyword priority rule
+   */
+  async updatePriorityRule(ruleId, updateData, updatedBy) {
+    const { data, error } = await supabase
+      .from("priority_rule")
+      .update({
+        ...updateData,
+        priority_rule_updated_by: updatedBy,
+        priority_rule_updated_at: new Date(),
+      })
+      .eq("priority_rule_id", ruleId)
+      .select();
+
+    if (error) throw error;
+    if (!data?.length) throw new Error("Priority rule not found");
+    return data[0];
+  }
+
+  /**
+   * Delete a keyword priority rule
+   */
+  async deletePriorityRule(ruleId) {
+    const { data, error } = await supabase
+      .from("priority_rule")
+      .delete()
+      .eq("priority_rule_id", ruleId)
+      .select();
+
+    if (error) throw error;
+    if (!data?.length) throw new Error("Priority rule not found");
+    return data[0];
+  }
+
+  /**
+   * Set a client's service tier
+   */
+  async setClientTier(clientId, tier) {
+    const { data, error } = await supabase
+      .from("client")
+      .update({ client_tier: tier, client_updated_at: new Date() })
+      .eq("client_id", clientId)
+      .select("client_id, client_tier");
+
+    if (error) throw error;
+    if (!data?.length) throw new Error("Client not found");
+    return data[0];
+  }
+
+  async updateChatPriority(chatGroupId, { priority, source }, updatedBy = null) {
+    const { data, error } = await supabase
+      .from("chat_group")
+      .update({
+        priority,
+        priority_source: source,
+        priority_updated_at: new Date().toISOString(),
+        priority_updated_by: updatedBy,
+      })
+      .eq("chat_group_id", chatGroupId)
+      .select("chat_group_id, dept_id, status, priority, priority_source")
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Give a new chat its starting priority from the department default and client tier
+   */
+  async applyInitialPriority(chatGroupId, deptId, clientId) {
+    const [deptResult, clientResult] = await Promise.all([
+      supabase.from("department").select("dept_default_priority").eq("dept_id", deptId).single(),
+      supabase.from("client").select("client_tier").eq("client_id", clientId).single(),
+    ]);
+
+    if (deptResult.error) throw deptResult.error;
+    if (clientResult.error) throw clientResult.error;
+
+    const initial = getInitialPriority({
+      deptDefaultPriority: deptResult.data?.dept_default_priority,
+      clientTier: clientResult.data?.client_tier,
+    });
+
+    if (initial.source === PRIORITY_SOURCE.DEFAULT) return null;
+    return this.updateChatPriority(chatGroupId, initial);
+  }
+
+  /**
+   * Raise a queued chat's priority when a client message matches a keyword rule
+   * @returns {Promise<Object|null>} The updated chat group, or null if unchanged
+   */
+  async applyMessagePriority(chatGroupId, messageBody) {
+    const { data: chatGroup, error } = await supabase
+      .from("chat_group")
+      .select("chat_group_id, dept_id, status, priority, priority_source")
+      .eq("chat_group_id", chatGroupId)
+      .single();
+
+    if (error) throw error;
+    if (chatGroup?.status !== CHAT_STATUS.QUEUED) return null;
+
+    const rules = await this.getPriorityRules({ deptId: chatGroup.dept_id, activeOnly: true });
+    const raised = getMessagePriority(chatGroup, rules, messageBody);
+    if (!raised) return null;
+
+    console.log(`⬆️ Chat ${chatGroupId} priority raised to ${raised.priority} by keyword rule`);
+    return this.updateChatPriority(chatGroupId, raised);
+  }
+
+  /**
+   * Supervisor bump of a waiting chat's priority
+   */
+  async setManualPriority(chatGroupId, priority, userId) {
+    const { data: chatGroup, error } = await supabase
+      .from("chat_group")
+      .select("chat_group_id, status")
+      .eq("chat_group_id", chatGroupId)
+      .single();
+
+    if (error || chatGroup?.status !== CHAT_STATUS.QUEUED) {
+      throw new Error("Chat group not found or not waiting in queue");
+    }
+
+    return this.updateChatPriority(
+      chatGroupId,
+      { priority, source: PRIORITY_SOURCE.MANUAL },
+      userId,
+    );
+  }
+}
+
+module.exports = new PriorityService();
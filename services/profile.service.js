@@ -255,7 +255,10 @@ class ProfileService {
             priv_can_create_agent_account,
             priv_can_edit_manage_agents,
             priv_can_edit_dept_manage_agents,
-            priv_can_view_analytics_manage_agents
+            priv_can_view_analytics_manage_agents,
+            priv_can_supervise_queue,
+            priv_can_monitor_chats,
+            priv_can_manage_reports
           )
         `)
         .eq("role_id", roleId)
@@ -362,7 +365,10 @@ class ProfileService {
             priv_can_create_agent_account,
             priv_can_edit_manage_agents,
             priv_can_edit_dept_manage_agents,
-            priv_can_view_analytics_manage_agents
+            priv_can_view_analytics_manage_agents,
+            priv_can_supervise_queue,
+            priv_can_monitor_chats,
+            priv_can_manage_reports
           )
         `)
         .eq("role_id", roleId)
@@ -1,7 +1,9 @@
 const supabase = require("../helpers/supabaseClient");
 const cacheService = require("./cache.service");
 const agentAssignmentService = require("./agentAssignment.service");
-const { CHAT_STATUS } = require("../constants/statuses");
+const attachmentService = require("./attachment.service");
+const { CHAT_STATUS, ASSIGNMENT_RULE } = require("../constants/statuses");
+const { averageResponseSeconds, estimateWaitSeconds } = require("../utils/queueEstimate");
 const { getProfileImages, getLatestMessageTimes, determineSenderType, getSenderName, getSenderImageOptimized } = require("../utils/messageHelpers");
 
 class QueueService {
@@ -28,6 +30,9 @@ class QueueService {
           chat_group_id,
           dept_id,
           status,
+          queue_reason,
+          priority,
+          created_at,
           department:department(dept_name),
           client:client!chat_group_client_id_fkey(
             client_id,
@@ -96,13 +101,116 @@ class QueueService {
     return groups || [];
   }
 
+  /**
+   * Average time to first agent response over the department's most recent chats
+   * Cached briefly since every queue broadcast needs it
+   */
+  async getRecentResponseSeconds(deptId) {
+    const cacheKey = `response_avg_${deptId}`;
+    const cached = await cacheService.cache.get('DEPARTMENT', cacheKey);
+    if (cached) return cached.seconds;
+
+    const { data, error } = await supabase
+      .from("chat_group")
+      .select("response_time_minutes")
+      .eq("dept_id", deptId)
+      .not("first_response_at", "is", null)
+      .order("first_response_at", { ascending: false })
+      .limit(50);
+
+    if (error) throw error;
+
+    const seconds = averageResponseSeconds((data || []).map((row) => row.response_time_minutes));
+    await cacheService.cache.set('DEPARTMENT', cacheKey, { seconds }, 300);
+    return seconds;
+  }
+
+  /**
+   * Position and estimated wait for every queued chat in a department, in drain order
+   */
+  async getDepartmentQueueStatus(deptId) {
+    const { data: queued, error } = await supabase
+      .from("chat_group")
+      .select("chat_group_id, client_id, queue_reason, priority, created_at")
+      .eq("dept_id", deptId)
+      .eq("status", CHAT_STATUS.QUEUED)
+      .is("sys_user_id", null)
+      .order("priority", { ascending: false })
+      .order("created_at", { ascending: true });
+
+    if (error) throw error;
+    if (!queued?.length) return [];
+
+    const [availableAgents, responseSeconds] = await Promise.all([
+      agentAssignmentService.getAvailableAgents(deptId),
+      this.getRecentResponseSeconds(deptId),
+    ]);
+
+    return queued.map((chat, index) => ({
+      chat_group_id: chat.chat_group_id,
+      client_id: chat.client_id,
+      dept_id: deptId,
+      status: CHAT_STATUS.QUEUED,
+      queue_reason: chat.queue_reason || null,
+      priority: chat.priority,
+      position: index + 1,
+      queue_length: queued.length,
+      available_agents: availableAgents.length,
+      estimated_wait_seconds: estimateWaitSeconds({
+        position: index + 1,
+        availableAgents: availableAgents.length,
+        averageResponseSeconds: responseSeconds,
+      }),
+    }));
+  }
+
+  /**
+   * Queue position for a single chat group owned by a client
+   * Chats that are no longer queued come back with a null position
+   */
+  async getQueuePosition(chatGroupId, clientId) {
+    const { data: chatGroup, error } = await supabase
+      .from("chat_group")
+      .select("chat_group_id, dept_id, status")
+      .eq("chat_group_id", chatGroupId)
+      .eq("client_id", clientId)
+      .single();
+
+    if (error || !chatGroup) {
+      throw new Error("Chat group not found or access denied");
+    }
+
+    if (chatGroup.status === CHAT_STATUS.QUEUED) {
+      const queue = await this.getDepartmentQueueStatus(chatGroup.dept_id);
+      const entry = queue.find((chat) => chat.chat_group_id === chatGroup.chat_group_id);
+      if (entry) return entry;
+    }
+
+    return {
+      chat_group_id: chatGroup.chat_group_id,
+      client_id: clientId,
+      dept_id: chatGroup.dept_id,
+      status: chatGroup.status,
+      queue_reason: null,
+      priority: null,
+      position: null,
+      queue_length: null,
+      available_agents: null,
+      estimated_wait_seconds: null,
+    };
+  }
+
   /**
    * Accept chat from queue - delegates core assignment to agentAssignmentService
    */
   async acceptChat(chatGroupId, userId) {
     try {
       const data = await agentAssignmentService.assignChatGroupToAgent(
-        chatGroupId, userId, { requiredStatus: CHAT_STATUS.QUEUED }
+        chatGroupId, userId, {
+          requiredStatus: CHAT_STATUS.QUEUED,
+          assignmentRule: ASSIGNMENT_RULE.MANUAL_ACCEPT,
+          actorId: userId,
+        }
       );
 
       // Also invalidate user's chat groups cache (specific to manual acceptance)
@@ -178,10 +286,28 @@ class QueueService {
       .select(`
         chat_id,
         chat_body,
+        chat_type,
         chat_created_at,
         chat_group_id,
         client_id,
         sys_user_id,
+        chat_reply_to_id,
+        chat_edited_at,
+        chat_deleted_at,
+        reply_to:chat!chat_reply_to_id(
+          chat_id,
+          chat_body,
+          sys_user_id,
+          client_id,
+          chat_deleted_at
+        ),
+        attachments:chat_attachment(
+          attachment_id,
+          attachment_storage_path,
+          attachment_file_name,
+          attachment_mime_type,
+          attachment_size_bytes
+        ),
         sys_user:sys_user(
           sys_user_id,
           prof_id,
@@ -241,7 +367,7 @@ class QueueService {
       }))
       .reverse();
 
-    return messages;
+    return attachmentService.withSignedUrls(messages);
   }
 
   // determineSenderType, getSenderName, getSenderImageOptimized moved to utils/messageHelpers.js
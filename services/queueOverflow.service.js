@@ -0,0 +1,360 @@
+const supabase = require("../helpers/supabaseClient");
+const cacheService = require("./cache.service");
+const agentAssignmentService = require("./agentAssignment.service");
+const chatEventService = require("./chatEvent.service");
+const {
+  CHAT_STATUS,
+  CHAT_MESSAGE_TYPE,
+  CHAT_EVENT_TYPE,
+  TRANSFER_TYPE,
+} = require("../constants/statuses");
+const { PERMISSIONS } = require("../constants/permissions");
+const {
+  OVERFLOW_ACTION,
+  DEFAULT_ABANDON_MESSAGE,
+  HELD_QUEUE_REASONS,
+  minutesSince,
+  getOverflowAction,
+} = require("../utils/queueOverflow");
+const { RESOLVED_REASON } = require("../utils/chatEvents");
+
+const RULE_FIELDS = [
+  "backup_dept_id",
+  "overflow_after_minutes",
+  "escalate_after_minutes",
+  "abandon_after_minutes",
+  "abandon_message",
+  "overflow_rule_is_active",
+];
+
+class QueueOverflowService {
+  /**
+   * Get a department's overflow rule
+   */
+  async getOverflowRule(deptId) {
+    const { data, error } = await supabase
+      .from("dept_overflow_rule")
+      .select(`
+        *,
+        backup_department:department!dept_overflow_rule_backup_dept_id_fkey(dept_name)
+      `)
+      .eq("dept_id", deptId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Create or replace a department's overflow rule
+   */
+  async saveOverflowRule(deptId, settings, userId) {
+    const row = { dept_id: deptId };
+    RULE_FIELDS.forEach((field) => {
+      if (settings[field] !== undefined) row[field] = settings[field];
+    });
+
+    const existing = await this.getOverflowRule(deptId);
+
+    const query = existing
+      ? supabase
+          .from("dept_overflow_rule")
+          .update({
+            ...row,
+            overflow_rule_updated_by: userId,
+            overflow_rule_updated_at: new Date(),
+          })
+          .eq("dept_id", deptId)
+      : supabase
+          .from("dept_overflow_rule")
+          .insert([{ ...row, overflow_rule_created_by: userId }]);
+
+    const { data, error } = await query.select().single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Remove a department's overflow rule
+   */
+  async deleteOverflowRule(deptId) {
+    const { data, error } = await supabase
+      .from("dept_overflow_rule")
+      .delete()
+      .eq("dept_id", deptId)
+      .select();
+
+    if (error) throw error;
+    if (!data?.length) throw new Error("Overflow rule not found");
+    return data[0];
+  }
+
+  /**
+   * Active rules for every department
+   */
+  async getActiveOverflowRules() {
+    const { data, error } = await supabase
+      .from("dept_overflow_rule")
+      .select("*")
+      .eq("overflow_rule_is_active", true);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Queued chats a rule applies to. Held chats (out of hours, manual pick, previous-agent hold)
+   * wait for their own release and are skipped.
+   */
+  async getQueuedChats(deptId) {
+    const { data, error } = await supabase
+      .from("chat_group")
+      .select("chat_group_id, dept_id, client_id, queue_reason, created_at, queued_at, queue_started_at, queue_escalated_at")
+      .eq("dept_id", deptId)
+      .eq("status", CHAT_STATUS.QUEUED)
+      .is("sys_user_id", null)
+      .or(`queue_reason.is.null,queue_reason.not.in.(${HELD_QUEUE_REASONS.join(",")})`)
+      .order("created_at", { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Department members whose role can supervise the queue
+   */
+  async getQueueSupervisors(deptId) {
+    const { data: members, error: membersError } = await supabase
+      .from("sys_user_department")
+      .select("sys_user_id")
+      .eq("dept_id", deptId);
+
+    if (membersError) throw membersError;
+    if (!members?.length) return [];
+
+    const { data: users, error } = await supabase
+      .from("sys_user")
+      .select(`
+        sys_user_id,
+        role:role_id(
+          privilege:priv_id(${PERMISSIONS.SUPERVISE_QUEUE})
+        )
+      `)
+      .in("sys_user_id", members.map((m) => m.sys_user_id))
+      .eq("sys_user_is_active", true);
+
+    if (error) throw error;
+
+    return (users || [])
+      .filter((user) => user.role?.privilege?.[PERMISSIONS.SUPERVISE_QUEUE] === true)
+      .map((user) => user.sys_user_id);
+  }
+
+  /**
+   * Log a queue move in chat_transfer_log (timeline events are recorded by the caller)
+   */
+  async logQueueTransfer(chat, toDeptId, transferType) {
+    const { data, error } = await supabase
+      .from("chat_transfer_log")
+      .insert({
+        chat_group_id: chat.chat_group_id,
+        from_agent_id: null,
+        to_agent_id: null,
+        from_dept_id: chat.dept_id,
+        to_dept_id: toDeptId,
+        transfer_type: transferType,
+        transferred_at: new Date().toISOString(),
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error(`⚠️ Failed to log ${transferType} transfer:`, error.message);
+      return null;
+    }
+    return data;
+  }
+
+  /**
+   * Move a chat to the rule's backup department and try to route it there
+   */
+  async overflowChat(chat, rule) {
+    const { data: moved, error } = await supabase
+      .from("chat_group")
+      .update({
+        dept_id: rule.backup_dept_id,
+        queued_at: new Date().toISOString(),
+        queue_escalated_at: null,
+      })
+      .eq("chat_group_id", chat.chat_group_id)
+      .eq("status", CHAT_STATUS.QUEUED)
+      .is("sys_user_id", null)
+      .select("chat_group_id");
+
+    if (error) throw error;
+    if (!moved?.length) return null; // Picked up by an agent in the meantime
+
+    const transferLog = await this.logQueueTransfer(chat, rule.backup_dept_id, TRANSFER_TYPE.OVERFLOW);
+    await chatEventService.record(chat.chat_group_id, CHAT_EVENT_TYPE.TRANSFERRED, {
+      data: {
+        transfer_type: TRANSFER_TYPE.OVERFLOW,
+        from_dept_id: chat.dept_id,
+        to_dept_id: rule.backup_dept_id,
+      },
+    });
+
+    const assignmentResult = await agentAssignmentService.autoAssignChatGroup(
+      chat.chat_group_id,
+      rule.backup_dept_id,
+    );
+
+    if (assignmentResult.assigned && transferLog) {
+      await supabase
+        .from("chat_transfer_log")
+        .update({
+          to_agent_id: assignmentResult.agentId,
+          assignment_rule: assignmentResult.assignmentRule || null,
+        })
+        .eq("transfer_id", transferLog.transfer_id);
+    }
+
+    await cacheService.invalidateChatMessages(chat.chat_group_id);
+
+    console.log(
+      `↪️ Chat ${chat.chat_group_id} overflowed from dept ${chat.dept_id} to ${rule.backup_dept_id}:`,
+      assignmentResult.assigned ? `assigned to agent ${assignmentResult.agentId}` : "queued",
+    );
+
+    return {
+      action: OVERFLOW_ACTION.OVERFLOW,
+      chat_group_id: chat.chat_group_id,
+      from_dept_id: chat.dept_id,
+      to_dept_id: rule.backup_dept_id,
+      assignmentResult,
+    };
+  }
+
+  /**
+   * Mark a chat as escalated and find the supervisors to notify
+   */
+  async escalateChat(chat) {
+    const { data: escalated, error } = await supabase
+      .from("chat_group")
+      .update({ queue_escalated_at: new Date().toISOString() })
+      .eq("chat_group_id", chat.chat_group_id)
+      .eq("status", CHAT_STATUS.QUEUED)
+      .is("queue_escalated_at", null)
+      .select("chat_group_id");
+
+    if (error) throw error;
+    if (!escalated?.length) return null;
+
+    const supervisorIds = await this.getQueueSupervisors(chat.dept_id);
+
+    console.log(
+      `📣 Chat ${chat.chat_group_id} escalated in dept ${chat.dept_id} to ${supervisorIds.length} supervisors`,
+    );
+
+    return {
+      action: OVERFLOW_ACTION.ESCALATE,
+      chat_group_id: chat.chat_group_id,
+      dept_id: chat.dept_id,
+      waited_minutes: Math.floor(minutesSince(chat.queued_at || chat.created_at)),
+      supervisorIds,
+    };
+  }
+
+  /**
+   * Post the abandon message and close a chat nobody picked up
+   */
+  async abandonChat(chat, rule) {
+    const resolvedAt = new Date().toISOString();
+
+    const { data: closed, error } = await supabase
+      .from("chat_group")
+      .update({
+        status: CHAT_STATUS.RESOLVED,
+        resolved_at: resolvedAt,
+        queue_reason: null,
+      })
+      .eq("chat_group_id", chat.chat_group_id)
+      .eq("status", CHAT_STATUS.QUEUED)
+      .is("sys_user_id", null)
+      .select("chat_group_id");
+
+    if (error) throw error;
+    if (!closed?.length) return null;
+
+    await this.logQueueTransfer(chat, chat.dept_id, TRANSFER_TYPE.ABANDONED);
+    await chatEventService.record(chat.chat_group_id, CHAT_EVENT_TYPE.RESOLVED, {
+      data: { reason: RESOLVED_REASON.ABANDONED },
+    });
+
+    const { data: message, error: messageError } = await supabase
+      .from("chat")
+      .insert([
+        {
+          chat_body: rule.abandon_message || DEFAULT_ABANDON_MESSAGE,
+          chat_group_id: chat.chat_group_id,
+          chat_type: CHAT_MESSAGE_TYPE.SYSTEM,
+          sys_user_id: null,
+          client_id: null,
+        },
+      ])
+      .select()
+      .single();
+
+    if (messageError) {
+      console.error("⚠️ Failed to post abandon message:", messageError.message);
+    }
+
+    await cacheService.invalidateChatMessages(chat.chat_group_id);
+
+    console.log(`🚪 Chat ${chat.chat_group_id} closed as abandoned after queue timeout`);
+
+    return {
+      action: OVERFLOW_ACTION.ABANDON,
+      chat_group_id: chat.chat_group_id,
+      dept_id: chat.dept_id,
+      resolved_at: resolvedAt,
+      message: message || null,
+    };
+  }
+
+  /**
+   * Apply every active overflow rule to its department's queue
+   * @returns {Promise<Array>} Actions taken, for socket and push notifications
+   */
+  async processQueues(now = new Date()) {
+    const rules = await this.getActiveOverflowRules();
+    const results = [];
+
+    for (const rule of rules) {
+      const chats = await this.getQueuedChats(rule.dept_id);
+
+      for (const chat of chats) {
+        try {
+          const action = getOverflowAction(rule, chat, now);
+          let result = null;
+
+          if (action === OVERFLOW_ACTION.ABANDON) {
+            result = await this.abandonChat(chat, rule);
+          } else if (action === OVERFLOW_ACTION.OVERFLOW) {
+            result = await this.overflowChat(chat, rule);
+          } else if (action === OVERFLOW_ACTION.ESCALATE) {
+            result = await this.escalateChat(chat);
+          }
+
+          if (result) results.push(result);
+        } catch (error) {
+          console.error(`❌ Overflow rule failed for chat ${chat.chat_group_id}:`, error.message);
+        }
+      }
+    }
+
+    return results;
+  }
+}
+
+module.exports = new QueueOverflowService();
@@ -0,0 +1,326 @@
+const ExcelJS = require("exceljs");
+const supabase = require("../helpers/supabaseClient");
+const agentScorecardService = require("./agentScorecard.service");
+const { CHAT_MESSAGE_TYPE } = require("../constants/statuses");
+const {
+  REPORT_TYPES,
+  REPORT_FORMATS,
+  REPORT_CONTENT_TYPES,
+  REPORT_COLUMNS,
+  MAX_EXPORT_ROWS,
+  toCsv,
+  getReportFileName,
+} = require("../utils/reports");
+
+// Rows fetched per request; PostgREST caps a single response at 1000
+const PAGE_SIZE = 1000;
+
+const PROFILE_FIELDS = "profile:profile(prof_firstname, prof_lastname)";
+
+const formatName = (profile) =>
+  profile ? `${profile.prof_firstname || ""} ${profile.prof_lastname || ""}`.trim() || null : null;
+
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+class ReportService {
+  /**
+   * Build an export file
+   * @param {{ from, to, deptId, agentId }} filters - From parseExportRequest
+   * @returns {Promise<{ content: Buffer|string, contentType: string, fileName: string, rowCount: number, truncated: boolean }>}
+   */
+  async renderReport(type, format, filters) {
+    const { rows, truncated } = await this.getRows(type, filters);
+    const columns = REPORT_COLUMNS[type];
+
+    const content = format === REPORT_FORMATS.XLSX
+      ? await this.toXlsx(type, columns, rows)
+      : toCsv(columns, rows);
+
+    return {
+      content,
+      contentType: REPORT_CONTENT_TYPES[format],
+      fileName: getReportFileName(type, format, filters.from, filters.to),
+      rowCount: rows.length,
+      truncated,
+    };
+  }
+
+  async getRows(type, filters) {
+    switch (type) {
+      case REPORT_TYPES.CHAT_GROUPS:
+        return this.getChatGroupRows(filters);
+      case REPORT_TYPES.MESSAGES:
+        return this.getMessageRows(filters);
+      case REPORT_TYPES.FEEDBACK:
+        return this.getFeedbackRows(filters);
+      case REPORT_TYPES.TRANSFERS:
+        return this.getTransferRows(filters);
+      case REPORT_TYPES.AGENT_STATS:
+        return { rows: await this.getAgentStatRows(filters), truncated: false };
+      default:
+        throw new Error("Unknown report type");
+    }
+  }
+
+  /**
+   * Page through a query up to MAX_EXPORT_ROWS
+   * @param {Function} buildQuery - Returns a fresh ordered query for each page
+   */
+  async fetchAll(buildQuery) {
+    const rows = [];
+
+    while (rows.length < MAX_EXPORT_ROWS) {
+      const { data, error } = await buildQuery().range(rows.length, rows.length + PAGE_SIZE - 1);
+      if (error) throw error;
+
+      rows.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) return { rows, truncated: false };
+    }
+
+    return { rows: rows.slice(0, MAX_EXPORT_ROWS), truncated: true };
+  }
+
+  /**
+   * Chats created in the range
+   */
+  async getChatGroupRows({ from, to, deptId, agentId }) {
+    const result = await this.fetchAll(() => {
+      let query = supabase
+        .from("chat_group")
+        .select(`
+          chat_group_id,
+          status,
+          priority,
+          created_at,
+          response_time_minutes,
+          resolved_at,
+          sla_status,
+          department:department(dept_name),
+          agent:sys_user!chat_group_sys_user_id_fkey(${PROFILE_FIELDS}),
+          client:client!chat_group_client_id_fkey(client_number, ${PROFILE_FIELDS})
+        `)
+        .gte("created_at", from)
+        .lt("created_at", to)
+        .order("created_at", { ascending: true })
+        .order("chat_group_id", { ascending: true });
+
+      if (deptId) query = query.eq("dept_id", deptId);
+      if (agentId) query = query.eq("sys_user_id", agentId);
+      return query;
+    });
+
+    return {
+      ...result,
+      rows: result.rows.map(({ department, agent, client, ...chat }) => ({
+        ...chat,
+        response_time_minutes: toNumber(chat.response_time_minutes),
+        department: department?.dept_name || null,
+        agent: formatName(agent?.profile),
+        client: formatName(client?.profile),
+        client_number: client?.client_number || null,
+      })),
+    };
+  }
+
+  /**
+   * Client and agent messages sent in the range. Internal notes and deleted messages are left out.
+   */
+  async getMessageRows({ from, to, deptId, agentId }) {
+    const result = await this.fetchAll(() => {
+      let query = supabase
+        .from("chat")
+        .select(`
+          chat_id,
+          chat_group_id,
+          chat_body,
+          chat_created_at,
+          sys_user_id,
+          client_id,
+          sys_user:sys_user(${PROFILE_FIELDS}),
+          client:client(${PROFILE_FIELDS}),
+          chat_group:chat_group!inner(dept_id, sys_user_id)
+        `)
+        .eq("chat_type", CHAT_MESSAGE_TYPE.MESSAGE)
+        .is("chat_deleted_at", null)
+        .gte("chat_created_at", from)
+        .lt("chat_created_at", to)
+        .order("chat_created_at", { ascending: true })
+        .order("chat_id", { ascending: true });
+
+      if (deptId) query = query.eq("chat_group.dept_id", deptId);
+      if (agentId) query = query.eq("chat_group.sys_user_id", agentId);
+      return query;
+    });
+
+    return {
+      ...result,
+      rows: result.rows.map((message) => ({
+        chat_id: message.chat_id,
+        chat_group_id: message.chat_group_id,
+        chat_created_at: message.chat_created_at,
+        sender_type: message.sys_user_id ? "agent" : message.client_id ? "client" : "system",
+        sender: message.sys_user_id
+          ? formatName(message.sys_user?.profile) || "Agent"
+          : message.client_id
+            ? formatName(message.client?.profile) || "Client"
+            : "System",
+        chat_body: message.chat_body,
+      })),
+    };
+  }
+
+  /**
+   * Feedback submitted in the range
+   */
+  async getFeedbackRows({ from, to, deptId, agentId }) {
+    const result = await this.fetchAll(() => {
+      let query = supabase
+        .from("chat_feedback")
+        .select(`
+          feedback_id,
+          chat_group_id,
+          rating,
+          feedback_text,
+          created_at,
+          chat_group:chat_group!chat_feedback_chat_group_id_fkey!inner(
+            dept_id,
+            sys_user_id,
+            department:department(dept_name),
+            agent:sys_user!chat_group_sys_user_id_fkey(${PROFILE_FIELDS})
+          )
+        `)
+        .gte("created_at", from)
+        .lt("created_at", to)
+        .order("created_at", { ascending: true })
+        .order("feedback_id", { ascending: true });
+
+      if (deptId) query = query.eq("chat_group.dept_id", deptId);
+      if (agentId) query = query.eq("chat_group.sys_user_id", agentId);
+      return query;
+    });
+
+    return {
+      ...result,
+      rows: result.rows.map(({ chat_group, ...feedback }) => ({
+        ...feedback,
+        department: chat_group?.department?.dept_name || null,
+        agent: formatName(chat_group?.agent?.profile),
+      })),
+    };
+  }
+
+  /**
+   * Transfer log entries in the range, matching either side of the transfer
+   */
+  async getTransferRows({ from, to, deptId, agentId }) {
+    const result = await this.fetchAll(() => {
+      let query = supabase
+        .from("chat_transfer_log")
+        .select(`
+          transfer_id,
+          chat_group_id,
+          transferred_at,
+          transfer_type,
+          from_agent_id,
+          to_agent_id,
+          from_dept:department!from_dept_id(dept_name),
+          to_dept:department!to_dept_id(dept_name)
+        `)
+        .gte("transferred_at", from)
+        .lt("transferred_at", to)
+        .order("transferred_at", { ascending: true })
+        .order("transfer_id", { ascending: true });
+
+      if (deptId) query = query.or(`from_dept_id.eq.${deptId},to_dept_id.eq.${deptId}`);
+      if (agentId) query = query.or(`from_agent_id.eq.${agentId},to_agent_id.eq.${agentId}`);
+      return query;
+    });
+
+    return {
+      ...result,
+      rows: result.rows.map(({ from_dept, to_dept, ...transfer }) => ({
+        ...transfer,
+        transfer_type: transfer.transfer_type || "manual",
+        from_department: from_dept?.dept_name || null,
+        to_department: to_dept?.dept_name || null,
+      })),
+    };
+  }
+
+  /**
+   * One scorecard row per active department member (in the department, when filtered)
+   */
+  async getAgentStatRows({ from, to, deptId, agentId }, now = new Date()) {
+    const agents = await this.getReportAgents({ deptId, agentId });
+    const rows = [];
+
+    // One agent at a time; each scorecard already runs several queries
+    for (const agent of agents) {
+      const card = await agentScorecardService.buildScorecard(agent.sys_user_id, { from, to }, now);
+      rows.push({
+        sys_user_id: agent.sys_user_id,
+        agent: agent.name,
+        email: agent.sys_user_email,
+        chats_handled: card.chats_handled,
+        chats_resolved: card.chats_resolved,
+        avg_concurrent_chats: card.concurrency.average,
+        median_first_response_minutes: card.median_first_response_minutes,
+        median_resolution_minutes: card.median_resolution_minutes,
+        transfers_in: card.transfers_in,
+        transfers_out: card.transfers_out,
+        csat_average_rating: card.csat.average_rating,
+        csat_percent: card.csat.csat_percent,
+      });
+    }
+
+    return rows;
+  }
+
+  async getReportAgents({ deptId, agentId }) {
+    let query = supabase
+      .from("sys_user")
+      .select(`
+        sys_user_id,
+        sys_user_email,
+        ${PROFILE_FIELDS},
+        departments:sys_user_department!inner(dept_id)
+      `)
+      .eq("sys_user_is_active", true)
+      .order("sys_user_email", { ascending: true });
+
+    if (deptId) query = query.eq("departments.dept_id", deptId);
+    if (agentId) query = query.eq("sys_user_id", agentId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    return (data || []).map(({ profile, departments, ...agent }) => ({
+      ...agent,
+      name: formatName(profile) || agent.sys_user_email,
+    }));
+  }
+
+  /**
+   * Single-sheet workbook with a bold, frozen header row
+   * @returns {Promise<Buffer>}
+   */
+  async toXlsx(type, columns, rows) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date();
+
+    const sheet = workbook.addWorksheet(type.replace(/_/g, " "), {
+      views: [{ state: "frozen", ySplit: 1 }],
+    });
+    sheet.columns = columns.map((column) => ({
+      header: column.header,
+      key: column.key,
+      width: Math.max(12, column.header.length + 2),
+    }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.addRows(rows);
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+}
+
+module.exports = new ReportService();
@@ -0,0 +1,212 @@
+const supabase = require("../helpers/supabaseClient");
+const reportService = require("./report.service");
+const mailService = require("./mail.service");
+const { REPORT_RUN_STATUS } = require("../constants/statuses");
+const { getNextRunAt, getReportRange } = require("../utils/reports");
+
+// Changing any of these moves the next run
+const TIMING_FIELDS = ["frequency", "day_of_week", "send_hour", "timezone"];
+
+class ReportScheduleService {
+  /**
+   * Get all scheduled reports
+   */
+  async getSchedules() {
+    const { data, error } = await supabase
+      .from("report_schedule")
+      .select(`
+        *,
+        department:dept_id(dept_name)
+      `)
+      .order("report_schedule_id", { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Get a single scheduled report
+   */
+  async getSchedule(scheduleId) {
+    const { data, error } = await supabase
+      .from("report_schedule")
+      .select("*")
+      .eq("report_schedule_id", scheduleId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new Error("Report schedule not found");
+    return data;
+  }
+
+  /**
+   * Add a scheduled report
+   * @param {Object} settings - From validateReportSchedule
+   */
+  async createSchedule(settings, createdBy, now = new Date()) {
+    const { data, error } = await supabase
+      .from("report_schedule")
+      .insert([{
+        ...settings,
+        next_run_at: getNextRunAt(settings, now),
+        report_schedule_created_by: createdBy,
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Update a scheduled report. The next run is recalculated when its timing changes.
+   * @param {Object} settings - From validateReportSchedule
+   * @param {Object} existing - Current schedule
+   */
+  async updateSchedule(scheduleId, settings, existing, updatedBy, now = new Date()) {
+    const row = { ...settings };
+    if (TIMING_FIELDS.some((field) => settings[field] !== undefined && settings[field] !== existing[field])) {
+      row.next_run_at = getNextRunAt({ ...existing, ...settings }, now);
+    }
+
+    const { data, error } = await supabase
+      .from("report_schedule")
+      .update({
+        ...row,
+        report_schedule_updated_by: updatedBy,
+        report_schedule_updated_at: now,
+      })
+      .eq("report_schedule_id", scheduleId)
+      .select();
+
+    if (error) throw error;
+    if (!data?.length) throw new Error("Report schedule not found");
+    return data[0];
+  }
+
+  /**
+   * Delete a scheduled report and its run history
+   */
+  async deleteSchedule(scheduleId) {
+    const { data, error } = await supabase
+      .from("report_schedule")
+      .delete()
+      .eq("report_schedule_id", scheduleId)
+      .select();
+
+    if (error) throw error;
+    if (!data?.length) throw new Error("Report schedule not found");
+    return data[0];
+  }
+
+  /**
+   * Run history of a scheduled report, newest first
+   */
+  async getRuns(scheduleId, { limit = 50, offset = 0 } = {}) {
+    await this.getSchedule(scheduleId);
+
+    const { data, error, count } = await supabase
+      .from("report_run")
+      .select("*", { count: "exact" })
+      .eq("report_schedule_id", scheduleId)
+      .order("started_at", { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    return { runs: data || [], total: count ?? (data || []).length };
+  }
+
+  /**
+   * Generate a report and email it, recording the attempt in report_run.
+   * Failures are recorded on the run rather than thrown.
+   * @param {{ dueAt?: Date, triggeredBy?: number }} options - dueAt ends the report range (default now)
+   * @returns {Promise<Object>} The finished run
+   */
+  async runSchedule(schedule, { dueAt = new Date(), triggeredBy = null } = {}) {
+    const range = getReportRange(schedule, dueAt);
+
+    const { data: run, error: runError } = await supabase
+      .from("report_run")
+      .insert([{
+        report_schedule_id: schedule.report_schedule_id,
+        run_status: REPORT_RUN_STATUS.RUNNING,
+        range_from: range.from,
+        range_to: range.to,
+        triggered_by: triggeredBy,
+      }])
+      .select()
+      .single();
+
+    if (runError) throw runError;
+
+    let result;
+    try {
+      const file = await reportService.renderReport(schedule.report_type, schedule.file_format, {
+        ...range,
+        deptId: schedule.dept_id || null,
+        agentId: null,
+      });
+
+      const title = `${schedule.frequency === "weekly" ? "Weekly" : "Daily"} ${schedule.report_type.replace(/_/g, " ")} report`;
+      await mailService.sendMail({
+        to: schedule.recipient_email,
+        subject: title,
+        text:
+          `${title} for ${range.from.slice(0, 10)} to ${range.to.slice(0, 10)} (${file.rowCount} rows` +
+          `${file.truncated ? ", truncated" : ""}) is attached.`,
+        attachments: [{ filename: file.fileName, content: file.content, contentType: file.contentType }],
+      });
+
+      result = { run_status: REPORT_RUN_STATUS.SUCCEEDED, row_count: file.rowCount };
+      console.log(`📑 Report schedule ${schedule.report_schedule_id} sent to ${schedule.recipient_email}`);
+    } catch (error) {
+      result = { run_status: REPORT_RUN_STATUS.FAILED, error_message: error.message };
+      console.error(`❌ Report schedule ${schedule.report_schedule_id} failed:`, error.message);
+    }
+
+    const { data, error } = await supabase
+      .from("report_run")
+      .update({ ...result, finished_at: new Date() })
+      .eq("report_run_id", run.report_run_id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Run every active schedule that is due. Each schedule is claimed by moving its
+   * next_run_at first, so a second server instance skips it.
+   * @returns {Promise<Array>} Finished runs
+   */
+  async runDueSchedules(now = new Date()) {
+    const { data: due, error } = await supabase
+      .from("report_schedule")
+      .select("*")
+      .eq("report_schedule_is_active", true)
+      .lte("next_run_at", now.toISOString())
+      .order("next_run_at", { ascending: true });
+
+    if (error) throw error;
+
+    const runs = [];
+    for (const schedule of due || []) {
+      const { data: claimed, error: claimError } = await supabase
+        .from("report_schedule")
+        .update({ next_run_at: getNextRunAt(schedule, now), last_run_at: now })
+        .eq("report_schedule_id", schedule.report_schedule_id)
+        .eq("next_run_at", schedule.next_run_at)
+        .select("report_schedule_id");
+
+      if (claimError) throw claimError;
+      if (!claimed?.length) continue;
+
+      runs.push(await this.runSchedule(schedule, { dueAt: new Date(schedule.next_run_at) }));
+    }
+
+    return runs;
+  }
+}
+
+module.exports = new ReportScheduleService();
@@ -31,6 +31,9 @@ const permissionMap = {
   "Can Edit Manage Agents": "priv_can_edit_manage_agents",
   "Can Edit Department Manage Agents": "priv_can_edit_dept_manage_agents",
   "Can View Analytics Manage Agents": "priv_can_view_analytics_manage_agents",
+  "Can Supervise Queue": "priv_can_supervise_queue",
+  "Can Monitor Chats": "priv_can_monitor_chats",
+  "Can Manage Reports": "priv_can_manage_reports",
 };
 
 class RoleService {
@@ -0,0 +1,35 @@
+const leastBusy = require("./leastBusy.strategy");
+const roundRobin = require("./roundRobin.strategy");
+const longestIdle = require("./longestIdle.strategy");
+const stickyLastAgent = require("./stickyLastAgent.strategy");
+const manualPickOnly = require("./manualPickOnly.strategy");
+const { ROUTING_STRATEGY } = require("../../constants/statuses");
+
+/**
+ * Routing strategies
+ *
+ * A strategy is an object with:
+ * - name: ROUTING_STRATEGY value stored in department.dept_routing_strategy
+ * - manualOnly (optional): when true, chats are never auto-assigned and wait in the queue
+ * - selectAgent(candidates, context): resolves to one of the candidates, or null
+ *
+ * candidates come from utils/agentMatching rankAgents: available agents under capacity
+ * that meet the most required skills, as { agentId, workload, capacity, matched, proficiency }.
+ * context is { deptId, chatGroupId, pickRoundRobin(candidates), getPreviousAgent() }.
+ */
+const strategies = {
+  [ROUTING_STRATEGY.LEAST_BUSY]: leastBusy,
+  [ROUTING_STRATEGY.ROUND_ROBIN]: roundRobin,
+  [ROUTING_STRATEGY.LONGEST_IDLE]: longestIdle,
+  [ROUTING_STRATEGY.STICKY_LAST_AGENT]: stickyLastAgent,
+  [ROUTING_STRATEGY.MANUAL_PICK_ONLY]: manualPickOnly,
+};
+
+/**
+ * Get a strategy by name, falling back to least-busy for unknown or missing names
+ */
+function getRoutingStrategy(name) {
+  return strategies[name] || strategies[ROUTING_STRATEGY.LEAST_BUSY];
+}
+
+module.exports = { getRoutingStrategy };
@@ -0,0 +1,16 @@
+const { getTopTier } = require("../../utils/agentMatching");
+const { ROUTING_STRATEGY } = require("../../constants/statuses");
+
+/**
+ * Least busy: fewest active chats, then highest proficiency; ties go round-robin.
+ * This is the default strategy.
+ */
+module.exports = {
+  name: ROUTING_STRATEGY.LEAST_BUSY,
+
+  async selectAgent(candidates, context) {
+    const topTier = getTopTier(candidates);
+    if (topTier.length <= 1) return topTier[0] || null;
+    return context.pickRoundRobin(topTier);
+  },
+};
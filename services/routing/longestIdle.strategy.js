@@ -0,0 +1,48 @@
+const supabase = require("../../helpers/supabaseClient");
+const { ROUTING_STRATEGY } = require("../../constants/statuses");
+
+/**
+ * Get when each agent was last assigned a chat (null if never)
+ */
+async function getLastAssignedAt(agentIds) {
+  const results = await Promise.all(
+    agentIds.map((agentId) =>
+      supabase
+        .from("chat_group")
+        .select("assigned_at")
+        .eq("sys_user_id", agentId)
+        .not("assigned_at", "is", null)
+        .order("assigned_at", { ascending: false })
+        .limit(1)
+        .maybeSingle(),
+    ),
+  );
+
+  return Object.fromEntries(
+    agentIds.map((agentId, i) => {
+      if (results[i].error) throw results[i].error;
+      return [agentId, results[i].data?.assigned_at || null];
+    }),
+  );
+}
+
+/**
+ * Longest idle: the agent whose last assignment is oldest (never-assigned agents first)
+ */
+module.exports = {
+  name: ROUTING_STRATEGY.LONGEST_IDLE,
+
+  async selectAgent(candidates) {
+    if (candidates.length <= 1) return candidates[0] || null;
+
+    const lastAssignedAt = await getLastAssignedAt(candidates.map((c) => c.agentId));
+    const idleSince = (candidate) => {
+      const assignedAt = lastAssignedAt[candidate.agentId];
+      return assignedAt ? new Date(assignedAt).getTime() : 0;
+    };
+
+    return [...candidates].sort(
+      (a, b) => idleSince(a) - idleSince(b) || a.workload - b.workload,
+    )[0];
+  },
+};
@@ -0,0 +1,13 @@
+const { ROUTING_STRATEGY } = require("../../constants/statuses");
+
+/**
+ * Manual pick only: never auto-assign; chats wait in the queue for an agent to accept them
+ */
+module.exports = {
+  name: ROUTING_STRATEGY.MANUAL_PICK_ONLY,
+  manualOnly: true,
+
+  async selectAgent() {
+    return null;
+  },
+};
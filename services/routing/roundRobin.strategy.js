@@ -0,0 +1,16 @@
+const { ROUTING_STRATEGY } = require("../../constants/statuses");
+
+/**
+ * Round robin: rotate through every agent under capacity regardless of workload
+ */
+module.exports = {
+  name: ROUTING_STRATEGY.ROUND_ROBIN,
+
+  async selectAgent(candidates, context) {
+    if (candidates.length <= 1) return candidates[0] || null;
+
+    // Stable order so the rotation does not depend on workload ranking
+    const ordered = [...candidates].sort((a, b) => a.agentId - b.agentId);
+    return context.pickRoundRobin(ordered);
+  },
+};
@@ -0,0 +1,21 @@
+const leastBusy = require("./leastBusy.strategy");
+const { ROUTING_STRATEGY } = require("../../constants/statuses");
+
+/**
+ * Sticky to last agent: route returning clients to the agent who resolved their last chat
+ * in the department (the same previous agent used by previous-agent routing)
+ * when that agent is available and under capacity; otherwise least busy
+ */
+module.exports = {
+  name: ROUTING_STRATEGY.STICKY_LAST_AGENT,
+
+  async selectAgent(candidates, context) {
+    if (!candidates.length) return null;
+
+    const lastAgentId = await context.getPreviousAgent();
+    const lastAgent = candidates.find((c) => c.agentId === lastAgentId);
+    if (lastAgent) return lastAgent;
+
+    return leastBusy.selectAgent(candidates, context);
+  },
+};
@@ -0,0 +1,193 @@
+const supabase = require("../helpers/supabaseClient");
+const cacheService = require("./cache.service");
+
+class SkillService {
+  /**
+   * Get the skill catalogue
+   */
+  async getSkills({ activeOnly = false } = {}) {
+    let query = supabase
+      .from("skill")
+      .select("skill_id, skill_name, skill_type, skill_is_active")
+      .order("skill_type", { ascending: true })
+      .order("skill_name", { ascending: true });
+
+    if (activeOnly) {
+      query = query.eq("skill_is_active", true);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Add a skill to the catalogue
+   */
+  async createSkill(skillName, skillType, createdBy) {
+    const { data, error } = await supabase
+      .from("skill")
+      .insert([
+        {
+          skill_name: skillName,
+          skill_type: skillType,
+          skill_created_by: createdBy,
+          skill_updated_by: createdBy,
+        },
+      ])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Rename, retype or (de)activate a skill
+   */
+  async updateSkill(skillId, updateData, updatedBy) {
+    const { data, error } = await supabase
+      .from("skill")
+      .update({
+        ...updateData,
+        skill_updated_by: updatedBy,
+        skill_updated_at: new Date(),
+      })
+      .eq("skill_id", skillId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    // Agent listings embed skill names
+    await cacheService.invalidateAgents();
+    return data;
+  }
+
+  /**
+   * Get an agent's skills with proficiency
+   */
+  async getAgentSkills(userId) {
+    const { data, error } = await supabase
+      .from("sys_user_skill")
+      .select(`
+        skill_id,
+        proficiency,
+        skill:skill_id (
+          skill_name,
+          skill_type,
+          skill_is_active
+        )
+      `)
+      .eq("sys_user_id", userId);
+
+    if (error) throw error;
+
+    return (data || []).map((row) => ({
+      skill_id: row.skill_id,
+      skill_name: row.skill?.skill_name || null,
+      skill_type: row.skill?.skill_type || null,
+      skill_is_active: row.skill?.skill_is_active ?? null,
+      proficiency: row.proficiency,
+    }));
+  }
+
+  /**
+   * Replace an agent's skills
+   * @param {Array<{ skill_id: number, proficiency: number }>} skills
+   */
+  async setAgentSkills(userId, skills) {
+    const skillIds = skills.map((skill) => skill.skill_id);
+
+    let removeQuery = supabase.from("sys_user_skill").delete().eq("sys_user_id", userId);
+    if (skillIds.length) {
+      removeQuery = removeQuery.not("skill_id", "in", `(${skillIds.join(",")})`);
+    }
+
+    const { error: removeError } = await removeQuery;
+    if (removeError) throw removeError;
+
+    if (skills.length > 0) {
+      const { error: saveError } = await supabase.from("sys_user_skill").upsert(
+        skills.map((skill) => ({
+          sys_user_id: userId,
+          skill_id: skill.skill_id,
+          proficiency: skill.proficiency,
+        })),
+        { onConflict: "sys_user_id,skill_id" },
+      );
+
+      if (saveError) throw saveError;
+    }
+
+    await cacheService.invalidateAgents();
+    console.log(`🧹 Invalidated agents cache after skills update for agent ${userId}`);
+  }
+
+  /**
+   * Get skill proficiencies for a set of agents, limited to the given skills
+   * @returns {Promise<Object>} Map of agentId → { skillId: proficiency }
+   */
+  async getSkillsForAgents(agentIds, skillIds) {
+    const skillMap = Object.fromEntries(agentIds.map((id) => [id, {}]));
+    if (!agentIds.length || !skillIds.length) return skillMap;
+
+    const { data, error } = await supabase
+      .from("sys_user_skill")
+      .select("sys_user_id, skill_id, proficiency")
+      .in("sys_user_id", agentIds)
+      .in("skill_id", skillIds);
+
+    if (error) throw error;
+
+    (data || []).forEach(({ sys_user_id, skill_id, proficiency }) => {
+      if (skillMap[sys_user_id]) skillMap[sys_user_id][skill_id] = proficiency;
+    });
+    return skillMap;
+  }
+
+  /**
+   * Get the skills a chat group requires from its agent
+   * @returns {Promise<Array<{ skill_id: number, min_proficiency: number }>>}
+   */
+  async getChatRequiredSkills(chatGroupId) {
+    const { data, error } = await supabase
+      .from("chat_group_required_skill")
+      .select("skill_id, min_proficiency")
+      .eq("chat_group_id", chatGroupId);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Set the skills a chat group requires from its agent
+   * @param {Array<{ skill_id: number, min_proficiency?: number }>} skills
+   */
+  async setChatRequiredSkills(chatGroupId, skills) {
+    const skillIds = skills.map((skill) => skill.skill_id);
+
+    let removeQuery = supabase.from("chat_group_required_skill").delete().eq("chat_group_id", chatGroupId);
+    if (skillIds.length) {
+      removeQuery = removeQuery.not("skill_id", "in", `(${skillIds.join(",")})`);
+    }
+
+    const { error: removeError } = await removeQuery;
+    if (removeError) throw removeError;
+    if (!skills.length) return;
+
+    const { error } = await supabase.from("chat_group_required_skill").upsert(
+      skills.map((skill) => ({
+        chat_group_id: chatGroupId,
+        skill_id: skill.skill_id,
+        min_proficiency: skill.min_proficiency || 1,
+      })),
+      { onConflict: "chat_group_id,skill_id" },
+    );
+
+    if (error) throw error;
+  }
+}
+
+module.exports = new SkillService();
@@ -0,0 +1,357 @@
+const supabase = require("../helpers/supabaseClient");
+const { CHAT_STATUS, SLA_STATUS } = require("../constants/statuses");
+const {
+  selectPolicy,
+  getReplyState,
+  getMetBreaches,
+  evaluateSla,
+} = require("../utils/sla");
+
+const POLICY_FIELDS = [
+  "dept_id",
+  "priority",
+  "first_response_minutes",
+  "next_response_minutes",
+  "resolution_minutes",
+  "warning_threshold_percent",
+  "sla_policy_is_active",
+];
+
+// Chats loaded per evaluation page; PostgREST caps unpaged selects at its max-rows setting
+const EVALUATION_PAGE_SIZE = 500;
+
+class SlaService {
+  /**
+   * Get all SLA policies
+   */
+  async getPolicies({ activeOnly = false } = {}) {
+    let query = supabase
+      .from("sla_policy")
+      .select(`
+        *,
+        department:dept_id(dept_name)
+      `)
+      .order("dept_id", { ascending: true, nullsFirst: true })
+      .order("priority", { ascending: false, nullsFirst: false });
+
+    if (activeOnly) {
+      query = query.eq("sla_policy_is_active", true);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Get a single SLA policy
+   */
+  async getPolicy(policyId) {
+    const { data, error } = await supabase
+      .from("sla_policy")
+      .select("*")
+      .eq("sla_policy_id", policyId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new Error("SLA policy not found");
+    return data;
+  }
+
+  /**
+   * Add an SLA policy
+   */
+  async createPolicy(settings, createdBy) {
+    const row = {};
+    POLICY_FIELDS.forEach((field) => {
+      if (settings[field] !== undefined) row[field] = settings[field];
+    });
+
+    const { data, error } = await supabase
+      .from("sla_policy")
+      .insert([{ ...row, sla_policy_created_by: createdBy }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Update an SLA policy
+   */
+  async updatePolicy(policyId, settings, updatedBy) {
+    const row = {};
+    POLICY_FIELDS.forEach((field) => {
+      if (settings[field] !== undefined) row[field] = settings[field];
+    });
+
+    const { data, error } = await supabase
+      .from("sla_policy")
+      .update({
+        ...row,
+        sla_policy_updated_by: updatedBy,
+        sla_policy_updated_at: new Date(),
+      })
+      .eq("sla_policy_id", policyId)
+      .select();
+
+    if (error) throw error;
+    if (!data?.length) throw new Error("SLA policy not found");
+    return data[0];
+  }
+
+  /**
+   * Delete an SLA policy
+   */
+  async deletePolicy(policyId) {
+    const { data, error } = await supabase
+      .from("sla_policy")
+      .delete()
+      .eq("sla_policy_id", policyId)
+      .select();
+
+    if (error) throw error;
+    if (!data?.length) throw new Error("SLA policy not found");
+    return data[0];
+  }
+
+  /**
+   * Chats to evaluate: everything open, plus resolved chats that still have a
+   * deadline recorded and need one final pass to close out their breaches.
+   * Paged by chat_group_id rather than offset, since evaluating a resolved chat clears
+   * its deadline and drops it from the filter.
+   * @param {number} [afterId] - Last chat_group_id of the previous page
+   */
+  async getChatsToEvaluate(afterId = 0, limit = EVALUATION_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from("chat_group")
+      .select("chat_group_id, dept_id, sys_user_id, status, priority, created_at, first_response_at, resolved_at, reopened_at, sla_status, sla_due_at")
+      .or(
+        `status.in.(${CHAT_STATUS.QUEUED},${CHAT_STATUS.ACTIVE}),` +
+        `and(status.eq.${CHAT_STATUS.RESOLVED},sla_due_at.not.is.null)`,
+      )
+      .gt("chat_group_id", afterId)
+      .order("chat_group_id", { ascending: true })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Last agent reply and oldest unanswered client message for each chat
+   * @returns {Promise<Object>} Map of chatGroupId → { last_agent_reply_at, unanswered_since }
+   */
+  async getReplyStates(chatGroupIds) {
+    if (!chatGroupIds.length) return {};
+
+    const { data, error } = await supabase.rpc("get_chat_reply_messages", {
+      p_chat_group_ids: chatGroupIds,
+    });
+
+    if (error) throw error;
+
+    const byChat = {};
+    (data || []).forEach((message) => {
+      (byChat[message.chat_group_id] = byChat[message.chat_group_id] || []).push(message);
+    });
+
+    return Object.fromEntries(
+      chatGroupIds.map((id) => [id, getReplyState(byChat[id] || [])]),
+    );
+  }
+
+  /**
+   * Breaches recorded for these chats that have not been met yet
+   */
+  async getOpenBreaches(chatGroupIds) {
+    if (!chatGroupIds.length) return [];
+
+    const { data, error } = await supabase
+      .from("sla_breach")
+      .select("sla_breach_id, chat_group_id, sla_metric, started_at")
+      .in("chat_group_id", chatGroupIds)
+      .is("met_at", null);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Record breached metrics; existing breaches are left untouched
+   * @returns {Promise<Array>} Breaches recorded for the first time
+   */
+  async recordBreaches(chat, policy, breachedMetrics) {
+    if (!breachedMetrics.length) return [];
+
+    const { data, error } = await supabase
+      .from("sla_breach")
+      .upsert(
+        breachedMetrics.map((metric) => ({
+          chat_group_id: chat.chat_group_id,
+          sla_policy_id: policy.sla_policy_id,
+          dept_id: chat.dept_id,
+          sys_user_id: chat.sys_user_id,
+          sla_metric: metric.metric,
+          target_minutes: metric.target_minutes,
+          started_at: metric.started_at,
+          due_at: metric.due_at,
+          met_at: metric.met_at,
+        })),
+        { onConflict: "chat_group_id,sla_metric,started_at", ignoreDuplicates: true },
+      )
+      .select();
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Evaluate every open chat against its SLA policy, one page at a time, record
+   * breaches and keep chat_group.sla_status current
+   * @returns {Promise<Array>} Per-chat results with at-risk metrics and new breaches, for notifications
+   */
+  async evaluateChats(now = new Date()) {
+    const policies = await this.getPolicies({ activeOnly: true });
+    if (!policies.length) return [];
+
+    const results = [];
+    let afterId = 0;
+    let chats;
+
+    do {
+      chats = await this.getChatsToEvaluate(afterId);
+      if (!chats.length) break;
+
+      results.push(...(await this.evaluatePage(chats, policies, now)));
+      afterId = chats[chats.length - 1].chat_group_id;
+    } while (chats.length === EVALUATION_PAGE_SIZE);
+
+    return results;
+  }
+
+  /**
+   * Evaluate one page of chats from getChatsToEvaluate
+   */
+  async evaluatePage(chats, policies, now) {
+    const chatGroupIds = chats.map((chat) => chat.chat_group_id);
+    const [replyStates, openBreaches] = await Promise.all([
+      this.getReplyStates(chatGroupIds),
+      this.getOpenBreaches(chatGroupIds),
+    ]);
+
+    const results = [];
+
+    for (const chat of chats) {
+      try {
+        const policy = selectPolicy(policies, chat.dept_id, chat.priority);
+        const replyState = replyStates[chat.chat_group_id] || {};
+        const evaluation = evaluateSla(policy, { ...chat, ...replyState }, now);
+
+        const newBreaches = policy
+          ? await this.recordBreaches(
+              chat,
+              policy,
+              evaluation.metrics.filter((m) => m.status === SLA_STATUS.BREACHED),
+            )
+          : [];
+
+        const metBreaches = getMetBreaches(
+          openBreaches.filter((b) => b.chat_group_id === chat.chat_group_id),
+          evaluation.metrics,
+          replyState.last_agent_reply_at,
+        );
+        for (const { sla_breach_id, met_at } of metBreaches) {
+          const { error } = await supabase
+            .from("sla_breach")
+            .update({ met_at })
+            .eq("sla_breach_id", sla_breach_id);
+
+          if (error) throw error;
+        }
+
+        const dueAtChanged =
+          (evaluation.due_at ? new Date(evaluation.due_at).getTime() : null) !==
+          (chat.sla_due_at ? new Date(chat.sla_due_at).getTime() : null);
+
+        if (evaluation.status !== chat.sla_status || dueAtChanged) {
+          const { error } = await supabase
+            .from("chat_group")
+            .update({ sla_status: evaluation.status, sla_due_at: evaluation.due_at })
+            .eq("chat_group_id", chat.chat_group_id);
+
+          if (error) throw error;
+        }
+
+        if (chat.status === CHAT_STATUS.RESOLVED) continue;
+
+        results.push({
+          chat_group_id: chat.chat_group_id,
+          dept_id: chat.dept_id,
+          sys_user_id: chat.sys_user_id,
+          sla_status: evaluation.status,
+          previous_sla_status: chat.sla_status,
+          sla_due_at: evaluation.due_at,
+          atRisk: evaluation.metrics.filter((m) => m.status === SLA_STATUS.AT_RISK),
+          newBreaches,
+        });
+      } catch (error) {
+        console.error(`❌ SLA evaluation failed for chat ${chat.chat_group_id}:`, error.message);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Breach history, newest first
+   */
+  async getBreaches({ deptId, agentId, metric, from, to, limit = 50, offset = 0 } = {}) {
+    let query = supabase
+      .from("sla_breach")
+      .select(`
+        sla_breach_id,
+        chat_group_id,
+        sla_policy_id,
+        dept_id,
+        sys_user_id,
+        sla_metric,
+        target_minutes,
+        started_at,
+        due_at,
+        breached_at,
+        met_at,
+        department:dept_id(dept_name),
+        agent:sys_user_id(
+          sys_user_email,
+          profile:prof_id(prof_firstname, prof_lastname)
+        )
+      `, { count: "exact" })
+      .order("breached_at", { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (deptId) query = query.eq("dept_id", deptId);
+    if (agentId) query = query.eq("sys_user_id", agentId);
+    if (metric) query = query.eq("sla_metric", metric);
+    if (from) query = query.gte("breached_at", from);
+    if (to) query = query.lte("breached_at", to);
+
+    const { data, error, count } = await query;
+
+    if (error) throw error;
+
+    const breaches = (data || []).map(({ agent, department, ...breach }) => ({
+      ...breach,
+      dept_name: department?.dept_name || null,
+      agent_name: agent?.profile
+        ? `${agent.profile.prof_firstname} ${agent.profile.prof_lastname}`.trim()
+        : agent?.sys_user_email || null,
+    }));
+
+    return { breaches, total: count ?? breaches.length };
+  }
+}
+
+module.exports = new SlaService();
@@ -0,0 +1,206 @@
+const PDFDocument = require("pdfkit");
+const supabase = require("../helpers/supabaseClient");
+const mailService = require("./mail.service");
+const { getDefaultBusinessHours } = require("../utils/businessHours");
+const { CHAT_STATUS } = require("../constants/statuses");
+const {
+  TRANSCRIPT_FORMATS,
+  TRANSCRIPT_CONTENT_TYPES,
+  TRANSCRIPT_EXTENSIONS,
+  buildTranscript,
+  getSummaryLines,
+  describeEntry,
+  formatTimestamp,
+  renderText,
+  renderHtml,
+} = require("../utils/transcript");
+
+class TranscriptService {
+  /**
+   * Load a chat group with its messages, transfers and feedback
+   * @param {{ clientId?: number }} options - Restrict to a client's own chat groups
+   * @returns {Promise<{ transcript: Object, timeZone: string }>}
+   */
+  async getTranscript(chatGroupId, { clientId = null, includeInternalNotes = false } = {}) {
+    const { data: chatGroup, error: groupError } = await supabase
+      .from("chat_group")
+      .select(`
+        chat_group_id,
+        client_id,
+        sys_user_id,
+        status,
+        created_at,
+        resolved_at,
+        department:department(dept_name, dept_timezone),
+        agent:sys_user!chat_group_sys_user_id_fkey(
+          sys_user_id,
+          profile:profile(prof_firstname, prof_lastname)
+        ),
+        client:client!chat_group_client_id_fkey(
+          client_id,
+          client_number,
+          profile:profile(prof_firstname, prof_lastname)
+        )
+      `)
+      .eq("chat_group_id", chatGroupId)
+      .maybeSingle();
+
+    if (groupError) throw groupError;
+    if (!chatGroup || (clientId && String(chatGroup.client_id) !== String(clientId))) {
+      throw new Error("Chat group not found");
+    }
+
+    const [messagesResult, transfersResult, feedbackResult] = await Promise.all([
+      supabase
+        .from("chat")
+        .select(`
+          chat_id,
+          chat_body,
+          chat_type,
+          chat_created_at,
+          chat_edited_at,
+          chat_deleted_at,
+          sys_user_id,
+          client_id,
+          attachments:chat_attachment(attachment_file_name),
+          sys_user:sys_user(
+            sys_user_id,
+            profile:profile(prof_firstname, prof_lastname)
+          )
+        `)
+        .eq("chat_group_id", chatGroupId)
+        .order("chat_created_at", { ascending: true }),
+      supabase
+        .from("chat_transfer_log")
+        .select(`
+          transfer_id,
+          transferred_at,
+          transfer_type,
+          to_dept:department!to_dept_id(dept_name)
+        `)
+        .eq("chat_group_id", chatGroupId)
+        .order("transferred_at", { ascending: true }),
+      supabase
+        .from("chat_feedback")
+        .select("rating, feedback_text, created_at")
+        .eq("chat_group_id", chatGroupId)
+        .maybeSingle(),
+    ]);
+
+    if (messagesResult.error) throw messagesResult.error;
+    if (transfersResult.error) throw transfersResult.error;
+    if (feedbackResult.error) throw feedbackResult.error;
+
+    return {
+      transcript: buildTranscript({
+        chatGroup,
+        messages: messagesResult.data || [],
+        transfers: transfersResult.data || [],
+        feedback: feedbackResult.data,
+        includeInternalNotes,
+      }),
+      timeZone: chatGroup.department?.dept_timezone || getDefaultBusinessHours().timeZone,
+    };
+  }
+
+  /**
+   * Render a chat group transcript as a downloadable file
+   * @returns {Promise<{ content: Buffer|string, contentType: string, fileName: string }>}
+   */
+  async renderTranscript(chatGroupId, format, options = {}) {
+    const { transcript, timeZone } = await this.getTranscript(chatGroupId, options);
+    return this.renderFile(transcript, timeZone, format);
+  }
+
+  async renderFile(transcript, timeZone, format) {
+    let content;
+    if (format === TRANSCRIPT_FORMATS.PDF) {
+      content = await this.renderPdf(transcript, timeZone);
+    } else if (format === TRANSCRIPT_FORMATS.HTML) {
+      content = renderHtml(transcript, { timeZone });
+    } else {
+      content = renderText(transcript, { timeZone });
+    }
+
+    return {
+      content,
+      contentType: TRANSCRIPT_CONTENT_TYPES[format],
+      fileName: `chat-${transcript.chat_group_id}-transcript.${TRANSCRIPT_EXTENSIONS[format]}`,
+    };
+  }
+
+  /**
+   * @returns {Promise<Buffer>}
+   */
+  renderPdf(transcript, timeZone) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: "A4", margin: 50 });
+      const chunks = [];
+
+      doc.on("data", (chunk) => chunks.push(chunk));
+      doc.on("end", () => resolve(Buffer.concat(chunks)));
+      doc.on("error", reject);
+
+      doc.fontSize(18).text("Conversation transcript");
+      doc.moveDown(0.5);
+
+      doc.fontSize(10);
+      for (const [label, value] of getSummaryLines(transcript, timeZone)) {
+        doc.font("Helvetica-Bold").text(`${label}: `, { continued: true });
+        doc.font("Helvetica").text(value);
+      }
+      doc.moveDown();
+
+      for (const entry of transcript.entries) {
+        const { label, text } = describeEntry(entry);
+
+        doc.fillColor("#777777").fontSize(8).text(`${formatTimestamp(entry.at, timeZone)}  ${label}`);
+        doc
+          .fillColor("#222222")
+          .fontSize(10)
+          .font(entry.kind === "message" ? "Helvetica" : "Helvetica-Oblique")
+          .text(text || " ");
+        doc.font("Helvetica").moveDown(0.5);
+      }
+
+      if (transcript.feedback) {
+        doc.moveDown();
+        doc.fontSize(12).font("Helvetica-Bold").text("Feedback");
+        doc.fontSize(10).font("Helvetica").text(`Rating: ${transcript.feedback.rating ?? "-"}/5`);
+        if (transcript.feedback.feedback_text) {
+          doc.text(transcript.feedback.feedback_text);
+        }
+      }
+
+      doc.end();
+    });
+  }
+
+  /**
+   * Email a transcript as an attachment. Internal notes are never included.
+   * Clients have no stored email address, so the recipient is always given.
+   * @param {{ clientId?: number }} options - A client may only email their own ended chats
+   */
+  async emailTranscript(chatGroupId, to, format, { clientId = null } = {}) {
+    const { transcript, timeZone } = await this.getTranscript(chatGroupId, { clientId });
+
+    if (clientId && transcript.status !== CHAT_STATUS.RESOLVED) {
+      throw new Error("Transcript is available once the chat has ended");
+    }
+
+    const file = await this.renderFile(transcript, timeZone, format);
+
+    await mailService.sendMail({
+      to,
+      subject: `Your conversation transcript (chat #${chatGroupId})`,
+      text: "Attached is the transcript of your conversation with our support team.",
+      attachments: [
+        { filename: file.fileName, content: file.content, contentType: file.contentType },
+      ],
+    });
+
+    return { chat_group_id: Number(chatGroupId), email: to, format };
+  }
+}
+
+module.exports = new TranscriptService();
@@ -0,0 +1,82 @@
+const supabase = require("../helpers/supabaseClient");
+const cacheService = require("./cache.service");
+const { CHAT_STATUS } = require("../constants/statuses");
+const { buildWallboard } = require("../utils/wallboard");
+
+class WallboardService {
+  /**
+   * Current wallboard for all active departments
+   */
+  async getSnapshot(now = new Date()) {
+    const [departments, members, chats] = await Promise.all([
+      this.getDepartments(),
+      this.getDepartmentMembers(),
+      this.getOpenChats(),
+    ]);
+    const presences = await this.getPresences(members);
+
+    return buildWallboard({ departments, members, chats, presences }, now);
+  }
+
+  async getDepartments() {
+    const { data, error } = await supabase
+      .from("department")
+      .select("dept_id, dept_name")
+      .eq("dept_is_active", true)
+      .order("dept_name", { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Active users in each department, one row per membership
+   */
+  async getDepartmentMembers() {
+    const { data, error } = await supabase
+      .from("sys_user_department")
+      .select(`
+        sys_user_id,
+        dept_id,
+        sys_user:sys_user_id!inner(
+          sys_user_email,
+          sys_user_is_active,
+          profile:prof_id(prof_firstname, prof_lastname)
+        )
+      `)
+      .eq("sys_user.sys_user_is_active", true);
+
+    if (error) throw error;
+
+    return (data || []).map(({ sys_user_id, dept_id, sys_user }) => {
+      const profile = sys_user?.profile;
+      const name = profile ? `${profile.prof_firstname || ""} ${profile.prof_lastname || ""}`.trim() : "";
+      return { sys_user_id, dept_id, name: name || sys_user?.sys_user_email || null };
+    });
+  }
+
+  async getOpenChats() {
+    const { data, error } = await supabase
+      .from("chat_group")
+      .select("chat_group_id, dept_id, sys_user_id, status, priority, created_at, queued_at, sla_status, sla_due_at")
+      .in("status", [CHAT_STATUS.QUEUED, CHAT_STATUS.ACTIVE]);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Presence entries by user id. Read one by one because getAllUserPresence
+   * only returns agents accepting chats.
+   */
+  async getPresences(members) {
+    const userIds = [...new Set(members.map((member) => member.sys_user_id))];
+    const entries = await Promise.all(
+      userIds.map(async (userId) => [userId, await cacheService.getUserPresence(userId)]),
+    );
+
+    return Object.fromEntries(entries.filter(([, presence]) => presence));
+  }
+}
+
+module.exports = new WallboardService();
@@ -0,0 +1,267 @@
+const supabase = require("../helpers/supabaseClient");
+const { CHAT_STATUS } = require("../constants/statuses");
+const { escapeLikePattern } = require("../utils/chatSearch");
+const {
+  WRAP_UP_ERRORS,
+  normalizeTagName,
+  isInDepartmentScope,
+  getDispositionError,
+} = require("../utils/wrapUp");
+
+const TAG_FIELDS = ["dept_id", "tag_name", "tag_color", "tag_is_active"];
+const DISPOSITION_FIELDS = ["dept_id", "disposition_code", "disposition_label", "disposition_is_active"];
+
+function pickFields(settings, fields) {
+  const row = {};
+  fields.forEach((field) => {
+    if (settings[field] !== undefined) row[field] = settings[field];
+  });
+  if (typeof row.tag_name === "string") row.tag_name = normalizeTagName(row.tag_name);
+  if (typeof row.disposition_label === "string") row.disposition_label = row.disposition_label.trim();
+  return row;
+}
+
+class WrapUpService {
+  /**
+   * Tag catalogue. With deptId, only tags usable in that department (its own plus global ones).
+   */
+  async getTags({ deptId = null, activeOnly = false } = {}) {
+    let query = supabase
+      .from("chat_tag")
+      .select("*, department:dept_id(dept_name)")
+      .order("tag_name", { ascending: true });
+
+    if (deptId) query = query.or(`dept_id.is.null,dept_id.eq.${deptId}`);
+    if (activeOnly) query = query.eq("tag_is_active", true);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async createTag(settings, createdBy) {
+    const { data, error } = await supabase
+      .from("chat_tag")
+      .insert([{ ...pickFields(settings, TAG_FIELDS), tag_created_by: createdBy }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async updateTag(tagId, settings) {
+    const { data, error } = await supabase
+      .from("chat_tag")
+      .update(pickFields(settings, TAG_FIELDS))
+      .eq("chat_tag_id", tagId)
+      .select();
+
+    if (error) throw error;
+    if (!data?.length) throw new Error("Tag not found");
+    return data[0];
+  }
+
+  /**
+   * Disposition catalogue. With deptId, only dispositions usable in that department.
+   */
+  async getDispositions({ deptId = null, activeOnly = false } = {}) {
+    let query = supabase
+      .from("chat_disposition")
+      .select("*, department:dept_id(dept_name)")
+      .order("disposition_label", { ascending: true });
+
+    if (deptId) query = query.or(`dept_id.is.null,dept_id.eq.${deptId}`);
+    if (activeOnly) query = query.eq("disposition_is_active", true);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async createDisposition(settings, createdBy) {
+    const { data, error } = await supabase
+      .from("chat_disposition")
+      .insert([{ ...pickFields(settings, DISPOSITION_FIELDS), disposition_created_by: createdBy }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async updateDisposition(dispositionId, settings) {
+    const { data, error } = await supabase
+      .from("chat_disposition")
+      .update(pickFields(settings, DISPOSITION_FIELDS))
+      .eq("chat_disposition_id", dispositionId)
+      .select();
+
+    if (error) throw error;
+    if (!data?.length) throw new Error("Disposition not found");
+    return data[0];
+  }
+
+  /**
+   * Tags on each chat group
+   * @returns {Promise<Object>} Map of chat_group_id → [{ chat_tag_id, tag_name, tag_color }]
+   */
+  async getTagsForChatGroups(chatGroupIds) {
+    if (!chatGroupIds.length) return {};
+
+    const { data, error } = await supabase
+      .from("chat_group_tag")
+      .select("chat_group_id, tag:chat_tag_id(chat_tag_id, tag_name, tag_color)")
+      .in("chat_group_id", chatGroupIds);
+
+    if (error) throw error;
+
+    const tagMap = {};
+    for (const row of data || []) {
+      if (!row.tag) continue;
+      (tagMap[row.chat_group_id] = tagMap[row.chat_group_id] || []).push(row.tag);
+    }
+    return tagMap;
+  }
+
+  async getChatGroupTags(chatGroupId) {
+    const tagMap = await this.getTagsForChatGroups([chatGroupId]);
+    return tagMap[chatGroupId] || [];
+  }
+
+  async getChatGroupForWrapUp(chatGroupId) {
+    const { data, error } = await supabase
+      .from("chat_group")
+      .select("chat_group_id, dept_id, status, department:dept_id(dept_require_disposition)")
+      .eq("chat_group_id", chatGroupId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw new Error("Chat group not found");
+    return data;
+  }
+
+  /**
+   * Catalogue IDs for the requested tags. Free-form names reuse a matching tag in the
+   * chat's department (or a global one) and are otherwise added to the department's catalogue.
+   */
+  async resolveTagIds(deptId, { tagIds = [], tagNames = [] }, userId) {
+    const available = (await this.getTags({ deptId, activeOnly: true })).filter((tag) =>
+      isInDepartmentScope(tag, deptId),
+    );
+    const availableIds = new Set(available.map((tag) => tag.chat_tag_id));
+
+    if (tagIds.some((id) => !availableIds.has(id))) {
+      throw new Error(WRAP_UP_ERRORS.TAG_NOT_FOUND);
+    }
+
+    const ids = new Set(tagIds);
+    const byName = new Map(available.map((tag) => [tag.tag_name.toLowerCase(), tag]));
+
+    for (const name of tagNames) {
+      const existing = byName.get(name.toLowerCase());
+      if (existing) {
+        ids.add(existing.chat_tag_id);
+        continue;
+      }
+
+      const { data, error } = await supabase
+        .from("chat_tag")
+        .insert([{ dept_id: deptId, tag_name: name, tag_created_by: userId }])
+        .select("chat_tag_id")
+        .single();
+
+      if (!error) {
+        ids.add(data.chat_tag_id);
+        continue;
+      }
+      if (error.code !== "23505") throw error;
+
+      // A deactivated tag with the same name exists - bring it back rather than duplicating it
+      const revived = await this.reactivateTag(deptId, name);
+      ids.add(revived.chat_tag_id);
+    }
+
+    return [...ids];
+  }
+
+  async reactivateTag(deptId, name) {
+    let query = supabase
+      .from("chat_tag")
+      .update({ tag_is_active: true })
+      .ilike("tag_name", escapeLikePattern(name));
+
+    query = deptId ? query.eq("dept_id", deptId) : query.is("dept_id", null);
+
+    const { data, error } = await query.select("chat_tag_id");
+
+    if (error) throw error;
+    if (!data?.length) throw new Error(WRAP_UP_ERRORS.TAG_NOT_FOUND);
+    return data[0];
+  }
+
+  /**
+   * Replace the tags on an open chat
+   * @returns {Promise<Object[]>} The chat's tags after the change
+   */
+  async setChatGroupTags(chatGroupId, input, userId) {
+    const chatGroup = await this.getChatGroupForWrapUp(chatGroupId);
+
+    if (chatGroup.status === CHAT_STATUS.RESOLVED) {
+      throw new Error(WRAP_UP_ERRORS.TAGS_LOCKED);
+    }
+
+    const tagIds = await this.resolveTagIds(chatGroup.dept_id, input, userId);
+
+    let removeQuery = supabase.from("chat_group_tag").delete().eq("chat_group_id", chatGroupId);
+    if (tagIds.length) {
+      removeQuery = removeQuery.not("chat_tag_id", "in", `(${tagIds.join(",")})`);
+    }
+
+    const { error: removeError } = await removeQuery;
+    if (removeError) throw removeError;
+
+    if (tagIds.length) {
+      const { error: addError } = await supabase.from("chat_group_tag").upsert(
+        tagIds.map((tagId) => ({ chat_group_id: chatGroupId, chat_tag_id: tagId, tagged_by: userId })),
+        { onConflict: "chat_group_id,chat_tag_id", ignoreDuplicates: true },
+      );
+      if (addError) throw addError;
+    }
+
+    return this.getChatGroupTags(chatGroupId);
+  }
+
+  /**
+   * Check the disposition given when resolving, against the chat's department rules
+   * @returns {Promise<number|null>} Disposition ID to store
+   */
+  async assertResolvable(chatGroupId, dispositionId) {
+    const chatGroup = await this.getChatGroupForWrapUp(chatGroupId);
+
+    let disposition = null;
+    if (dispositionId) {
+      const { data, error } = await supabase
+        .from("chat_disposition")
+        .select("chat_disposition_id, dept_id, disposition_is_active")
+        .eq("chat_disposition_id", dispositionId)
+        .maybeSingle();
+
+      if (error) throw error;
+      disposition = data;
+    }
+
+    const dispositionError = getDispositionError(disposition, {
+      dispositionId,
+      deptId: chatGroup.dept_id,
+      requireDisposition: Boolean(chatGroup.department?.dept_require_disposition),
+    });
+    if (dispositionError) throw new Error(dispositionError);
+
+    return dispositionId || null;
+  }
+}
+
+module.exports = new WrapUpService();
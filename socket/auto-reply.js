@@ -0,0 +1,69 @@
+/**
+ * Auto Reply Delivery
+ * Posts department auto replies into chat rooms as system messages
+ */
+
+const autoReplyService = require("../services/autoReply.service");
+
+/**
+ * Push an auto reply to the chat room over receiveMessage like any other message
+ */
+function emitAutoReply(io, chatGroupId, message) {
+  if (!io) return;
+
+  io.to(`chat_${chatGroupId}`).emit("receiveMessage", {
+    ...message,
+    sender_type: "system",
+    sender_id: null,
+  });
+}
+
+/**
+ * Send the department's auto reply when a chat group is opened or re-queued.
+ * Failures are logged and never interrupt the calling flow.
+ */
+async function handleAutoReply(io, chatGroupId, deptId) {
+  try {
+    const message = await autoReplyService.sendAutoReply(chatGroupId, deptId);
+    if (!message) return null;
+
+    emitAutoReply(io, chatGroupId, message);
+    console.log(
+      `🤖 Auto reply ${message.auto_reply_id} sent to chat ${chatGroupId} (dept ${deptId})`,
+    );
+    return message;
+  } catch (error) {
+    console.error("❌ Error sending auto reply:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Evaluate keyword/regex, outside-hours, queue-wait and first-message rules
+ * against a message the client just sent.
+ * Failures are logged and never interrupt the calling flow.
+ */
+async function handleClientMessageAutoReply(io, chatGroupId, messageBody) {
+  try {
+    const message = await autoReplyService.sendAutoReplyForClientMessage(
+      chatGroupId,
+      messageBody,
+    );
+    if (!message) return null;
+
+    emitAutoReply(io, chatGroupId, message);
+    console.log(
+      `🤖 Auto reply ${message.auto_reply_id} triggered by client message in chat ${chatGroupId}`,
+    );
+    return message;
+  } catch (error) {
+    console.error("❌ Error evaluating auto reply rules:", error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  emitAutoReply,
+  handleAutoReply,
+  handleClientMessageAutoReply,
+};
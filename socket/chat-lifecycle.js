@@ -0,0 +1,85 @@
+/**
+ * Chat Lifecycle Updates
+ * Notifies clients and agents when a chat is snoozed, wakes up or is reopened
+ */
+
+const { handleChatAssignment, handleChatQueued } = require("./customer-list");
+const { handleAutoReply } = require("./auto-reply");
+const { refreshWallboard } = require("./wallboard");
+
+/**
+ * Tell the chat room the chat is pending and take it off the agent's active list
+ */
+function notifyChatSnoozed(io, chatGroup) {
+  if (!io) return;
+
+  const timestamp = new Date().toISOString();
+
+  io.to(`chat_${chatGroup.chat_group_id}`).emit("chat:snoozed", {
+    chat_group_id: chatGroup.chat_group_id,
+    status: chatGroup.status,
+    snoozed_until: chatGroup.snoozed_until,
+    snoozed_by: chatGroup.snoozed_by,
+    timestamp,
+  });
+
+  io.to(`agent_${chatGroup.sys_user_id}`).emit("customerListUpdate", {
+    type: "chat_snoozed",
+    data: {
+      chat_group_id: chatGroup.chat_group_id,
+      agentId: chatGroup.sys_user_id,
+      snoozed_until: chatGroup.snoozed_until,
+    },
+    timestamp,
+  });
+
+  refreshWallboard(io);
+}
+
+/**
+ * Announce a woken or reopened chat and put it in front of whoever now handles it.
+ * Failures are logged and never interrupt the calling flow.
+ */
+async function notifyChatReactivated(io, result) {
+  if (!io || !result) return;
+
+  try {
+    io.to(`chat_${result.chat_group_id}`).emit("chat:reactivated", {
+      chat_group_id: result.chat_group_id,
+      reason: result.reason,
+      previous_status: result.previous_status,
+      status: result.status,
+      assigned: result.assigned,
+      agent_id: result.agent_id,
+      queue_reason: result.queue_reason,
+      timestamp: new Date().toISOString(),
+    });
+
+    // The original agent may have lost the chat to routing
+    if (result.previous_agent_id && result.previous_agent_id !== result.agent_id) {
+      io.to(`agent_${result.previous_agent_id}`).emit("customerListUpdate", {
+        type: "remove_chat_group",
+        data: {
+          chat_group_id: result.chat_group_id,
+          agentId: result.previous_agent_id,
+          accepted_by: result.agent_id,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (result.assigned) {
+      await handleChatAssignment(io, result.chat_group_id, result.agent_id);
+    } else {
+      await handleChatQueued(io, result.chat_group_id, result.dept_id);
+      await handleAutoReply(io, result.chat_group_id, result.dept_id);
+    }
+  } catch (error) {
+    console.error("❌ Error notifying chat reactivation:", error.message);
+  }
+}
+
+module.exports = {
+  notifyChatSnoozed,
+  notifyChatReactivated,
+};
@@ -0,0 +1,150 @@
+/**
+ * Chat Participants
+ * Announces collaborators joining and leaving, and supervisors barging in
+ */
+
+const pushService = require("../services/push.service");
+const { handleChatAssignment } = require("./customer-list");
+const { emitToChatAgents } = require("./internal-notes");
+
+/**
+ * Post a join/leave line to the chat room over receiveMessage like any other message
+ */
+function emitParticipantMessage(io, message) {
+  if (!message) return;
+
+  io.to(`chat_${message.chat_group_id}`).emit("receiveMessage", {
+    ...message,
+    sender_type: "system",
+    sender_id: null,
+  });
+}
+
+/**
+ * Update the agent's sockets in a chat room after their role in it changed.
+ * Sockets joined as a monitor stop being silent; removed agents are taken out of the room.
+ */
+async function refreshAgentSockets(io, chatGroupId, userId, { remove = false } = {}) {
+  const room = `chat_${chatGroupId}`;
+  const socketsInRoom = await io.in(room).fetchSockets();
+
+  socketsInRoom
+    .filter((s) => s.user?.userType === "agent" && String(s.user.userId) === String(userId))
+    .forEach((s) => {
+      s.monitoredChats?.delete(String(chatGroupId));
+      if (remove) {
+        s.leave(room);
+        s.emit("chat:removed", { chat_group_id: chatGroupId });
+      }
+    });
+}
+
+/**
+ * Announce a collaborator in the room and let them know they were invited.
+ * Failures are logged and never interrupt the calling flow.
+ */
+async function notifyCollaboratorInvited(io, { participant, message }, inviterId) {
+  if (!io) return;
+
+  try {
+    const chatGroupId = participant.chat_group_id;
+
+    emitParticipantMessage(io, message);
+    io.to(`chat_${chatGroupId}`).emit("chat:participantJoined", {
+      chat_group_id: chatGroupId,
+      participant,
+      timestamp: new Date().toISOString(),
+    });
+
+    await refreshAgentSockets(io, chatGroupId, participant.sys_user_id);
+
+    io.to(`agent_${participant.sys_user_id}`).emit("chat:invited", {
+      chat_group_id: chatGroupId,
+      invited_by: inviterId,
+      timestamp: new Date().toISOString(),
+    });
+
+    pushService.sendToUser(
+      participant.sys_user_id,
+      "You were added to a chat",
+      "A colleague needs your help with a conversation",
+      { chatGroupId, url: `/chats?group=${chatGroupId}` }
+    ).catch((err) => console.error("❌ Push (chat invite) error:", err.message));
+  } catch (error) {
+    console.error("❌ Error notifying chat invite:", error.message);
+  }
+}
+
+/**
+ * Announce a collaborator leaving, and take a removed agent or monitor out of the room.
+ * Monitors leave silently - only agents see that they are gone.
+ */
+async function notifyParticipantLeft(io, { participant, message }) {
+  if (!io) return;
+
+  try {
+    const chatGroupId = participant.chat_group_id;
+    const payload = {
+      chat_group_id: chatGroupId,
+      sys_user_id: participant.sys_user_id,
+      participant_role: participant.participant_role,
+      timestamp: new Date().toISOString(),
+    };
+
+    if (message) {
+      emitParticipantMessage(io, message);
+      io.to(`chat_${chatGroupId}`).emit("chat:participantLeft", payload);
+    } else {
+      await emitToChatAgents(io, chatGroupId, "chat:participantLeft", payload);
+    }
+
+    await refreshAgentSockets(io, chatGroupId, participant.sys_user_id, { remove: true });
+  } catch (error) {
+    console.error("❌ Error notifying participant left:", error.message);
+  }
+}
+
+/**
+ * Announce a supervisor taking over and move the chat onto their list.
+ * The replaced agent keeps the chat open as a collaborator.
+ */
+async function notifyBargeIn(io, result) {
+  if (!io) return;
+
+  try {
+    const chatGroupId = result.chat_group_id;
+
+    emitParticipantMessage(io, result.message);
+    io.to(`chat_${chatGroupId}`).emit("chat:bargedIn", {
+      chat_group_id: chatGroupId,
+      agent_id: result.agent_id,
+      agent_name: result.agent_name,
+      previous_agent_id: result.previous_agent_id,
+      timestamp: new Date().toISOString(),
+    });
+
+    await refreshAgentSockets(io, chatGroupId, result.agent_id);
+
+    if (result.previous_agent_id) {
+      io.to(`agent_${result.previous_agent_id}`).emit("customerListUpdate", {
+        type: "remove_chat_group",
+        data: {
+          chat_group_id: chatGroupId,
+          agentId: result.previous_agent_id,
+          accepted_by: result.agent_id,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    await handleChatAssignment(io, chatGroupId, result.agent_id);
+  } catch (error) {
+    console.error("❌ Error notifying barge-in:", error.message);
+  }
+}
+
+module.exports = {
+  notifyCollaboratorInvited,
+  notifyParticipantLeft,
+  notifyBargeIn,
+};
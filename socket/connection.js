@@ -11,10 +11,14 @@ const supabase = require("../helpers/supabaseClient");
 const queueService = require("../services/queue.service");
 const { joinDepartmentRooms } = require("./room-management");
 const logger = require('../helpers/logger')
+const { refreshWallboard } = require("./wallboard");
+const presenceLogService = require("../services/presenceLog.service");
+const { PRESENCE_CHANGE_REASON } = require("../utils/presenceLog");
 
 /**
- * Set presence in Redis and broadcast to all clients.
+ * Set presence in Redis, broadcast to all clients and log the transition.
  * Shared by updateUserPresence, SocketManager cleanup, and forceUpdatePresence.
+ * broadcastExtra.reason is also stored as the presence_log reason (default manual).
  */
 async function setPresenceAndBroadcast(
   io,
@@ -22,6 +26,7 @@ async function setPresenceAndBroadcast(
   presenceData,
   broadcastExtra = {},
 ) {
+  const previous = await cacheManager.getUserPresence(userId);
   await cacheManager.setUserPresence(userId, presenceData);
   io.emit("presence:change", {
     userId,
@@ -33,6 +38,13 @@ async function setPresenceAndBroadcast(
     timestamp: presenceData.lastSeen,
     ...broadcastExtra,
   });
+
+  await presenceLogService.recordTransition(userId, presenceData.userPresence, {
+    previousStatus: previous?.userPresence || null,
+    reason: broadcastExtra.reason,
+    changedAt: presenceData.lastSeen,
+  });
+  refreshWallboard(io);
 }
 
 /**
@@ -268,6 +280,8 @@ function setupDisconnectHandler(socket, io) {
       (socket.user?.userType === "agent" || socket.user?.userType === "admin")
     ) {
       try {
+        const previous = await cacheManager.getUserPresence(socket.user.userId);
+
         // Remove from Redis immediately (don't wait for TTL)
         await cacheManager.removeUserPresence(socket.user.userId);
         
@@ -282,6 +296,12 @@ function setupDisconnectHandler(socket, io) {
           timestamp: new Date().toISOString(),
           reason: 'disconnect',
         });
+
+        await presenceLogService.recordTransition(socket.user.userId, USER_PRESENCE_STATUS.OFFLINE, {
+          previousStatus: previous?.userPresence || null,
+          reason: PRESENCE_CHANGE_REASON.DISCONNECT,
+        });
+        refreshWallboard(io);
         
         logger.socket.info("presence removed on disconnect", {
           userId: socket.user.userId,
@@ -5,6 +5,8 @@
 
 const supabase = require("../helpers/supabaseClient");
 const pushService = require("../services/push.service");
+const { broadcastQueuePositions, emitLeftQueue } = require("./queue-updates");
+const { refreshWallboard } = require("./wallboard");
 
 /**
  * Get chat group information
@@ -20,6 +22,8 @@ async function getChatGroupInfo(chatGroupId) {
         dept_id,
         sys_user_id,
         status,
+        queue_reason,
+        priority,
         created_at,
         department:dept_id (
           dept_name
@@ -95,6 +99,8 @@ function buildCustomerUpdate(type, chatGroupInfo, clientInfo, agentId) {
         sys_user_id: chatGroupInfo.sys_user_id,
         dept_id: chatGroupInfo.dept_id,
         created_at: chatGroupInfo.created_at,
+        queue_reason: chatGroupInfo.queue_reason || null,
+        priority: chatGroupInfo.priority ?? null,
       },
       agentId: agentId || null,
       chat_group_id: chatGroupInfo.chat_group_id,
@@ -139,6 +145,10 @@ async function handleChatAssignment(io, chatGroupId, agentId) {
       `${clientInfo.name} needs help`,
       { chatGroupId, url: `/chats?group=${chatGroupId}` }
     ).catch((err) => console.error('❌ Push (assign) error:', err.message));
+
+    // Chats behind this one (if it was queued) move up
+    emitLeftQueue(io, chatGroupId, chatGroupInfo.status);
+    await broadcastQueuePositions(io, chatGroupInfo.dept_id);
   } catch (error) {
     console.error("❌ Error handling chat assignment update:", error);
   }
@@ -172,6 +182,8 @@ async function handleChatQueued(io, chatGroupId, deptId) {
     console.log(
       `📋 customerListUpdate: new_queued_chat ${chatGroupId} in dept ${deptId} (room: ${departmentRoom})`,
     );
+
+    await broadcastQueuePositions(io, deptId);
   } catch (error) {
     console.error("❌ Error handling chat queued update:", error);
   }
@@ -205,6 +217,9 @@ async function handleChatAccepted(io, chatGroupId, agentId) {
         { chatGroupId, url: `/chats?group=${chatGroupId}` }
       ).catch((err) => console.error('❌ Push (transfer) error:', err.message));
     }
+
+    emitLeftQueue(io, chatGroupId, chatGroupInfo.status);
+    await broadcastQueuePositions(io, chatGroupInfo.dept_id);
   } catch (error) {
     console.error("❌ Error handling chat accepted update:", error);
   }
@@ -254,16 +269,80 @@ async function handleChatResolvedByClient(io, chatGroupId, agentId) {
       );
     }
 
+    refreshWallboard(io);
+
   } catch (error) {
     console.error("❌ Error handling chat resolved by client update:", error);
   }
 }
 
+/**
+ * Handle chat leaving a department queue without an agent accepting it
+ * (overflowed to a backup department or closed as abandoned)
+ * Emits customerListUpdate with type 'remove_chat_group' to the old department's agents
+ */
+async function handleChatRemovedFromQueue(io, chatGroupId, deptId) {
+  try {
+    const payload = {
+      type: "remove_chat_group",
+      data: {
+        chat_group_id: chatGroupId,
+        agentId: null,
+        accepted_by: null,
+      },
+      timestamp: new Date().toISOString(),
+    };
+
+    const departmentRoom = `department_${deptId}`;
+    io.to(departmentRoom).emit("customerListUpdate", payload);
+
+    console.log(
+      `📋 customerListUpdate: remove_chat_group ${chatGroupId} from dept ${deptId} queue (room: ${departmentRoom})`,
+    );
+
+    await broadcastQueuePositions(io, deptId);
+  } catch (error) {
+    console.error("❌ Error handling chat removed from queue update:", error);
+  }
+}
+
+/**
+ * Handle a queued chat's priority changing (supervisor bump or keyword rule)
+ * Emits customerListUpdate with type 'priority_updated' so department queues re-sort
+ */
+async function handleChatPriorityUpdated(io, chatGroup) {
+  try {
+    const payload = {
+      type: "priority_updated",
+      data: {
+        chat_group_id: chatGroup.chat_group_id,
+        priority: chatGroup.priority,
+        priority_source: chatGroup.priority_source,
+      },
+      timestamp: new Date().toISOString(),
+    };
+
+    const departmentRoom = `department_${chatGroup.dept_id}`;
+    io.to(departmentRoom).emit("customerListUpdate", payload);
+
+    console.log(
+      `📋 customerListUpdate: priority_updated ${chatGroup.chat_group_id} → ${chatGroup.priority} (room: ${departmentRoom})`,
+    );
+
+    // Positions shift for everyone the chat jumped over
+    await broadcastQueuePositions(io, chatGroup.dept_id);
+  } catch (error) {
+    console.error("❌ Error handling chat priority update:", error);
+  }
+}
+
 module.exports = {
   handleChatAssignment,
   handleChatQueued,
   handleChatAccepted,
   handleChatResolvedByClient,
+  handleChatRemovedFromQueue,
+  handleChatPriorityUpdated,
   getChatGroupInfo,
   getClientInfo,
 };
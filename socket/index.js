@@ -1,5 +1,14 @@
 const { Server } = require("socket.io");
 const chatService = require("../services/chat.service");
+const attachmentService = require("../services/attachment.service");
+const { parseAttachmentIds } = require("../utils/chatAttachments");
+const messageEditService = require("../services/messageEdit.service");
+const { MESSAGE_EDIT_ERRORS, MAX_MESSAGE_LENGTH } = require("../utils/messageEdits");
+const { emitMessageEdited, emitMessageDeleted } = require("./message-updates");
+const messageSyncService = require("../services/messageSync.service");
+const { MESSAGE_SYNC_ERRORS, parseClientMessageId, parseSyncCursor } = require("../utils/messageSync");
+const chatLifecycleService = require("../services/chatLifecycle.service");
+const { notifyChatReactivated } = require("./chat-lifecycle");
 const { authenticateSocket } = require("./auth");
 const {
   handleConnection,
@@ -12,10 +21,17 @@ const {
   handleUserLeft,
 } = require("./room-management");
 const SocketManager = require("./manager");
+const QueueScheduler = require("./queue-scheduler");
+const SlaMonitor = require("./sla-monitor");
+const ReportScheduler = require("./report-scheduler");
 const {
   getChatGroupInfo,
   getClientInfo,
 } = require("./customer-list");
+const { handleClientMessageAutoReply } = require("./auto-reply");
+const { handleClientMessagePriority } = require("./priority");
+const { setupWallboardHandlers } = require("./wallboard");
+const { PARTICIPANT_ERRORS, isSilentAccess } = require("../utils/chatParticipants");
 
 /**
  * Simplified Socket.IO Implementation
@@ -63,6 +79,10 @@ function checkTypingRateLimit(userId) {
   return true;
 }
 
+function isMonitoring(socket, chatGroupId) {
+  return Boolean(chatGroupId) && socket.monitoredChats.has(String(chatGroupId));
+}
+
 // Clean up stale entries every 5 minutes
 setInterval(() => {
   const now = Date.now();
@@ -74,6 +94,25 @@ setInterval(() => {
   }
 }, 5 * 60 * 1000);
 
+// Sender identity in the same shape sendMessage stores it (agents by sys_user_id, clients by client_id)
+function getSocketSender(socket) {
+  return {
+    sysUserId: socket.user.userType === "agent" ? socket.user.userId : null,
+    clientId: socket.user.userType === "client" ? socket.user.userId : null,
+  };
+}
+
+// Confirm a retried send without storing or broadcasting it again
+function emitDuplicateDelivered(socket, message) {
+  socket.emit("messageDelivered", {
+    chat_id: message.chat_id,
+    chat_group_id: message.chat_group_id,
+    client_message_id: message.client_message_id,
+    timestamp: message.chat_created_at,
+    duplicate: true,
+  });
+}
+
 function initializeSocket(server, allowedOrigins) {
   const io = new Server(server, {
     cors: {
@@ -168,10 +207,28 @@ function initializeSocket(server, allowedOrigins) {
   const socketManager = new SocketManager(io);
   socketManager.start();
 
+  // Initialize queue overflow/escalation rules alongside it
+  const queueScheduler = new QueueScheduler(io);
+  queueScheduler.start();
+
+  // Initialize SLA breach tracking
+  const slaMonitor = new SlaMonitor(io);
+  slaMonitor.start();
+
+  // Initialize scheduled report emails
+  const reportScheduler = new ReportScheduler(io);
+  reportScheduler.start();
+
   io.on("connection", (socket) => {
     // Handle connection lifecycle
     handleConnection(socket, io);
 
+    // Chats this socket joined as a monitoring supervisor
+    socket.monitoredChats = new Set();
+
+    // Supervisor wallboard subscription
+    setupWallboardHandlers(socket);
+
     // Join chat room
     socket.on("chat:join", async ({ chatGroupId }) => {
       try {
@@ -202,29 +259,38 @@ function initializeSocket(server, allowedOrigins) {
           const totalRooms = io.sockets.adapter.rooms.size;
           // console.log(`🚪 ${socket.user.userType} ${socket.user.userId} left room: ${previousRoom} | Users in room: ${previousRoomSize} | Total rooms: ${totalRooms}`);
           
-          handleUserLeft(
+          if (!isMonitoring(socket, socket.currentChatGroup)) {
+            handleUserLeft(
+              io,
+              socket,
+              previousRoom,
+              socket.user.userType,
+              socket.user.userId,
+              socket.currentChatGroup,
+            );
+          }
+        }
+
+        socket.join(`chat_${chatGroupId}`);
+        socket.currentChatGroup = chatGroupId;
+
+        // Monitoring supervisors watch silently: no join broadcast, no read receipts
+        if (isSilentAccess(roomAccess.accessType)) {
+          socket.monitoredChats.add(String(chatGroupId));
+        } else {
+          socket.monitoredChats.delete(String(chatGroupId));
+
+          // Notify room that user joined and auto-mark messages as read
+          await handleUserJoined(
             io,
             socket,
-            previousRoom,
+            `chat_${chatGroupId}`,
             socket.user.userType,
             socket.user.userId,
-            socket.currentChatGroup,
+            chatGroupId,
           );
         }
 
-        socket.join(`chat_${chatGroupId}`);
-        socket.currentChatGroup = chatGroupId;
-
-        // Notify room that user joined and auto-mark messages as read
-        await handleUserJoined(
-          io,
-          socket,
-          `chat_${chatGroupId}`,
-          socket.user.userType,
-          socket.user.userId,
-          chatGroupId,
-        );
-
         // Log room join with stats
         const currentRoomSize = io.sockets.adapter.rooms.get(`chat_${chatGroupId}`)?.size || 0;
         const totalRooms = io.sockets.adapter.rooms.size;
@@ -245,31 +311,71 @@ function initializeSocket(server, allowedOrigins) {
         socket.emit('error', { message: 'Message rate limit exceeded. Max 30 messages per minute.' });
         return;
       }
+      const { chat_group_id, chat_body, attachment_ids, reply_to_chat_id, client_message_id } = data || {};
+      const { id: clientMessageId, error: clientMessageIdError } = parseClientMessageId(client_message_id);
+
       try {
-        const { chat_group_id, chat_body } = data;
+        if (clientMessageIdError) {
+          socket.emit("messageError", { message: clientMessageIdError });
+          return;
+        }
 
-        if (!chat_group_id || !chat_body) {
+        const { ids: attachmentIds, error: attachmentError } = parseAttachmentIds(attachment_ids);
+        if (attachmentError) {
+          socket.emit("messageError", { message: attachmentError });
+          return;
+        }
+
+        if (!chat_group_id || (!chat_body && !attachmentIds.length)) {
           socket.emit("messageError", {
-            message: "Chat group ID and message body are required",
+            message: "Chat group ID and a message body or attachment are required",
           });
           return;
         }
 
+        if (isMonitoring(socket, chat_group_id)) {
+          socket.emit("messageError", { message: PARTICIPANT_ERRORS.MONITOR_CANNOT_MESSAGE });
+          return;
+        }
+
         const messageData = {
-          chat_body,
+          chat_body: chat_body || "",
           chat_group_id: chat_group_id,
           chat_created_at: new Date().toISOString(),
           sys_user_id:
             socket.user.userType === "agent" ? socket.user.userId : null,
           client_id:
             socket.user.userType === "client" ? socket.user.userId : null,
+          client_message_id: clientMessageId,
         };
 
+        const sender = { sysUserId: messageData.sys_user_id, clientId: messageData.client_id };
+        const duplicate = await messageSyncService.findDuplicate(chat_group_id, clientMessageId, sender);
+        if (duplicate) {
+          emitDuplicateDelivered(socket, duplicate);
+          return;
+        }
+
+        if (reply_to_chat_id) {
+          await messageEditService.assertReplyTarget(reply_to_chat_id, chat_group_id);
+          messageData.chat_reply_to_id = reply_to_chat_id;
+        }
+
+        await attachmentService.assertSendable(attachmentIds, chat_group_id, sender);
+
+        // A client writing to a snoozed or recently resolved chat brings it back,
+        // once the message has passed every check
+        const reactivation = socket.user.userType === "client"
+          ? await chatLifecycleService.reactivateOnClientMessage(chat_group_id, socket.user.userId)
+          : null;
+
         const message = await chatService.insertMessage(messageData);
+        const attachments = await attachmentService.linkToMessage(attachmentIds, message.chat_id, chat_group_id);
 
         // Format message with sender information for broadcasting
         const formattedMessage = {
           ...message,
+          attachments,
           sender_type: socket.user.userType === "agent" ? "agent" : "client",
           sender_id: socket.user.userId,
         };
@@ -337,9 +443,18 @@ function initializeSocket(server, allowedOrigins) {
         socket.emit("messageDelivered", {
           chat_id: message.chat_id,
           chat_group_id: message.chat_group_id,
+          client_message_id: message.client_message_id,
           timestamp: message.chat_created_at,
         });
 
+        await notifyChatReactivated(io, reactivation);
+
+        // Evaluate auto reply and keyword priority rules against the client's message
+        if (senderType === "client" && chat_body) {
+          await handleClientMessageAutoReply(io, chat_group_id, chat_body);
+          await handleClientMessagePriority(io, chat_group_id, chat_body);
+        }
+
         // Emit customerListUpdate to move chat to top of list and show unread indicator
         const chatGroupInfo = await getChatGroupInfo(chat_group_id);
         if (chatGroupInfo && chatGroupInfo.sys_user_id) {
@@ -374,10 +489,118 @@ function initializeSocket(server, allowedOrigins) {
 
       } catch (error) {
         console.error("❌ Error sending message:", error);
+
+        // Lost the race with a concurrent retry of the same message
+        if (error.code === "23505" && clientMessageId) {
+          try {
+            const duplicate = await messageSyncService.findDuplicate(
+              chat_group_id,
+              clientMessageId,
+              getSocketSender(socket),
+            );
+            if (duplicate) {
+              emitDuplicateDelivered(socket, duplicate);
+              return;
+            }
+          } catch (lookupError) {
+            console.error("❌ Error loading duplicate message:", lookupError.message);
+          }
+        }
+
+        if (
+          error.message === "Attachment not found or already sent" ||
+          error.message === MESSAGE_SYNC_ERRORS.CLIENT_MESSAGE_ID_IN_USE ||
+          Object.values(MESSAGE_EDIT_ERRORS).includes(error.message)
+        ) {
+          socket.emit("messageError", { message: error.message });
+          return;
+        }
+
         socket.emit("messageError", { message: "Failed to send message" });
       }
     });
 
+    // Edit the sender's own message within the edit window
+    socket.on("editMessage", async ({ chat_id, chat_body } = {}) => {
+      try {
+        const body = typeof chat_body === "string" ? chat_body.trim() : "";
+        if (!chat_id || !body) {
+          socket.emit("messageError", { message: "Message ID and new message body are required" });
+          return;
+        }
+        if (body.length > MAX_MESSAGE_LENGTH) {
+          socket.emit("messageError", { message: `Messages are limited to ${MAX_MESSAGE_LENGTH} characters` });
+          return;
+        }
+
+        const message = await messageEditService.editMessage(chat_id, body, getSocketSender(socket));
+        await emitMessageEdited(io, message);
+      } catch (error) {
+        console.error("❌ Error editing message:", error.message);
+        socket.emit("messageError", {
+          message: Object.values(MESSAGE_EDIT_ERRORS).includes(error.message)
+            ? error.message
+            : "Failed to edit message",
+        });
+      }
+    });
+
+    // Unsend the sender's own message within the edit window
+    socket.on("deleteMessage", async ({ chat_id } = {}) => {
+      try {
+        if (!chat_id) {
+          socket.emit("messageError", { message: "Message ID is required" });
+          return;
+        }
+
+        const message = await messageEditService.unsendMessage(chat_id, getSocketSender(socket));
+        await emitMessageDeleted(io, message);
+      } catch (error) {
+        console.error("❌ Error unsending message:", error.message);
+        socket.emit("messageError", {
+          message: Object.values(MESSAGE_EDIT_ERRORS).includes(error.message)
+            ? error.message
+            : "Failed to unsend message",
+        });
+      }
+    });
+
+    // Fetch messages and status changes missed while disconnected
+    socket.on("chat:sync", async ({ chatGroupId, since } = {}) => {
+      try {
+        if (!chatGroupId) {
+          socket.emit("error", { message: "Chat group ID is required" });
+          return;
+        }
+
+        const { cursor, error: cursorError } = parseSyncCursor(since);
+        if (cursorError) {
+          socket.emit("error", { message: cursorError });
+          return;
+        }
+
+        const roomAccess = await canJoinRoom(socket.user, chatGroupId);
+        if (!roomAccess.allowed) {
+          socket.emit("error", {
+            message: "Access denied: " + roomAccess.reason,
+          });
+          return;
+        }
+
+        const result = await messageSyncService.getChangesSince(chatGroupId, cursor, {
+          userType: socket.user.userType,
+          userId: socket.user.userId,
+        });
+
+        socket.emit("chat:synced", result);
+      } catch (error) {
+        console.error("❌ Error syncing chat group:", error);
+        socket.emit("error", {
+          message: "Failed to sync chat group: " + error.message,
+        });
+      }
+    });
+
     // Leave chat room
     socket.on("chat:leave", async ({ chatGroupId }) => {
       try {
@@ -403,15 +626,18 @@ function initializeSocket(server, allowedOrigins) {
         const totalConnections = io.sockets.sockets.size;
         console.log(`Users in room: ${roomSize} | Total rooms: ${totalRooms} | Total connections: ${totalConnections}`);
         
-        // Notify others in the room
-        handleUserLeft(
-          io,
-          socket,
-          roomName,
-          socket.user.userType,
-          socket.user.userId,
-          chatGroupId,
-        );
+        // Notify others in the room (monitors leave as silently as they joined)
+        if (!isMonitoring(socket, chatGroupId)) {
+          handleUserLeft(
+            io,
+            socket,
+            roomName,
+            socket.user.userType,
+            socket.user.userId,
+            chatGroupId,
+          );
+        }
+        socket.monitoredChats.delete(String(chatGroupId));
 
         // Clear current chat group
         socket.currentChatGroup = null;
@@ -433,7 +659,7 @@ function initializeSocket(server, allowedOrigins) {
       if (userId && !checkTypingRateLimit(userId)) {
         return; // Silently drop excessive typing events
       }
-      if (chatGroupId) {
+      if (chatGroupId && !isMonitoring(socket, chatGroupId)) {
         socket.to(`chat_${chatGroupId}`).emit("typing", {
           chatGroupId,
           userId: socket.user.userId,
@@ -444,7 +670,7 @@ function initializeSocket(server, allowedOrigins) {
     });
 
     socket.on("stopTyping", ({ chatGroupId }) => {
-      if (chatGroupId) {
+      if (chatGroupId && !isMonitoring(socket, chatGroupId)) {
         socket.to(`chat_${chatGroupId}`).emit("stopTyping", {
           chatGroupId,
           userId: socket.user.userId,
@@ -459,11 +685,17 @@ function initializeSocket(server, allowedOrigins) {
   // Add utility functions to io instance
   io.getStats = () => getConnectionStats(io);
   io.manager = socketManager;
+  io.queueScheduler = queueScheduler;
+  io.slaMonitor = slaMonitor;
+  io.reportScheduler = reportScheduler;
 
   // Graceful shutdown
   process.on("SIGTERM", () => {
     console.log("🛑 Shutting down socket manager...");
     socketManager.stop();
+    queueScheduler.stop();
+    slaMonitor.stop();
+    reportScheduler.stop();
   });
 
   return io;
@@ -0,0 +1,60 @@
+/**
+ * Internal Notes
+ * Delivers agent-only notes to agents viewing a chat and notifies mentioned colleagues
+ */
+
+const pushService = require("../services/push.service");
+
+/**
+ * Emit an event to every non-client socket in a chat room.
+ * Clients share the chat_<id> room, so agent-only events never go to the room itself.
+ */
+async function emitToChatAgents(io, chatGroupId, event, payload) {
+  const socketsInRoom = await io.in(`chat_${chatGroupId}`).fetchSockets();
+  socketsInRoom
+    .filter((s) => s.user?.userType && s.user.userType !== "client")
+    .forEach((s) => s.emit(event, payload));
+}
+
+/**
+ * Emit a new note to agents viewing the chat, then notify mentions
+ */
+async function emitInternalNote(io, note, mentionedUserIds = []) {
+  try {
+    const authorName = note.sender_name || "A colleague";
+    const payload = {
+      ...note,
+      sender_type: "agent",
+      sender_id: note.sys_user_id,
+    };
+
+    await emitToChatAgents(io, note.chat_group_id, "internalNote", payload);
+
+    for (const userId of mentionedUserIds) {
+      io.to(`agent_${userId}`).emit("chat:mention", {
+        chat_group_id: note.chat_group_id,
+        chat_id: note.chat_id,
+        note_body: note.chat_body,
+        mentioned_by: note.sys_user_id,
+        mentioned_by_name: authorName,
+        timestamp: new Date().toISOString(),
+      });
+
+      pushService.sendToUser(
+        userId,
+        `${authorName} mentioned you`,
+        note.chat_body.slice(0, 120),
+        { chatGroupId: note.chat_group_id, url: `/chats?group=${note.chat_group_id}` }
+      ).catch((err) => console.error('❌ Push (mention) error:', err.message));
+    }
+
+    console.log(`📝 Internal note ${note.chat_id} sent in chat ${note.chat_group_id} (${mentionedUserIds.length} mentions)`);
+  } catch (error) {
+    console.error("❌ Error emitting internal note:", error);
+  }
+}
+
+module.exports = {
+  emitToChatAgents,
+  emitInternalNote,
+};
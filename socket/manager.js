@@ -6,6 +6,10 @@
 const { cacheManager } = require('../helpers/redisClient');
 const { USER_PRESENCE_STATUS } = require('../constants/statuses');
 const { setPresenceAndBroadcast } = require('./connection');
+const { handleChatAssignment } = require('./customer-list');
+const agentAssignmentService = require('../services/agentAssignment.service');
+const chatLifecycleService = require('../services/chatLifecycle.service');
+const { notifyChatReactivated } = require('./chat-lifecycle');
 
 class SocketManager {
   constructor(io) {
@@ -13,6 +17,9 @@ class SocketManager {
     this.idleCheckInterval = null;
     this.cleanupInterval = null;
     this.presenceCleanupInterval = null;
+    this.businessHoursInterval = null;
+    this.previousAgentHoldInterval = null;
+    this.snoozeInterval = null;
   }
 
   /**
@@ -23,6 +30,15 @@ class SocketManager {
     
     // Start presence cleanup task (runs every 5 minutes)
     this.startPresenceCleanup();
+
+    // Start out-of-hours queue release task (runs every minute)
+    this.startBusinessHoursSweep();
+
+    // Start previous-agent hold expiry task (runs every 15 seconds)
+    this.startPreviousAgentHoldSweep();
+
+    // Start snoozed chat wake-up task (runs every minute)
+    this.startSnoozeSweep();
   }
 
   /**
@@ -67,6 +83,60 @@ class SocketManager {
     console.log('✅ Presence cleanup task started (runs every 5 minutes)');
   }
 
+  /**
+   * Route chats queued out of hours once their department opens
+   */
+  startBusinessHoursSweep() {
+    this.businessHoursInterval = setInterval(async () => {
+      try {
+        const assignedChats = await agentAssignmentService.releaseOutOfHoursQueue();
+        for (const chat of assignedChats) {
+          await handleChatAssignment(this.io, chat.chat_group_id, chat.agent_id);
+        }
+      } catch (error) {
+        console.error('❌ Error releasing out-of-hours queue:', error);
+      }
+    }, 60 * 1000); // Run every minute
+
+    console.log('✅ Business hours sweep started (runs every minute)');
+  }
+
+  /**
+   * Route chats whose hold for the client's previous agent has run out
+   */
+  startPreviousAgentHoldSweep() {
+    this.previousAgentHoldInterval = setInterval(async () => {
+      try {
+        const assignedChats = await agentAssignmentService.releaseExpiredPreviousAgentHolds();
+        for (const chat of assignedChats) {
+          await handleChatAssignment(this.io, chat.chat_group_id, chat.agent_id);
+        }
+      } catch (error) {
+        console.error('❌ Error releasing previous-agent holds:', error);
+      }
+    }, 15 * 1000); // Run every 15 seconds
+
+    console.log('✅ Previous-agent hold sweep started (runs every 15 seconds)');
+  }
+
+  /**
+   * Wake pending chats whose snooze time has passed
+   */
+  startSnoozeSweep() {
+    this.snoozeInterval = setInterval(async () => {
+      try {
+        const wokenChats = await chatLifecycleService.wakeDueSnoozes();
+        for (const result of wokenChats) {
+          await notifyChatReactivated(this.io, result);
+        }
+      } catch (error) {
+        console.error('❌ Error waking snoozed chats:', error);
+      }
+    }, 60 * 1000); // Run every minute
+
+    console.log('✅ Snooze wake-up sweep started (runs every minute)');
+  }
+
   /**
    * Stop the manager
    */
@@ -90,6 +160,21 @@ class SocketManager {
       clearInterval(this.presenceCleanupInterval);
       this.presenceCleanupInterval = null;
     }
+
+    if (this.businessHoursInterval) {
+      clearInterval(this.businessHoursInterval);
+      this.businessHoursInterval = null;
+    }
+
+    if (this.previousAgentHoldInterval) {
+      clearInterval(this.previousAgentHoldInterval);
+      this.previousAgentHoldInterval = null;
+    }
+
+    if (this.snoozeInterval) {
+      clearInterval(this.snoozeInterval);
+      this.snoozeInterval = null;
+    }
   }
 
   /**
@@ -0,0 +1,56 @@
+/**
+ * Message Updates
+ * Keeps web and mobile views in sync when a sender edits or unsends a message
+ */
+
+const { emitToChatAgents } = require("./internal-notes");
+const { isInternalNote } = require("../utils/internalNotes");
+
+/**
+ * Emit to everyone in the chat, or only agents when the message is an internal note
+ */
+async function emitToChat(io, message, event, payload) {
+  if (isInternalNote(message)) {
+    await emitToChatAgents(io, message.chat_group_id, event, payload);
+  } else {
+    io.to(`chat_${message.chat_group_id}`).emit(event, payload);
+  }
+}
+
+/**
+ * Broadcast messageEdited with the new text
+ */
+async function emitMessageEdited(io, message) {
+  try {
+    await emitToChat(io, message, "messageEdited", {
+      chat_id: message.chat_id,
+      chat_group_id: message.chat_group_id,
+      chat_body: message.chat_body,
+      chat_edited_at: message.chat_edited_at,
+    });
+    console.log(`✏️ messageEdited: message ${message.chat_id} in chat ${message.chat_group_id}`);
+  } catch (error) {
+    console.error("❌ Error emitting messageEdited:", error);
+  }
+}
+
+/**
+ * Broadcast messageDeleted so UIs replace the message with an "unsent" placeholder
+ */
+async function emitMessageDeleted(io, message) {
+  try {
+    await emitToChat(io, message, "messageDeleted", {
+      chat_id: message.chat_id,
+      chat_group_id: message.chat_group_id,
+      chat_deleted_at: message.chat_deleted_at,
+    });
+    console.log(`🗑️ messageDeleted: message ${message.chat_id} in chat ${message.chat_group_id}`);
+  } catch (error) {
+    console.error("❌ Error emitting messageDeleted:", error);
+  }
+}
+
+module.exports = {
+  emitMessageEdited,
+  emitMessageDeleted,
+};
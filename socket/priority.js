@@ -0,0 +1,28 @@
+/**
+ * Chat Priority Updates
+ * Re-prioritises queued chats when client messages match keyword rules
+ */
+
+const priorityService = require("../services/priority.service");
+const { handleChatPriorityUpdated } = require("./customer-list");
+
+/**
+ * Evaluate keyword priority rules against a message the client just sent.
+ * Failures are logged and never interrupt the calling flow.
+ */
+async function handleClientMessagePriority(io, chatGroupId, messageBody) {
+  try {
+    const chatGroup = await priorityService.applyMessagePriority(chatGroupId, messageBody);
+    if (!chatGroup || !io) return null;
+
+    await handleChatPriorityUpdated(io, chatGroup);
+    return chatGroup;
+  } catch (error) {
+    console.error("❌ Error evaluating priority rules:", error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  handleClientMessagePriority,
+};
@@ -0,0 +1,143 @@
+/**
+ * Queue Scheduler
+ * Applies department overflow rules to chats that have waited too long in the queue
+ */
+
+const queueOverflowService = require('../services/queueOverflow.service');
+const chatService = require('../services/chat.service');
+const pushService = require('../services/push.service');
+const { OVERFLOW_ACTION } = require('../utils/queueOverflow');
+const { TRANSFER_TYPE } = require('../constants/statuses');
+const {
+  handleChatAssignment,
+  handleChatQueued,
+  handleChatRemovedFromQueue,
+} = require('./customer-list');
+const { emitAutoReply, handleAutoReply } = require('./auto-reply');
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+class QueueScheduler {
+  constructor(io) {
+    this.io = io;
+    this.sweepInterval = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Start the overflow sweep
+   */
+  start() {
+    this.sweepInterval = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    console.log('✅ Queue overflow scheduler started (runs every minute)');
+  }
+
+  /**
+   * Run one pass over every department with an overflow rule.
+   * Skips a tick if the previous pass is still running.
+   */
+  async sweep() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    try {
+      const results = await queueOverflowService.processQueues();
+      for (const result of results) {
+        await this.notify(result);
+      }
+    } catch (error) {
+      console.error('❌ Error running queue overflow sweep:', error);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Tell clients, agents and supervisors what happened to a chat
+   */
+  async notify(result) {
+    try {
+      if (result.action === OVERFLOW_ACTION.OVERFLOW) {
+        await this.notifyOverflow(result);
+      } else if (result.action === OVERFLOW_ACTION.ESCALATE) {
+        await this.notifyEscalation(result);
+      } else if (result.action === OVERFLOW_ACTION.ABANDON) {
+        await this.notifyAbandoned(result);
+      }
+    } catch (error) {
+      console.error(`❌ Error notifying ${result.action} for chat ${result.chat_group_id}:`, error.message);
+    }
+  }
+
+  async notifyOverflow({ chat_group_id, from_dept_id, to_dept_id, assignmentResult }) {
+    const details = await chatService.getTransferDetails(from_dept_id, to_dept_id, assignmentResult);
+
+    this.io.to(`chat_${chat_group_id}`).emit('chatTransferred', {
+      chat_group_id,
+      transfer_type: TRANSFER_TYPE.OVERFLOW,
+      from_dept: details.fromDeptName,
+      to_dept: details.toDeptName,
+      to_agent: details.toAgentName,
+      assigned: assignmentResult.assigned,
+      timestamp: new Date().toISOString(),
+    });
+
+    await handleChatRemovedFromQueue(this.io, chat_group_id, from_dept_id);
+
+    if (assignmentResult.assigned) {
+      await handleChatAssignment(this.io, chat_group_id, assignmentResult.agentId);
+    } else {
+      await handleChatQueued(this.io, chat_group_id, to_dept_id);
+      await handleAutoReply(this.io, chat_group_id, to_dept_id);
+    }
+  }
+
+  async notifyEscalation({ chat_group_id, dept_id, waited_minutes, supervisorIds }) {
+    this.io.to(`department_${dept_id}`).emit('queue:escalated', {
+      chat_group_id,
+      dept_id,
+      waited_minutes,
+      timestamp: new Date().toISOString(),
+    });
+
+    for (const supervisorId of supervisorIds) {
+      pushService.sendToUser(
+        supervisorId,
+        'Chat waiting too long',
+        `A chat has been waiting ${waited_minutes} minutes in the queue`,
+        { chatGroupId: chat_group_id, url: `/queues?group=${chat_group_id}` }
+      ).catch((err) => console.error('❌ Push (escalation) error:', err.message));
+    }
+  }
+
+  async notifyAbandoned({ chat_group_id, dept_id, resolved_at, message }) {
+    if (message) {
+      emitAutoReply(this.io, chat_group_id, message);
+    }
+
+    this.io.to(`chat_${chat_group_id}`).emit('chat:resolved', {
+      chat_group_id,
+      status: 'resolved',
+      resolved_at,
+      resolved_by_type: 'system',
+      resolved_by_id: null,
+      transfer_type: TRANSFER_TYPE.ABANDONED,
+    });
+
+    await handleChatRemovedFromQueue(this.io, chat_group_id, dept_id);
+  }
+
+  /**
+   * Stop the scheduler
+   */
+  stop() {
+    if (this.sweepInterval) {
+      clearInterval(this.sweepInterval);
+      this.sweepInterval = null;
+    }
+
+    console.log('🛑 Queue overflow scheduler stopped');
+  }
+}
+
+module.exports = QueueScheduler;
@@ -0,0 +1,55 @@
+/**
+ * Queue Position Updates
+ * Tells queued clients where they stand in their department queue
+ */
+
+const queueService = require("../services/queue.service");
+const { refreshWallboard } = require("./wallboard");
+
+/**
+ * Push position and estimated wait to every client queued in a department.
+ * Called whenever the queue moves: new queued chat, assignment, drain, accept or abandonment.
+ */
+async function broadcastQueuePositions(io, deptId) {
+  if (!io || !deptId) return;
+
+  refreshWallboard(io);
+
+  try {
+    const queue = await queueService.getDepartmentQueueStatus(deptId);
+    const timestamp = new Date().toISOString();
+
+    for (const entry of queue) {
+      io.to(`chat_${entry.chat_group_id}`).emit("queue:position", {
+        ...entry,
+        timestamp,
+      });
+    }
+
+    if (queue.length > 0) {
+      console.log(`🔢 queue:position sent to ${queue.length} queued chats in dept ${deptId}`);
+    }
+  } catch (error) {
+    console.error("❌ Error broadcasting queue positions:", error.message);
+  }
+}
+
+/**
+ * Tell a chat that just left the queue it is no longer waiting
+ */
+function emitLeftQueue(io, chatGroupId, status) {
+  if (!io || !chatGroupId) return;
+
+  io.to(`chat_${chatGroupId}`).emit("queue:position", {
+    chat_group_id: Number(chatGroupId),
+    status,
+    position: null,
+    estimated_wait_seconds: null,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+module.exports = {
+  broadcastQueuePositions,
+  emitLeftQueue,
+};
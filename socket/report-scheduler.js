@@ -0,0 +1,57 @@
+/**
+ * Report Scheduler
+ * Generates and emails scheduled reports when they fall due
+ */
+
+const reportScheduleService = require('../services/reportSchedule.service');
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+class ReportScheduler {
+  constructor(io) {
+    this.io = io;
+    this.checkInterval = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Start checking for due reports
+   */
+  start() {
+    this.checkInterval = setInterval(() => this.runDueReports(), CHECK_INTERVAL_MS);
+    console.log('✅ Report scheduler started (checks every minute)');
+  }
+
+  /**
+   * Send every due report once. Skips a tick if the previous pass is still running.
+   */
+  async runDueReports() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    try {
+      const runs = await reportScheduleService.runDueSchedules();
+      if (runs.length > 0) {
+        console.log(`📑 Report scheduler: ${runs.length} scheduled reports processed`);
+      }
+    } catch (error) {
+      console.error('❌ Error running scheduled reports:', error);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Stop the scheduler
+   */
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+
+    console.log('🛑 Report scheduler stopped');
+  }
+}
+
+module.exports = ReportScheduler;
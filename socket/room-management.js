@@ -4,6 +4,7 @@
  */
 
 const supabase = require('../helpers/supabaseClient');
+const { getParticipantAccess } = require('../utils/chatParticipants');
 
 /**
  * Join agent to their department rooms
@@ -88,6 +89,13 @@ async function checkAgentRoomAccess(userContext, roomInfo) {
     };
   }
 
+  // Collaborators and monitoring supervisors join as their participant role,
+  // even for chats outside their departments
+  const participantAccess = await checkParticipantAccess(userContext, roomInfo);
+  if (participantAccess.allowed) {
+    return participantAccess;
+  }
+
   // Check department-level access
   const departmentAccess = await checkDepartmentAccess(userContext, roomInfo);
   if (departmentAccess.allowed) {
@@ -100,6 +108,41 @@ async function checkAgentRoomAccess(userContext, roomInfo) {
   };
 }
 
+/**
+ * Check participant access (collaborator or monitor)
+ */
+async function checkParticipantAccess(userContext, roomInfo) {
+  const { data: participant, error } = await supabase
+    .from('chat_participant')
+    .select('participant_role')
+    .eq('chat_group_id', roomInfo.chat_group_id)
+    .eq('sys_user_id', userContext.userId)
+    .is('left_at', null)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Participant access check failed:', error);
+    return {
+      allowed: false,
+      reason: 'Failed to verify participant access'
+    };
+  }
+
+  const accessType = getParticipantAccess(roomInfo, userContext.userId, participant);
+  if (!accessType) {
+    return {
+      allowed: false,
+      reason: 'Agent is not a participant in this chat'
+    };
+  }
+
+  return {
+    allowed: true,
+    roomInfo: roomInfo,
+    accessType
+  };
+}
+
 /**
  * Check client room access
  */
@@ -373,6 +416,7 @@ module.exports = {
   canJoinRoom,
   checkAgentRoomAccess,
   checkClientRoomAccess,
+  checkParticipantAccess,
   checkDepartmentAccess,
   getRoomInfo,
   handleUserJoined,
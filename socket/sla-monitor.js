@@ -0,0 +1,107 @@
+/**
+ * SLA Monitor
+ * Periodically evaluates open chats against their SLA policy and warns agents
+ * before and when a target is missed
+ */
+
+const slaService = require('../services/sla.service');
+const { SLA_STATUS } = require('../constants/statuses');
+const { refreshWallboard } = require('./wallboard');
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+class SlaMonitor {
+  constructor(io) {
+    this.io = io;
+    this.sweepInterval = null;
+    this.isRunning = false;
+    // chat:metric:started_at keys already warned as at risk, so each target warns once
+    this.atRiskWarned = new Set();
+  }
+
+  /**
+   * Start the SLA sweep
+   */
+  start() {
+    this.sweepInterval = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    console.log('✅ SLA monitor started (runs every minute)');
+  }
+
+  /**
+   * Evaluate every open chat once. Skips a tick if the previous pass is still running.
+   */
+  async sweep() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    try {
+      const results = await slaService.evaluateChats();
+      const stillAtRisk = new Set();
+
+      for (const result of results) {
+        for (const metric of result.atRisk) {
+          const key = `${result.chat_group_id}:${metric.metric}:${metric.started_at}`;
+          stillAtRisk.add(key);
+          if (this.atRiskWarned.has(key)) continue;
+
+          this.emitWarning(result, metric, SLA_STATUS.AT_RISK);
+        }
+
+        for (const breach of result.newBreaches) {
+          this.emitWarning(result, breach, SLA_STATUS.BREACHED);
+        }
+      }
+
+      // Forget targets that were met or breached so the set never grows unbounded
+      this.atRiskWarned = stillAtRisk;
+
+      if (results.some((result) => result.sla_status !== result.previous_sla_status)) {
+        refreshWallboard(this.io);
+      }
+    } catch (error) {
+      console.error('❌ Error running SLA sweep:', error);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Send sla:warning to the assigned agent and the department room
+   */
+  emitWarning(result, metric, level) {
+    const payload = {
+      chat_group_id: result.chat_group_id,
+      dept_id: result.dept_id,
+      sys_user_id: result.sys_user_id,
+      level,
+      metric: metric.sla_metric || metric.metric,
+      target_minutes: metric.target_minutes,
+      due_at: metric.due_at,
+      sla_status: result.sla_status,
+      timestamp: new Date().toISOString(),
+    };
+
+    if (result.sys_user_id) {
+      this.io.to(`agent_${result.sys_user_id}`).emit('sla:warning', payload);
+    }
+    if (result.dept_id) {
+      this.io.to(`department_${result.dept_id}`).emit('sla:warning', payload);
+    }
+
+    console.log(`⏰ sla:warning ${level} ${payload.metric} for chat ${result.chat_group_id}`);
+  }
+
+  /**
+   * Stop the monitor
+   */
+  stop() {
+    if (this.sweepInterval) {
+      clearInterval(this.sweepInterval);
+      this.sweepInterval = null;
+    }
+
+    console.log('🛑 SLA monitor stopped');
+  }
+}
+
+module.exports = SlaMonitor;
@@ -0,0 +1,81 @@
+/**
+ * Supervisor Wallboard
+ * Pushes queue, agent and SLA figures to supervisors in the wallboard room
+ * whenever an assignment, queue or presence change happens
+ */
+
+const wallboardService = require("../services/wallboard.service");
+const profileService = require("../services/profile.service");
+const { PERMISSIONS } = require("../constants/permissions");
+
+const WALLBOARD_ROOM = "wallboard";
+
+// Changes often come in bursts (a queue drain assigns several chats); send one update per burst
+const REFRESH_DELAY_MS = 1000;
+
+let refreshTimer = null;
+
+/**
+ * Supervisors who can monitor chats or view agent analytics may watch the wallboard
+ */
+async function canViewWallboard(user) {
+  if (!user?.userId || user.userType === "client") return false;
+
+  const [canMonitor, canViewAnalytics] = await Promise.all([
+    profileService.checkUserPermission(user.userId, PERMISSIONS.MONITOR_CHATS),
+    profileService.checkUserPermission(user.userId, PERMISSIONS.VIEW_ANALYTICS_MANAGE_AGENTS),
+  ]);
+  return canMonitor || canViewAnalytics;
+}
+
+/**
+ * wallboard:join sends the current snapshot and subscribes to updates; wallboard:leave unsubscribes
+ */
+function setupWallboardHandlers(socket) {
+  socket.on("wallboard:join", async () => {
+    try {
+      if (!(await canViewWallboard(socket.user))) {
+        socket.emit("error", { message: "Access denied: wallboard requires supervisor permissions" });
+        return;
+      }
+
+      socket.join(WALLBOARD_ROOM);
+      socket.emit("wallboard:update", await wallboardService.getSnapshot());
+      console.log(`📊 ${socket.user.userType} ${socket.user.userId} joined the wallboard`);
+    } catch (error) {
+      console.error("❌ Error joining wallboard:", error);
+      socket.emit("error", { message: "Failed to load wallboard: " + error.message });
+    }
+  });
+
+  socket.on("wallboard:leave", () => {
+    socket.leave(WALLBOARD_ROOM);
+  });
+}
+
+/**
+ * Schedule a wallboard:update for everyone watching. Calls within REFRESH_DELAY_MS
+ * share one snapshot, and nothing is loaded while the room is empty.
+ */
+function refreshWallboard(io) {
+  if (!io || refreshTimer) return;
+  if (!io.sockets?.adapter?.rooms?.get(WALLBOARD_ROOM)?.size) return;
+
+  refreshTimer = setTimeout(async () => {
+    refreshTimer = null;
+
+    try {
+      const snapshot = await wallboardService.getSnapshot();
+      io.to(WALLBOARD_ROOM).emit("wallboard:update", snapshot);
+    } catch (error) {
+      console.error("❌ Error refreshing wallboard:", error.message);
+    }
+  }, REFRESH_DELAY_MS);
+}
+
+module.exports = {
+  WALLBOARD_ROOM,
+  canViewWallboard,
+  setupWallboardHandlers,
+  refreshWallboard,
+};
@@ -0,0 +1,69 @@
+const { rankAgents, getTopTier } = require("../../utils/agentMatching");
+
+describe("agentMatching - rankAgents", () => {
+  it("should drop agents at or over their own concurrency limit", () => {
+    const ranked = rankAgents([1, 2, 3], {
+      workloads: { 1: 2, 2: 5, 3: 7 },
+      capacities: { 1: 2, 2: 8, 3: 5 },
+    });
+
+    expect(ranked.map((c) => c.agentId)).toEqual([2]);
+  });
+
+  it("should fall back to the default limit of 5 when no capacity is known", () => {
+    const ranked = rankAgents([1, 2], { workloads: { 1: 4, 2: 5 } });
+
+    expect(ranked.map((c) => c.agentId)).toEqual([1]);
+  });
+
+  it("should order by least active chats when no skills are required", () => {
+    const ranked = rankAgents([1, 2, 3], { workloads: { 1: 3, 2: 0, 3: 1 } });
+
+    expect(ranked.map((c) => c.agentId)).toEqual([2, 3, 1]);
+  });
+
+  it("should prefer agents meeting more required skills over less busy ones", () => {
+    const requiredSkills = [
+      { skill_id: 10, min_proficiency: 1 }, // e.g. Tagalog
+      { skill_id: 20, min_proficiency: 3 }, // e.g. Billing
+    ];
+
+    const ranked = rankAgents([1, 2, 3], {
+      workloads: { 1: 0, 2: 3, 3: 1 },
+      agentSkills: {
+        1: {},
+        2: { 10: 2, 20: 4 },
+        3: { 10: 5, 20: 2 }, // below the billing minimum
+      },
+      requiredSkills,
+    });
+
+    expect(ranked.map((c) => [c.agentId, c.matched])).toEqual([
+      [2, 2],
+      [3, 1],
+      [1, 0],
+    ]);
+  });
+
+  it("should break workload ties on proficiency", () => {
+    const ranked = rankAgents([1, 2], {
+      workloads: { 1: 1, 2: 1 },
+      agentSkills: { 1: { 10: 2 }, 2: { 10: 5 } },
+      requiredSkills: [{ skill_id: 10 }],
+    });
+
+    expect(ranked.map((c) => c.agentId)).toEqual([2, 1]);
+  });
+});
+
+describe("agentMatching - getTopTier", () => {
+  it("should return only the candidates tied with the best one", () => {
+    const ranked = rankAgents([1, 2, 3], { workloads: { 1: 1, 2: 1, 3: 2 } });
+
+    expect(getTopTier(ranked).map((c) => c.agentId)).toEqual([1, 2]);
+  });
+
+  it("should return an empty list when nobody is available", () => {
+    expect(getTopTier([])).toEqual([]);
+  });
+});
@@ -0,0 +1,121 @@
+const {
+  parseScorecardPeriod,
+  computeConcurrency,
+  compareScorecards,
+} = require("../../utils/agentScorecard");
+
+describe("agentScorecard", () => {
+  // Wednesday
+  const now = new Date("2026-03-11T12:00:00Z");
+
+  describe("parseScorecardPeriod", () => {
+    it("should compare this week so far with the same stretch of last week", () => {
+      expect(parseScorecardPeriod({}, now)).toEqual({
+        current: { from: "2026-03-09T00:00:00.000Z", to: "2026-03-11T12:00:00.000Z" },
+        previous: { from: "2026-03-02T00:00:00.000Z", to: "2026-03-04T12:00:00.000Z" },
+        period: "week",
+        error: null,
+      });
+    });
+
+    it("should use calendar months and days", () => {
+      expect(parseScorecardPeriod({ period: "month" }, now).previous).toEqual({
+        from: "2026-02-01T00:00:00.000Z",
+        to: "2026-02-11T12:00:00.000Z",
+      });
+      expect(parseScorecardPeriod({ period: "day" }, now).current.from).toBe("2026-03-11T00:00:00.000Z");
+    });
+
+    it("should not let the previous period run into the current one", () => {
+      const { previous } = parseScorecardPeriod({ period: "month" }, new Date("2026-03-31T12:00:00Z"));
+      expect(previous).toEqual({ from: "2026-02-01T00:00:00.000Z", to: "2026-03-01T00:00:00.000Z" });
+    });
+
+    it("should compare a custom range with the equal range before it", () => {
+      const { current, previous, period } = parseScorecardPeriod({ from: "2026-03-01", to: "2026-03-08" }, now);
+
+      expect(period).toBeNull();
+      expect(current).toEqual({ from: "2026-03-01T00:00:00.000Z", to: "2026-03-08T00:00:00.000Z" });
+      expect(previous).toEqual({ from: "2026-02-22T00:00:00.000Z", to: "2026-03-01T00:00:00.000Z" });
+    });
+
+    it("should skip the comparison when compare=false", () => {
+      expect(parseScorecardPeriod({ compare: "false" }, now).previous).toBeNull();
+    });
+
+    it("should reject unknown periods and mixing period with a range", () => {
+      expect(parseScorecardPeriod({ period: "year" }, now).error).toBe("period must be one of: day, week, month");
+      expect(parseScorecardPeriod({ period: "week", from: "2026-03-01" }, now).error)
+        .toBe("Use either period or from/to, not both");
+      expect(parseScorecardPeriod({ from: "later" }, now).error).toBe("from and to must be ISO dates");
+    });
+  });
+
+  describe("computeConcurrency", () => {
+    const from = "2026-03-11T09:00:00Z";
+    const to = "2026-03-11T11:00:00Z";
+
+    it("should average open chats over the time the agent had any", () => {
+      const chats = [
+        { assigned_at: "2026-03-11T09:00:00+00:00", resolved_at: "2026-03-11T10:00:00", status: "resolved" },
+        { assigned_at: "2026-03-11T09:30:00+00:00", resolved_at: "2026-03-11T10:00:00", status: "resolved" },
+      ];
+
+      // 1 chat for 30 min, 2 chats for 30 min
+      expect(computeConcurrency(chats, from, to, now)).toEqual({ average: 1.5, peak: 2 });
+    });
+
+    it("should clip to the range and run active chats until now", () => {
+      const chats = [
+        { assigned_at: "2026-03-11T08:00:00+00:00", resolved_at: null, status: "active" },
+        { assigned_at: "2026-03-11T10:00:00+00:00", resolved_at: null, status: "pending" },
+      ];
+
+      expect(computeConcurrency(chats, from, to, now)).toEqual({ average: 1, peak: 1 });
+    });
+
+    it("should not count a chat resolved as the next one is assigned as overlapping", () => {
+      const chats = [
+        { assigned_at: "2026-03-11T09:00:00Z", resolved_at: "2026-03-11T09:30:00", status: "resolved" },
+        { assigned_at: "2026-03-11T09:30:00Z", resolved_at: "2026-03-11T10:00:00", status: "resolved" },
+      ];
+
+      expect(computeConcurrency(chats, from, to, now)).toEqual({ average: 1, peak: 1 });
+    });
+
+    it("should return no average without chats", () => {
+      expect(computeConcurrency([], from, to, now)).toEqual({ average: null, peak: 0 });
+    });
+  });
+
+  describe("compareScorecards", () => {
+    const card = (overrides = {}) => ({
+      chats_handled: 10,
+      chats_resolved: 8,
+      concurrency: { average: 1.5, peak: 3 },
+      median_first_response_minutes: 2,
+      median_resolution_minutes: 20,
+      transfers_in: 1,
+      transfers_out: 0,
+      csat: { average_rating: 4.5, csat_percent: 90 },
+      ...overrides,
+    });
+
+    it("should report the delta and percentage change for each figure", () => {
+      const change = compareScorecards(card({ chats_handled: 15 }), card());
+
+      expect(change.chats_handled).toEqual({ current: 15, previous: 10, delta: 5, percent_change: 50 });
+      expect(change.avg_concurrent_chats).toEqual({ current: 1.5, previous: 1.5, delta: 0, percent_change: 0 });
+    });
+
+    it("should leave the change empty when a side is missing or was zero", () => {
+      const change = compareScorecards(
+        card({ transfers_out: 2, csat: { average_rating: null, csat_percent: null } }),
+        card(),
+      );
+
+      expect(change.transfers_out).toEqual({ current: 2, previous: 0, delta: 2, percent_change: null });
+      expect(change.csat_average_rating).toEqual({ current: null, previous: 4.5, delta: null, percent_change: null });
+    });
+  });
+});
@@ -0,0 +1,103 @@
+const {
+  DEFAULT_RANGE_DAYS,
+  MAX_RANGE_DAYS,
+  parseAnalyticsFilters,
+  summarizeTransfers,
+  summarizeCsat,
+} = require("../../utils/analytics");
+
+describe("analytics", () => {
+  const now = new Date("2026-03-10T08:00:00Z");
+
+  describe("parseAnalyticsFilters", () => {
+    it("should default to the last 30 days by day", () => {
+      const { filters, error } = parseAnalyticsFilters({}, now);
+
+      expect(error).toBeNull();
+      expect(filters).toEqual({
+        from: new Date(now.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+        to: now.toISOString(),
+        bucket: "day",
+        deptId: null,
+        agentId: null,
+      });
+    });
+
+    it("should accept a range, bucket, department and agent", () => {
+      const { filters } = parseAnalyticsFilters({
+        from: "2026-01-01",
+        to: "2026-02-01",
+        bucket: "week",
+        dept_id: "3",
+        agent_id: "12",
+      }, now);
+
+      expect(filters).toEqual({
+        from: "2026-01-01T00:00:00.000Z",
+        to: "2026-02-01T00:00:00.000Z",
+        bucket: "week",
+        deptId: 3,
+        agentId: 12,
+      });
+    });
+
+    it("should reject bad dates, reversed or overly long ranges", () => {
+      expect(parseAnalyticsFilters({ from: "soon" }, now).error).toBe("from and to must be ISO dates");
+      expect(parseAnalyticsFilters({ from: "2026-03-01", to: "2026-02-01" }, now).error).toBe("from must be before to");
+      expect(parseAnalyticsFilters({ from: "2024-01-01", to: "2026-01-01" }, now).error)
+        .toBe(`Date range is limited to ${MAX_RANGE_DAYS} days`);
+    });
+
+    it("should reject unknown buckets and non-integer ids", () => {
+      expect(parseAnalyticsFilters({ bucket: "hour" }, now).error).toBe("bucket must be one of: day, week, month");
+      expect(parseAnalyticsFilters({ dept_id: "abc" }, now).error).toBe("dept_id must be a positive integer");
+      expect(parseAnalyticsFilters({ agent_id: "1.5" }, now).error).toBe("agent_id must be a positive integer");
+    });
+  });
+
+  describe("summarizeTransfers", () => {
+    it("should split the all-types row from the breakdown and compute the rate", () => {
+      const rows = [
+        { transfer_type: null, transfer_count: 6, chats_transferred: 5 },
+        { transfer_type: "manual", transfer_count: 4, chats_transferred: 4 },
+        { transfer_type: "overflow", transfer_count: 2, chats_transferred: 2 },
+      ];
+
+      expect(summarizeTransfers(rows, 40)).toEqual({
+        total_chats: 40,
+        total_transfers: 6,
+        chats_transferred: 5,
+        transfer_rate: 12.5,
+        by_type: [
+          { transfer_type: "manual", transfer_count: 4, chats_transferred: 4 },
+          { transfer_type: "overflow", transfer_count: 2, chats_transferred: 2 },
+        ],
+      });
+    });
+
+    it("should leave the rate empty when there were no chats", () => {
+      expect(summarizeTransfers([], 0)).toMatchObject({ total_transfers: 0, transfer_rate: null, by_type: [] });
+    });
+  });
+
+  describe("summarizeCsat", () => {
+    it("should compute the average rating and share of 4-5 star ratings", () => {
+      const rows = [
+        { rating: 2, response_count: 1 },
+        { rating: 4, response_count: 2 },
+        { rating: 5, response_count: 1 },
+      ];
+
+      expect(summarizeCsat(rows)).toEqual({
+        responses: 4,
+        average_rating: 3.75,
+        csat_percent: 75,
+        distribution: { 1: 0, 2: 1, 3: 0, 4: 2, 5: 1 },
+      });
+    });
+
+    it("should return empty figures without feedback", () => {
+      expect(summarizeCsat([])).toMatchObject({ responses: 0, average_rating: null, csat_percent: null });
+    });
+  });
+});
@@ -0,0 +1,73 @@
+const {
+  MAX_ATTACHMENT_SIZE_BYTES,
+  MAX_ATTACHMENTS_PER_MESSAGE,
+  getExtension,
+  validateAttachment,
+  parseAttachmentIds,
+} = require("../../utils/chatAttachments");
+
+const file = (overrides = {}) => ({
+  originalname: "receipt.png",
+  mimetype: "image/png",
+  size: 2048,
+  ...overrides,
+});
+
+describe("chatAttachments", () => {
+  describe("getExtension", () => {
+    it("should return the lowercased extension", () => {
+      expect(getExtension("Receipt.JPG")).toBe("jpg");
+      expect(getExtension("archive.tar.gz")).toBe("gz");
+    });
+
+    it("should return an empty string when there is no extension", () => {
+      expect(getExtension("README")).toBe("");
+    });
+  });
+
+  describe("validateAttachment", () => {
+    it("should accept allowed images and documents", () => {
+      expect(validateAttachment(file())).toBeNull();
+      expect(validateAttachment(file({ originalname: "invoice.pdf", mimetype: "application/pdf" }))).toBeNull();
+    });
+
+    it("should require a file", () => {
+      expect(validateAttachment(undefined)).toBe("No file uploaded");
+    });
+
+    it("should reject disallowed MIME types", () => {
+      expect(validateAttachment(file({ originalname: "run.exe", mimetype: "application/x-msdownload" })))
+        .toMatch(/Invalid file type/);
+    });
+
+    it("should reject an extension that does not match the MIME type", () => {
+      expect(validateAttachment(file({ originalname: "receipt.exe" }))).toMatch(/does not match/);
+    });
+
+    it("should reject empty and oversized files", () => {
+      expect(validateAttachment(file({ size: 0 }))).toMatch(/between/);
+      expect(validateAttachment(file({ size: MAX_ATTACHMENT_SIZE_BYTES + 1 }))).toMatch(/between/);
+    });
+  });
+
+  describe("parseAttachmentIds", () => {
+    it("should treat a missing value as no attachments", () => {
+      expect(parseAttachmentIds(undefined)).toEqual({ ids: [], error: null });
+    });
+
+    it("should normalise and dedupe IDs", () => {
+      expect(parseAttachmentIds(["3", 3, 7])).toEqual({ ids: [3, 7], error: null });
+    });
+
+    it("should reject non-arrays and invalid IDs", () => {
+      expect(parseAttachmentIds("3").error).toMatch(/must be an array/);
+      expect(parseAttachmentIds([1, "abc"]).error).toMatch(/attachment IDs/);
+      expect(parseAttachmentIds([0]).error).toMatch(/attachment IDs/);
+    });
+
+    it("should cap the number of attachments per message", () => {
+      const ids = Array.from({ length: MAX_ATTACHMENTS_PER_MESSAGE + 1 }, (_, i) => i + 1);
+      expect(parseAttachmentIds(ids).error).toMatch(/at most/);
+    });
+  });
+});
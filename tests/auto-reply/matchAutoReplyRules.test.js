@@ -0,0 +1,174 @@
+const {
+  AUTO_REPLY_EVENT,
+  matchAutoReplyRules,
+  matchesRegex,
+  validateTriggerSettings,
+} = require("../../utils/autoReplyRules");
+
+describe("autoReplyRules - matchAutoReplyRules", () => {
+  const rule = (id, trigger, extra = {}) => ({
+    auto_reply_id: id,
+    auto_reply_message: `Reply ${id}`,
+    auto_reply_trigger: trigger,
+    dept_id: 1,
+    ...extra,
+  });
+
+  const clientMessage = (overrides = {}) => ({
+    event: AUTO_REPLY_EVENT.CLIENT_MESSAGE,
+    messageBody: "",
+    isOutsideHours: false,
+    queuedMinutes: null,
+    isFirstMessage: false,
+    ...overrides,
+  });
+
+  describe("Chat Opened", () => {
+    it("should fire greeting rules and treat rules without a trigger as greetings", () => {
+      const rules = [
+        rule(1, "greeting"),
+        { auto_reply_id: 2, auto_reply_message: "Legacy", dept_id: 1 },
+        rule(3, "keyword", { auto_reply_pattern: "refund" }),
+      ];
+
+      const result = matchAutoReplyRules(rules, { event: AUTO_REPLY_EVENT.CHAT_OPENED });
+
+      expect(result.map((r) => r.auto_reply_id)).toEqual([1, 2]);
+    });
+
+    it("should put the outside-hours rule ahead of the greeting when closed", () => {
+      const rules = [rule(1, "greeting"), rule(2, "outside_hours")];
+
+      const result = matchAutoReplyRules(rules, {
+        event: AUTO_REPLY_EVENT.CHAT_OPENED,
+        isOutsideHours: true,
+      });
+
+      expect(result.map((r) => r.auto_reply_id)).toEqual([2, 1]);
+    });
+  });
+
+  describe("Client Message", () => {
+    it("should match keywords as whole words, case-insensitively", () => {
+      const rules = [rule(1, "keyword", { auto_reply_pattern: "refund, order status" })];
+
+      expect(matchAutoReplyRules(rules, clientMessage({ messageBody: "I want a REFUND please" }))).toHaveLength(1);
+      expect(matchAutoReplyRules(rules, clientMessage({ messageBody: "What is my order status?" }))).toHaveLength(1);
+      expect(matchAutoReplyRules(rules, clientMessage({ messageBody: "refunded already" }))).toHaveLength(0);
+    });
+
+    it("should match regex patterns and ignore invalid ones", () => {
+      const rules = [
+        rule(1, "regex", { auto_reply_pattern: "^order\\s*#?\\d+" }),
+        rule(2, "regex", { auto_reply_pattern: "([" }),
+      ];
+
+      const result = matchAutoReplyRules(rules, clientMessage({ messageBody: "Order #1234 is late" }));
+
+      expect(result.map((r) => r.auto_reply_id)).toEqual([1]);
+    });
+
+    it("should fire queue_wait only once the wait has been exceeded", () => {
+      const rules = [rule(1, "queue_wait", { auto_reply_wait_minutes: 10 })];
+
+      expect(matchAutoReplyRules(rules, clientMessage({ queuedMinutes: 4 }))).toHaveLength(0);
+      expect(matchAutoReplyRules(rules, clientMessage({ queuedMinutes: 12 }))).toHaveLength(1);
+      expect(matchAutoReplyRules(rules, clientMessage({ queuedMinutes: null }))).toHaveLength(0);
+    });
+
+    it("should fire first_message only for the client's first message", () => {
+      const rules = [rule(1, "first_message")];
+
+      expect(matchAutoReplyRules(rules, clientMessage({ isFirstMessage: true }))).toHaveLength(1);
+      expect(matchAutoReplyRules(rules, clientMessage({ isFirstMessage: false }))).toHaveLength(0);
+    });
+
+    it("should never fire greetings on client messages", () => {
+      const rules = [rule(1, "greeting")];
+
+      expect(matchAutoReplyRules(rules, clientMessage({ messageBody: "hello" }))).toHaveLength(0);
+    });
+
+    it("should order matches by trigger precedence, then by id", () => {
+      const rules = [
+        rule(1, "first_message"),
+        rule(2, "keyword", { auto_reply_pattern: "hello" }),
+        rule(3, "outside_hours"),
+        rule(4, "keyword", { auto_reply_pattern: "hello" }),
+      ];
+
+      const result = matchAutoReplyRules(
+        rules,
+        clientMessage({ messageBody: "hello", isOutsideHours: true, isFirstMessage: true }),
+      );
+
+      expect(result.map((r) => r.auto_reply_id)).toEqual([3, 2, 4, 1]);
+    });
+  });
+});
+
+describe("autoReplyRules - matchesRegex", () => {
+  it("should never run nested-quantifier patterns", () => {
+    expect(matchesRegex("(a+)+$", `${"a".repeat(40)}!`)).toBe(false);
+    expect(matchesRegex("^a+$", "aaa")).toBe(true);
+  });
+
+  it("should never run repeated overlapping alternations", () => {
+    expect(matchesRegex("(a|aa)+$", `${"a".repeat(40)}!`)).toBe(false);
+    expect(matchesRegex("(a|a)*$", `${"a".repeat(40)}!`)).toBe(false);
+    expect(matchesRegex("^(refund|return)s?\\b", "Returns please")).toBe(true);
+  });
+});
+
+describe("autoReplyRules - validateTriggerSettings", () => {
+  it("should accept an empty settings object (plain greeting)", () => {
+    expect(validateTriggerSettings({})).toBeNull();
+  });
+
+  it("should reject unknown triggers", () => {
+    expect(validateTriggerSettings({ trigger: "sometimes" })).toMatch(/trigger must be one of/);
+  });
+
+  it("should require a pattern for keyword and regex triggers", () => {
+    expect(validateTriggerSettings({ trigger: "keyword" })).toMatch(/pattern is required/);
+    expect(validateTriggerSettings({ trigger: "regex", pattern: "   " })).toMatch(/pattern is required/);
+  });
+
+  it("should reject invalid regular expressions", () => {
+    expect(validateTriggerSettings({ trigger: "regex", pattern: "([" })).toMatch(/not a valid regular expression/);
+  });
+
+  it("should reject nested quantifiers", () => {
+    expect(validateTriggerSettings({ trigger: "regex", pattern: "(a+)+$" })).toMatch(/must not repeat a group/);
+    expect(validateTriggerSettings({ trigger: "regex", pattern: "((\\w+\\s?){2,})" })).toMatch(/must not repeat a group/);
+    expect(validateTriggerSettings({ trigger: "regex", pattern: "^order\\s*#?(\\d+)" })).toBeNull();
+    expect(validateTriggerSettings({ trigger: "regex", pattern: "(ab)+[(+]*" })).toBeNull();
+  });
+
+  it("should reject repeated groups with alternatives", () => {
+    expect(validateTriggerSettings({ trigger: "regex", pattern: "(a|aa)+" })).toMatch(/must not repeat a group/);
+    expect(validateTriggerSettings({ trigger: "regex", pattern: "(a|a)*$" })).toMatch(/must not repeat a group/);
+    expect(validateTriggerSettings({ trigger: "regex", pattern: "((x|y)z){2,}" })).toMatch(/must not repeat a group/);
+    expect(validateTriggerSettings({ trigger: "regex", pattern: "(refund|return)s?" })).toBeNull();
+    expect(validateTriggerSettings({ trigger: "regex", pattern: "[a|b]+" })).toBeNull();
+  });
+
+  it("should check a new pattern against the stored trigger", () => {
+    const existing = { auto_reply_trigger: "regex", auto_reply_pattern: "^order" };
+
+    expect(validateTriggerSettings({ pattern: "([" }, existing)).toMatch(/not a valid regular expression/);
+    expect(validateTriggerSettings({ pattern: "(a+)+" }, existing)).toMatch(/must not repeat a group/);
+    expect(validateTriggerSettings({ cooldownSeconds: 60 }, existing)).toBeNull();
+    expect(validateTriggerSettings({ pattern: "([" }, { auto_reply_trigger: "keyword" })).toBeNull();
+  });
+
+  it("should require a positive wait for queue_wait triggers", () => {
+    expect(validateTriggerSettings({ trigger: "queue_wait" })).toMatch(/wait_minutes/);
+    expect(validateTriggerSettings({ trigger: "queue_wait", waitMinutes: 5 })).toBeNull();
+  });
+
+  it("should reject negative cooldowns", () => {
+    expect(validateTriggerSettings({ cooldownSeconds: -1 })).toMatch(/cooldown_seconds/);
+    expect(validateTriggerSettings({ cooldownSeconds: 300 })).toBeNull();
+  });
+});
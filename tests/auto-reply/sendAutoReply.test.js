@@ -0,0 +1,190 @@
+const autoReplyService = require("../../services/autoReply.service");
+const supabase = require("../../helpers/supabaseClient");
+const cacheService = require("../../services/cache.service");
+
+// Mock dependencies
+jest.mock("../../helpers/supabaseClient");
+jest.mock("../../services/cache.service");
+
+describe("AutoReplyService - sendAutoReply", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  const mockInsertChain = (insertedRow) => {
+    const mockSingle = jest.fn().mockResolvedValue({ data: insertedRow, error: null });
+    const mockSelect = jest.fn().mockReturnValue({ single: mockSingle });
+    const mockInsert = jest.fn().mockReturnValue({ select: mockSelect });
+    supabase.from.mockReturnValue({ insert: mockInsert });
+    return { mockInsert, mockSelect, mockSingle };
+  };
+
+  describe("Cache Hit Scenarios", () => {
+    it("should insert the department's active auto reply as a system message", async () => {
+      // Arrange
+      const chatGroupId = 42;
+      const deptId = 3;
+      cacheService.getAutoReplies.mockResolvedValue([
+        { auto_reply_id: 1, auto_reply_message: "Sales greeting", dept_id: 2 },
+        { auto_reply_id: 7, auto_reply_message: "Support greeting", dept_id: 3 },
+      ]);
+      const insertedRow = {
+        chat_id: 900,
+        chat_body: "Support greeting",
+        chat_group_id: chatGroupId,
+        chat_type: "system",
+        auto_reply_id: 7,
+      };
+      const { mockInsert } = mockInsertChain(insertedRow);
+
+      // Act
+      const result = await autoReplyService.sendAutoReply(chatGroupId, deptId);
+
+      // Assert
+      expect(result).toEqual(insertedRow);
+      expect(supabase.from).toHaveBeenCalledWith("chat");
+      expect(mockInsert).toHaveBeenCalledWith([
+        {
+          chat_body: "Support greeting",
+          chat_group_id: chatGroupId,
+          chat_type: "system",
+          auto_reply_id: 7,
+          sys_user_id: null,
+          client_id: null,
+        },
+      ]);
+      expect(cacheService.invalidateChatMessages).toHaveBeenCalledWith(chatGroupId);
+    });
+
+    it("should match department IDs passed as strings", async () => {
+      // Arrange
+      cacheService.getAutoReplies.mockResolvedValue([
+        { auto_reply_id: 7, auto_reply_message: "Support greeting", dept_id: 3 },
+      ]);
+      const { mockInsert } = mockInsertChain({ chat_id: 901 });
+
+      // Act
+      const result = await autoReplyService.sendAutoReply(42, "3");
+
+      // Assert
+      expect(result).toEqual({ chat_id: 901 });
+      expect(mockInsert).toHaveBeenCalledTimes(1);
+    });
+
+    it("should return null and insert nothing when the department has no active auto reply", async () => {
+      // Arrange
+      cacheService.getAutoReplies.mockResolvedValue([
+        { auto_reply_id: 1, auto_reply_message: "Sales greeting", dept_id: 2 },
+      ]);
+
+      // Act
+      const result = await autoReplyService.sendAutoReply(42, 3);
+
+      // Assert
+      expect(result).toBeNull();
+      expect(supabase.from).not.toHaveBeenCalled();
+      expect(cacheService.invalidateChatMessages).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Cache Miss Scenarios", () => {
+    it("should load active auto replies from the database and cache them", async () => {
+      // Arrange
+      const activeReplies = [
+        { auto_reply_id: 7, auto_reply_message: "Support greeting", dept_id: 3 },
+      ];
+      cacheService.getAutoReplies.mockResolvedValue(null);
+
+      const mockOrder = jest.fn().mockResolvedValue({ data: activeReplies, error: null });
+      const mockEq = jest.fn().mockReturnValue({ order: mockOrder });
+      const mockSelect = jest.fn().mockReturnValue({ eq: mockEq });
+
+      const mockSingle = jest.fn().mockResolvedValue({ data: { chat_id: 902 }, error: null });
+      const mockInsert = jest.fn().mockReturnValue({
+        select: jest.fn().mockReturnValue({ single: mockSingle }),
+      });
+
+      supabase.from
+        .mockReturnValueOnce({ select: mockSelect })
+        .mockReturnValueOnce({ insert: mockInsert });
+
+      // Act
+      const result = await autoReplyService.sendAutoReply(42, 3);
+
+      // Assert
+      expect(result).toEqual({ chat_id: 902 });
+      expect(supabase.from).toHaveBeenNthCalledWith(1, "auto_reply");
+      expect(mockEq).toHaveBeenCalledWith("auto_reply_is_active", true);
+      expect(cacheService.updateAutoReplies).toHaveBeenCalledWith(activeReplies);
+      expect(supabase.from).toHaveBeenNthCalledWith(2, "chat");
+    });
+
+    it("should throw when the insert fails", async () => {
+      // Arrange
+      cacheService.getAutoReplies.mockResolvedValue([
+        { auto_reply_id: 7, auto_reply_message: "Support greeting", dept_id: 3 },
+      ]);
+      const dbError = new Error("insert failed");
+      const mockSingle = jest.fn().mockResolvedValue({ data: null, error: dbError });
+      supabase.from.mockReturnValue({
+        insert: jest.fn().mockReturnValue({
+          select: jest.fn().mockReturnValue({ single: mockSingle }),
+        }),
+      });
+
+      // Act & Assert
+      await expect(autoReplyService.sendAutoReply(42, 3)).rejects.toThrow("insert failed");
+      expect(cacheService.invalidateChatMessages).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("sendAutoReplyForClientMessage", () => {
+    const waitRule = {
+      auto_reply_id: 5,
+      auto_reply_message: "Thanks for waiting",
+      dept_id: 3,
+      auto_reply_trigger: "queue_wait",
+      auto_reply_wait_minutes: 10,
+    };
+    const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60000).toISOString();
+
+    const mockChatGroup = (chatGroup) => {
+      supabase.from.mockReturnValue({
+        select: jest.fn().mockReturnValue({
+          eq: jest.fn().mockReturnValue({
+            single: jest.fn().mockResolvedValue({ data: chatGroup, error: null }),
+          }),
+        }),
+      });
+    };
+
+    beforeEach(() => {
+      jest.spyOn(autoReplyService, "getActiveAutoRepliesForDepartment").mockResolvedValue([waitRule]);
+      jest.spyOn(autoReplyService, "sendFirstAvailable").mockImplementation(async (id, matched) => matched);
+    });
+
+    afterEach(() => {
+      autoReplyService.getActiveAutoRepliesForDepartment.mockRestore();
+      autoReplyService.sendFirstAvailable.mockRestore();
+    });
+
+    it("should time queue waits from when a requeued chat entered the queue", async () => {
+      mockChatGroup({ chat_group_id: 42, dept_id: 3, status: "queued", created_at: minutesAgo(120), queued_at: minutesAgo(2) });
+
+      expect(await autoReplyService.sendAutoReplyForClientMessage(42, "hello?")).toEqual([]);
+    });
+
+    it("should fall back to created_at for chats queued before queue entry was stamped", async () => {
+      mockChatGroup({ chat_group_id: 42, dept_id: 3, status: "queued", created_at: minutesAgo(15), queued_at: null });
+
+      expect(await autoReplyService.sendAutoReplyForClientMessage(42, "hello?")).toEqual([waitRule]);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+const {
+  isWithinBusinessHours,
+  getNextOpening,
+  validateSchedule,
+} = require("../../utils/businessHours");
+
+describe("businessHours utils", () => {
+  // Monday-Friday 08:00-17:00
+  const weekdays = [1, 2, 3, 4, 5].map((day) => ({ day, open: "08:00", close: "17:00" }));
+  const TZ = "Asia/Manila"; // UTC+8, no DST
+
+  describe("isWithinBusinessHours", () => {
+    it("should be open inside a window in the schedule's timezone", () => {
+      // Wednesday 2026-10-21 10:00 Manila = 02:00 UTC
+      expect(isWithinBusinessHours(weekdays, new Date("2026-10-21T02:00:00Z"), TZ)).toBe(true);
+    });
+
+    it("should be closed before opening, at closing time and on weekends", () => {
+      expect(isWithinBusinessHours(weekdays, new Date("2026-10-20T23:59:00Z"), TZ)).toBe(false); // Wed 07:59
+      expect(isWithinBusinessHours(weekdays, new Date("2026-10-21T09:00:00Z"), TZ)).toBe(false); // Wed 17:00
+      expect(isWithinBusinessHours(weekdays, new Date("2026-10-24T02:00:00Z"), TZ)).toBe(false); // Sat 10:00
+    });
+
+    it("should be closed on holidays", () => {
+      const date = new Date("2026-10-21T02:00:00Z");
+      expect(isWithinBusinessHours(weekdays, date, TZ, ["2026-10-21"])).toBe(false);
+    });
+
+    it("should handle windows that run past midnight", () => {
+      const overnight = [{ day: 5, open: "22:00", close: "06:00" }]; // Friday night
+      expect(isWithinBusinessHours(overnight, new Date("2026-10-23T15:00:00Z"), TZ)).toBe(true); // Fri 23:00
+      expect(isWithinBusinessHours(overnight, new Date("2026-10-23T20:00:00Z"), TZ)).toBe(true); // Sat 04:00
+      expect(isWithinBusinessHours(overnight, new Date("2026-10-23T23:00:00Z"), TZ)).toBe(false); // Sat 07:00
+    });
+
+    it("should never be open with an empty schedule", () => {
+      expect(isWithinBusinessHours([], new Date(), TZ)).toBe(false);
+    });
+  });
+
+  describe("getNextOpening", () => {
+    it("should return later the same day when before opening", () => {
+      const next = getNextOpening(weekdays, new Date("2026-10-20T22:00:00Z"), TZ); // Wed 06:00
+      expect(next.toISOString()).toBe("2026-10-21T00:00:00.000Z"); // Wed 08:00 Manila
+    });
+
+    it("should skip the weekend", () => {
+      const next = getNextOpening(weekdays, new Date("2026-10-23T10:00:00Z"), TZ); // Fri 18:00
+      expect(next.toISOString()).toBe("2026-10-26T00:00:00.000Z"); // Mon 08:00 Manila
+    });
+
+    it("should skip holidays", () => {
+      const next = getNextOpening(weekdays, new Date("2026-10-23T10:00:00Z"), TZ, ["2026-10-26"]);
+      expect(next.toISOString()).toBe("2026-10-27T00:00:00.000Z"); // Tue 08:00 Manila
+    });
+
+    it("should convert local opening times across daylight saving changes", () => {
+      const schedule = [{ day: 1, open: "09:00", close: "17:00" }];
+      // Sunday 2026-11-01 is the US DST change; Monday 09:00 New York is then UTC-5
+      const next = getNextOpening(schedule, new Date("2026-10-31T12:00:00Z"), "America/New_York");
+      expect(next.toISOString()).toBe("2026-11-02T14:00:00.000Z");
+    });
+
+    it("should return null when the schedule never opens", () => {
+      expect(getNextOpening([], new Date(), TZ)).toBeNull();
+    });
+  });
+
+  describe("validateSchedule", () => {
+    it("should accept a valid schedule and an empty one", () => {
+      expect(validateSchedule(weekdays)).toBeNull();
+      expect(validateSchedule([])).toBeNull();
+    });
+
+    it("should reject bad days and times", () => {
+      expect(validateSchedule("mon-fri")).toMatch(/must be an array/);
+      expect(validateSchedule([{ day: 7, open: "08:00", close: "17:00" }])).toMatch(/day between 0/);
+      expect(validateSchedule([{ day: 1, open: "8am", close: "17:00" }])).toMatch(/HH:MM/);
+      expect(validateSchedule([{ day: 1, open: "08:00", close: "08:00" }])).toMatch(/cannot be the same/);
+    });
+  });
+});
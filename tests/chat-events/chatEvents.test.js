@@ -0,0 +1,124 @@
+const {
+  SYSTEM_ACTOR,
+  agentActor,
+  clientActor,
+  buildChatEventRow,
+  collectReferencedIds,
+  isMonitorEvent,
+  describeChatEvent,
+  formatTimelineEvent,
+} = require("../../utils/chatEvents");
+
+describe("chatEvents", () => {
+  describe("buildChatEventRow", () => {
+    it("should store the actor in the column for its type", () => {
+      expect(buildChatEventRow(10, "resolved", agentActor(7), { disposition_id: 3 })).toEqual({
+        chat_group_id: 10,
+        event_type: "resolved",
+        actor_type: "agent",
+        actor_sys_user_id: 7,
+        actor_client_id: null,
+        event_data: { disposition_id: 3 },
+      });
+
+      expect(buildChatEventRow(10, "created", clientActor(4))).toMatchObject({
+        actor_type: "client",
+        actor_sys_user_id: null,
+        actor_client_id: 4,
+        event_data: {},
+      });
+    });
+
+    it("should fall back to the system when there is no actor id", () => {
+      expect(agentActor(null)).toBe(SYSTEM_ACTOR);
+      expect(buildChatEventRow(10, "queued")).toMatchObject({
+        actor_type: "system",
+        actor_sys_user_id: null,
+        actor_client_id: null,
+      });
+    });
+  });
+
+  describe("collectReferencedIds", () => {
+    it("should gather distinct agent and department ids from event data", () => {
+      const events = [
+        { event_data: { dept_id: 1 } },
+        { event_data: { agent_id: 7, assignment_rule: "least_busy" } },
+        { event_data: { from_dept_id: 1, to_dept_id: 2, from_agent_id: 7, to_agent_id: 8 } },
+        { event_data: null },
+      ];
+
+      expect(collectReferencedIds(events)).toEqual({ agentIds: [7, 8], deptIds: [1, 2] });
+    });
+  });
+
+  describe("describeChatEvent", () => {
+    const names = { agentNames: { 7: "Ana Cruz", 8: "Ben Reyes" }, deptNames: { 1: "Sales", 2: "Billing" } };
+
+    it("should describe routing and transfers with names", () => {
+      expect(describeChatEvent({ event_type: "created", event_data: { dept_id: 1 } }, names)).toBe("Chat started in Sales");
+      expect(describeChatEvent({ event_type: "queued", event_data: { queue_reason: "out_of_hours" } }, names))
+        .toBe("Queued - department closed");
+      expect(describeChatEvent({
+        event_type: "queued",
+        event_data: { queue_reason: "awaiting_previous_agent", preferred_agent_id: 7 },
+      }, names)).toBe("Held for Ana Cruz");
+      expect(describeChatEvent({ event_type: "assigned", event_data: { agent_id: 8, assignment_rule: "manual_accept" } }, names))
+        .toBe("Accepted by Ben Reyes");
+      expect(describeChatEvent({ event_type: "assigned", event_data: { agent_id: 7, assignment_rule: "barge_in" } }, names))
+        .toBe("Ana Cruz took over the chat");
+      expect(describeChatEvent({ event_type: "transferred", event_data: { to_dept_id: 2 } }, names))
+        .toBe("Transferred to Billing");
+      expect(describeChatEvent({ event_type: "transferred", event_data: { to_dept_id: 2, to_agent_id: 8 } }, names))
+        .toBe("Transferred to Ben Reyes");
+      expect(describeChatEvent({ event_type: "transferred", event_data: { transfer_type: "overflow", to_dept_id: 2 } }, names))
+        .toBe("Moved to Billing (queue wait exceeded)");
+    });
+
+    it("should say who resolved the chat", () => {
+      expect(describeChatEvent({ event_type: "resolved", actor_type: "client" })).toBe("Ended by the client");
+      expect(describeChatEvent({ event_type: "resolved", actor_type: "agent", actor_name: "Ana Cruz" }))
+        .toBe("Resolved by Ana Cruz");
+      expect(describeChatEvent({ event_type: "resolved", actor_type: "system", event_data: { reason: "abandoned" } }))
+        .toBe("Closed - no agent available in time");
+      expect(describeChatEvent({ event_type: "feedback", event_data: { rating: 4 } })).toBe("Client rated the chat 4/5");
+    });
+
+    it("should fall back when names are unknown", () => {
+      expect(describeChatEvent({ event_type: "assigned", event_data: { agent_id: 99 } })).toBe("Assigned to an agent");
+      expect(describeChatEvent({ event_type: "reactivated", event_data: { reason: "reopened" } })).toBe("Reopened by the client");
+    });
+  });
+
+  describe("isMonitorEvent", () => {
+    it("should only flag supervisor monitoring", () => {
+      expect(isMonitorEvent({ event_data: { participant_role: "monitor" } })).toBe(true);
+      expect(isMonitorEvent({ event_data: { participant_role: "collaborator" } })).toBe(false);
+      expect(isMonitorEvent({ event_data: {} })).toBe(false);
+    });
+  });
+
+  describe("formatTimelineEvent", () => {
+    it("should shape a row with its actor and description", () => {
+      const row = {
+        chat_event_id: 5,
+        event_type: "participant_joined",
+        actor_type: "agent",
+        actor_sys_user_id: 7,
+        actor_client_id: null,
+        actor_name: "Ana Cruz",
+        event_data: { sys_user_id: 8, participant_role: "collaborator" },
+        created_at: "2026-03-10T08:00:00Z",
+      };
+
+      expect(formatTimelineEvent(row, { agentNames: { 8: "Ben Reyes" } })).toEqual({
+        chat_event_id: 5,
+        event_type: "participant_joined",
+        created_at: "2026-03-10T08:00:00Z",
+        actor: { type: "agent", id: 7, name: "Ana Cruz" },
+        data: { sys_user_id: 8, participant_role: "collaborator" },
+        description: "Ben Reyes joined the conversation",
+      });
+    });
+  });
+});
@@ -0,0 +1,65 @@
+const {
+  MAX_SNOOZE_DAYS,
+  CHAT_LIFECYCLE_ERRORS,
+  REACTIVATION_REASON,
+  parseSnoozeUntil,
+  isWithinReopenWindow,
+  getClientMessageReactivation,
+} = require("../../utils/chatLifecycle");
+
+describe("chatLifecycle", () => {
+  const now = new Date("2026-03-10T08:00:00Z");
+
+  describe("parseSnoozeUntil", () => {
+    it("should wait for the client's reply when no time is given", () => {
+      expect(parseSnoozeUntil(undefined, now)).toEqual({ snoozedUntil: null, error: null });
+      expect(parseSnoozeUntil("", now)).toEqual({ snoozedUntil: null, error: null });
+    });
+
+    it("should accept a future time", () => {
+      expect(parseSnoozeUntil("2026-03-10T17:00:00+08:00", now)).toEqual({
+        snoozedUntil: "2026-03-10T09:00:00.000Z",
+        error: null,
+      });
+    });
+
+    it("should reject past, invalid and overly long snoozes", () => {
+      expect(parseSnoozeUntil("2026-03-10T07:59:00Z", now).error).toBe(CHAT_LIFECYCLE_ERRORS.INVALID_SNOOZE_UNTIL);
+      expect(parseSnoozeUntil("tomorrow", now).error).toBe(CHAT_LIFECYCLE_ERRORS.INVALID_SNOOZE_UNTIL);
+      expect(parseSnoozeUntil(1773216000000, now).error).toBe(CHAT_LIFECYCLE_ERRORS.INVALID_SNOOZE_UNTIL);
+
+      const tooLate = new Date(now.getTime() + (MAX_SNOOZE_DAYS + 1) * 24 * 60 * 60 * 1000).toISOString();
+      expect(parseSnoozeUntil(tooLate, now).error).toBe(CHAT_LIFECYCLE_ERRORS.SNOOZE_TOO_LONG);
+    });
+  });
+
+  describe("isWithinReopenWindow", () => {
+    it("should treat zoneless resolved_at as UTC", () => {
+      expect(isWithinReopenWindow("2026-03-10T07:30:00", 30, now)).toBe(true);
+      expect(isWithinReopenWindow("2026-03-10T07:29:00", 30, now)).toBe(false);
+    });
+
+    it("should never reopen when the window is 0 or resolved_at is missing", () => {
+      expect(isWithinReopenWindow("2026-03-10T07:59:00Z", 0, now)).toBe(false);
+      expect(isWithinReopenWindow(null, 60, now)).toBe(false);
+    });
+  });
+
+  describe("getClientMessageReactivation", () => {
+    it("should wake a pending chat on any client reply", () => {
+      expect(getClientMessageReactivation({ status: "pending" }, 0, now)).toBe(REACTIVATION_REASON.CLIENT_REPLY);
+    });
+
+    it("should reopen a chat resolved within the window", () => {
+      const chatGroup = { status: "resolved", resolved_at: "2026-03-09T09:00:00Z" };
+
+      expect(getClientMessageReactivation(chatGroup, 1440, now)).toBe(REACTIVATION_REASON.REOPENED);
+      expect(getClientMessageReactivation(chatGroup, 60, now)).toBeNull();
+    });
+
+    it("should leave active and queued chats alone", () => {
+      expect(getClientMessageReactivation({ status: "active" }, 1440, now)).toBeNull();
+      expect(getClientMessageReactivation({ status: "queued" }, 1440, now)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,127 @@
+const supabase = require("../../helpers/supabaseClient");
+const chatService = require("../../services/chat.service");
+const chatLifecycleService = require("../../services/chatLifecycle.service");
+const mobileMessageService = require("../../services/mobile/message.service");
+const { REACTIVATION_REASON } = require("../../utils/chatLifecycle");
+
+// Mock dependencies
+jest.mock("../../helpers/supabaseClient");
+jest.mock("../../services/cache.service");
+jest.mock("../../services/chatEvent.service");
+jest.mock("../../services/agentAssignment.service", () => ({
+  getQueueEntryFields: jest.fn(() => ({})),
+  autoAssignChatGroup: jest.fn(),
+}));
+
+/**
+ * In-memory stand-in for the supabase query builder: enough of eq/update/upsert/insert
+ * and single/maybeSingle for the resolve and reopen paths
+ */
+function createTables(tables) {
+  const nextIds = { chat_feedback: 1 };
+  const idColumns = { chat_feedback: "feedback_id" };
+
+  return (table) => {
+    const filters = [];
+    let action = null;
+
+    const run = () => {
+      const rows = tables[table];
+      const matches = () => rows.filter((row) => filters.every(([col, val]) => row[col] === val));
+
+      if (action?.type === "update") {
+        const matched = matches();
+        matched.forEach((row) => Object.assign(row, action.values));
+        return matched;
+      }
+      if (action?.type === "insert" || action?.type === "upsert") {
+        const existing =
+          action.type === "upsert" && rows.find((row) => row[action.onConflict] === action.values[action.onConflict]);
+        if (existing) return [Object.assign(existing, action.values)];
+        if (rows.some((row) => row.chat_group_id === action.values.chat_group_id)) {
+          return { error: { message: "duplicate key value violates unique constraint" } };
+        }
+        const row = { [idColumns[table]]: nextIds[table]++, ...action.values };
+        rows.push(row);
+        return [row];
+      }
+      return matches();
+    };
+
+    const result = (single) => {
+      const rows = run();
+      if (rows.error) return Promise.resolve({ data: null, error: rows.error });
+      return Promise.resolve({ data: single ? rows[0] || null : rows, error: null });
+    };
+
+    const builder = {
+      select: () => builder,
+      eq: (col, val) => {
+        filters.push([col, val]);
+        return builder;
+      },
+      update: (values) => {
+        action = { type: "update", values };
+        return builder;
+      },
+      insert: (values) => {
+        action = { type: "insert", values };
+        return builder;
+      },
+      upsert: (values, { onConflict }) => {
+        action = { type: "upsert", values, onConflict };
+        return builder;
+      },
+      single: () => result(true),
+      maybeSingle: () => result(true),
+      then: (resolve, reject) => result(false).then(resolve, reject),
+    };
+    return builder;
+  };
+}
+
+describe("Resolve, reopen and resolve again", () => {
+  let tables;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+
+    tables = {
+      chat_group: [
+        { chat_group_id: 10, client_id: 99, dept_id: 1, sys_user_id: 7, status: "active", reopen_count: 0 },
+      ],
+      chat_feedback: [],
+    };
+    supabase.from.mockImplementation(createTables(tables));
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  it("should clear the old wrap-up on reopen and keep the client's latest feedback", async () => {
+    await chatService.resolveChatGroup(10, 7, { rating: 5 }, { dispositionId: 3, dispositionNote: "Sorted" });
+    const [chatGroup] = tables.chat_group;
+    expect(chatGroup).toMatchObject({ status: "resolved", disposition_id: 3, feedback_id: 1 });
+
+    await chatLifecycleService.reactivate({ ...chatGroup }, REACTIVATION_REASON.REOPENED, { agentId: 7 });
+    expect(chatGroup).toMatchObject({
+      status: "active",
+      resolved_at: null,
+      reopen_count: 1,
+      disposition_id: null,
+      disposition_note: null,
+      feedback_id: null,
+    });
+
+    const result = await mobileMessageService.endChatGroup(10, 99, { rating: 2, feedback: "Took a while" });
+
+    expect(result.feedback).toMatchObject({ feedback_id: 1, rating: 2, feedback_text: "Took a while" });
+    expect(tables.chat_feedback).toHaveLength(1);
+    expect(chatGroup).toMatchObject({ status: "resolved", feedback_id: 1 });
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+});
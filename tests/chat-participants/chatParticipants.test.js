@@ -0,0 +1,67 @@
+const {
+  PARTICIPANT_ERRORS,
+  getParticipantAccess,
+  isSilentAccess,
+  getInviteError,
+  getRemoveError,
+  describeParticipantChange,
+} = require("../../utils/chatParticipants");
+
+describe("chatParticipants", () => {
+  const chatGroup = { chat_group_id: 10, sys_user_id: 7, status: "active" };
+
+  describe("getParticipantAccess", () => {
+    it("should treat the assigned agent as assigned whatever their participant row says", () => {
+      expect(getParticipantAccess(chatGroup, 7)).toBe("assigned");
+      expect(getParticipantAccess(chatGroup, "7", { participant_role: "monitor" })).toBe("assigned");
+    });
+
+    it("should fall back to the participant role", () => {
+      expect(getParticipantAccess(chatGroup, 8, { participant_role: "collaborator" })).toBe("collaborator");
+      expect(getParticipantAccess(chatGroup, 9, { participant_role: "monitor" })).toBe("monitor");
+      expect(getParticipantAccess(chatGroup, 9, null)).toBeNull();
+    });
+
+    it("should not match anyone on an unassigned chat", () => {
+      expect(getParticipantAccess({ sys_user_id: null }, null)).toBeNull();
+    });
+  });
+
+  describe("isSilentAccess", () => {
+    it("should only keep monitors silent", () => {
+      expect(isSilentAccess("monitor")).toBe(true);
+      expect(isSilentAccess("collaborator")).toBe(false);
+      expect(isSilentAccess("assigned")).toBe(false);
+      expect(isSilentAccess("department")).toBe(false);
+    });
+  });
+
+  describe("getInviteError", () => {
+    it("should let the assigned agent or a supervisor invite", () => {
+      expect(getInviteError(chatGroup, 7, 8)).toBeNull();
+      expect(getInviteError(chatGroup, 9, 8, { canMonitor: true })).toBeNull();
+      expect(getInviteError(chatGroup, 9, 8)).toBe(PARTICIPANT_ERRORS.NOT_ALLOWED);
+    });
+
+    it("should reject inactive chats and inviting the assigned agent", () => {
+      expect(getInviteError({ ...chatGroup, status: "queued" }, 7, 8)).toBe(PARTICIPANT_ERRORS.CHAT_NOT_ACTIVE);
+      expect(getInviteError(chatGroup, 9, 7, { canMonitor: true })).toBe(PARTICIPANT_ERRORS.ALREADY_ASSIGNED);
+    });
+  });
+
+  describe("getRemoveError", () => {
+    it("should let anyone leave and the assigned agent or a supervisor remove others", () => {
+      expect(getRemoveError(chatGroup, 8, "8")).toBeNull();
+      expect(getRemoveError(chatGroup, 7, 8)).toBeNull();
+      expect(getRemoveError(chatGroup, 9, 8, { canMonitor: true })).toBeNull();
+      expect(getRemoveError(chatGroup, 9, 8)).toBe(PARTICIPANT_ERRORS.NOT_ALLOWED);
+    });
+  });
+
+  describe("describeParticipantChange", () => {
+    it("should describe joins and leaves for the timeline", () => {
+      expect(describeParticipantChange("Ana Cruz", true)).toBe("Ana Cruz joined the conversation");
+      expect(describeParticipantChange(null, false)).toBe("An agent left the conversation");
+    });
+  });
+});
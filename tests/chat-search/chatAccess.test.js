@@ -0,0 +1,54 @@
+const chatSearchService = require("../../services/chatSearch.service");
+const chatParticipantService = require("../../services/chatParticipant.service");
+const supabase = require("../../helpers/supabaseClient");
+
+// Mock dependencies
+jest.mock("../../helpers/supabaseClient");
+jest.mock("../../services/cache.service");
+
+describe("ChatSearchService - canAccessChat", () => {
+  const mockChatGroup = (chatGroup) => {
+    supabase.from.mockReturnValue({
+      select: jest.fn().mockReturnValue({
+        eq: jest.fn().mockReturnValue({
+          maybeSingle: jest.fn().mockResolvedValue({ data: chatGroup, error: null }),
+        }),
+      }),
+    });
+  };
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(chatSearchService, "getSearchScope").mockResolvedValue([1, 2]);
+    jest.spyOn(chatParticipantService, "getActiveParticipant").mockResolvedValue(null);
+  });
+
+  it("should allow chats in the user's departments", async () => {
+    mockChatGroup({ chat_group_id: 10, dept_id: 2, sys_user_id: 8 });
+    expect(await chatSearchService.canAccessChat(7, "10")).toBe(true);
+  });
+
+  it("should refuse chats in other departments", async () => {
+    mockChatGroup({ chat_group_id: 10, dept_id: 5, sys_user_id: 8 });
+    expect(await chatSearchService.canAccessChat(7, "10")).toBe(false);
+  });
+
+  it("should allow admins, the assigned agent and active participants anywhere", async () => {
+    mockChatGroup({ chat_group_id: 10, dept_id: 5, sys_user_id: 7 });
+    expect(await chatSearchService.canAccessChat(7, "10")).toBe(true);
+
+    mockChatGroup({ chat_group_id: 10, dept_id: 5, sys_user_id: 8 });
+    chatSearchService.getSearchScope.mockResolvedValue(null);
+    expect(await chatSearchService.canAccessChat(7, "10")).toBe(true);
+
+    chatSearchService.getSearchScope.mockResolvedValue([1]);
+    chatParticipantService.getActiveParticipant.mockResolvedValue({ chat_participant_id: 3 });
+    expect(await chatSearchService.canAccessChat(7, "10")).toBe(true);
+  });
+
+  it("should refuse unknown and malformed chat ids", async () => {
+    mockChatGroup(null);
+    expect(await chatSearchService.canAccessChat(7, "10")).toBe(false);
+    expect(await chatSearchService.canAccessChat(7, "abc")).toBe(false);
+  });
+});
@@ -0,0 +1,118 @@
+const {
+  MAX_QUERY_LENGTH,
+  DEFAULT_SEARCH_LIMIT,
+  MAX_SEARCH_LIMIT,
+  escapeLikePattern,
+  parseSearchFilters,
+  formatSearchResult,
+} = require("../../utils/chatSearch");
+
+describe("chatSearch", () => {
+  describe("escapeLikePattern", () => {
+    it("should escape LIKE wildcards and backslashes", () => {
+      expect(escapeLikePattern("50%_off\\")).toBe("50\\%\\_off\\\\");
+      expect(escapeLikePattern("Juan")).toBe("Juan");
+    });
+  });
+
+  describe("parseSearchFilters", () => {
+    it("should parse a text search with default paging", () => {
+      const { filters, error } = parseSearchFilters({ q: "  refund  " });
+
+      expect(error).toBeNull();
+      expect(filters).toEqual({
+        text: "refund",
+        client: null,
+        deptId: null,
+        tagIds: null,
+        status: null,
+        from: null,
+        to: null,
+        limit: DEFAULT_SEARCH_LIMIT,
+        offset: 0,
+      });
+    });
+
+    it("should parse filters without a search term", () => {
+      const { filters } = parseSearchFilters({
+        client: "0917",
+        dept_id: "3",
+        tag_ids: "4,5",
+        status: "resolved",
+        from: "2026-01-01",
+        to: "2026-01-31T23:59:59Z",
+        limit: "500",
+        offset: "40",
+      });
+
+      expect(filters).toMatchObject({
+        client: "0917",
+        deptId: 3,
+        tagIds: [4, 5],
+        status: "resolved",
+        from: "2026-01-01T00:00:00.000Z",
+        to: "2026-01-31T23:59:59.000Z",
+        limit: MAX_SEARCH_LIMIT,
+        offset: 40,
+      });
+    });
+
+    it("should require a term or a filter", () => {
+      expect(parseSearchFilters({ q: "  " }).error).toBe("Provide a search term or at least one filter");
+    });
+
+    it("should reject invalid filters", () => {
+      expect(parseSearchFilters({ q: "x".repeat(MAX_QUERY_LENGTH + 1) }).error).toMatch(/limited/);
+      expect(parseSearchFilters({ dept_id: "billing" }).error).toBe("dept_id must be a number");
+      expect(parseSearchFilters({ tag_ids: "vip" }).error).toMatch(/^tag_ids/);
+      expect(parseSearchFilters({ status: "archived" }).error).toMatch(/^status must be one of/);
+      expect(parseSearchFilters({ from: "last week" }).error).toBe("from and to must be ISO dates");
+      expect(parseSearchFilters({ from: "2026-02-01", to: "2026-01-01" }).error).toBe("from must be before to");
+    });
+  });
+
+  describe("formatSearchResult", () => {
+    const row = {
+      chat_group_id: 12,
+      dept_id: 3,
+      dept_name: "Billing",
+      status: "resolved",
+      sys_user_id: 7,
+      client_id: 5,
+      client_name: "Juan Dela Cruz",
+      client_number: "09171234567",
+      created_at: "2026-01-05T09:00:00",
+      match_count: "2",
+      matched_chat_id: 99,
+      matched_at: "2026-01-05T09:03:00",
+      snippet: "I need a <mark>refund</mark> please",
+      rank: 0.1,
+      total_count: "1",
+    };
+
+    it("should link to the chat group and include the best match", () => {
+      expect(formatSearchResult(row)).toEqual({
+        chat_group_id: 12,
+        link: "/chats?group=12",
+        status: "resolved",
+        created_at: "2026-01-05T09:00:00",
+        sys_user_id: 7,
+        department: { dept_id: 3, dept_name: "Billing" },
+        client: { client_id: 5, name: "Juan Dela Cruz", number: "09171234567" },
+        match: {
+          chat_id: 99,
+          chat_created_at: "2026-01-05T09:03:00",
+          snippet: "I need a <mark>refund</mark> please",
+          match_count: 2,
+        },
+      });
+    });
+
+    it("should leave match empty for filter-only searches", () => {
+      const result = formatSearchResult({ ...row, matched_chat_id: null, snippet: null, client_name: "" });
+
+      expect(result.match).toBeNull();
+      expect(result.client.name).toBe("Client");
+    });
+  });
+});
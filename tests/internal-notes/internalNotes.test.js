@@ -0,0 +1,43 @@
+const {
+  extractMentionIds,
+  isInternalNote,
+  withoutInternalNotes,
+} = require("../../utils/internalNotes");
+const { CHAT_MESSAGE_TYPE } = require("../../constants/statuses");
+
+describe("internalNotes", () => {
+  describe("extractMentionIds", () => {
+    it("should return mentioned agent IDs in order without duplicates", () => {
+      const body = "@[Ana Cruz](12) please check refund, cc @[Ben Lim](7) and @[Ana Cruz](12)";
+      expect(extractMentionIds(body)).toEqual([12, 7]);
+    });
+
+    it("should ignore plain @ text and malformed mentions", () => {
+      expect(extractMentionIds("email me@example.com or @Ana")).toEqual([]);
+      expect(extractMentionIds("@[Ana](abc) @[](5)")).toEqual([]);
+    });
+
+    it("should handle an empty body", () => {
+      expect(extractMentionIds()).toEqual([]);
+    });
+  });
+
+  describe("withoutInternalNotes", () => {
+    it("should drop internal notes and keep everything else", () => {
+      const messages = [
+        { chat_id: 1, chat_type: CHAT_MESSAGE_TYPE.MESSAGE },
+        { chat_id: 2, chat_type: CHAT_MESSAGE_TYPE.INTERNAL_NOTE },
+        { chat_id: "transfer_3", message_type: "transfer" },
+        { chat_id: 4, chat_type: CHAT_MESSAGE_TYPE.SYSTEM },
+      ];
+
+      expect(withoutInternalNotes(messages).map((m) => m.chat_id)).toEqual([1, "transfer_3", 4]);
+    });
+
+    it("should identify internal notes", () => {
+      expect(isInternalNote({ chat_type: CHAT_MESSAGE_TYPE.INTERNAL_NOTE })).toBe(true);
+      expect(isInternalNote({ chat_type: CHAT_MESSAGE_TYPE.MESSAGE })).toBe(false);
+      expect(isInternalNote(null)).toBe(false);
+    });
+  });
+});
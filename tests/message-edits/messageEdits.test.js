@@ -0,0 +1,81 @@
+const {
+  MESSAGE_EDIT_WINDOW_MINUTES,
+  MESSAGE_EDIT_ERRORS,
+  isOwnMessage,
+  getModifyError,
+  getReplyError,
+} = require("../../utils/messageEdits");
+const { CHAT_MESSAGE_TYPE } = require("../../constants/statuses");
+
+const sentAt = "2026-01-01T10:00:00Z";
+const minutesAfter = (minutes) => new Date(new Date(sentAt).getTime() + minutes * 60000);
+
+const clientMessage = {
+  chat_id: 1,
+  chat_group_id: 9,
+  client_id: 5,
+  sys_user_id: null,
+  chat_type: CHAT_MESSAGE_TYPE.MESSAGE,
+  chat_created_at: sentAt,
+  chat_deleted_at: null,
+};
+const agentMessage = { ...clientMessage, chat_id: 2, client_id: null, sys_user_id: 7 };
+
+describe("messageEdits", () => {
+  describe("isOwnMessage", () => {
+    it("should match agents by sys_user_id and clients by client_id", () => {
+      expect(isOwnMessage(agentMessage, { sysUserId: 7 })).toBe(true);
+      expect(isOwnMessage(agentMessage, { sysUserId: 8 })).toBe(false);
+      expect(isOwnMessage(clientMessage, { clientId: "5" })).toBe(true);
+      expect(isOwnMessage(clientMessage, { clientId: 6 })).toBe(false);
+    });
+
+    it("should not let a client claim an agent message", () => {
+      expect(isOwnMessage({ ...agentMessage, client_id: 5 }, { clientId: 5 })).toBe(false);
+      expect(isOwnMessage(agentMessage, {})).toBe(false);
+    });
+  });
+
+  describe("getModifyError", () => {
+    it("should allow the sender within the edit window", () => {
+      expect(getModifyError(clientMessage, { clientId: 5 }, minutesAfter(1))).toBeNull();
+    });
+
+    it("should hide other people's messages as not found", () => {
+      expect(getModifyError(clientMessage, { clientId: 6 }, minutesAfter(1))).toBe(MESSAGE_EDIT_ERRORS.NOT_FOUND);
+      expect(getModifyError(null, { clientId: 5 })).toBe(MESSAGE_EDIT_ERRORS.NOT_FOUND);
+    });
+
+    it("should reject changes after the edit window", () => {
+      expect(
+        getModifyError(agentMessage, { sysUserId: 7 }, minutesAfter(MESSAGE_EDIT_WINDOW_MINUTES + 1)),
+      ).toBe(MESSAGE_EDIT_ERRORS.WINDOW_EXPIRED);
+    });
+
+    it("should reject unsent and system messages", () => {
+      expect(
+        getModifyError({ ...agentMessage, chat_deleted_at: sentAt }, { sysUserId: 7 }, minutesAfter(1)),
+      ).toBe(MESSAGE_EDIT_ERRORS.ALREADY_UNSENT);
+      expect(
+        getModifyError({ ...agentMessage, chat_type: CHAT_MESSAGE_TYPE.SYSTEM }, { sysUserId: 7 }, minutesAfter(1)),
+      ).toBe(MESSAGE_EDIT_ERRORS.SYSTEM_MESSAGE);
+    });
+  });
+
+  describe("getReplyError", () => {
+    it("should allow replying to a message in the same chat", () => {
+      expect(getReplyError(clientMessage, 9)).toBeNull();
+    });
+
+    it("should reject parents from another chat", () => {
+      expect(getReplyError(clientMessage, 10)).toBe(MESSAGE_EDIT_ERRORS.REPLY_NOT_FOUND);
+      expect(getReplyError(null, 9)).toBe(MESSAGE_EDIT_ERRORS.REPLY_NOT_FOUND);
+    });
+
+    it("should only let internal notes quote internal notes", () => {
+      const note = { ...agentMessage, chat_type: CHAT_MESSAGE_TYPE.INTERNAL_NOTE };
+      expect(getReplyError(note, 9)).toBe(MESSAGE_EDIT_ERRORS.REPLY_TO_NOTE);
+      expect(getReplyError(note, 9, CHAT_MESSAGE_TYPE.INTERNAL_NOTE)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,45 @@
+const messageSyncService = require("../../services/messageSync.service");
+const attachmentService = require("../../services/attachment.service");
+const supabase = require("../../helpers/supabaseClient");
+
+// Mock dependencies
+jest.mock("../../helpers/supabaseClient");
+jest.mock("../../services/cache.service");
+
+describe("MessageSyncService - getChangesSince", () => {
+  const agent = { userType: "agent", userId: 7 };
+  let query;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(attachmentService, "withSignedUrls").mockImplementation(async (rows) => rows);
+
+    query = {};
+    ["select", "eq", "gt", "or", "order"].forEach((method) => {
+      query[method] = jest.fn().mockReturnValue(query);
+    });
+    query.limit = jest.fn().mockResolvedValue({ data: [], error: null });
+    supabase.from.mockReturnValue(query);
+  });
+
+  it("should continue after the cursor's chat_id within the same timestamp", async () => {
+    const updatedAt = "2026-01-01T10:05:00.123456+00:00";
+
+    const result = await messageSyncService.getChangesSince(10, { updatedAt, chatId: 42 }, agent);
+
+    expect(query.or).toHaveBeenCalledWith(
+      `chat_updated_at.gt."${updatedAt}",and(chat_updated_at.eq."${updatedAt}",chat_id.gt.42)`,
+    );
+    expect(query.gt).not.toHaveBeenCalled();
+    expect(result.cursor).toBe(`${updatedAt}|42`);
+  });
+
+  it("should take everything after a plain timestamp", async () => {
+    const updatedAt = "2026-01-01T10:00:00Z";
+
+    await messageSyncService.getChangesSince(10, { updatedAt, chatId: null }, agent);
+
+    expect(query.gt).toHaveBeenCalledWith("chat_updated_at", updatedAt);
+    expect(query.or).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,123 @@
+const {
+  MAX_CLIENT_MESSAGE_ID_LENGTH,
+  MESSAGE_SYNC_ERRORS,
+  parseClientMessageId,
+  parseSyncCursor,
+  getMessageStatus,
+  buildSyncPage,
+} = require("../../utils/messageSync");
+const { CHAT_MESSAGE_TYPE } = require("../../constants/statuses");
+
+const since = "2026-01-01T10:00:00.000000+00:00";
+const sinceCursor = { updatedAt: since, chatId: null };
+
+const row = (chatId, createdAt, updatedAt, extra = {}) => ({
+  chat_id: chatId,
+  chat_body: `message ${chatId}`,
+  chat_type: CHAT_MESSAGE_TYPE.MESSAGE,
+  chat_created_at: createdAt,
+  chat_updated_at: updatedAt,
+  chat_delivered_at: null,
+  chat_read_at: null,
+  chat_edited_at: null,
+  chat_deleted_at: null,
+  ...extra,
+});
+
+describe("messageSync", () => {
+  describe("parseClientMessageId", () => {
+    it("should treat a missing ID as optional", () => {
+      expect(parseClientMessageId(undefined)).toEqual({ id: null, error: null });
+      expect(parseClientMessageId(null)).toEqual({ id: null, error: null });
+    });
+
+    it("should trim a valid ID", () => {
+      expect(parseClientMessageId(" abc-123 ")).toEqual({ id: "abc-123", error: null });
+    });
+
+    it("should reject empty, non-string and oversized IDs", () => {
+      const invalid = { id: null, error: MESSAGE_SYNC_ERRORS.INVALID_CLIENT_MESSAGE_ID };
+      expect(parseClientMessageId("  ")).toEqual(invalid);
+      expect(parseClientMessageId(42)).toEqual(invalid);
+      expect(parseClientMessageId("x".repeat(MAX_CLIENT_MESSAGE_ID_LENGTH + 1))).toEqual(invalid);
+    });
+  });
+
+  describe("parseSyncCursor", () => {
+    it("should keep a plain timestamp as sent", () => {
+      expect(parseSyncCursor(since)).toEqual({ cursor: sinceCursor, error: null });
+    });
+
+    it("should read the chat_id of a cursor from a previous sync", () => {
+      expect(parseSyncCursor(`${since}|42`)).toEqual({ cursor: { updatedAt: since, chatId: 42 }, error: null });
+    });
+
+    it("should reject missing or unparseable cursors", () => {
+      const invalid = { cursor: null, error: MESSAGE_SYNC_ERRORS.INVALID_CURSOR };
+      expect(parseSyncCursor(undefined)).toEqual(invalid);
+      expect(parseSyncCursor("yesterday")).toEqual(invalid);
+      expect(parseSyncCursor(`${since}|abc`)).toEqual(invalid);
+      expect(parseSyncCursor(`${since}|1|2`)).toEqual(invalid);
+    });
+  });
+
+  describe("getMessageStatus", () => {
+    it("should report the furthest status reached", () => {
+      expect(getMessageStatus({})).toBe("sent");
+      expect(getMessageStatus({ chat_delivered_at: since })).toBe("delivered");
+      expect(getMessageStatus({ chat_delivered_at: since, chat_read_at: since })).toBe("read");
+    });
+  });
+
+  describe("buildSyncPage", () => {
+    it("should return new messages whole and older ones as status updates", () => {
+      const rows = [
+        row(1, "2026-01-01T09:00:00Z", "2026-01-01T10:01:00Z", { chat_read_at: "2026-01-01T10:01:00Z" }),
+        row(2, "2026-01-01T10:02:00Z", "2026-01-01T10:02:00.123456+00:00"),
+      ];
+
+      const page = buildSyncPage(rows, sinceCursor);
+
+      expect(page.messages.map((m) => m.chat_id)).toEqual([2]);
+      expect(page.updates).toEqual([
+        expect.objectContaining({ chat_id: 1, status: "read", chat_read_at: "2026-01-01T10:01:00Z" }),
+      ]);
+      expect(page.cursor).toBe("2026-01-01T10:02:00.123456+00:00|2");
+      expect(page.has_more).toBe(false);
+    });
+
+    it("should keep the cursor when nothing changed", () => {
+      expect(buildSyncPage([], sinceCursor)).toEqual({ messages: [], updates: [], cursor: since, has_more: false });
+    });
+
+    it("should page through a run of rows that all share one timestamp", () => {
+      const bulk = "2026-01-01T10:05:00Z";
+      const rows = [row(1, since, bulk), row(2, since, bulk), row(3, since, bulk)];
+
+      const first = buildSyncPage(rows, sinceCursor, { pageSize: 2 });
+      expect(first.updates.map((u) => u.chat_id)).toEqual([1, 2]);
+      expect(first.cursor).toBe(`${bulk}|2`);
+      expect(first.has_more).toBe(true);
+
+      // The service returns rows after (bulk, 2) for the next call
+      const second = buildSyncPage([rows[2]], parseSyncCursor(first.cursor).cursor, { pageSize: 2 });
+      expect(second.updates.map((u) => u.chat_id)).toEqual([3]);
+      expect(second.cursor).toBe(`${bulk}|3`);
+      expect(second.has_more).toBe(false);
+    });
+
+    it("should hide internal notes from clients but still advance the cursor", () => {
+      const rows = [
+        row(1, "2026-01-01T10:01:00Z", "2026-01-01T10:01:00Z"),
+        row(2, "2026-01-01T10:02:00Z", "2026-01-01T10:02:00Z", { chat_type: CHAT_MESSAGE_TYPE.INTERNAL_NOTE }),
+      ];
+
+      const clientPage = buildSyncPage(rows, sinceCursor, { includeInternalNotes: false });
+      expect(clientPage.messages.map((m) => m.chat_id)).toEqual([1]);
+      expect(clientPage.cursor).toBe("2026-01-01T10:02:00Z|2");
+
+      const agentPage = buildSyncPage(rows, sinceCursor);
+      expect(agentPage.messages.map((m) => m.chat_id)).toEqual([1, 2]);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+const {
+  parseTimeTrackingFilters,
+  isPresenceTransition,
+  buildPresenceIntervals,
+  summarizePresenceTime,
+  splitIntervalsByDay,
+  buildTimeTracking,
+} = require("../../utils/presenceLog");
+
+describe("presenceLog", () => {
+  const log = (sys_user_id, presence_status, changed_at) => ({ sys_user_id, presence_status, changed_at });
+
+  describe("parseTimeTrackingFilters", () => {
+    const now = new Date("2026-03-11T12:00:00Z");
+
+    it("should default to the last 30 days in Manila time", () => {
+      const { filters, error } = parseTimeTrackingFilters({ agent_id: "7" }, now);
+      expect(error).toBeNull();
+      expect(filters).toEqual({
+        from: "2026-02-09T12:00:00.000Z",
+        to: "2026-03-11T12:00:00.000Z",
+        deptId: null,
+        agentId: 7,
+        timeZone: "Asia/Manila",
+      });
+    });
+
+    it("should reject an unknown timezone", () => {
+      expect(parseTimeTrackingFilters({ timezone: "Mars/Olympus" }, now).error).toMatch(/timezone/);
+    });
+  });
+
+  describe("isPresenceTransition", () => {
+    it("should only log changes of status", () => {
+      expect(isPresenceTransition("accepting_chats", "accepting_chats")).toBe(false);
+      expect(isPresenceTransition("accepting_chats", "offline")).toBe(true);
+      expect(isPresenceTransition(null, "accepting_chats")).toBe(true);
+      expect(isPresenceTransition(null, "offline")).toBe(false);
+      expect(isPresenceTransition("offline", "away")).toBe(false);
+    });
+  });
+
+  describe("buildPresenceIntervals", () => {
+    const from = "2026-03-10T00:00:00Z";
+    const to = "2026-03-11T00:00:00Z";
+
+    it("should carry the state from before the range and count offline before the first log", () => {
+      const intervals = buildPresenceIntervals(
+        [log(1, "accepting_chats", "2026-03-09T20:00:00Z"), log(1, "offline", "2026-03-10T02:00:00Z")],
+        from,
+        to,
+        new Date("2026-03-12T00:00:00Z"),
+      );
+
+      expect(intervals.map(({ status, start, end }) => [status, start.toISOString(), end.toISOString()])).toEqual([
+        ["accepting_chats", "2026-03-10T00:00:00.000Z", "2026-03-10T02:00:00.000Z"],
+        ["offline", "2026-03-10T02:00:00.000Z", "2026-03-11T00:00:00.000Z"],
+      ]);
+      expect(buildPresenceIntervals([], from, to, new Date("2026-03-12T00:00:00Z"))[0].status).toBe("offline");
+    });
+
+    it("should stop at now", () => {
+      const intervals = buildPresenceIntervals(
+        [log(1, "accepting_chats", "2026-03-10T08:00:00Z")],
+        from,
+        to,
+        new Date("2026-03-10T09:00:00Z"),
+      );
+      expect(intervals[intervals.length - 1].end.toISOString()).toBe("2026-03-10T09:00:00.000Z");
+    });
+  });
+
+  describe("summarizePresenceTime", () => {
+    it("should add accepting and not accepting time into logged in time", () => {
+      const intervals = buildPresenceIntervals(
+        [
+          log(1, "accepting_chats", "2026-03-10T01:00:00Z"),
+          log(1, "not_accepting_chats", "2026-03-10T03:00:00Z"),
+          log(1, "offline", "2026-03-10T04:00:00Z"),
+        ],
+        "2026-03-10T00:00:00Z",
+        "2026-03-10T05:00:00Z",
+      );
+
+      expect(summarizePresenceTime(intervals)).toEqual({
+        logged_in_seconds: 3 * 3600,
+        accepting_seconds: 2 * 3600,
+        not_accepting_seconds: 3600,
+        offline_seconds: 2 * 3600,
+      });
+    });
+  });
+
+  describe("splitIntervalsByDay", () => {
+    it("should split at local midnight", () => {
+      // 15:00Z to 17:00Z crosses midnight in Manila (UTC+8)
+      const pieces = splitIntervalsByDay(
+        [{ status: "accepting_chats", start: new Date("2026-03-10T15:00:00Z"), end: new Date("2026-03-10T17:00:00Z") }],
+        "Asia/Manila",
+      );
+
+      expect(pieces.map(({ date, start, end }) => [date, start.toISOString(), end.toISOString()])).toEqual([
+        ["2026-03-10", "2026-03-10T15:00:00.000Z", "2026-03-10T16:00:00.000Z"],
+        ["2026-03-11", "2026-03-10T16:00:00.000Z", "2026-03-10T17:00:00.000Z"],
+      ]);
+    });
+  });
+
+  describe("buildTimeTracking", () => {
+    it("should report each agent per local day with offline gaps between online periods", () => {
+      const rows = buildTimeTracking(
+        [
+          // Manila 09:00-12:00 accepting, offline until 13:00, not accepting until 17:00
+          log(2, "accepting_chats", "2026-03-10T01:00:00Z"),
+          log(2, "offline", "2026-03-10T04:00:00Z"),
+          log(2, "not_accepting_chats", "2026-03-10T05:00:00Z"),
+          log(2, "offline", "2026-03-10T09:00:00Z"),
+          log(1, "accepting_chats", "2026-03-10T02:00:00Z"),
+          log(1, "offline", "2026-03-10T03:00:00Z"),
+        ],
+        {
+          from: "2026-03-09T16:00:00Z",
+          to: "2026-03-11T16:00:00Z",
+          timeZone: "Asia/Manila",
+          now: new Date("2026-03-12T00:00:00Z"),
+        },
+      );
+
+      // Offline-only days are left out
+      expect(rows.map((row) => [row.sys_user_id, row.date])).toEqual([
+        [1, "2026-03-10"],
+        [2, "2026-03-10"],
+      ]);
+      expect(rows[1]).toEqual({
+        sys_user_id: 2,
+        date: "2026-03-10",
+        logged_in_seconds: 7 * 3600,
+        accepting_seconds: 3 * 3600,
+        not_accepting_seconds: 4 * 3600,
+        offline_gap_seconds: 3600,
+        offline_gaps: 1,
+        first_online_at: "2026-03-10T01:00:00.000Z",
+        last_online_at: "2026-03-10T09:00:00.000Z",
+      });
+      expect(rows[0].offline_gaps).toBe(0);
+    });
+  });
+});
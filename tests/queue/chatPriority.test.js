@@ -0,0 +1,68 @@
+const {
+  getInitialPriority,
+  getMessagePriority,
+  compareQueueOrder,
+} = require("../../utils/chatPriority");
+const { CHAT_PRIORITY, PRIORITY_SOURCE } = require("../../constants/statuses");
+
+describe("chatPriority", () => {
+  describe("getInitialPriority", () => {
+    it("should start standard clients at normal priority", () => {
+      expect(getInitialPriority({ deptDefaultPriority: 1, clientTier: "standard" })).toEqual({
+        priority: CHAT_PRIORITY.NORMAL,
+        source: PRIORITY_SOURCE.DEFAULT,
+      });
+    });
+
+    it("should take the higher of department default and client tier", () => {
+      expect(getInitialPriority({ deptDefaultPriority: 2, clientTier: "vip" })).toEqual({
+        priority: CHAT_PRIORITY.URGENT,
+        source: PRIORITY_SOURCE.CLIENT_TIER,
+      });
+      expect(getInitialPriority({ deptDefaultPriority: 3, clientTier: "premium" })).toEqual({
+        priority: CHAT_PRIORITY.URGENT,
+        source: PRIORITY_SOURCE.DEPARTMENT,
+      });
+    });
+  });
+
+  describe("getMessagePriority", () => {
+    const rules = [
+      { priority_rule_keywords: "refund, chargeback", priority: CHAT_PRIORITY.HIGH },
+      { priority_rule_keywords: "fraud", priority: CHAT_PRIORITY.URGENT },
+    ];
+    const queued = { priority: CHAT_PRIORITY.NORMAL, priority_source: PRIORITY_SOURCE.DEFAULT };
+
+    it("should raise priority to the highest matching rule", () => {
+      expect(getMessagePriority(queued, rules, "Possible fraud, I need a refund")).toEqual({
+        priority: CHAT_PRIORITY.URGENT,
+        source: PRIORITY_SOURCE.KEYWORD,
+      });
+    });
+
+    it("should never lower priority or override a manual bump", () => {
+      const vip = { priority: CHAT_PRIORITY.URGENT, priority_source: PRIORITY_SOURCE.CLIENT_TIER };
+      const manual = { priority: CHAT_PRIORITY.LOW, priority_source: PRIORITY_SOURCE.MANUAL };
+
+      expect(getMessagePriority(vip, rules, "refund please")).toBeNull();
+      expect(getMessagePriority(manual, rules, "fraud")).toBeNull();
+    });
+
+    it("should ignore messages without a keyword match", () => {
+      expect(getMessagePriority(queued, rules, "refunded already, thanks")).toBeNull();
+    });
+  });
+
+  describe("compareQueueOrder", () => {
+    it("should order by priority first, then by oldest", () => {
+      const chats = [
+        { id: 1, priority: 1, created_at: "2026-10-19T08:00:00Z" },
+        { id: 2, priority: 3, created_at: "2026-10-19T09:30:00Z" },
+        { id: 3, priority: 1, created_at: "2026-10-19T07:00:00Z" },
+        { id: 4, priority: 3, created_at: "2026-10-19T09:00:00Z" },
+      ];
+
+      expect(chats.sort(compareQueueOrder).map((c) => c.id)).toEqual([4, 2, 3, 1]);
+    });
+  });
+});
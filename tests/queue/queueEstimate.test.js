@@ -0,0 +1,41 @@
+const {
+  DEFAULT_RESPONSE_SECONDS,
+  averageResponseSeconds,
+  estimateWaitSeconds,
+} = require("../../utils/queueEstimate");
+
+describe("queueEstimate", () => {
+  describe("averageResponseSeconds", () => {
+    it("should average response minutes into seconds", () => {
+      expect(averageResponseSeconds([1, 2, "3.00"])).toBe(120);
+    });
+
+    it("should ignore missing and negative values", () => {
+      expect(averageResponseSeconds([null, -4, 1])).toBe(60);
+    });
+
+    it("should return null without history", () => {
+      expect(averageResponseSeconds([])).toBeNull();
+      expect(averageResponseSeconds([null])).toBeNull();
+    });
+  });
+
+  describe("estimateWaitSeconds", () => {
+    it("should share the chats ahead across available agents", () => {
+      expect(estimateWaitSeconds({ position: 1, availableAgents: 2, averageResponseSeconds: 90 })).toBe(90);
+      expect(estimateWaitSeconds({ position: 3, availableAgents: 2, averageResponseSeconds: 90 })).toBe(180);
+    });
+
+    it("should treat an empty department as a single agent", () => {
+      expect(estimateWaitSeconds({ position: 3, availableAgents: 0, averageResponseSeconds: 60 })).toBe(180);
+    });
+
+    it("should fall back to the default response time without history", () => {
+      expect(estimateWaitSeconds({ position: 2, availableAgents: 1 })).toBe(2 * DEFAULT_RESPONSE_SECONDS);
+    });
+
+    it("should return null for chats that are not queued", () => {
+      expect(estimateWaitSeconds({ position: null, availableAgents: 1 })).toBeNull();
+    });
+  });
+});
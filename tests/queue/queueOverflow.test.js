@@ -0,0 +1,102 @@
+const {
+  OVERFLOW_ACTION,
+  getOverflowAction,
+  isHeldInQueue,
+  validateOverflowRule,
+} = require("../../utils/queueOverflow");
+
+describe("queueOverflow", () => {
+  const now = new Date("2026-10-19T10:00:00Z");
+  const minutesAgo = (minutes) => new Date(now.getTime() - minutes * 60000).toISOString();
+
+  const rule = {
+    dept_id: 1,
+    backup_dept_id: 2,
+    overflow_after_minutes: 5,
+    escalate_after_minutes: 10,
+    abandon_after_minutes: 30,
+    overflow_rule_is_active: true,
+  };
+
+  describe("getOverflowAction", () => {
+    it("should leave chats alone until the first timeout", () => {
+      expect(getOverflowAction(rule, { created_at: minutesAgo(3) }, now)).toBeNull();
+    });
+
+    it("should overflow once the chat has waited long enough in its queue", () => {
+      expect(getOverflowAction(rule, { created_at: minutesAgo(6) }, now)).toBe(OVERFLOW_ACTION.OVERFLOW);
+    });
+
+    it("should escalate once, counting from when the chat entered the current queue", () => {
+      const noBackup = { ...rule, backup_dept_id: null };
+      const chat = { created_at: minutesAgo(20), queued_at: minutesAgo(12) };
+
+      expect(getOverflowAction(noBackup, chat, now)).toBe(OVERFLOW_ACTION.ESCALATE);
+      expect(
+        getOverflowAction(noBackup, { ...chat, queue_escalated_at: minutesAgo(1) }, now),
+      ).toBeNull();
+    });
+
+    it("should restart the overflow clock after a move but keep the abandon clock", () => {
+      const moved = { created_at: minutesAgo(40), queued_at: minutesAgo(1) };
+
+      expect(getOverflowAction(rule, { ...moved, queue_started_at: minutesAgo(25) }, now)).toBeNull();
+      expect(getOverflowAction(rule, { ...moved, queue_started_at: minutesAgo(31) }, now)).toBe(
+        OVERFLOW_ACTION.ABANDON,
+      );
+    });
+
+    it("should not count time before the chat was queued again towards abandonment", () => {
+      const requeued = { created_at: minutesAgo(300), queued_at: minutesAgo(2), queue_started_at: minutesAgo(2) };
+      expect(getOverflowAction(rule, requeued, now)).toBeNull();
+    });
+
+    it("should never escalate, overflow or abandon an out-of-hours chat held overnight", () => {
+      const overnight = { queue_reason: "out_of_hours", created_at: minutesAgo(600), queued_at: minutesAgo(600) };
+
+      expect(getOverflowAction(rule, overnight, now)).toBeNull();
+      expect(getOverflowAction(rule, { ...overnight, queue_reason: "manual_pick" }, now)).toBeNull();
+      expect(getOverflowAction(rule, { ...overnight, queue_reason: "awaiting_previous_agent" }, now)).toBeNull();
+      expect(getOverflowAction(rule, { ...overnight, queue_reason: "no_agents" }, now)).toBe(
+        OVERFLOW_ACTION.ABANDON,
+      );
+    });
+
+    it("should ignore inactive rules", () => {
+      const inactive = { ...rule, overflow_rule_is_active: false };
+      expect(getOverflowAction(inactive, { created_at: minutesAgo(60) }, now)).toBeNull();
+    });
+  });
+
+  describe("isHeldInQueue", () => {
+    it("should only treat deliberate holds as held", () => {
+      expect(isHeldInQueue({ queue_reason: "out_of_hours" })).toBe(true);
+      expect(isHeldInQueue({ queue_reason: "no_agents" })).toBe(false);
+      expect(isHeldInQueue({ queue_reason: null })).toBe(false);
+      expect(isHeldInQueue(null)).toBe(false);
+    });
+  });
+
+  describe("validateOverflowRule", () => {
+    it("should accept a complete rule and a single step", () => {
+      expect(validateOverflowRule(rule)).toBeNull();
+      expect(validateOverflowRule({ dept_id: 1, escalate_after_minutes: 15 })).toBeNull();
+    });
+
+    it("should reject missing or invalid timeouts", () => {
+      expect(validateOverflowRule({ dept_id: 1 })).toMatch(/At least one/);
+      expect(validateOverflowRule({ dept_id: 1, escalate_after_minutes: 0 })).toMatch(/positive integer/);
+    });
+
+    it("should require a different backup department for overflow", () => {
+      expect(validateOverflowRule({ dept_id: 1, overflow_after_minutes: 5 })).toMatch(/backup_dept_id is required/);
+      expect(
+        validateOverflowRule({ dept_id: 1, backup_dept_id: "1", overflow_after_minutes: 5 }),
+      ).toMatch(/different department/);
+    });
+
+    it("should require abandonment to come last", () => {
+      expect(validateOverflowRule({ ...rule, abandon_after_minutes: 10 })).toMatch(/must be longer/);
+    });
+  });
+});
@@ -0,0 +1,158 @@
+const {
+  REPORT_COLUMNS,
+  parseExportRequest,
+  escapeCsvValue,
+  toCsv,
+  getReportFileName,
+  validateReportSchedule,
+  getNextRunAt,
+  getReportRange,
+} = require("../../utils/reports");
+
+describe("reports", () => {
+  // Tuesday 16:00 in Manila
+  const now = new Date("2026-03-10T08:00:00Z");
+
+  describe("parseExportRequest", () => {
+    it("should accept URL-style types, a format and the analytics filters", () => {
+      const { type, format, filters, error } = parseExportRequest(
+        "chat-groups",
+        { format: "XLSX", from: "2026-03-01", to: "2026-03-08", dept_id: "2" },
+        now,
+      );
+
+      expect(error).toBeNull();
+      expect(type).toBe("chat_groups");
+      expect(format).toBe("xlsx");
+      expect(filters).toEqual({
+        from: "2026-03-01T00:00:00.000Z",
+        to: "2026-03-08T00:00:00.000Z",
+        deptId: 2,
+        agentId: null,
+      });
+    });
+
+    it("should default to CSV and reject unknown types, formats and bad filters", () => {
+      expect(parseExportRequest("feedback", {}, now).format).toBe("csv");
+      expect(parseExportRequest("invoices", {}, now)).toMatchObject({ type: null, error: "Unknown report type" });
+      expect(parseExportRequest("messages", { format: "pdf" }, now).error).toBe("format must be one of: csv, xlsx");
+      expect(parseExportRequest("transfers", { agent_id: "x" }, now).error).toBe("agent_id must be a positive integer");
+    });
+  });
+
+  describe("toCsv", () => {
+    it("should quote commas, quotes and line breaks", () => {
+      expect(escapeCsvValue('He said "hi", then left')).toBe('"He said ""hi"", then left"');
+      expect(escapeCsvValue("line one\nline two")).toBe('"line one\nline two"');
+      expect(escapeCsvValue(null)).toBe("");
+    });
+
+    it("should keep spreadsheet formulas from running but leave negative numbers alone", () => {
+      expect(escapeCsvValue("=HYPERLINK(\"x\")")).toBe("\"'=HYPERLINK(\"\"x\"\")\"");
+      expect(escapeCsvValue("@SUM(A1)")).toBe("'@SUM(A1)");
+      expect(escapeCsvValue(-3)).toBe("-3");
+    });
+
+    it("should write a header row and one line per row", () => {
+      const columns = [
+        { key: "chat_group_id", header: "Chat ID" },
+        { key: "rating", header: "Rating" },
+      ];
+
+      expect(toCsv(columns, [{ chat_group_id: 1, rating: 5 }, { chat_group_id: 2 }]))
+        .toBe("Chat ID,Rating\r\n1,5\r\n2,\r\n");
+    });
+
+    it("should define columns for every report type", () => {
+      expect(Object.keys(REPORT_COLUMNS).sort()).toEqual(
+        ["agent_stats", "chat_groups", "feedback", "messages", "transfers"],
+      );
+    });
+
+    it("should name files after the type and range", () => {
+      expect(getReportFileName("agent_stats", "xlsx", "2026-03-01T00:00:00.000Z", "2026-03-08T00:00:00.000Z"))
+        .toBe("agent-stats_2026-03-01_2026-03-08.xlsx");
+    });
+  });
+
+  describe("validateReportSchedule", () => {
+    const weekly = {
+      report_type: "feedback",
+      frequency: "weekly",
+      day_of_week: 1,
+      recipient_email: " lead@example.com ",
+    };
+
+    it("should fill in defaults for a new schedule", () => {
+      expect(validateReportSchedule(weekly)).toEqual({
+        settings: {
+          report_type: "feedback",
+          file_format: "csv",
+          frequency: "weekly",
+          day_of_week: 1,
+          send_hour: 8,
+          timezone: "Asia/Manila",
+          recipient_email: "lead@example.com",
+        },
+        error: null,
+      });
+    });
+
+    it("should require a weekday for weekly reports and a valid recipient", () => {
+      expect(validateReportSchedule({ ...weekly, day_of_week: undefined }).error)
+        .toBe("day_of_week (0 = Sunday ... 6 = Saturday) is required for weekly reports");
+      expect(validateReportSchedule({ ...weekly, recipient_email: "lead" }).error)
+        .toBe("A valid recipient_email is required");
+      expect(validateReportSchedule({ ...weekly, send_hour: 24 }).error)
+        .toBe("send_hour must be an integer from 0 to 23");
+      expect(validateReportSchedule({ ...weekly, timezone: "Mars/Base" }).error)
+        .toBe("timezone must be a valid IANA timezone");
+    });
+
+    it("should check updates against the stored schedule", () => {
+      const existing = { ...weekly, report_schedule_id: 4, file_format: "csv", send_hour: 8, timezone: "Asia/Manila" };
+
+      expect(validateReportSchedule({ frequency: "daily" }, existing).settings)
+        .toEqual({ frequency: "daily", day_of_week: null });
+      expect(validateReportSchedule({ recipient_email: "ops@example.com" }, existing).settings)
+        .toEqual({ day_of_week: 1, recipient_email: "ops@example.com" });
+      expect(validateReportSchedule({ frequency: "weekly" }, { ...existing, frequency: "daily", day_of_week: null }).error)
+        .toBe("day_of_week (0 = Sunday ... 6 = Saturday) is required for weekly reports");
+    });
+  });
+
+  describe("getNextRunAt", () => {
+    it("should run daily reports at the next send hour in the schedule timezone", () => {
+      const daily = { frequency: "daily", send_hour: 8, timezone: "Asia/Manila" };
+
+      expect(getNextRunAt(daily, now).toISOString()).toBe("2026-03-11T00:00:00.000Z");
+      expect(getNextRunAt({ ...daily, send_hour: 18 }, now).toISOString()).toBe("2026-03-10T10:00:00.000Z");
+    });
+
+    it("should move past a run that is due right now", () => {
+      const daily = { frequency: "daily", send_hour: 16, timezone: "Asia/Manila" };
+      expect(getNextRunAt(daily, now).toISOString()).toBe("2026-03-11T08:00:00.000Z");
+    });
+
+    it("should run weekly reports on the chosen weekday", () => {
+      const weekly = { frequency: "weekly", day_of_week: 1, send_hour: 9, timezone: "Asia/Manila" };
+      expect(getNextRunAt(weekly, now).toISOString()).toBe("2026-03-16T01:00:00.000Z");
+
+      // Tuesday, but 08:00 has already passed
+      expect(getNextRunAt({ ...weekly, day_of_week: 2, send_hour: 8 }, now).toISOString())
+        .toBe("2026-03-17T00:00:00.000Z");
+    });
+  });
+
+  describe("getReportRange", () => {
+    it("should cover the day or week before the due time", () => {
+      const dueAt = new Date("2026-03-16T01:00:00Z");
+
+      expect(getReportRange({ frequency: "daily" }, dueAt)).toEqual({
+        from: "2026-03-15T01:00:00.000Z",
+        to: "2026-03-16T01:00:00.000Z",
+      });
+      expect(getReportRange({ frequency: "weekly" }, dueAt).from).toBe("2026-03-09T01:00:00.000Z");
+    });
+  });
+});
@@ -0,0 +1,120 @@
+const { getRoutingStrategy } = require("../../services/routing");
+const supabase = require("../../helpers/supabaseClient");
+
+// Mock dependencies
+jest.mock("../../helpers/supabaseClient");
+
+describe("Routing strategies - selectAgent", () => {
+  const candidate = (agentId, workload, proficiency = 0) => ({
+    agentId,
+    workload,
+    capacity: 5,
+    matched: 0,
+    proficiency,
+  });
+
+  let context;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    context = {
+      deptId: 1,
+      chatGroupId: 42,
+      pickRoundRobin: jest.fn(async (list) => list[list.length - 1]),
+      getPreviousAgent: jest.fn(async () => null),
+    };
+  });
+
+  it("should fall back to least_busy for unknown strategy names", () => {
+    expect(getRoutingStrategy("fastest_typist").name).toBe("least_busy");
+    expect(getRoutingStrategy(undefined).name).toBe("least_busy");
+  });
+
+  describe("least_busy", () => {
+    it("should pick the only least-busy agent without rotating", async () => {
+      const strategy = getRoutingStrategy("least_busy");
+
+      const selected = await strategy.selectAgent([candidate(2, 0), candidate(1, 3)], context);
+
+      expect(selected.agentId).toBe(2);
+      expect(context.pickRoundRobin).not.toHaveBeenCalled();
+    });
+
+    it("should rotate between agents tied on workload and proficiency", async () => {
+      const strategy = getRoutingStrategy("least_busy");
+
+      await strategy.selectAgent([candidate(1, 1), candidate(2, 1), candidate(3, 4)], context);
+
+      expect(context.pickRoundRobin).toHaveBeenCalledWith([candidate(1, 1), candidate(2, 1)]);
+    });
+  });
+
+  describe("round_robin", () => {
+    it("should rotate through every candidate regardless of workload", async () => {
+      const strategy = getRoutingStrategy("round_robin");
+
+      await strategy.selectAgent([candidate(3, 0), candidate(1, 4), candidate(2, 2)], context);
+
+      expect(context.pickRoundRobin.mock.calls[0][0].map((c) => c.agentId)).toEqual([1, 2, 3]);
+    });
+  });
+
+  describe("manual_pick_only", () => {
+    it("should be flagged manual and never select an agent", async () => {
+      const strategy = getRoutingStrategy("manual_pick_only");
+
+      expect(strategy.manualOnly).toBe(true);
+      expect(await strategy.selectAgent([candidate(1, 0)], context)).toBeNull();
+    });
+  });
+
+  describe("sticky_last_agent", () => {
+    it("should pick the client's previous agent when they are a candidate, else least busy", async () => {
+      const strategy = getRoutingStrategy("sticky_last_agent");
+      const candidates = [candidate(1, 0), candidate(2, 3)];
+
+      context.getPreviousAgent.mockResolvedValue(2);
+      expect((await strategy.selectAgent(candidates, context)).agentId).toBe(2);
+
+      context.getPreviousAgent.mockResolvedValue(7);
+      expect((await strategy.selectAgent(candidates, context)).agentId).toBe(1);
+    });
+  });
+
+  describe("longest_idle", () => {
+    it("should pick the agent whose last assignment is oldest, never-assigned first", async () => {
+      const lastAssigned = {
+        1: "2026-10-19T09:00:00Z",
+        2: null,
+        3: "2026-10-19T08:00:00Z",
+      };
+
+      supabase.from.mockImplementation(() => {
+        let agentId;
+        const chain = {
+          select: jest.fn(() => chain),
+          eq: jest.fn((column, value) => {
+            if (column === "sys_user_id") agentId = value;
+            return chain;
+          }),
+          not: jest.fn(() => chain),
+          order: jest.fn(() => chain),
+          limit: jest.fn(() => chain),
+          maybeSingle: jest.fn(async () => ({
+            data: lastAssigned[agentId] ? { assigned_at: lastAssigned[agentId] } : null,
+            error: null,
+          })),
+        };
+        return chain;
+      });
+
+      const strategy = getRoutingStrategy("longest_idle");
+      const candidates = [candidate(1, 0), candidate(2, 3), candidate(3, 1)];
+
+      expect((await strategy.selectAgent(candidates, context)).agentId).toBe(2);
+
+      lastAssigned[2] = "2026-10-19T10:00:00Z";
+      expect((await strategy.selectAgent(candidates, context)).agentId).toBe(3);
+    });
+  });
+});
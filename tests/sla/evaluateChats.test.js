@@ -0,0 +1,50 @@
+const slaService = require("../../services/sla.service");
+
+// Mock dependencies
+jest.mock("../../helpers/supabaseClient");
+
+describe("SlaService - evaluateChats", () => {
+  const chatsFrom = (firstId, count) =>
+    Array.from({ length: count }, (_, i) => ({ chat_group_id: firstId + i }));
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(slaService, "getPolicies").mockResolvedValue([{ sla_policy_id: 1 }]);
+    jest.spyOn(slaService, "evaluatePage").mockImplementation(async (chats) =>
+      chats.map((chat) => ({ chat_group_id: chat.chat_group_id })),
+    );
+  });
+
+  it("should evaluate open chats page by page until a short page", async () => {
+    jest
+      .spyOn(slaService, "getChatsToEvaluate")
+      .mockResolvedValueOnce(chatsFrom(1, 500))
+      .mockResolvedValueOnce(chatsFrom(501, 3));
+
+    const results = await slaService.evaluateChats();
+
+    expect(slaService.getChatsToEvaluate.mock.calls.map(([afterId]) => afterId)).toEqual([0, 500]);
+    expect(slaService.evaluatePage).toHaveBeenCalledTimes(2);
+    expect(results).toHaveLength(503);
+  });
+
+  it("should stop when a full page is followed by an empty one", async () => {
+    jest
+      .spyOn(slaService, "getChatsToEvaluate")
+      .mockResolvedValueOnce(chatsFrom(1, 500))
+      .mockResolvedValueOnce([]);
+
+    const results = await slaService.evaluateChats();
+
+    expect(slaService.getChatsToEvaluate).toHaveBeenCalledTimes(2);
+    expect(results).toHaveLength(500);
+  });
+
+  it("should skip evaluation without active policies", async () => {
+    slaService.getPolicies.mockResolvedValue([]);
+    jest.spyOn(slaService, "getChatsToEvaluate");
+
+    expect(await slaService.evaluateChats()).toEqual([]);
+    expect(slaService.getChatsToEvaluate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,172 @@
+const {
+  selectPolicy,
+  getReplyState,
+  evaluateSla,
+  getMetBreaches,
+  validateSlaPolicy,
+} = require("../../utils/sla");
+const { SLA_STATUS, SLA_METRIC } = require("../../constants/statuses");
+
+const minutesAfter = (start, minutes) => new Date(new Date(start).getTime() + minutes * 60000);
+
+describe("sla", () => {
+  describe("selectPolicy", () => {
+    const policies = [
+      { sla_policy_id: 1, dept_id: null, priority: null },
+      { sla_policy_id: 2, dept_id: null, priority: 3 },
+      { sla_policy_id: 3, dept_id: 5, priority: null },
+      { sla_policy_id: 4, dept_id: 5, priority: 3 },
+      { sla_policy_id: 5, dept_id: 6, priority: 2, sla_policy_is_active: false },
+    ];
+
+    it("should prefer the most specific policy", () => {
+      expect(selectPolicy(policies, 5, 3).sla_policy_id).toBe(4);
+      expect(selectPolicy(policies, 5, 1).sla_policy_id).toBe(3);
+      expect(selectPolicy(policies, 9, 3).sla_policy_id).toBe(2);
+      expect(selectPolicy(policies, 9, 1).sla_policy_id).toBe(1);
+    });
+
+    it("should skip inactive policies", () => {
+      expect(selectPolicy(policies, 6, 2).sla_policy_id).toBe(1);
+    });
+
+    it("should return null when nothing applies", () => {
+      expect(selectPolicy([], 5, 1)).toBeNull();
+    });
+  });
+
+  describe("getReplyState", () => {
+    it("should find the oldest client message since the last agent reply", () => {
+      const messages = [
+        { chat_created_at: "2026-01-01T10:05:00Z", client_id: 1 },
+        { chat_created_at: "2026-01-01T10:04:00Z", client_id: 1 },
+        { chat_created_at: "2026-01-01T10:03:00Z", sys_user_id: 7 },
+        { chat_created_at: "2026-01-01T10:00:00Z", client_id: 1 },
+      ];
+
+      expect(getReplyState(messages)).toEqual({
+        last_agent_reply_at: "2026-01-01T10:03:00Z",
+        unanswered_since: "2026-01-01T10:04:00Z",
+      });
+    });
+
+    it("should report nothing unanswered when the agent spoke last", () => {
+      expect(getReplyState([{ chat_created_at: "2026-01-01T10:03:00Z", sys_user_id: 7 }])).toEqual({
+        last_agent_reply_at: "2026-01-01T10:03:00Z",
+        unanswered_since: null,
+      });
+    });
+  });
+
+  describe("evaluateSla", () => {
+    const created = "2026-01-01T10:00:00Z";
+    const policy = {
+      first_response_minutes: 10,
+      next_response_minutes: 5,
+      resolution_minutes: 60,
+      warning_threshold_percent: 80,
+    };
+
+    it("should be ok before the warning threshold", () => {
+      const result = evaluateSla(policy, { created_at: created }, minutesAfter(created, 5));
+
+      expect(result.status).toBe(SLA_STATUS.OK);
+      expect(result.due_at).toBe(minutesAfter(created, 10).toISOString());
+    });
+
+    it("should mark the chat at risk past the warning threshold", () => {
+      const result = evaluateSla(policy, { created_at: created }, minutesAfter(created, 8));
+
+      expect(result.status).toBe(SLA_STATUS.AT_RISK);
+      expect(result.metrics.find((m) => m.metric === SLA_METRIC.FIRST_RESPONSE).status).toBe(SLA_STATUS.AT_RISK);
+    });
+
+    it("should mark a missed first response as breached and move the deadline on", () => {
+      const result = evaluateSla(policy, { created_at: created }, minutesAfter(created, 11));
+
+      expect(result.status).toBe(SLA_STATUS.BREACHED);
+      expect(result.due_at).toBe(minutesAfter(created, 60).toISOString());
+    });
+
+    it("should time the resolution of a reopened chat from when it was reopened", () => {
+      const reopened = minutesAfter(created, 3 * 24 * 60);
+      const chat = {
+        created_at: created,
+        first_response_at: minutesAfter(created, 2).toISOString(),
+        reopened_at: reopened.toISOString(),
+      };
+      const result = evaluateSla(policy, chat, minutesAfter(reopened.toISOString(), 5));
+
+      expect(result.status).toBe(SLA_STATUS.OK);
+      expect(result.due_at).toBe(minutesAfter(reopened.toISOString(), 60).toISOString());
+    });
+
+    it("should stay breached when the first response went out late", () => {
+      const chat = { created_at: created, first_response_at: minutesAfter(created, 15).toISOString() };
+      const result = evaluateSla(policy, chat, minutesAfter(created, 20));
+
+      const firstResponse = result.metrics.find((m) => m.metric === SLA_METRIC.FIRST_RESPONSE);
+      expect(firstResponse.status).toBe(SLA_STATUS.BREACHED);
+      expect(firstResponse.met_at).toBe(chat.first_response_at);
+      expect(result.status).toBe(SLA_STATUS.BREACHED);
+    });
+
+    it("should only track next response after the first reply while a client waits", () => {
+      const answered = { created_at: created, first_response_at: minutesAfter(created, 2).toISOString() };
+      expect(
+        evaluateSla(policy, answered, minutesAfter(created, 30)).metrics.map((m) => m.metric),
+      ).not.toContain(SLA_METRIC.NEXT_RESPONSE);
+
+      const waiting = { ...answered, unanswered_since: minutesAfter(created, 20).toISOString() };
+      const result = evaluateSla(policy, waiting, minutesAfter(created, 26));
+      const nextResponse = result.metrics.find((m) => m.metric === SLA_METRIC.NEXT_RESPONSE);
+
+      expect(nextResponse.status).toBe(SLA_STATUS.BREACHED);
+      expect(nextResponse.due_at).toBe(minutesAfter(created, 25).toISOString());
+    });
+
+    it("should return no status without a policy", () => {
+      expect(evaluateSla(null, { created_at: created })).toEqual({ status: null, due_at: null, metrics: [] });
+    });
+  });
+
+  describe("getMetBreaches", () => {
+    it("should close breaches whose metric has since been met", () => {
+      const openBreaches = [
+        { sla_breach_id: 1, sla_metric: SLA_METRIC.FIRST_RESPONSE, started_at: "2026-01-01T10:00:00Z" },
+        { sla_breach_id: 2, sla_metric: SLA_METRIC.RESOLUTION, started_at: "2026-01-01T10:00:00Z" },
+      ];
+      const metrics = [
+        { metric: SLA_METRIC.FIRST_RESPONSE, met_at: "2026-01-01T10:15:00.000Z" },
+        { metric: SLA_METRIC.RESOLUTION, met_at: null },
+      ];
+
+      expect(getMetBreaches(openBreaches, metrics)).toEqual([
+        { sla_breach_id: 1, met_at: "2026-01-01T10:15:00.000Z" },
+      ]);
+    });
+
+    it("should close next-response breaches once an agent replies after they started", () => {
+      const openBreaches = [
+        { sla_breach_id: 3, sla_metric: SLA_METRIC.NEXT_RESPONSE, started_at: "2026-01-01T10:20:00Z" },
+      ];
+
+      expect(getMetBreaches(openBreaches, [], "2026-01-01T10:10:00Z")).toEqual([]);
+      expect(getMetBreaches(openBreaches, [], "2026-01-01T10:30:00Z")).toEqual([
+        { sla_breach_id: 3, met_at: "2026-01-01T10:30:00.000Z" },
+      ]);
+    });
+  });
+
+  describe("validateSlaPolicy", () => {
+    it("should require at least one target", () => {
+      expect(validateSlaPolicy({})).toMatch(/At least one/);
+      expect(validateSlaPolicy({ first_response_minutes: 5 })).toBeNull();
+    });
+
+    it("should reject invalid targets and thresholds", () => {
+      expect(validateSlaPolicy({ resolution_minutes: -1 })).toMatch(/resolution_minutes/);
+      expect(validateSlaPolicy({ resolution_minutes: 30, warning_threshold_percent: 100 })).toMatch(/warning_threshold_percent/);
+    });
+  });
+});
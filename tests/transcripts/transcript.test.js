@@ -0,0 +1,125 @@
+const {
+  TRANSCRIPT_FORMATS,
+  isValidEmail,
+  parseTranscriptFormat,
+  describeTransfer,
+  formatTimestamp,
+  buildTranscript,
+  renderText,
+  renderHtml,
+} = require("../../utils/transcript");
+const { CHAT_MESSAGE_TYPE } = require("../../constants/statuses");
+
+const chatGroup = {
+  chat_group_id: 12,
+  status: "resolved",
+  sys_user_id: 7,
+  created_at: "2026-01-05T01:00:00",
+  resolved_at: "2026-01-05T01:30:00",
+  department: { dept_name: "Billing" },
+  agent: { profile: { prof_firstname: "Ana", prof_lastname: "Reyes" } },
+  client: { client_number: "09171234567", profile: { prof_firstname: "Juan", prof_lastname: "Cruz" } },
+};
+
+const messages = [
+  { chat_id: 1, chat_body: "Hi, I need a refund", chat_type: CHAT_MESSAGE_TYPE.MESSAGE, chat_created_at: "2026-01-05T01:01:00", client_id: 5 },
+  {
+    chat_id: 2,
+    chat_body: "Check <order> history",
+    chat_type: CHAT_MESSAGE_TYPE.INTERNAL_NOTE,
+    chat_created_at: "2026-01-05T01:02:00",
+    sys_user_id: 7,
+    sys_user: { profile: { prof_firstname: "Ana", prof_lastname: "Reyes" } },
+  },
+  {
+    chat_id: 3,
+    chat_body: "",
+    chat_type: CHAT_MESSAGE_TYPE.MESSAGE,
+    chat_created_at: "2026-01-05T01:05:00",
+    sys_user_id: 8,
+    sys_user: { profile: { prof_firstname: "Ben", prof_lastname: "Santos" } },
+    attachments: [{ attachment_file_name: "receipt.pdf" }],
+  },
+  { chat_id: 4, chat_body: "", chat_type: CHAT_MESSAGE_TYPE.MESSAGE, chat_created_at: "2026-01-05T01:06:00", client_id: 5, chat_deleted_at: "2026-01-05T01:07:00" },
+];
+
+const transfers = [
+  { transfer_id: 1, transferred_at: "2026-01-05T01:03:00", transfer_type: "manual", to_dept: { dept_name: "Refunds" } },
+];
+
+describe("transcript", () => {
+  describe("parseTranscriptFormat", () => {
+    it("should default to pdf and accept txt as text", () => {
+      expect(parseTranscriptFormat()).toBe(TRANSCRIPT_FORMATS.PDF);
+      expect(parseTranscriptFormat("HTML")).toBe(TRANSCRIPT_FORMATS.HTML);
+      expect(parseTranscriptFormat("txt")).toBe(TRANSCRIPT_FORMATS.TEXT);
+      expect(parseTranscriptFormat("docx")).toBeNull();
+    });
+  });
+
+  describe("isValidEmail", () => {
+    it("should accept plausible addresses only", () => {
+      expect(isValidEmail("juan@example.com")).toBe(true);
+      expect(isValidEmail("juan@example")).toBe(false);
+      expect(isValidEmail(undefined)).toBe(false);
+    });
+  });
+
+  describe("describeTransfer", () => {
+    it("should describe each transfer type", () => {
+      expect(describeTransfer(transfers[0])).toBe("Chat transferred to Refunds");
+      expect(describeTransfer({ transfer_type: "agent_offline" })).toBe("Chat reassigned (previous agent went offline)");
+      expect(describeTransfer({ transfer_type: null, to_dept: null })).toBe("Chat transferred to Unknown Department");
+    });
+  });
+
+  describe("formatTimestamp", () => {
+    it("should treat zoneless timestamps as UTC", () => {
+      expect(formatTimestamp("2026-01-05T01:00:00", "Asia/Manila")).toBe("Jan 05, 2026, 09:00");
+      expect(formatTimestamp("2026-01-05T01:00:00+00:00", "UTC")).toBe("Jan 05, 2026, 01:00");
+      expect(formatTimestamp(null)).toBe("");
+    });
+  });
+
+  describe("buildTranscript", () => {
+    it("should merge messages and transfers in order without internal notes", () => {
+      const transcript = buildTranscript({ chatGroup, messages, transfers, feedback: { rating: 5, feedback_text: "Great" } });
+
+      expect(transcript.entries.map((e) => e.kind)).toEqual(["message", "transfer", "message", "message"]);
+      expect(transcript.entries[2]).toMatchObject({ sender: "Ben Santos", attachments: ["receipt.pdf"] });
+      expect(transcript.entries[3]).toMatchObject({ sender: "Juan Cruz", body: "(message unsent)" });
+      expect(transcript.participants).toEqual([
+        { role: "client", name: "Juan Cruz" },
+        { role: "agent", name: "Ana Reyes" },
+        { role: "agent", name: "Ben Santos" },
+      ]);
+      expect(transcript.feedback).toEqual({ rating: 5, feedback_text: "Great" });
+    });
+
+    it("should include internal notes when asked", () => {
+      const transcript = buildTranscript({ chatGroup, messages, transfers, includeInternalNotes: true });
+
+      expect(transcript.entries.filter((e) => e.kind === "note")).toHaveLength(1);
+    });
+  });
+
+  describe("renderers", () => {
+    const transcript = buildTranscript({ chatGroup, messages, transfers, includeInternalNotes: true });
+
+    it("should render a readable text transcript", () => {
+      const text = renderText(transcript, { timeZone: "Asia/Manila" });
+
+      expect(text).toContain("Client: Juan Cruz - 09171234567");
+      expect(text).toContain("[Jan 05, 2026, 09:01] Juan Cruz: Hi, I need a refund");
+      expect(text).toContain("Ana Reyes [internal note]: Check <order> history");
+      expect(text).toContain("Ben Santos: [attachments: receipt.pdf]");
+    });
+
+    it("should escape message text in HTML", () => {
+      const html = renderHtml(transcript);
+
+      expect(html).toContain("Check &lt;order&gt; history");
+      expect(html).not.toContain("<order>");
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const { getPresenceState, getWaitSeconds, buildWallboard } = require("../../utils/wallboard");
+
+describe("wallboard", () => {
+  const now = new Date("2026-03-10T08:00:00Z");
+
+  describe("getPresenceState", () => {
+    it("should treat a missing or unknown presence as offline", () => {
+      expect(getPresenceState({ userPresence: "accepting_chats" })).toBe("accepting_chats");
+      expect(getPresenceState(null)).toBe("offline");
+      expect(getPresenceState({ userPresence: "away" })).toBe("offline");
+    });
+  });
+
+  describe("getWaitSeconds", () => {
+    it("should measure from queued_at, falling back to created_at", () => {
+      expect(getWaitSeconds({ queued_at: "2026-03-10T07:58:00+00:00", created_at: "2026-03-10T07:00:00" }, now)).toBe(120);
+      expect(getWaitSeconds({ queued_at: null, created_at: "2026-03-10T07:59:30" }, now)).toBe(30);
+    });
+  });
+
+  describe("buildWallboard", () => {
+    const departments = [
+      { dept_id: 1, dept_name: "Billing" },
+      { dept_id: 2, dept_name: "Support" },
+    ];
+    const members = [
+      { sys_user_id: 10, dept_id: 1, name: "Ana" },
+      { sys_user_id: 10, dept_id: 2, name: "Ana" },
+      { sys_user_id: 11, dept_id: 1, name: "Ben" },
+      { sys_user_id: 12, dept_id: 2, name: "Cy" },
+    ];
+    const presences = {
+      10: { userPresence: "accepting_chats" },
+      11: { userPresence: "not_accepting_chats" },
+    };
+    const chats = [
+      { chat_group_id: 1, dept_id: 1, sys_user_id: null, status: "queued", queued_at: "2026-03-10T07:55:00+00:00", sla_status: "ok" },
+      { chat_group_id: 2, dept_id: 1, sys_user_id: null, status: "queued", created_at: "2026-03-10T07:50:00", sla_status: "breached", sla_due_at: "2026-03-10T07:55:00+00:00" },
+      { chat_group_id: 3, dept_id: 1, sys_user_id: 10, status: "active", sla_status: "ok" },
+      { chat_group_id: 4, dept_id: 2, sys_user_id: 10, status: "active", sla_status: "breached", sla_due_at: "2026-03-10T07:40:00+00:00" },
+    ];
+
+    const wallboard = buildWallboard({ departments, members, chats, presences }, now);
+
+    it("should report queue length, longest wait and active chats per department", () => {
+      expect(wallboard.departments[0]).toEqual({
+        dept_id: 1,
+        dept_name: "Billing",
+        queue_length: 2,
+        longest_wait_seconds: 600,
+        active_chats: 1,
+        sla_breached: 1,
+        agents: { accepting_chats: 1, not_accepting_chats: 1, offline: 0 },
+      });
+      expect(wallboard.departments[1]).toMatchObject({
+        queue_length: 0,
+        active_chats: 1,
+        agents: { accepting_chats: 1, not_accepting_chats: 0, offline: 1 },
+      });
+    });
+
+    it("should list each agent once with their active chats, busiest first", () => {
+      expect(wallboard.agents).toEqual([
+        { sys_user_id: 10, name: "Ana", status: "accepting_chats", dept_ids: [1, 2], active_chats: 2, sla_breached: 1 },
+        { sys_user_id: 11, name: "Ben", status: "not_accepting_chats", dept_ids: [1], active_chats: 0, sla_breached: 0 },
+        { sys_user_id: 12, name: "Cy", status: "offline", dept_ids: [2], active_chats: 0, sla_breached: 0 },
+      ]);
+    });
+
+    it("should list breaching chats by due time and total everything", () => {
+      expect(wallboard.sla_breaches.map((breach) => breach.chat_group_id)).toEqual([4, 2]);
+      expect(wallboard.totals).toEqual({
+        queue_length: 2,
+        longest_wait_seconds: 600,
+        active_chats: 2,
+        sla_breached: 2,
+        agents: { accepting_chats: 1, not_accepting_chats: 1, offline: 1 },
+      });
+      expect(wallboard.generated_at).toBe(now.toISOString());
+    });
+
+    it("should return empty figures without departments", () => {
+      expect(buildWallboard({}, now).totals).toEqual({
+        queue_length: 0,
+        longest_wait_seconds: 0,
+        active_chats: 0,
+        sla_breached: 0,
+        agents: { accepting_chats: 0, not_accepting_chats: 0, offline: 0 },
+      });
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const {
+  MAX_TAG_NAME_LENGTH,
+  MAX_TAGS_PER_CHAT,
+  WRAP_UP_ERRORS,
+  normalizeTagName,
+  isInDepartmentScope,
+  parseChatTagsInput,
+  parseTagFilter,
+  validateTagInput,
+  validateDispositionInput,
+  getDispositionError,
+} = require("../../utils/wrapUp");
+
+describe("wrapUp", () => {
+  describe("normalizeTagName", () => {
+    it("should trim and collapse whitespace", () => {
+      expect(normalizeTagName("  refund   issued ")).toBe("refund issued");
+      expect(normalizeTagName(42)).toBe("");
+    });
+  });
+
+  describe("isInDepartmentScope", () => {
+    it("should allow global entries and the department's own", () => {
+      expect(isInDepartmentScope({ dept_id: null }, 3)).toBe(true);
+      expect(isInDepartmentScope({ dept_id: 3 }, "3")).toBe(true);
+      expect(isInDepartmentScope({ dept_id: 4 }, 3)).toBe(false);
+      expect(isInDepartmentScope({ dept_id: 4 }, null)).toBe(false);
+    });
+  });
+
+  describe("parseChatTagsInput", () => {
+    it("should accept catalogue IDs and free-form names, removing duplicates", () => {
+      expect(parseChatTagsInput({ tag_ids: [1, 2, 1], tags: ["VIP", " vip ", "Refund"] })).toEqual({
+        tagIds: [1, 2],
+        tagNames: ["VIP", "Refund"],
+        error: null,
+      });
+    });
+
+    it("should allow clearing all tags", () => {
+      expect(parseChatTagsInput({ tag_ids: [] })).toEqual({ tagIds: [], tagNames: [], error: null });
+    });
+
+    it("should reject malformed input", () => {
+      expect(parseChatTagsInput({ tag_ids: ["1"] }).error).toBe("tag_ids must be an array of tag IDs");
+      expect(parseChatTagsInput({ tags: "vip" }).error).toBe("tags must be an array of tag names");
+      expect(parseChatTagsInput({ tags: ["x".repeat(MAX_TAG_NAME_LENGTH + 1)] }).error).toMatch(/^Tag names/);
+    });
+
+    it("should cap the number of tags on a chat", () => {
+      const tag_ids = Array.from({ length: MAX_TAGS_PER_CHAT + 1 }, (_, i) => i + 1);
+      expect(parseChatTagsInput({ tag_ids }).error).toMatch(/at most/);
+    });
+  });
+
+  describe("parseTagFilter", () => {
+    it("should treat a missing filter as no filter", () => {
+      expect(parseTagFilter(undefined)).toEqual({ tagIds: null, error: null });
+      expect(parseTagFilter("")).toEqual({ tagIds: null, error: null });
+    });
+
+    it("should parse comma-separated and repeated query values", () => {
+      expect(parseTagFilter("3, 5,3")).toEqual({ tagIds: [3, 5], error: null });
+      expect(parseTagFilter(["3", "5"])).toEqual({ tagIds: [3, 5], error: null });
+      expect(parseTagFilter("3,vip").error).toMatch(/^tag_ids/);
+    });
+  });
+
+  describe("validateTagInput", () => {
+    it("should require a name unless updating", () => {
+      expect(validateTagInput({ tag_name: "VIP", dept_id: 2, tag_color: "#1a73e8" })).toBeNull();
+      expect(validateTagInput({})).toMatch(/^tag_name/);
+      expect(validateTagInput({ tag_is_active: false }, { partial: true })).toBeNull();
+    });
+
+    it("should reject bad colors and departments", () => {
+      expect(validateTagInput({ tag_name: "VIP", tag_color: "blue" })).toMatch(/^tag_color/);
+      expect(validateTagInput({ tag_name: "VIP", dept_id: "2" })).toMatch(/^dept_id/);
+    });
+  });
+
+  describe("validateDispositionInput", () => {
+    it("should require a snake_case code and a label", () => {
+      expect(validateDispositionInput({ disposition_code: "refund_issued", disposition_label: "Refund issued" })).toBeNull();
+      expect(validateDispositionInput({ disposition_code: "Refund Issued", disposition_label: "x" })).toMatch(/^disposition_code/);
+      expect(validateDispositionInput({ disposition_code: "refund" })).toMatch(/^disposition_label/);
+      expect(validateDispositionInput({ disposition_label: "Renamed" }, { partial: true })).toBeNull();
+    });
+  });
+
+  describe("getDispositionError", () => {
+    const disposition = { chat_disposition_id: 9, dept_id: 3, disposition_is_active: true };
+
+    it("should only require a disposition when the department does", () => {
+      expect(getDispositionError(null, { deptId: 3, requireDisposition: false })).toBeNull();
+      expect(getDispositionError(null, { deptId: 3, requireDisposition: true })).toBe(WRAP_UP_ERRORS.DISPOSITION_REQUIRED);
+    });
+
+    it("should accept an active disposition for the chat's department", () => {
+      expect(getDispositionError(disposition, { dispositionId: 9, deptId: 3, requireDisposition: true })).toBeNull();
+      expect(getDispositionError({ ...disposition, dept_id: null }, { dispositionId: 9, deptId: 5 })).toBeNull();
+    });
+
+    it("should reject missing, retired or other-department dispositions", () => {
+      const notFound = WRAP_UP_ERRORS.DISPOSITION_NOT_FOUND;
+      expect(getDispositionError(null, { dispositionId: 9, deptId: 3 })).toBe(notFound);
+      expect(getDispositionError({ ...disposition, disposition_is_active: false }, { dispositionId: 9, deptId: 3 })).toBe(notFound);
+      expect(getDispositionError(disposition, { dispositionId: 9, deptId: 4 })).toBe(notFound);
+    });
+  });
+});
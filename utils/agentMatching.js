@@ -0,0 +1,76 @@
+/**
+ * Agent matching for skills-based, capacity-aware routing.
+ * Pure ranking logic - AgentAssignmentService loads the workloads, capacities and skills.
+ */
+
+const DEFAULT_MAX_CONCURRENT_CHATS = 5;
+
+/**
+ * Count the required skills an agent meets and sum the matching proficiencies
+ * @param {Object} agentSkills - Map of skillId → proficiency for one agent
+ * @param {Array<{ skill_id: number, min_proficiency?: number }>} requiredSkills
+ */
+function scoreSkills(agentSkills = {}, requiredSkills = []) {
+  let matched = 0;
+  let proficiency = 0;
+
+  for (const required of requiredSkills) {
+    const level = agentSkills[required.skill_id];
+    if (level !== undefined && level >= (required.min_proficiency || 1)) {
+      matched++;
+      proficiency += level;
+    }
+  }
+
+  return { matched, proficiency };
+}
+
+/**
+ * Rank available agents for a chat, best match first.
+ * Agents at or over their concurrency limit are dropped. The rest are ordered by
+ * required skills met, then fewest active chats, then total proficiency.
+ * @param {number[]} agentIds
+ * @param {Object} options
+ * @param {Object} options.workloads - agentId → active chat count
+ * @param {Object} [options.capacities] - agentId → max concurrent chats
+ * @param {Object} [options.agentSkills] - agentId → { skillId: proficiency }
+ * @param {Array} [options.requiredSkills] - Skills the chat requires
+ * @returns {Array<{ agentId: number, workload: number, capacity: number, matched: number, proficiency: number }>}
+ */
+function rankAgents(agentIds, { workloads = {}, capacities = {}, agentSkills = {}, requiredSkills = [] } = {}) {
+  return (agentIds || [])
+    .map((agentId) => ({
+      agentId,
+      workload: workloads[agentId] ?? 0,
+      capacity: capacities[agentId] ?? DEFAULT_MAX_CONCURRENT_CHATS,
+      ...scoreSkills(agentSkills[agentId], requiredSkills),
+    }))
+    .filter((candidate) => candidate.workload < candidate.capacity)
+    .sort(
+      (a, b) =>
+        b.matched - a.matched ||
+        a.workload - b.workload ||
+        b.proficiency - a.proficiency,
+    );
+}
+
+/**
+ * Get the leading candidates that are tied on every ranking criterion
+ */
+function getTopTier(rankedAgents) {
+  if (!rankedAgents.length) return [];
+  const [best] = rankedAgents;
+  return rankedAgents.filter(
+    (candidate) =>
+      candidate.matched === best.matched &&
+      candidate.workload === best.workload &&
+      candidate.proficiency === best.proficiency,
+  );
+}
+
+module.exports = {
+  DEFAULT_MAX_CONCURRENT_CHATS,
+  scoreSkills,
+  rankAgents,
+  getTopTier,
+};
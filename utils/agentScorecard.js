@@ -0,0 +1,185 @@
+/**
+ * Period handling, concurrency and comparison for agent scorecards.
+ * Pure logic - AgentScorecardService loads the figures.
+ */
+
+const { parseAnalyticsFilters } = require("./analytics");
+
+const SCORECARD_PERIODS = ["day", "week", "month"];
+const DEFAULT_SCORECARD_PERIOD = "week";
+
+// Figures compared between the current and previous period
+const COMPARED_METRICS = {
+  chats_handled: (card) => card.chats_handled,
+  chats_resolved: (card) => card.chats_resolved,
+  avg_concurrent_chats: (card) => card.concurrency.average,
+  median_first_response_minutes: (card) => card.median_first_response_minutes,
+  median_resolution_minutes: (card) => card.median_resolution_minutes,
+  transfers_in: (card) => card.transfers_in,
+  transfers_out: (card) => card.transfers_out,
+  csat_average_rating: (card) => card.csat.average_rating,
+  csat_percent: (card) => card.csat.csat_percent,
+  logged_in_seconds: (card) => card.presence?.logged_in_seconds,
+  accepting_seconds: (card) => card.presence?.accepting_seconds,
+};
+
+const round = (value, places = 2) =>
+  value === null || value === undefined ? null : Number(Number(value).toFixed(places));
+
+// chat_group timestamps are stored without a time zone (UTC)
+function toDate(value) {
+  if (!value) return null;
+  const text = String(value);
+  return new Date(/[zZ]|[+-]\d{2}:?\d{2}$/.test(text) ? text : `${text}Z`);
+}
+
+/**
+ * Start of the UTC day, Monday-based week or month containing date
+ */
+function startOfPeriod(date, period) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (period === "week") {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  } else if (period === "month") {
+    start.setUTCDate(1);
+  }
+  return start;
+}
+
+function shiftPeriod(date, period, count) {
+  const shifted = new Date(date);
+  if (period === "day") shifted.setUTCDate(shifted.getUTCDate() + count);
+  if (period === "week") shifted.setUTCDate(shifted.getUTCDate() + count * 7);
+  if (period === "month") shifted.setUTCMonth(shifted.getUTCMonth() + count);
+  return shifted;
+}
+
+/**
+ * Resolve the scorecard range and the one it is compared against.
+ * period (day|week|month, UTC) covers the current period up to now and compares it with the
+ * same stretch of the previous one, e.g. this week so far vs last week to the same point.
+ * from/to give a custom range compared with the equal-length range just before it.
+ * compare=false skips the previous period.
+ * @returns {{ current: {from, to}|null, previous: {from, to}|null, period: string|null, error: string|null }}
+ */
+function parseScorecardPeriod(query = {}, now = new Date()) {
+  const compare = query.compare !== "false";
+
+  if (query.from || query.to) {
+    if (query.period) {
+      return { current: null, previous: null, period: null, error: "Use either period or from/to, not both" };
+    }
+
+    const { filters, error } = parseAnalyticsFilters({ from: query.from, to: query.to }, now);
+    if (error) return { current: null, previous: null, period: null, error };
+
+    const length = new Date(filters.to) - new Date(filters.from);
+    return {
+      current: { from: filters.from, to: filters.to },
+      previous: compare
+        ? { from: new Date(new Date(filters.from) - length).toISOString(), to: filters.from }
+        : null,
+      period: null,
+      error: null,
+    };
+  }
+
+  const period = query.period || DEFAULT_SCORECARD_PERIOD;
+  if (!SCORECARD_PERIODS.includes(period)) {
+    return {
+      current: null,
+      previous: null,
+      period: null,
+      error: `period must be one of: ${SCORECARD_PERIODS.join(", ")}`,
+    };
+  }
+
+  const start = startOfPeriod(now, period);
+  const previousStart = shiftPeriod(start, period, -1);
+  const previousEnd = new Date(Math.min(previousStart.getTime() + (now - start), start.getTime()));
+
+  return {
+    current: { from: start.toISOString(), to: now.toISOString() },
+    previous: compare ? { from: previousStart.toISOString(), to: previousEnd.toISOString() } : null,
+    period,
+    error: null,
+  };
+}
+
+/**
+ * Average number of chats the agent had open while they had at least one, and the peak.
+ * Active chats with no resolved_at run until now.
+ * @param {Array} chats - { assigned_at, resolved_at, status }
+ * @returns {{ average: number|null, peak: number }}
+ */
+function computeConcurrency(chats = [], from, to, now = new Date()) {
+  const rangeStart = new Date(from).getTime();
+  const rangeEnd = Math.min(new Date(to).getTime(), now.getTime());
+  const points = [];
+
+  for (const chat of chats) {
+    const assigned = toDate(chat.assigned_at);
+    const resolved = toDate(chat.resolved_at);
+    const end = resolved ? resolved.getTime() : chat.status === "active" ? now.getTime() : null;
+    if (!assigned || end === null) continue;
+
+    const start = Math.max(assigned.getTime(), rangeStart);
+    const stop = Math.min(end, rangeEnd);
+    if (stop <= start) continue;
+
+    points.push([start, 1], [stop, -1]);
+  }
+
+  // Close intervals before opening new ones at the same instant
+  points.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+  let open = 0;
+  let peak = 0;
+  let busyMs = 0;
+  let chatMs = 0;
+  let last = null;
+
+  for (const [time, change] of points) {
+    if (open > 0) {
+      busyMs += time - last;
+      chatMs += (time - last) * open;
+    }
+    open += change;
+    peak = Math.max(peak, open);
+    last = time;
+  }
+
+  return { average: busyMs > 0 ? round(chatMs / busyMs) : null, peak };
+}
+
+/**
+ * Change from the previous period for each compared figure.
+ * percent_change is null when either side is missing or the previous value was 0.
+ */
+function compareScorecards(current, previous) {
+  const change = {};
+
+  for (const [name, read] of Object.entries(COMPARED_METRICS)) {
+    const now = read(current);
+    const before = read(previous);
+    const missing = now === null || now === undefined || before === null || before === undefined;
+
+    change[name] = {
+      current: now ?? null,
+      previous: before ?? null,
+      delta: missing ? null : round(now - before),
+      percent_change: missing || before === 0 ? null : round(((now - before) / before) * 100, 1),
+    };
+  }
+
+  return change;
+}
+
+module.exports = {
+  SCORECARD_PERIODS,
+  DEFAULT_SCORECARD_PERIOD,
+  COMPARED_METRICS,
+  parseScorecardPeriod,
+  computeConcurrency,
+  compareScorecards,
+};
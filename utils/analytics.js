@@ -0,0 +1,132 @@
+/**
+ * Filter parsing and result shaping for the analytics endpoints.
+ * Pure logic - AnalyticsService calls the analytics SQL functions.
+ */
+
+const ANALYTICS_BUCKETS = ["day", "week", "month"];
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ratings that count as satisfied for CSAT
+const SATISFIED_MIN_RATING = 4;
+
+function parseId(value, name) {
+  if (value === undefined || value === null || value === "") return { id: null };
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? { id } : { error: `${name} must be a positive integer` };
+}
+
+function parseDate(value) {
+  if (value === undefined || value === null || value === "") return { date: null };
+  const time = Date.parse(value);
+  return isNaN(time) ? { error: true } : { date: new Date(time) };
+}
+
+/**
+ * Validate analytics query parameters. The range defaults to the last 30 days.
+ * Query: from, to, bucket (day|week|month), dept_id, agent_id
+ * @returns {{ filters: Object|null, error: string|null }}
+ */
+function parseAnalyticsFilters(query = {}, now = new Date()) {
+  const from = parseDate(query.from);
+  const to = parseDate(query.to);
+  if (from.error || to.error) {
+    return { filters: null, error: "from and to must be ISO dates" };
+  }
+
+  const end = to.date || now;
+  const start = from.date || new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+  if (start >= end) {
+    return { filters: null, error: "from must be before to" };
+  }
+  if (end - start > MAX_RANGE_DAYS * DAY_MS) {
+    return { filters: null, error: `Date range is limited to ${MAX_RANGE_DAYS} days` };
+  }
+
+  const bucket = query.bucket || "day";
+  if (!ANALYTICS_BUCKETS.includes(bucket)) {
+    return { filters: null, error: `bucket must be one of: ${ANALYTICS_BUCKETS.join(", ")}` };
+  }
+
+  const dept = parseId(query.dept_id, "dept_id");
+  if (dept.error) return { filters: null, error: dept.error };
+
+  const agent = parseId(query.agent_id, "agent_id");
+  if (agent.error) return { filters: null, error: agent.error };
+
+  return {
+    filters: {
+      from: start.toISOString(),
+      to: end.toISOString(),
+      bucket,
+      deptId: dept.id,
+      agentId: agent.id,
+    },
+    error: null,
+  };
+}
+
+const round = (value, places = 2) =>
+  value === null || value === undefined ? null : Number(Number(value).toFixed(places));
+
+const percent = (part, whole) => (whole > 0 ? round((part / whole) * 100, 1) : null);
+
+/**
+ * Transfer counts by type and the share of chats that were transferred
+ * @param {Array} rows - get_transfer_analytics rows; transfer_type NULL is the all-types row
+ * @param {number} totalChats - Chats created in the same range and scope
+ */
+function summarizeTransfers(rows = [], totalChats = 0) {
+  const overall = rows.find((row) => row.transfer_type === null);
+  const chatsTransferred = Number(overall?.chats_transferred || 0);
+
+  return {
+    total_chats: totalChats,
+    total_transfers: Number(overall?.transfer_count || 0),
+    chats_transferred: chatsTransferred,
+    transfer_rate: percent(chatsTransferred, totalChats),
+    by_type: rows
+      .filter((row) => row.transfer_type !== null)
+      .map((row) => ({
+        transfer_type: row.transfer_type,
+        transfer_count: Number(row.transfer_count),
+        chats_transferred: Number(row.chats_transferred),
+      })),
+  };
+}
+
+/**
+ * Average rating, CSAT (share of 4 and 5 star ratings) and the rating distribution
+ * @param {Array} rows - get_csat_analytics rows ({ rating, response_count })
+ */
+function summarizeCsat(rows = []) {
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let responses = 0;
+  let ratingTotal = 0;
+  let satisfied = 0;
+
+  for (const row of rows) {
+    const count = Number(row.response_count);
+    distribution[row.rating] = count;
+    responses += count;
+    ratingTotal += row.rating * count;
+    if (row.rating >= SATISFIED_MIN_RATING) satisfied += count;
+  }
+
+  return {
+    responses,
+    average_rating: responses ? round(ratingTotal / responses) : null,
+    csat_percent: percent(satisfied, responses),
+    distribution,
+  };
+}
+
+module.exports = {
+  ANALYTICS_BUCKETS,
+  DEFAULT_RANGE_DAYS,
+  MAX_RANGE_DAYS,
+  parseAnalyticsFilters,
+  summarizeTransfers,
+  summarizeCsat,
+};
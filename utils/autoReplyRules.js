@@ -0,0 +1,266 @@
+const { AUTO_REPLY_TRIGGER } = require("../constants/statuses");
+
+/**
+ * Auto reply trigger rules.
+ * Pure matching logic - the service gathers the chat context and handles cooldowns.
+ */
+
+const MAX_PATTERN_LENGTH = 200;
+
+// Triggers that can fire for each event
+const AUTO_REPLY_EVENT = {
+  CHAT_OPENED: "chat_opened",
+  CLIENT_MESSAGE: "client_message",
+};
+
+const EVENT_TRIGGERS = {
+  [AUTO_REPLY_EVENT.CHAT_OPENED]: [
+    AUTO_REPLY_TRIGGER.GREETING,
+    AUTO_REPLY_TRIGGER.OUTSIDE_HOURS,
+  ],
+  [AUTO_REPLY_EVENT.CLIENT_MESSAGE]: [
+    AUTO_REPLY_TRIGGER.KEYWORD,
+    AUTO_REPLY_TRIGGER.REGEX,
+    AUTO_REPLY_TRIGGER.OUTSIDE_HOURS,
+    AUTO_REPLY_TRIGGER.QUEUE_WAIT,
+    AUTO_REPLY_TRIGGER.FIRST_MESSAGE,
+  ],
+};
+
+// When several rules match, the most specific one wins
+const TRIGGER_PRECEDENCE = [
+  AUTO_REPLY_TRIGGER.OUTSIDE_HOURS,
+  AUTO_REPLY_TRIGGER.QUEUE_WAIT,
+  AUTO_REPLY_TRIGGER.KEYWORD,
+  AUTO_REPLY_TRIGGER.REGEX,
+  AUTO_REPLY_TRIGGER.FIRST_MESSAGE,
+  AUTO_REPLY_TRIGGER.GREETING,
+];
+
+/**
+ * Rows created before trigger rules existed have no trigger and behave as greetings
+ */
+function getTrigger(rule) {
+  return rule.auto_reply_trigger || AUTO_REPLY_TRIGGER.GREETING;
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Match comma-separated keywords as whole words, case-insensitively
+ */
+function matchesKeywords(pattern, body) {
+  if (!pattern || !body) return false;
+
+  return pattern
+    .split(",")
+    .map((keyword) => keyword.trim())
+    .filter(Boolean)
+    .some((keyword) =>
+      new RegExp(
+        `(^|[^\\p{L}\\p{N}])${escapeRegex(keyword)}($|[^\\p{L}\\p{N}])`,
+        "iu",
+      ).test(body),
+    );
+}
+
+/**
+ * Length of a quantifier at index i that can repeat its atom (*, +, {n,}, {n,m}), 0 when there is none
+ */
+function getRepeatLength(pattern, i) {
+  if (pattern[i] === "*" || pattern[i] === "+") return 1;
+  if (pattern[i] !== "{") return 0;
+
+  const match = /^\{(\d+)(,\d*)?\}/.exec(pattern.slice(i));
+  if (!match || (!match[2] && Number(match[1]) <= 1)) return 0;
+  return match[0].length;
+}
+
+/**
+ * Detect a repeated group that contains a repeat or an alternation, e.g. (a+)+, (\w*\s?)*
+ * or (a|aa)+. These backtrack exponentially on near-misses and would block the event loop.
+ */
+function hasUnsafeRepeat(pattern) {
+  // What each open group (plus the top level) contains
+  const groups = [{ repeats: false, alternates: false }];
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const current = groups[groups.length - 1];
+
+    if (char === "\\") {
+      i++;
+    } else if (char === "[") {
+      i++;
+      if (pattern[i] === "^") i++;
+      if (pattern[i] === "]") i++;
+      while (i < pattern.length && pattern[i] !== "]") {
+        if (pattern[i] === "\\") i++;
+        i++;
+      }
+    } else if (char === "(") {
+      groups.push({ repeats: false, alternates: false });
+    } else if (char === "|") {
+      current.alternates = true;
+    } else if (char === ")" && groups.length > 1) {
+      const inner = groups.pop();
+      const outer = groups[groups.length - 1];
+      if ((inner.repeats || inner.alternates) && getRepeatLength(pattern, i + 1)) return true;
+      outer.repeats = outer.repeats || inner.repeats;
+      outer.alternates = outer.alternates || inner.alternates;
+    } else {
+      const length = getRepeatLength(pattern, i);
+      if (length) {
+        current.repeats = true;
+        i += length - 1;
+      }
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Match a case-insensitive regular expression; invalid and unsafe patterns (see hasUnsafeRepeat) never match
+ */
+function matchesRegex(pattern, body) {
+  if (!pattern || !body || pattern.length > MAX_PATTERN_LENGTH) return false;
+  if (hasUnsafeRepeat(pattern)) return false;
+
+  try {
+    return new RegExp(pattern, "i").test(body);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check whether a single rule fires for the given context
+ * @param {Object} rule - auto_reply row
+ * @param {Object} context
+ * @param {string} context.event - AUTO_REPLY_EVENT value
+ * @param {string} [context.messageBody] - Client message (client_message event)
+ * @param {boolean} [context.isOutsideHours]
+ * @param {number|null} [context.queuedMinutes] - Minutes queued, null when not queued
+ * @param {boolean} [context.isFirstMessage] - Whether this is the client's first message
+ */
+function ruleMatches(rule, context) {
+  const trigger = getTrigger(rule);
+  if (!(EVENT_TRIGGERS[context.event] || []).includes(trigger)) return false;
+
+  switch (trigger) {
+    case AUTO_REPLY_TRIGGER.GREETING:
+      return true;
+    case AUTO_REPLY_TRIGGER.KEYWORD:
+      return matchesKeywords(rule.auto_reply_pattern, context.messageBody);
+    case AUTO_REPLY_TRIGGER.REGEX:
+      return matchesRegex(rule.auto_reply_pattern, context.messageBody);
+    case AUTO_REPLY_TRIGGER.OUTSIDE_HOURS:
+      return context.isOutsideHours === true;
+    case AUTO_REPLY_TRIGGER.QUEUE_WAIT:
+      return (
+        context.queuedMinutes !== null &&
+        context.queuedMinutes !== undefined &&
+        context.queuedMinutes >= (rule.auto_reply_wait_minutes || 0)
+      );
+    case AUTO_REPLY_TRIGGER.FIRST_MESSAGE:
+      return context.isFirstMessage === true;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Get the rules that fire for a context, most specific first
+ */
+function matchAutoReplyRules(rules, context) {
+  return (rules || [])
+    .filter((rule) => ruleMatches(rule, context))
+    .sort(
+      (a, b) =>
+        TRIGGER_PRECEDENCE.indexOf(getTrigger(a)) -
+          TRIGGER_PRECEDENCE.indexOf(getTrigger(b)) ||
+        a.auto_reply_id - b.auto_reply_id,
+    );
+}
+
+/**
+ * Get the rules that could fire for an event at all
+ * (lets callers skip building context nobody needs)
+ */
+function getRulesForEvent(rules, event) {
+  const triggers = EVENT_TRIGGERS[event] || [];
+  return (rules || []).filter((rule) => triggers.includes(getTrigger(rule)));
+}
+
+/**
+ * Validate trigger settings from a create/update request.
+ * On update, fields left out of the request are checked as stored on the existing rule.
+ * @param {Object} settings - { trigger, pattern, waitMinutes, cooldownSeconds }
+ * @param {Object|null} existing - auto_reply row being updated
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateTriggerSettings(settings, existing = null) {
+  if (settings.trigger !== undefined && !Object.values(AUTO_REPLY_TRIGGER).includes(settings.trigger)) {
+    return `trigger must be one of: ${Object.values(AUTO_REPLY_TRIGGER).join(", ")}`;
+  }
+
+  const trigger = settings.trigger !== undefined ? settings.trigger : existing ? getTrigger(existing) : undefined;
+  const pattern = settings.pattern !== undefined ? settings.pattern : existing?.auto_reply_pattern;
+  const waitMinutes = settings.waitMinutes !== undefined ? settings.waitMinutes : existing?.auto_reply_wait_minutes;
+  const { cooldownSeconds } = settings;
+
+  if (trigger === AUTO_REPLY_TRIGGER.KEYWORD || trigger === AUTO_REPLY_TRIGGER.REGEX) {
+    if (!pattern || typeof pattern !== "string" || !pattern.trim()) {
+      return "pattern is required for keyword and regex triggers";
+    }
+  }
+
+  if (pattern !== undefined && pattern !== null) {
+    if (typeof pattern !== "string" || pattern.length > MAX_PATTERN_LENGTH) {
+      return `pattern must be a string of at most ${MAX_PATTERN_LENGTH} characters`;
+    }
+    if (trigger === AUTO_REPLY_TRIGGER.REGEX) {
+      try {
+        new RegExp(pattern, "i");
+      } catch {
+        return "pattern is not a valid regular expression";
+      }
+      if (hasUnsafeRepeat(pattern)) {
+        return "pattern must not repeat a group that contains a repeat or alternatives, e.g. (a+)+ or (a|aa)+";
+      }
+    }
+  }
+
+  if (trigger === AUTO_REPLY_TRIGGER.QUEUE_WAIT) {
+    if (!Number.isInteger(waitMinutes) || waitMinutes <= 0) {
+      return "wait_minutes must be a positive integer for queue_wait triggers";
+    }
+  } else if (waitMinutes !== undefined && waitMinutes !== null) {
+    if (!Number.isInteger(waitMinutes) || waitMinutes <= 0) {
+      return "wait_minutes must be a positive integer";
+    }
+  }
+
+  if (cooldownSeconds !== undefined && cooldownSeconds !== null) {
+    if (!Number.isInteger(cooldownSeconds) || cooldownSeconds < 0) {
+      return "cooldown_seconds must be a non-negative integer";
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  AUTO_REPLY_EVENT,
+  getTrigger,
+  matchesKeywords,
+  matchesRegex,
+  hasUnsafeRepeat,
+  ruleMatches,
+  matchAutoReplyRules,
+  getRulesForEvent,
+  validateTriggerSettings,
+};
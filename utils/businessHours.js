@@ -0,0 +1,220 @@
+/**
+ * Business hours helpers.
+ * A schedule is a list of { day, open, close } windows where day is 0 (Sunday)
+ * to 6 (Saturday) and open/close are "HH:MM" wall-clock times in the schedule's timezone.
+ * Holidays are "YYYY-MM-DD" local dates on which the schedule does not apply.
+ */
+
+const DEFAULT_TIMEZONE = "Asia/Manila";
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const NEXT_OPENING_SEARCH_DAYS = 366;
+
+/**
+ * Convert "HH:MM" (or "HH:MM:SS") into minutes since midnight.
+ * @returns {number|null} Minutes, or null if invalid
+ */
+function timeToMinutes(time) {
+  if (!time || typeof time !== "string") return null;
+
+  const match = time.match(/^(\d{1,2}):(\d{2})(?::\d{2})?$/);
+  if (!match) return null;
+
+  const hours = parseInt(match[1]);
+  const minutes = parseInt(match[2]);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+
+  return hours * 60 + minutes;
+}
+
+/**
+ * Check whether a string is a valid IANA timezone
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the local calendar date, weekday and minutes since midnight of a date in a timezone
+ * @returns {{ year: number, month: number, date: number, day: number, minutes: number, dateKey: string }}
+ */
+function getZonedDateParts(date, timeZone = DEFAULT_TIMEZONE) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    weekday: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(date);
+
+  const part = (type) => parts.find((p) => p.type === type)?.value;
+  const year = parseInt(part("year"));
+  const month = parseInt(part("month"));
+  const day = parseInt(part("day"));
+
+  return {
+    year,
+    month,
+    date: day,
+    day: WEEKDAYS.indexOf(part("weekday")),
+    minutes: parseInt(part("hour")) * 60 + parseInt(part("minute")),
+    dateKey: `${part("year")}-${part("month")}-${part("day")}`,
+  };
+}
+
+/**
+ * Convert a local wall-clock time in a timezone into a Date
+ */
+function zonedTimeToDate(year, month, day, minutes, timeZone = DEFAULT_TIMEZONE) {
+  const wallClock = Date.UTC(year, month - 1, day, Math.floor(minutes / 60), minutes % 60);
+
+  // Offset of the timezone at a given instant, in milliseconds
+  const offsetAt = (instant) => {
+    const local = getZonedDateParts(new Date(instant), timeZone);
+    const localAsUtc = Date.UTC(
+      local.year,
+      local.month - 1,
+      local.date,
+      Math.floor(local.minutes / 60),
+      local.minutes % 60,
+    );
+    return localAsUtc - Math.floor(instant / 60000) * 60000;
+  };
+
+  // Two passes settle the offset around DST changes
+  let instant = wallClock - offsetAt(wallClock);
+  instant = wallClock - offsetAt(instant);
+  return new Date(instant);
+}
+
+/**
+ * Check whether a date falls inside any window of the schedule.
+ * Windows whose close is before their open run past midnight.
+ */
+function isWithinBusinessHours(schedule, date = new Date(), timeZone = DEFAULT_TIMEZONE, holidays = []) {
+  if (!Array.isArray(schedule) || schedule.length === 0) return false;
+
+  const { day, minutes, dateKey } = getZonedDateParts(date, timeZone);
+  if (holidays.includes(dateKey)) return false;
+
+  const previousDay = (day + 6) % 7;
+
+  return schedule.some((window) => {
+    const open = timeToMinutes(window.open);
+    const close = timeToMinutes(window.close);
+    if (open === null || close === null) return false;
+
+    if (open < close) {
+      return window.day === day && minutes >= open && minutes < close;
+    }
+
+    // Overnight window, e.g. 22:00-06:00
+    return (
+      (window.day === day && minutes >= open) ||
+      (window.day === previousDay && minutes < close)
+    );
+  });
+}
+
+/**
+ * Find the next time the schedule opens after a date, skipping holidays.
+ * @returns {Date|null} Next opening, or null if the schedule never opens
+ */
+function getNextOpening(schedule, date = new Date(), timeZone = DEFAULT_TIMEZONE, holidays = []) {
+  if (!Array.isArray(schedule) || schedule.length === 0) return null;
+
+  const start = getZonedDateParts(date, timeZone);
+
+  for (let offset = 0; offset <= NEXT_OPENING_SEARCH_DAYS; offset++) {
+    // Walk local calendar days; noon UTC keeps the date arithmetic clear of DST edges
+    const calendarDay = new Date(Date.UTC(start.year, start.month - 1, start.date + offset, 12));
+    const year = calendarDay.getUTCFullYear();
+    const month = calendarDay.getUTCMonth() + 1;
+    const dayOfMonth = calendarDay.getUTCDate();
+    const dateKey = `${year}-${String(month).padStart(2, "0")}-${String(dayOfMonth).padStart(2, "0")}`;
+
+    if (holidays.includes(dateKey)) continue;
+
+    const openings = schedule
+      .filter((window) => window.day === calendarDay.getUTCDay())
+      .map((window) => timeToMinutes(window.open))
+      .filter((open) => open !== null)
+      .sort((a, b) => a - b);
+
+    for (const open of openings) {
+      const opening = zonedTimeToDate(year, month, dayOfMonth, open, timeZone);
+      if (opening > date) return opening;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate a weekly schedule from a request body
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateSchedule(schedule) {
+  if (!Array.isArray(schedule)) return "schedule must be an array";
+
+  for (const window of schedule) {
+    if (!window || !Number.isInteger(window.day) || window.day < 0 || window.day > 6) {
+      return "each schedule entry needs a day between 0 (Sunday) and 6 (Saturday)";
+    }
+    const open = timeToMinutes(window.open);
+    const close = timeToMinutes(window.close);
+    if (open === null || close === null) {
+      return "open and close must be times in HH:MM format";
+    }
+    if (open === close) {
+      return "open and close cannot be the same time";
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the default business hours from BUSINESS_HOURS_* environment variables.
+ * The schedule is null (always open) unless BUSINESS_HOURS_OPEN and BUSINESS_HOURS_CLOSE are set.
+ * @returns {{ timeZone: string, schedule: Array<{ day: number, open: string, close: string }>|null }}
+ */
+function getDefaultBusinessHours() {
+  const timeZone = process.env.BUSINESS_HOURS_TIMEZONE || DEFAULT_TIMEZONE;
+  const open = process.env.BUSINESS_HOURS_OPEN;
+  const close = process.env.BUSINESS_HOURS_CLOSE;
+
+  if (!open || !close) {
+    return { timeZone, schedule: null };
+  }
+
+  const days = (process.env.BUSINESS_HOURS_DAYS || "1,2,3,4,5")
+    .split(",")
+    .map((d) => parseInt(d.trim()))
+    .filter((d) => d >= 0 && d <= 6);
+
+  return {
+    timeZone,
+    schedule: days.map((day) => ({ day, open, close })),
+  };
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  timeToMinutes,
+  isValidTimeZone,
+  getZonedDateParts,
+  zonedTimeToDate,
+  isWithinBusinessHours,
+  getNextOpening,
+  validateSchedule,
+  getDefaultBusinessHours,
+};
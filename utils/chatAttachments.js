@@ -0,0 +1,82 @@
+/**
+ * Validation rules for files sent with chat messages.
+ * Pure logic - AttachmentService handles storage and the chat_attachment table.
+ */
+
+// Allowed MIME types and the file extensions accepted for each
+const ALLOWED_ATTACHMENT_TYPES = {
+  "image/jpeg": ["jpg", "jpeg"],
+  "image/png": ["png"],
+  "image/webp": ["webp"],
+  "image/gif": ["gif"],
+  "application/pdf": ["pdf"],
+  "text/plain": ["txt"],
+  "application/msword": ["doc"],
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": ["docx"],
+  "application/vnd.ms-excel": ["xls"],
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": ["xlsx"],
+};
+
+const MAX_ATTACHMENT_SIZE_BYTES = 10 * 1024 * 1024; // 10MB
+const MAX_ATTACHMENTS_PER_MESSAGE = 5;
+
+function getExtension(fileName = "") {
+  const parts = fileName.split(".");
+  return parts.length > 1 ? parts.pop().toLowerCase() : "";
+}
+
+/**
+ * Validate an uploaded file's type and size
+ * @param {{ originalname: string, mimetype: string, size: number }} file - multer file
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateAttachment(file) {
+  if (!file) return "No file uploaded";
+
+  const allowedExtensions = ALLOWED_ATTACHMENT_TYPES[file.mimetype];
+  if (!allowedExtensions) {
+    return `Invalid file type. Allowed: ${Object.values(ALLOWED_ATTACHMENT_TYPES).flat().join(", ")}`;
+  }
+
+  if (!allowedExtensions.includes(getExtension(file.originalname))) {
+    return `File extension does not match its type (${file.mimetype})`;
+  }
+
+  if (!file.size || file.size > MAX_ATTACHMENT_SIZE_BYTES) {
+    return `File must be between 1 byte and ${MAX_ATTACHMENT_SIZE_BYTES / (1024 * 1024)}MB`;
+  }
+
+  return null;
+}
+
+/**
+ * Normalise the attachment_ids sent with a message
+ * @returns {{ ids: number[], error: string|null }}
+ */
+function parseAttachmentIds(value) {
+  if (value === undefined || value === null) return { ids: [], error: null };
+
+  if (!Array.isArray(value)) {
+    return { ids: [], error: "attachment_ids must be an array" };
+  }
+
+  const ids = [...new Set(value.map((id) => Number(id)))];
+  if (ids.some((id) => !Number.isInteger(id) || id <= 0)) {
+    return { ids: [], error: "attachment_ids must contain attachment IDs" };
+  }
+
+  if (ids.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+    return { ids: [], error: `A message can have at most ${MAX_ATTACHMENTS_PER_MESSAGE} attachments` };
+  }
+
+  return { ids, error: null };
+}
+
+module.exports = {
+  ALLOWED_ATTACHMENT_TYPES,
+  MAX_ATTACHMENT_SIZE_BYTES,
+  MAX_ATTACHMENTS_PER_MESSAGE,
+  getExtension,
+  validateAttachment,
+  parseAttachmentIds,
+};
@@ -0,0 +1,175 @@
+/**
+ * Chat event timeline: who did what to a chat, and how to describe it.
+ * Pure logic - ChatEventService records and reads events.
+ */
+
+const {
+  CHAT_EVENT_TYPE,
+  CHAT_EVENT_ACTOR,
+  QUEUE_REASON,
+  ASSIGNMENT_RULE,
+  PARTICIPANT_ROLE,
+  TRANSFER_TYPE,
+} = require("../constants/statuses");
+const { REACTIVATION_REASON } = require("./chatLifecycle");
+
+const SYSTEM_ACTOR = { type: CHAT_EVENT_ACTOR.SYSTEM, id: null };
+
+const agentActor = (sysUserId) =>
+  sysUserId ? { type: CHAT_EVENT_ACTOR.AGENT, id: sysUserId } : SYSTEM_ACTOR;
+
+const clientActor = (clientId) =>
+  clientId ? { type: CHAT_EVENT_ACTOR.CLIENT, id: clientId } : SYSTEM_ACTOR;
+
+// event_data keys holding agent and department ids, resolved to names for the timeline
+const AGENT_ID_KEYS = ["agent_id", "from_agent_id", "to_agent_id", "preferred_agent_id", "sys_user_id"];
+const DEPT_ID_KEYS = ["dept_id", "from_dept_id", "to_dept_id"];
+
+const QUEUE_REASON_TEXT = {
+  [QUEUE_REASON.NO_AGENTS]: "Queued - no agents available",
+  [QUEUE_REASON.OUT_OF_HOURS]: "Queued - department closed",
+  [QUEUE_REASON.MANUAL_PICK]: "Queued for an agent to pick up",
+};
+
+// Why a chat was closed by the system rather than an agent or the client
+const RESOLVED_REASON = {
+  ABANDONED: "abandoned",
+};
+
+const REACTIVATION_TEXT = {
+  [REACTIVATION_REASON.SNOOZE_EXPIRED]: "Snooze ended",
+  [REACTIVATION_REASON.CLIENT_REPLY]: "Client replied to a snoozed chat",
+  [REACTIVATION_REASON.AGENT_WAKE]: "Woken from snooze",
+  [REACTIVATION_REASON.REOPENED]: "Reopened by the client",
+};
+
+/**
+ * chat_event row for an event
+ * @param {{ type: string, id: number|null }} actor - From agentActor, clientActor or SYSTEM_ACTOR
+ */
+function buildChatEventRow(chatGroupId, eventType, actor = SYSTEM_ACTOR, data = {}) {
+  return {
+    chat_group_id: chatGroupId,
+    event_type: eventType,
+    actor_type: actor.type,
+    actor_sys_user_id: actor.type === CHAT_EVENT_ACTOR.AGENT ? actor.id : null,
+    actor_client_id: actor.type === CHAT_EVENT_ACTOR.CLIENT ? actor.id : null,
+    event_data: data,
+  };
+}
+
+/**
+ * Agent and department ids mentioned in events' data, for name lookups
+ * @returns {{ agentIds: number[], deptIds: number[] }}
+ */
+function collectReferencedIds(events) {
+  const agentIds = new Set();
+  const deptIds = new Set();
+
+  for (const event of events) {
+    const data = event.event_data || {};
+    AGENT_ID_KEYS.forEach((key) => data[key] && agentIds.add(data[key]));
+    DEPT_ID_KEYS.forEach((key) => data[key] && deptIds.add(data[key]));
+  }
+
+  return { agentIds: [...agentIds], deptIds: [...deptIds] };
+}
+
+/**
+ * Silent supervisor monitoring, hidden from the timeline for everyone else
+ */
+function isMonitorEvent(event) {
+  return event.event_data?.participant_role === PARTICIPANT_ROLE.MONITOR;
+}
+
+/**
+ * One-line description of an event for the timeline
+ * @param {Object} event - chat_event row with actor_name
+ * @param {{ agentNames?: Object, deptNames?: Object }} names - Lookups keyed by id
+ */
+function describeChatEvent(event, { agentNames = {}, deptNames = {} } = {}) {
+  const data = event.event_data || {};
+  const agent = (id) => agentNames[id] || "an agent";
+  const dept = (id) => deptNames[id] || "another department";
+  const actor = event.actor_name || "an agent";
+
+  switch (event.event_type) {
+    case CHAT_EVENT_TYPE.CREATED:
+      return data.dept_id ? `Chat started in ${dept(data.dept_id)}` : "Chat started";
+
+    case CHAT_EVENT_TYPE.QUEUED:
+      if (data.queue_reason === QUEUE_REASON.AWAITING_PREVIOUS_AGENT) {
+        return `Held for ${agent(data.preferred_agent_id)}`;
+      }
+      return QUEUE_REASON_TEXT[data.queue_reason] || "Queued";
+
+    case CHAT_EVENT_TYPE.ASSIGNED:
+      if (data.assignment_rule === ASSIGNMENT_RULE.MANUAL_ACCEPT) return `Accepted by ${agent(data.agent_id)}`;
+      if (data.assignment_rule === ASSIGNMENT_RULE.BARGE_IN) return `${agent(data.agent_id)} took over the chat`;
+      if (data.assignment_rule === ASSIGNMENT_RULE.PREVIOUS_AGENT) return `Returned to ${agent(data.agent_id)}`;
+      return `Assigned to ${agent(data.agent_id)}`;
+
+    case CHAT_EVENT_TYPE.TRANSFERRED:
+      if (data.transfer_type === TRANSFER_TYPE.OVERFLOW) return `Moved to ${dept(data.to_dept_id)} (queue wait exceeded)`;
+      if (data.to_agent_id) return `Transferred to ${agent(data.to_agent_id)}`;
+      return `Transferred to ${dept(data.to_dept_id)}`;
+
+    case CHAT_EVENT_TYPE.SNOOZED:
+      return data.snoozed_until ? "Snoozed" : "Snoozed until the client replies";
+
+    case CHAT_EVENT_TYPE.REACTIVATED:
+      return REACTIVATION_TEXT[data.reason] || "Reactivated";
+
+    case CHAT_EVENT_TYPE.PARTICIPANT_JOINED:
+      return isMonitorEvent(event)
+        ? `${agent(data.sys_user_id)} started monitoring`
+        : `${agent(data.sys_user_id)} joined the conversation`;
+
+    case CHAT_EVENT_TYPE.PARTICIPANT_LEFT:
+      return isMonitorEvent(event)
+        ? `${agent(data.sys_user_id)} stopped monitoring`
+        : `${agent(data.sys_user_id)} left the conversation`;
+
+    case CHAT_EVENT_TYPE.RESOLVED:
+      if (event.actor_type === CHAT_EVENT_ACTOR.CLIENT) return "Ended by the client";
+      if (event.actor_type === CHAT_EVENT_ACTOR.AGENT) return `Resolved by ${actor}`;
+      if (data.reason === RESOLVED_REASON.ABANDONED) return "Closed - no agent available in time";
+      return "Closed";
+
+    case CHAT_EVENT_TYPE.FEEDBACK:
+      return data.rating ? `Client rated the chat ${data.rating}/5` : "Client left feedback";
+
+    default:
+      return event.event_type;
+  }
+}
+
+/**
+ * Timeline entry for a chat_event row
+ */
+function formatTimelineEvent(event, names = {}) {
+  return {
+    chat_event_id: event.chat_event_id,
+    event_type: event.event_type,
+    created_at: event.created_at,
+    actor: {
+      type: event.actor_type,
+      id: event.actor_sys_user_id ?? event.actor_client_id ?? null,
+      name: event.actor_name || null,
+    },
+    data: event.event_data || {},
+    description: describeChatEvent(event, names),
+  };
+}
+
+module.exports = {
+  RESOLVED_REASON,
+  SYSTEM_ACTOR,
+  agentActor,
+  clientActor,
+  buildChatEventRow,
+  collectReferencedIds,
+  isMonitorEvent,
+  describeChatEvent,
+  formatTimelineEvent,
+};
@@ -0,0 +1,89 @@
+/**
+ * Snoozing chats into pending and reopening resolved chats.
+ * Pure logic - ChatLifecycleService updates the chat and routes it back to an agent.
+ */
+
+const { CHAT_STATUS } = require("../constants/statuses");
+
+const MAX_SNOOZE_DAYS = 30;
+
+const CHAT_LIFECYCLE_ERRORS = {
+  NOT_FOUND: "Chat group not found or you are not its assigned agent",
+  NOT_ACTIVE: "Only active chats can be snoozed",
+  NOT_PENDING: "Chat is not snoozed",
+  INVALID_SNOOZE_UNTIL: "until must be an ISO timestamp in the future",
+  SNOOZE_TOO_LONG: `Chats can be snoozed for at most ${MAX_SNOOZE_DAYS} days`,
+};
+
+// Why a pending or resolved chat became active again, sent with chat:reactivated
+const REACTIVATION_REASON = {
+  SNOOZE_EXPIRED: "snooze_expired",
+  CLIENT_REPLY: "client_reply",
+  AGENT_WAKE: "agent_wake",
+  REOPENED: "reopened",
+};
+
+// resolved_at is stored as UTC without a zone
+function toDate(value) {
+  if (!value) return null;
+  const text = String(value);
+  return new Date(/[zZ]|[+-]\d{2}:?\d{2}$/.test(text) ? text : `${text}Z`);
+}
+
+/**
+ * Validate the snooze time. No time means the chat stays pending until the client replies.
+ * @returns {{ snoozedUntil: string|null, error: string|null }}
+ */
+function parseSnoozeUntil(value, now = new Date()) {
+  if (value === undefined || value === null || value === "") {
+    return { snoozedUntil: null, error: null };
+  }
+
+  const time = typeof value === "string" ? Date.parse(value) : NaN;
+  if (isNaN(time) || time <= now.getTime()) {
+    return { snoozedUntil: null, error: CHAT_LIFECYCLE_ERRORS.INVALID_SNOOZE_UNTIL };
+  }
+  if (time - now.getTime() > MAX_SNOOZE_DAYS * 24 * 60 * 60 * 1000) {
+    return { snoozedUntil: null, error: CHAT_LIFECYCLE_ERRORS.SNOOZE_TOO_LONG };
+  }
+
+  return { snoozedUntil: new Date(time).toISOString(), error: null };
+}
+
+/**
+ * Whether a resolved chat can still be reopened (window of 0 minutes = never)
+ */
+function isWithinReopenWindow(resolvedAt, windowMinutes, now = new Date()) {
+  const resolved = toDate(resolvedAt);
+  if (!resolved || !(windowMinutes > 0)) return false;
+  return now.getTime() - resolved.getTime() <= windowMinutes * 60 * 1000;
+}
+
+/**
+ * What a new client message does to its chat: wake a pending chat, reopen a recently
+ * resolved one, or nothing
+ * @param {Object} chatGroup - chat_group row (status, resolved_at)
+ * @param {number} reopenWindowMinutes - department's dept_reopen_window_minutes
+ * @returns {string|null} A REACTIVATION_REASON, or null to leave the chat alone
+ */
+function getClientMessageReactivation(chatGroup, reopenWindowMinutes, now = new Date()) {
+  if (chatGroup.status === CHAT_STATUS.PENDING) {
+    return REACTIVATION_REASON.CLIENT_REPLY;
+  }
+  if (
+    chatGroup.status === CHAT_STATUS.RESOLVED &&
+    isWithinReopenWindow(chatGroup.resolved_at, reopenWindowMinutes, now)
+  ) {
+    return REACTIVATION_REASON.REOPENED;
+  }
+  return null;
+}
+
+module.exports = {
+  MAX_SNOOZE_DAYS,
+  CHAT_LIFECYCLE_ERRORS,
+  REACTIVATION_REASON,
+  parseSnoozeUntil,
+  isWithinReopenWindow,
+  getClientMessageReactivation,
+};
@@ -0,0 +1,77 @@
+/**
+ * Collaborators and supervisor monitoring on a chat.
+ * Pure logic - ChatParticipantService and the socket room access checks use it.
+ */
+
+const { CHAT_STATUS, PARTICIPANT_ROLE } = require("../constants/statuses");
+
+const PARTICIPANT_ERRORS = {
+  CHAT_NOT_FOUND: "Chat group not found",
+  CHAT_NOT_ACTIVE: "Only active chats can have participants added",
+  NOT_ALLOWED: "Only the assigned agent or a supervisor can manage participants",
+  ALREADY_ASSIGNED: "This agent is already assigned to the chat",
+  ALREADY_PARTICIPATING: "This agent is already in the chat",
+  AGENT_NOT_FOUND: "Agent not found or inactive",
+  NOT_PARTICIPATING: "Agent is not in this chat",
+  MONITOR_CANNOT_MESSAGE: "Monitoring is silent - barge in to message the client",
+};
+
+// Socket access types that join a chat room without announcing themselves
+const SILENT_ACCESS_TYPES = [PARTICIPANT_ROLE.MONITOR];
+
+/**
+ * How an agent may access a chat: as its assigned agent, or in their participant role
+ * @param {Object} chatGroup - chat_group row (sys_user_id)
+ * @param {number} userId
+ * @param {Object|null} participant - The agent's open chat_participant row, if any
+ * @returns {string|null} "assigned", a PARTICIPANT_ROLE, or null
+ */
+function getParticipantAccess(chatGroup, userId, participant = null) {
+  if (chatGroup.sys_user_id !== null && String(chatGroup.sys_user_id) === String(userId)) {
+    return "assigned";
+  }
+  return participant?.participant_role || null;
+}
+
+function isSilentAccess(accessType) {
+  return SILENT_ACCESS_TYPES.includes(accessType);
+}
+
+/**
+ * Why an agent cannot invite a collaborator, or null if they can
+ * @param {{ canMonitor?: boolean }} options - Inviter has priv_can_monitor_chats
+ */
+function getInviteError(chatGroup, inviterId, agentId, { canMonitor = false } = {}) {
+  if (chatGroup.status !== CHAT_STATUS.ACTIVE) return PARTICIPANT_ERRORS.CHAT_NOT_ACTIVE;
+  if (getParticipantAccess(chatGroup, inviterId) !== "assigned" && !canMonitor) {
+    return PARTICIPANT_ERRORS.NOT_ALLOWED;
+  }
+  if (getParticipantAccess(chatGroup, agentId) === "assigned") return PARTICIPANT_ERRORS.ALREADY_ASSIGNED;
+  return null;
+}
+
+/**
+ * Why an agent cannot remove a participant, or null if they can.
+ * Everyone may leave; the assigned agent and supervisors may remove others.
+ */
+function getRemoveError(chatGroup, removerId, agentId, { canMonitor = false } = {}) {
+  if (String(removerId) === String(agentId)) return null;
+  if (getParticipantAccess(chatGroup, removerId) === "assigned" || canMonitor) return null;
+  return PARTICIPANT_ERRORS.NOT_ALLOWED;
+}
+
+/**
+ * Timeline text for a participant joining or leaving
+ */
+function describeParticipantChange(name, joined) {
+  return `${name || "An agent"} ${joined ? "joined" : "left"} the conversation`;
+}
+
+module.exports = {
+  PARTICIPANT_ERRORS,
+  getParticipantAccess,
+  isSilentAccess,
+  getInviteError,
+  getRemoveError,
+  describeParticipantChange,
+};
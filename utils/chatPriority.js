@@ -0,0 +1,82 @@
+/**
+ * Chat priority rules for queueing.
+ * Pure logic - PriorityService loads client tiers, department defaults and keyword rules.
+ */
+
+const { CHAT_PRIORITY, PRIORITY_SOURCE, CLIENT_TIER } = require("../constants/statuses");
+const { matchesKeywords } = require("./autoReplyRules");
+
+const TIER_PRIORITY = {
+  [CLIENT_TIER.STANDARD]: CHAT_PRIORITY.NORMAL,
+  [CLIENT_TIER.PREMIUM]: CHAT_PRIORITY.HIGH,
+  [CLIENT_TIER.VIP]: CHAT_PRIORITY.URGENT,
+};
+
+function isValidPriority(priority) {
+  return Object.values(CHAT_PRIORITY).includes(priority);
+}
+
+/**
+ * Starting priority for a new chat: the higher of the department default and the client's tier
+ * @returns {{ priority: number, source: string }}
+ */
+function getInitialPriority({ deptDefaultPriority, clientTier } = {}) {
+  let result = { priority: CHAT_PRIORITY.NORMAL, source: PRIORITY_SOURCE.DEFAULT };
+
+  if (isValidPriority(deptDefaultPriority) && deptDefaultPriority !== CHAT_PRIORITY.NORMAL) {
+    result = { priority: deptDefaultPriority, source: PRIORITY_SOURCE.DEPARTMENT };
+  }
+
+  const tierPriority = TIER_PRIORITY[clientTier];
+  if (tierPriority !== undefined && tierPriority > result.priority) {
+    result = { priority: tierPriority, source: PRIORITY_SOURCE.CLIENT_TIER };
+  }
+
+  return result;
+}
+
+/**
+ * Highest priority among keyword rules matching a client message
+ * @param {Array<{ priority_rule_keywords: string, priority: number }>} rules
+ * @returns {number|null}
+ */
+function getKeywordPriority(rules = [], messageBody) {
+  return rules
+    .filter((rule) => matchesKeywords(rule.priority_rule_keywords, messageBody))
+    .reduce((highest, rule) => (highest === null || rule.priority > highest ? rule.priority : highest), null);
+}
+
+/**
+ * Priority after a client message. Keyword rules only ever raise priority,
+ * and a supervisor's manual priority is never overridden.
+ * @returns {{ priority: number, source: string }|null} New priority, or null if unchanged
+ */
+function getMessagePriority(current, rules, messageBody) {
+  if (current?.priority_source === PRIORITY_SOURCE.MANUAL) return null;
+
+  const keywordPriority = getKeywordPriority(rules, messageBody);
+  if (keywordPriority === null || keywordPriority <= (current?.priority ?? CHAT_PRIORITY.NORMAL)) {
+    return null;
+  }
+
+  return { priority: keywordPriority, source: PRIORITY_SOURCE.KEYWORD };
+}
+
+/**
+ * Queue order: highest priority first, then longest waiting
+ */
+function compareQueueOrder(a, b) {
+  return (
+    (b.priority ?? CHAT_PRIORITY.NORMAL) - (a.priority ?? CHAT_PRIORITY.NORMAL) ||
+    new Date(a.created_at) - new Date(b.created_at)
+  );
+}
+
+module.exports = {
+  TIER_PRIORITY,
+  isValidPriority,
+  getInitialPriority,
+  getKeywordPriority,
+  getMessagePriority,
+  compareQueueOrder,
+};
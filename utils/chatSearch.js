@@ -0,0 +1,119 @@
+/**
+ * Query parsing and result shaping for conversation search.
+ * Pure logic - ChatSearchService scopes the search and calls the search_chats RPC.
+ */
+
+const { CHAT_STATUS } = require("../constants/statuses");
+const { parseTagFilter } = require("./wrapUp");
+
+const MAX_QUERY_LENGTH = 200;
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 100;
+
+/**
+ * Escape LIKE wildcards so a client filter like "50%" matches literally
+ */
+function escapeLikePattern(value) {
+  return String(value).replace(/[\\%_]/g, (char) => `\\${char}`);
+}
+
+function parseDate(value) {
+  if (value === undefined || value === null || value === "") return { date: null };
+  const time = Date.parse(value);
+  return isNaN(time) ? { error: true } : { date: new Date(time).toISOString() };
+}
+
+/**
+ * Validate GET /chat/search query parameters
+ * Query: q, client, dept_id, tag_ids, status, from, to, limit, offset
+ * @returns {{ filters: Object|null, error: string|null }}
+ */
+function parseSearchFilters(query = {}) {
+  const text = typeof query.q === "string" ? query.q.trim() : "";
+  const client = typeof query.client === "string" ? query.client.trim() : "";
+
+  if (text.length > MAX_QUERY_LENGTH || client.length > MAX_QUERY_LENGTH) {
+    return { filters: null, error: `Search terms are limited to ${MAX_QUERY_LENGTH} characters` };
+  }
+
+  let deptId = null;
+  if (query.dept_id !== undefined && query.dept_id !== "") {
+    deptId = parseInt(query.dept_id);
+    if (isNaN(deptId)) return { filters: null, error: "dept_id must be a number" };
+  }
+
+  const status = query.status || null;
+  if (status && !Object.values(CHAT_STATUS).includes(status)) {
+    return { filters: null, error: `status must be one of: ${Object.values(CHAT_STATUS).join(", ")}` };
+  }
+
+  const { tagIds, error: tagError } = parseTagFilter(query.tag_ids);
+  if (tagError) return { filters: null, error: tagError };
+
+  const from = parseDate(query.from);
+  const to = parseDate(query.to);
+  if (from.error || to.error) {
+    return { filters: null, error: "from and to must be ISO dates" };
+  }
+  if (from.date && to.date && from.date > to.date) {
+    return { filters: null, error: "from must be before to" };
+  }
+
+  if (!text && !client && !deptId && !tagIds && !status && !from.date && !to.date) {
+    return { filters: null, error: "Provide a search term or at least one filter" };
+  }
+
+  const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_SEARCH_LIMIT, 1), MAX_SEARCH_LIMIT);
+  const offset = Math.max(parseInt(query.offset) || 0, 0);
+
+  return {
+    filters: {
+      text: text || null,
+      client: client || null,
+      deptId,
+      tagIds,
+      status,
+      from: from.date,
+      to: to.date,
+      limit,
+      offset,
+    },
+    error: null,
+  };
+}
+
+/**
+ * Shape one search_chats row for the API
+ */
+function formatSearchResult(row) {
+  return {
+    chat_group_id: row.chat_group_id,
+    link: `/chats?group=${row.chat_group_id}`,
+    status: row.status,
+    created_at: row.created_at,
+    sys_user_id: row.sys_user_id,
+    department: { dept_id: row.dept_id, dept_name: row.dept_name },
+    client: {
+      client_id: row.client_id,
+      name: row.client_name || "Client",
+      number: row.client_number,
+    },
+    match: row.matched_chat_id
+      ? {
+          chat_id: row.matched_chat_id,
+          chat_created_at: row.matched_at,
+          snippet: row.snippet,
+          match_count: Number(row.match_count),
+        }
+      : null,
+  };
+}
+
+module.exports = {
+  MAX_QUERY_LENGTH,
+  DEFAULT_SEARCH_LIMIT,
+  MAX_SEARCH_LIMIT,
+  escapeLikePattern,
+  parseSearchFilters,
+  formatSearchResult,
+};
@@ -1,3 +1,5 @@
+const { compareQueueOrder } = require("./chatPriority");
+
 /**
  * Shared chat group formatting utility.
  * Used by chat.controller.js and queue.controller.js to avoid duplicate formatting logic.
@@ -10,7 +12,8 @@
  * @param {string}  [options.status]      - Fixed status value (e.g., "active", "resolved"). If omitted, uses group.status.
  * @param {number}  [options.sysUserId]   - If provided, added as sys_user_id to each entry.
  * @param {boolean} [options.isAccepted]  - If provided, added as isAccepted to each customer object.
- * @returns {Array} Formatted and sorted chat group array (newest message first).
+ * @param {boolean} [options.queueOrder]  - Sort in queue drain order (highest priority, then oldest) instead.
+ * @returns {Array} Formatted and sorted chat group array (newest message first unless queueOrder).
  */
 function formatChatGroups(groups, imageMap, timeMap, unreadMap = {}, options = {}) {
   const formatted = [];
@@ -44,6 +47,18 @@ function formatChatGroups(groups, imageMap, timeMap, unreadMap = {}, options = {
     if (options.isAccepted !== undefined) {
       customer.isAccepted = options.isAccepted;
     }
+    if (group.queue_reason !== undefined) {
+      customer.queue_reason = group.queue_reason;
+    }
+    if (group.priority !== undefined) {
+      customer.priority = group.priority;
+    }
+    if (group.tags !== undefined) {
+      customer.tags = group.tags;
+    }
+    if (group.snoozed_until !== undefined) {
+      customer.snoozed_until = group.snoozed_until;
+    }
     if (options.sysUserId !== undefined) {
       customer.sys_user_id = group.sys_user_id;
     }
@@ -54,6 +69,7 @@ function formatChatGroups(groups, imageMap, timeMap, unreadMap = {}, options = {
       department: group.department?.dept_name || "Unknown",
       customer,
       latestMessageTime: latestTime || new Date().toISOString(),
+      queueOrder: { priority: group.priority, created_at: group.created_at },
     };
 
     if (options.sysUserId !== undefined) {
@@ -63,9 +79,12 @@ function formatChatGroups(groups, imageMap, timeMap, unreadMap = {}, options = {
     formatted.push(entry);
   }
 
+  const byLatestMessage = (a, b) => new Date(b.latestMessageTime) - new Date(a.latestMessageTime);
+  const byQueueOrder = (a, b) => compareQueueOrder(a.queueOrder, b.queueOrder);
+
   return formatted
-    .sort((a, b) => new Date(b.latestMessageTime) - new Date(a.latestMessageTime))
-    .map(({ latestMessageTime, ...rest }) => rest);
+    .sort(options.queueOrder ? byQueueOrder : byLatestMessage)
+    .map(({ latestMessageTime, queueOrder, ...rest }) => rest);
 }
 
 module.exports = { formatChatGroups };
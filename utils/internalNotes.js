@@ -0,0 +1,44 @@
+/**
+ * Internal note helpers: mention parsing and hiding notes from clients.
+ * Pure logic - InternalNoteService stores notes and mentions.
+ */
+
+const { CHAT_MESSAGE_TYPE } = require("../constants/statuses");
+
+// Mentions are written by the agent UI as @[Display Name](sys_user_id)
+const MENTION_PATTERN = /@\[([^\]]+)\]\((\d+)\)/g;
+
+const MAX_NOTE_LENGTH = 5000;
+
+/**
+ * Agents mentioned in a note, without duplicates
+ * @param {string} body - Note text
+ * @returns {number[]} sys_user_ids in order of first mention
+ */
+function extractMentionIds(body = "") {
+  const ids = [];
+  for (const match of String(body).matchAll(MENTION_PATTERN)) {
+    const id = Number(match[2]);
+    if (!ids.includes(id)) ids.push(id);
+  }
+  return ids;
+}
+
+function isInternalNote(message) {
+  return message?.chat_type === CHAT_MESSAGE_TYPE.INTERNAL_NOTE;
+}
+
+/**
+ * Drop internal notes from a message list before it reaches a client
+ */
+function withoutInternalNotes(messages = []) {
+  return messages.filter((message) => !isInternalNote(message));
+}
+
+module.exports = {
+  MENTION_PATTERN,
+  MAX_NOTE_LENGTH,
+  extractMentionIds,
+  isInternalNote,
+  withoutInternalNotes,
+};
@@ -0,0 +1,85 @@
+/**
+ * Rules for editing, unsending and replying to chat messages.
+ * Pure logic - MessageEditService loads the rows and writes the history.
+ */
+
+const { CHAT_MESSAGE_TYPE } = require("../constants/statuses");
+
+// How long after sending a message its sender may still edit or unsend it
+const MESSAGE_EDIT_WINDOW_MINUTES = 15;
+
+const MAX_MESSAGE_LENGTH = 5000;
+
+const MESSAGE_EDIT_ERRORS = {
+  NOT_FOUND: "Message not found",
+  SYSTEM_MESSAGE: "System messages cannot be changed",
+  ALREADY_UNSENT: "Message has already been unsent",
+  WINDOW_EXPIRED: `Messages can only be changed within ${MESSAGE_EDIT_WINDOW_MINUTES} minutes of sending`,
+  REPLY_NOT_FOUND: "Message being replied to was not found in this chat",
+  REPLY_TO_NOTE: "Cannot reply to an internal note in a client-visible message",
+};
+
+/**
+ * Whether this sender sent the message
+ * @param {{ sys_user_id?: number, client_id?: number }} message
+ * @param {{ sysUserId?: number, clientId?: number }} sender
+ */
+function isOwnMessage(message, { sysUserId = null, clientId = null } = {}) {
+  if (sysUserId) return String(message.sys_user_id) === String(sysUserId);
+  if (clientId) return !message.sys_user_id && String(message.client_id) === String(clientId);
+  return false;
+}
+
+/**
+ * Check a sender may still edit or unsend a message
+ * @returns {string|null} Error message, or null when allowed
+ */
+function getModifyError(message, sender, now = new Date()) {
+  if (!message || !isOwnMessage(message, sender)) {
+    return MESSAGE_EDIT_ERRORS.NOT_FOUND;
+  }
+
+  if (message.chat_type === CHAT_MESSAGE_TYPE.SYSTEM) {
+    return MESSAGE_EDIT_ERRORS.SYSTEM_MESSAGE;
+  }
+
+  if (message.chat_deleted_at) {
+    return MESSAGE_EDIT_ERRORS.ALREADY_UNSENT;
+  }
+
+  const sentAt = new Date(message.chat_created_at).getTime();
+  if (now.getTime() - sentAt > MESSAGE_EDIT_WINDOW_MINUTES * 60000) {
+    return MESSAGE_EDIT_ERRORS.WINDOW_EXPIRED;
+  }
+
+  return null;
+}
+
+/**
+ * Check a message can be replied to from a new message in this chat.
+ * Client-visible messages may not quote internal notes, since the quote is shown to the client.
+ * @returns {string|null} Error message, or null when allowed
+ */
+function getReplyError(parent, chatGroupId, replyChatType = CHAT_MESSAGE_TYPE.MESSAGE) {
+  if (!parent || String(parent.chat_group_id) !== String(chatGroupId)) {
+    return MESSAGE_EDIT_ERRORS.REPLY_NOT_FOUND;
+  }
+
+  if (
+    parent.chat_type === CHAT_MESSAGE_TYPE.INTERNAL_NOTE &&
+    replyChatType !== CHAT_MESSAGE_TYPE.INTERNAL_NOTE
+  ) {
+    return MESSAGE_EDIT_ERRORS.REPLY_TO_NOTE;
+  }
+
+  return null;
+}
+
+module.exports = {
+  MESSAGE_EDIT_WINDOW_MINUTES,
+  MAX_MESSAGE_LENGTH,
+  MESSAGE_EDIT_ERRORS,
+  isOwnMessage,
+  getModifyError,
+  getReplyError,
+};
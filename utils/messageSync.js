@@ -0,0 +1,127 @@
+/**
+ * Idempotent sends and offline resync.
+ * Pure logic - MessageSyncService runs the queries.
+ */
+
+const { isInternalNote } = require("./internalNotes");
+
+const MAX_CLIENT_MESSAGE_ID_LENGTH = 100;
+
+// Changed rows returned per sync call; clients call again with the new cursor while has_more is set
+const SYNC_PAGE_SIZE = 200;
+
+const MESSAGE_SYNC_ERRORS = {
+  INVALID_CLIENT_MESSAGE_ID: `client_message_id must be a non-empty string of at most ${MAX_CLIENT_MESSAGE_ID_LENGTH} characters`,
+  CLIENT_MESSAGE_ID_IN_USE: "client_message_id is already used by another sender in this chat",
+  INVALID_CURSOR: "since must be an ISO timestamp or a cursor from a previous sync",
+};
+
+/**
+ * Validate the optional client-generated message ID sent with a message
+ * @returns {{ id: string|null, error: string|null }}
+ */
+function parseClientMessageId(value) {
+  if (value === undefined || value === null) return { id: null, error: null };
+
+  const id = typeof value === "string" ? value.trim() : "";
+  if (!id || id.length > MAX_CLIENT_MESSAGE_ID_LENGTH) {
+    return { id: null, error: MESSAGE_SYNC_ERRORS.INVALID_CLIENT_MESSAGE_ID };
+  }
+
+  return { id, error: null };
+}
+
+// Separates chat_updated_at from chat_id in a sync cursor
+const CURSOR_SEPARATOR = "|";
+
+/**
+ * Validate a sync cursor: a timestamp, or "<chat_updated_at>|<chat_id>" as returned by a
+ * previous sync. The timestamp string is kept so microsecond precision from the database
+ * survives the round trip.
+ * @returns {{ cursor: { updatedAt: string, chatId: number|null }|null, error: string|null }}
+ */
+function parseSyncCursor(since) {
+  const invalid = { cursor: null, error: MESSAGE_SYNC_ERRORS.INVALID_CURSOR };
+  if (typeof since !== "string") return invalid;
+
+  const [updatedAt, chatIdText, ...rest] = since.trim().split(CURSOR_SEPARATOR);
+  if (!updatedAt || isNaN(Date.parse(updatedAt)) || rest.length) return invalid;
+
+  const chatId = chatIdText === undefined ? null : Number(chatIdText);
+  if (chatId !== null && (!Number.isInteger(chatId) || chatId < 1)) return invalid;
+
+  return { cursor: { updatedAt, chatId }, error: null };
+}
+
+/**
+ * Cursor string handed back to the client for its next sync
+ */
+function formatSyncCursor({ updatedAt, chatId }) {
+  return chatId ? `${updatedAt}${CURSOR_SEPARATOR}${chatId}` : updatedAt;
+}
+
+/**
+ * Delivery status as broadcast in messageStatusUpdate
+ */
+function getMessageStatus(message) {
+  if (message.chat_read_at) return "read";
+  if (message.chat_delivered_at) return "delivered";
+  return "sent";
+}
+
+/**
+ * Turn rows changed after the cursor (ordered by chat_updated_at then chat_id, at most
+ * pageSize + 1) into one sync page. Messages created after the cursor are returned whole;
+ * older ones only as the status and edit fields the client needs to patch its copy.
+ * Internal notes are left out for clients, but still move the cursor on.
+ * @param {{ updatedAt: string, chatId: number|null }} cursor - From parseSyncCursor
+ * @returns {{ messages: Object[], updates: Object[], cursor: string, has_more: boolean }}
+ */
+function buildSyncPage(rows, cursor, { pageSize = SYNC_PAGE_SIZE, includeInternalNotes = true } = {}) {
+  const hasMore = rows.length > pageSize;
+  const page = rows.slice(0, pageSize);
+
+  const sinceTime = new Date(cursor.updatedAt).getTime();
+  const messages = [];
+  const updates = [];
+
+  for (const row of page) {
+    if (!includeInternalNotes && isInternalNote(row)) continue;
+
+    if (new Date(row.chat_created_at).getTime() > sinceTime) {
+      messages.push(row);
+    } else {
+      updates.push({
+        chat_id: row.chat_id,
+        status: getMessageStatus(row),
+        chat_delivered_at: row.chat_delivered_at,
+        chat_read_at: row.chat_read_at,
+        chat_body: row.chat_body,
+        chat_edited_at: row.chat_edited_at,
+        chat_deleted_at: row.chat_deleted_at,
+      });
+    }
+  }
+
+  // The chat_id tie-breaker lets the next page continue inside a run of rows that share
+  // one timestamp (e.g. after a bulk update) instead of skipping past it
+  const last = page[page.length - 1];
+
+  return {
+    messages,
+    updates,
+    cursor: formatSyncCursor(last ? { updatedAt: last.chat_updated_at, chatId: last.chat_id } : cursor),
+    has_more: hasMore,
+  };
+}
+
+module.exports = {
+  MAX_CLIENT_MESSAGE_ID_LENGTH,
+  SYNC_PAGE_SIZE,
+  MESSAGE_SYNC_ERRORS,
+  parseClientMessageId,
+  parseSyncCursor,
+  formatSyncCursor,
+  getMessageStatus,
+  buildSyncPage,
+};
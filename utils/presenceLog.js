@@ -0,0 +1,189 @@
+/**
+ * Presence history: which changes are logged, and time per presence state per agent and day.
+ * Pure logic - PresenceLogService records transitions and loads the log.
+ */
+
+const { USER_PRESENCE_STATUS } = require("../constants/statuses");
+const { DEFAULT_TIMEZONE, isValidTimeZone, getZonedDateParts, zonedTimeToDate } = require("./businessHours");
+const { parseAnalyticsFilters } = require("./analytics");
+
+const PRESENCE_CHANGE_REASON = {
+  MANUAL: "manual",
+  DISCONNECT: "disconnect",
+  STALE_CLEANUP: "stale_cleanup",
+  ADMIN_UPDATE: "admin_update",
+};
+
+const ONLINE_STATES = [USER_PRESENCE_STATUS.ACCEPTING_CHATS, USER_PRESENCE_STATUS.NOT_ACCEPTING_CHATS];
+
+const seconds = (ms) => Math.round(ms / 1000);
+
+/**
+ * Validate time tracking query parameters: the analytics range and id filters plus
+ * the timezone days are counted in
+ * Query: from, to, dept_id, agent_id, timezone
+ * @returns {{ filters: Object|null, error: string|null }}
+ */
+function parseTimeTrackingFilters(query = {}, now = new Date()) {
+  const { from, to, dept_id, agent_id } = query;
+  const { filters, error } = parseAnalyticsFilters({ from, to, dept_id, agent_id }, now);
+  if (error) return { filters: null, error };
+
+  const timeZone = query.timezone || DEFAULT_TIMEZONE;
+  if (!isValidTimeZone(timeZone)) {
+    return { filters: null, error: "timezone must be a valid IANA timezone" };
+  }
+
+  const { bucket, ...range } = filters;
+  return { filters: { ...range, timeZone }, error: null };
+}
+
+/**
+ * Whether a presence update is a change worth logging. No previous entry counts as offline.
+ */
+function isPresenceTransition(previousStatus, nextStatus) {
+  if (!Object.values(USER_PRESENCE_STATUS).includes(nextStatus)) return false;
+  return (previousStatus || USER_PRESENCE_STATUS.OFFLINE) !== nextStatus;
+}
+
+/**
+ * Contiguous periods in each state for one agent, clipped to the range.
+ * Before the first logged transition the agent counts as offline.
+ * @param {Array} logs - One agent's presence_log rows ({ presence_status, changed_at }), oldest first;
+ *   may start with the last row before the range
+ * @returns {Array<{ status: string, start: Date, end: Date }>}
+ */
+function buildPresenceIntervals(logs = [], from, to, now = new Date()) {
+  const rangeStart = new Date(from).getTime();
+  const rangeEnd = Math.min(new Date(to).getTime(), now.getTime());
+  if (rangeEnd <= rangeStart) return [];
+
+  const intervals = [];
+  let status = USER_PRESENCE_STATUS.OFFLINE;
+  let cursor = rangeStart;
+
+  for (const log of logs) {
+    const changedAt = new Date(log.changed_at).getTime();
+    if (changedAt >= rangeEnd) break;
+
+    if (changedAt > cursor) {
+      intervals.push({ status, start: new Date(cursor), end: new Date(changedAt) });
+      cursor = changedAt;
+    }
+    status = log.presence_status;
+  }
+
+  intervals.push({ status, start: new Date(cursor), end: new Date(rangeEnd) });
+  return intervals;
+}
+
+/**
+ * Seconds in each state across intervals
+ */
+function summarizePresenceTime(intervals = []) {
+  const totals = { accepting_seconds: 0, not_accepting_seconds: 0, offline_seconds: 0 };
+
+  for (const { status, start, end } of intervals) {
+    const duration = seconds(end - start);
+    if (status === USER_PRESENCE_STATUS.ACCEPTING_CHATS) totals.accepting_seconds += duration;
+    else if (status === USER_PRESENCE_STATUS.NOT_ACCEPTING_CHATS) totals.not_accepting_seconds += duration;
+    else totals.offline_seconds += duration;
+  }
+
+  return {
+    logged_in_seconds: totals.accepting_seconds + totals.not_accepting_seconds,
+    ...totals,
+  };
+}
+
+/**
+ * Split intervals at local midnight so each piece falls on one calendar day
+ * @returns {Array<{ status, start, end, date: string }>}
+ */
+function splitIntervalsByDay(intervals = [], timeZone = DEFAULT_TIMEZONE) {
+  const pieces = [];
+
+  for (const interval of intervals) {
+    let start = interval.start;
+
+    while (start < interval.end) {
+      const local = getZonedDateParts(start, timeZone);
+      const nextDay = new Date(Date.UTC(local.year, local.month - 1, local.date + 1));
+      const midnight = zonedTimeToDate(
+        nextDay.getUTCFullYear(),
+        nextDay.getUTCMonth() + 1,
+        nextDay.getUTCDate(),
+        0,
+        timeZone,
+      );
+      const end = midnight < interval.end ? midnight : interval.end;
+
+      pieces.push({ status: interval.status, start, end, date: local.dateKey });
+      start = end;
+    }
+  }
+
+  return pieces;
+}
+
+/**
+ * Time tracking rows per agent per local day. Offline gaps are offline periods between
+ * the first and last online moment of the day; days without online time are left out.
+ * @param {Array} logs - get_presence_log rows for any number of agents
+ * @param {{ from, to, timeZone?, now? }} options
+ * @returns {Array} Rows ordered by agent then date
+ */
+function buildTimeTracking(logs = [], { from, to, timeZone = DEFAULT_TIMEZONE, now = new Date() }) {
+  const byAgent = new Map();
+  for (const log of logs) {
+    if (!byAgent.has(log.sys_user_id)) byAgent.set(log.sys_user_id, []);
+    byAgent.get(log.sys_user_id).push(log);
+  }
+
+  const rows = [];
+
+  for (const [sysUserId, agentLogs] of byAgent) {
+    agentLogs.sort((a, b) => new Date(a.changed_at) - new Date(b.changed_at));
+    const pieces = splitIntervalsByDay(buildPresenceIntervals(agentLogs, from, to, now), timeZone);
+
+    const byDay = new Map();
+    for (const piece of pieces) {
+      if (!byDay.has(piece.date)) byDay.set(piece.date, []);
+      byDay.get(piece.date).push(piece);
+    }
+
+    for (const [date, dayPieces] of byDay) {
+      const online = dayPieces.filter((piece) => ONLINE_STATES.includes(piece.status));
+      if (!online.length) continue;
+
+      const firstOnline = online[0].start;
+      const lastOnline = online[online.length - 1].end;
+      const gaps = dayPieces.filter(
+        (piece) => !ONLINE_STATES.includes(piece.status) && piece.start >= firstOnline && piece.end <= lastOnline,
+      );
+      const { offline_seconds, ...totals } = summarizePresenceTime(dayPieces);
+
+      rows.push({
+        sys_user_id: sysUserId,
+        date,
+        ...totals,
+        offline_gap_seconds: gaps.reduce((sum, gap) => sum + seconds(gap.end - gap.start), 0),
+        offline_gaps: gaps.length,
+        first_online_at: firstOnline.toISOString(),
+        last_online_at: lastOnline.toISOString(),
+      });
+    }
+  }
+
+  return rows.sort((a, b) => a.sys_user_id - b.sys_user_id || a.date.localeCompare(b.date));
+}
+
+module.exports = {
+  PRESENCE_CHANGE_REASON,
+  parseTimeTrackingFilters,
+  isPresenceTransition,
+  buildPresenceIntervals,
+  summarizePresenceTime,
+  splitIntervalsByDay,
+  buildTimeTracking,
+};
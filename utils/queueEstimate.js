@@ -0,0 +1,46 @@
+/**
+ * Queue wait estimates for clients waiting in a department queue.
+ * Pure calculation - QueueService loads the response history and agent counts.
+ */
+
+// Used until a department has response history of its own
+const DEFAULT_RESPONSE_SECONDS = 120;
+
+/**
+ * Average of recent response times, ignoring missing or negative values
+ * @param {Array<number|string|null>} responseMinutes - chat_group.response_time_minutes values
+ * @returns {number|null} Average in seconds, or null without usable history
+ */
+function averageResponseSeconds(responseMinutes = []) {
+  const values = responseMinutes
+    .map((minutes) => parseFloat(minutes))
+    .filter((minutes) => Number.isFinite(minutes) && minutes >= 0);
+
+  if (!values.length) return null;
+  const total = values.reduce((sum, minutes) => sum + minutes, 0);
+  return Math.round((total / values.length) * 60);
+}
+
+/**
+ * Estimate how long a queued chat will wait for an agent.
+ * Chats ahead are shared across available agents, each batch taking roughly one
+ * average response time. With nobody available the queue is treated as one agent.
+ * @param {Object} options
+ * @param {number} options.position - 1-based position in the department queue
+ * @param {number} options.availableAgents - Agents currently accepting chats
+ * @param {number|null} options.averageResponseSeconds - From recent history
+ * @returns {number|null} Estimated wait in seconds, or null when not queued
+ */
+function estimateWaitSeconds({ position, availableAgents = 0, averageResponseSeconds = null }) {
+  if (!position || position < 1) return null;
+
+  const perChat = averageResponseSeconds ?? DEFAULT_RESPONSE_SECONDS;
+  const batches = Math.ceil(position / Math.max(availableAgents, 1));
+  return Math.round(batches * perChat);
+}
+
+module.exports = {
+  DEFAULT_RESPONSE_SECONDS,
+  averageResponseSeconds,
+  estimateWaitSeconds,
+};
@@ -0,0 +1,132 @@
+/**
+ * Queue overflow rules: decide what happens to a chat that has waited too long.
+ * Pure decision logic - QueueOverflowService loads rules and carries out the action.
+ */
+
+const { QUEUE_REASON } = require("../constants/statuses");
+
+const OVERFLOW_ACTION = {
+  OVERFLOW: 'overflow',
+  ESCALATE: 'escalate',
+  ABANDON: 'abandon',
+};
+
+const DEFAULT_ABANDON_MESSAGE =
+  "Sorry, none of our agents could take your chat in time. Please start a new chat and we'll be happy to help.";
+
+// Queue reasons that hold a chat on purpose (closed department, manual pick, previous-agent hold).
+// Held chats are not waiting on the queue, so overflow rules leave them alone.
+const HELD_QUEUE_REASONS = [
+  QUEUE_REASON.OUT_OF_HOURS,
+  QUEUE_REASON.MANUAL_PICK,
+  QUEUE_REASON.AWAITING_PREVIOUS_AGENT,
+];
+
+/**
+ * Whether a chat_group row is queued under a hold rather than waiting for an agent
+ */
+function isHeldInQueue(chat) {
+  return HELD_QUEUE_REASONS.includes(chat?.queue_reason);
+}
+
+/**
+ * Minutes between a timestamp and now
+ */
+function minutesSince(timestamp, now = new Date()) {
+  if (!timestamp) return 0;
+  return Math.max(0, (now.getTime() - new Date(timestamp).getTime()) / 60000);
+}
+
+/**
+ * Pick the next action for a queued chat under its department's overflow rule.
+ * Overflow and escalation count from when the chat entered the current department's queue;
+ * abandonment counts from when the chat entered the queue at all, so overflow moves never
+ * restart the client's wait while time spent with an agent never counts towards it.
+ * Held chats (see HELD_QUEUE_REASONS) are never acted on.
+ * @param {Object} rule - dept_overflow_rule row
+ * @param {Object} chat - Queued chat_group row (queue_reason, created_at, queued_at, queue_started_at, queue_escalated_at)
+ * @param {Date} [now]
+ * @returns {string|null} An OVERFLOW_ACTION, or null to leave the chat alone
+ */
+function getOverflowAction(rule, chat, now = new Date()) {
+  if (!rule || rule.overflow_rule_is_active === false) return null;
+  if (isHeldInQueue(chat)) return null;
+
+  const waitedMinutes = minutesSince(chat.queued_at || chat.created_at, now);
+  const totalWaitedMinutes = minutesSince(chat.queue_started_at || chat.queued_at || chat.created_at, now);
+
+  if (rule.abandon_after_minutes && totalWaitedMinutes >= rule.abandon_after_minutes) {
+    return OVERFLOW_ACTION.ABANDON;
+  }
+
+  if (
+    rule.backup_dept_id &&
+    rule.overflow_after_minutes &&
+    waitedMinutes >= rule.overflow_after_minutes
+  ) {
+    return OVERFLOW_ACTION.OVERFLOW;
+  }
+
+  if (
+    rule.escalate_after_minutes &&
+    !chat.queue_escalated_at &&
+    waitedMinutes >= rule.escalate_after_minutes
+  ) {
+    return OVERFLOW_ACTION.ESCALATE;
+  }
+
+  return null;
+}
+
+/**
+ * Validate overflow rule settings
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateOverflowRule({
+  dept_id,
+  backup_dept_id,
+  overflow_after_minutes,
+  escalate_after_minutes,
+  abandon_after_minutes,
+  abandon_message,
+} = {}) {
+  const minutes = { overflow_after_minutes, escalate_after_minutes, abandon_after_minutes };
+  for (const [field, value] of Object.entries(minutes)) {
+    if (value !== undefined && value !== null && (!Number.isInteger(value) || value <= 0)) {
+      return `${field} must be a positive integer or null`;
+    }
+  }
+
+  if (!overflow_after_minutes && !escalate_after_minutes && !abandon_after_minutes) {
+    return "At least one of overflow_after_minutes, escalate_after_minutes or abandon_after_minutes is required";
+  }
+
+  if (overflow_after_minutes && !backup_dept_id) {
+    return "backup_dept_id is required when overflow_after_minutes is set";
+  }
+
+  if (backup_dept_id && dept_id && Number(backup_dept_id) === Number(dept_id)) {
+    return "backup_dept_id must be a different department";
+  }
+
+  const earlierSteps = [overflow_after_minutes, escalate_after_minutes].filter(Boolean);
+  if (abandon_after_minutes && earlierSteps.some((value) => value >= abandon_after_minutes)) {
+    return "abandon_after_minutes must be longer than the overflow and escalation timeouts";
+  }
+
+  if (abandon_message !== undefined && abandon_message !== null && typeof abandon_message !== "string") {
+    return "abandon_message must be a string";
+  }
+
+  return null;
+}
+
+module.exports = {
+  OVERFLOW_ACTION,
+  DEFAULT_ABANDON_MESSAGE,
+  HELD_QUEUE_REASONS,
+  isHeldInQueue,
+  minutesSince,
+  getOverflowAction,
+  validateOverflowRule,
+};
@@ -0,0 +1,293 @@
+/**
+ * Report exports and scheduled reports: columns, CSV output, schedule validation and timing.
+ * Pure logic - ReportService loads the rows, builds XLSX files and sends the emails.
+ */
+
+const { parseAnalyticsFilters } = require("./analytics");
+const { isValidEmail } = require("./transcript");
+const { DEFAULT_TIMEZONE, isValidTimeZone, getZonedDateParts, zonedTimeToDate } = require("./businessHours");
+
+const REPORT_TYPES = {
+  CHAT_GROUPS: "chat_groups",
+  MESSAGES: "messages",
+  FEEDBACK: "feedback",
+  TRANSFERS: "transfers",
+  AGENT_STATS: "agent_stats",
+};
+
+const REPORT_FORMATS = {
+  CSV: "csv",
+  XLSX: "xlsx",
+};
+
+const REPORT_CONTENT_TYPES = {
+  [REPORT_FORMATS.CSV]: "text/csv; charset=utf-8",
+  [REPORT_FORMATS.XLSX]: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+const REPORT_FREQUENCY = {
+  DAILY: "daily",
+  WEEKLY: "weekly",
+};
+
+// Days of data in each scheduled report, ending when it is sent
+const FREQUENCY_RANGE_DAYS = {
+  [REPORT_FREQUENCY.DAILY]: 1,
+  [REPORT_FREQUENCY.WEEKLY]: 7,
+};
+
+// Exports stop here rather than loading an unbounded table into memory
+const MAX_EXPORT_ROWS = 50000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const REPORT_COLUMNS = {
+  [REPORT_TYPES.CHAT_GROUPS]: [
+    { key: "chat_group_id", header: "Chat ID" },
+    { key: "status", header: "Status" },
+    { key: "department", header: "Department" },
+    { key: "agent", header: "Agent" },
+    { key: "client", header: "Client" },
+    { key: "client_number", header: "Client Number" },
+    { key: "priority", header: "Priority" },
+    { key: "created_at", header: "Created At" },
+    { key: "response_time_minutes", header: "First Response (min)" },
+    { key: "resolved_at", header: "Resolved At" },
+    { key: "sla_status", header: "SLA Status" },
+  ],
+  [REPORT_TYPES.MESSAGES]: [
+    { key: "chat_id", header: "Message ID" },
+    { key: "chat_group_id", header: "Chat ID" },
+    { key: "chat_created_at", header: "Sent At" },
+    { key: "sender_type", header: "Sender Type" },
+    { key: "sender", header: "Sender" },
+    { key: "chat_body", header: "Message" },
+  ],
+  [REPORT_TYPES.FEEDBACK]: [
+    { key: "chat_group_id", header: "Chat ID" },
+    { key: "created_at", header: "Submitted At" },
+    { key: "rating", header: "Rating" },
+    { key: "feedback_text", header: "Comment" },
+    { key: "department", header: "Department" },
+    { key: "agent", header: "Agent" },
+  ],
+  [REPORT_TYPES.TRANSFERS]: [
+    { key: "chat_group_id", header: "Chat ID" },
+    { key: "transferred_at", header: "Transferred At" },
+    { key: "transfer_type", header: "Type" },
+    { key: "from_department", header: "From Department" },
+    { key: "to_department", header: "To Department" },
+    { key: "from_agent_id", header: "From Agent ID" },
+    { key: "to_agent_id", header: "To Agent ID" },
+  ],
+  [REPORT_TYPES.AGENT_STATS]: [
+    { key: "sys_user_id", header: "Agent ID" },
+    { key: "agent", header: "Agent" },
+    { key: "email", header: "Email" },
+    { key: "chats_handled", header: "Chats Handled" },
+    { key: "chats_resolved", header: "Chats Resolved" },
+    { key: "avg_concurrent_chats", header: "Avg Concurrent Chats" },
+    { key: "median_first_response_minutes", header: "Median First Response (min)" },
+    { key: "median_resolution_minutes", header: "Median Resolution (min)" },
+    { key: "transfers_in", header: "Transfers In" },
+    { key: "transfers_out", header: "Transfers Out" },
+    { key: "csat_average_rating", header: "Average Rating" },
+    { key: "csat_percent", header: "CSAT %" },
+  ],
+};
+
+/**
+ * @returns {string|null} Report type from a URL segment (chat-groups or chat_groups), or null
+ */
+function parseReportType(value) {
+  const type = String(value || "").toLowerCase().replace(/-/g, "_");
+  return Object.values(REPORT_TYPES).includes(type) ? type : null;
+}
+
+/**
+ * @returns {string|null} Normalised format, or null when unsupported
+ */
+function parseReportFormat(value = REPORT_FORMATS.CSV) {
+  const format = String(value).toLowerCase();
+  return Object.values(REPORT_FORMATS).includes(format) ? format : null;
+}
+
+/**
+ * Validate an export request: the type from the URL, format and the analytics filters
+ * @returns {{ type: string|null, format: string|null, filters: Object|null, error: string|null }}
+ */
+function parseExportRequest(typeParam, query = {}, now = new Date()) {
+  const type = parseReportType(typeParam);
+  if (!type) {
+    return { type: null, format: null, filters: null, error: "Unknown report type" };
+  }
+
+  const format = parseReportFormat(query.format);
+  if (!format) {
+    return {
+      type,
+      format: null,
+      filters: null,
+      error: `format must be one of: ${Object.values(REPORT_FORMATS).join(", ")}`,
+    };
+  }
+
+  const { filters, error } = parseAnalyticsFilters({ ...query, bucket: undefined }, now);
+  if (error) return { type, format, filters: null, error };
+
+  const { bucket, ...range } = filters;
+  return { type, format, filters: range, error: null };
+}
+
+/**
+ * Quote a value for CSV. Values starting with a formula character are prefixed with '
+ * so spreadsheets show them as text instead of running them.
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return "";
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && typeof value !== "number") text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV with a header row, CRLF line endings
+ */
+function toCsv(columns, rows = []) {
+  const lines = [columns.map((column) => escapeCsvValue(column.header)).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((column) => escapeCsvValue(row[column.key])).join(","));
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+function getReportFileName(type, format, from, to) {
+  const day = (value) => String(value).slice(0, 10);
+  return `${type.replace(/_/g, "-")}_${day(from)}_${day(to)}.${format}`;
+}
+
+/**
+ * Validate scheduled report settings. partial skips required fields for updates,
+ * but the merged result must still be consistent.
+ * @param {Object} body - Request body
+ * @param {Object} [existing] - Current schedule when updating
+ * @returns {{ settings: Object|null, error: string|null }}
+ */
+function validateReportSchedule(body = {}, existing = null) {
+  const merged = { ...(existing || {}), ...body };
+  const settings = {};
+
+  if (!existing || body.report_type !== undefined) {
+    const type = parseReportType(merged.report_type);
+    if (!type) return { settings: null, error: `report_type must be one of: ${Object.values(REPORT_TYPES).join(", ")}` };
+    settings.report_type = type;
+  }
+
+  if (!existing || body.file_format !== undefined) {
+    const format = parseReportFormat(merged.file_format ?? REPORT_FORMATS.CSV);
+    if (!format) return { settings: null, error: `file_format must be one of: ${Object.values(REPORT_FORMATS).join(", ")}` };
+    settings.file_format = format;
+  }
+
+  if (!Object.values(REPORT_FREQUENCY).includes(merged.frequency)) {
+    return { settings: null, error: `frequency must be one of: ${Object.values(REPORT_FREQUENCY).join(", ")}` };
+  }
+  if (!existing || body.frequency !== undefined) settings.frequency = merged.frequency;
+
+  if (merged.frequency === REPORT_FREQUENCY.WEEKLY) {
+    if (!Number.isInteger(merged.day_of_week) || merged.day_of_week < 0 || merged.day_of_week > 6) {
+      return { settings: null, error: "day_of_week (0 = Sunday ... 6 = Saturday) is required for weekly reports" };
+    }
+    settings.day_of_week = merged.day_of_week;
+  } else {
+    settings.day_of_week = null;
+  }
+
+  const sendHour = merged.send_hour ?? 8;
+  if (!Number.isInteger(sendHour) || sendHour < 0 || sendHour > 23) {
+    return { settings: null, error: "send_hour must be an integer from 0 to 23" };
+  }
+  if (!existing || body.send_hour !== undefined) settings.send_hour = sendHour;
+
+  const timeZone = merged.timezone ?? DEFAULT_TIMEZONE;
+  if (!isValidTimeZone(timeZone)) {
+    return { settings: null, error: "timezone must be a valid IANA timezone" };
+  }
+  if (!existing || body.timezone !== undefined) settings.timezone = timeZone;
+
+  if (!existing || body.recipient_email !== undefined) {
+    if (!isValidEmail(merged.recipient_email)) {
+      return { settings: null, error: "A valid recipient_email is required" };
+    }
+    settings.recipient_email = merged.recipient_email.trim();
+  }
+
+  if (body.dept_id !== undefined) {
+    if (body.dept_id !== null && (!Number.isInteger(body.dept_id) || body.dept_id < 1)) {
+      return { settings: null, error: "dept_id must be a positive integer or null" };
+    }
+    settings.dept_id = body.dept_id;
+  }
+
+  if (body.report_schedule_is_active !== undefined) {
+    if (typeof body.report_schedule_is_active !== "boolean") {
+      return { settings: null, error: "report_schedule_is_active must be a boolean" };
+    }
+    settings.report_schedule_is_active = body.report_schedule_is_active;
+  }
+
+  return { settings, error: null };
+}
+
+/**
+ * Next time after `after` a schedule is due: send_hour local time, every day or on day_of_week
+ */
+function getNextRunAt(schedule, after = new Date()) {
+  const timeZone = schedule.timezone || DEFAULT_TIMEZONE;
+  const local = getZonedDateParts(after, timeZone);
+
+  for (let offset = 0; offset <= 7; offset++) {
+    const day = new Date(Date.UTC(local.year, local.month - 1, local.date + offset));
+    if (schedule.frequency === REPORT_FREQUENCY.WEEKLY && day.getUTCDay() !== schedule.day_of_week) continue;
+
+    const runAt = zonedTimeToDate(
+      day.getUTCFullYear(),
+      day.getUTCMonth() + 1,
+      day.getUTCDate(),
+      schedule.send_hour * 60,
+      timeZone,
+    );
+    if (runAt > after) return runAt;
+  }
+
+  return null;
+}
+
+/**
+ * Data range of a scheduled report: the day or week up to when it was due
+ */
+function getReportRange(schedule, dueAt) {
+  const to = new Date(dueAt);
+  const from = new Date(to.getTime() - FREQUENCY_RANGE_DAYS[schedule.frequency] * DAY_MS);
+  return { from: from.toISOString(), to: to.toISOString() };
+}
+
+module.exports = {
+  REPORT_TYPES,
+  REPORT_FORMATS,
+  REPORT_CONTENT_TYPES,
+  REPORT_FREQUENCY,
+  REPORT_COLUMNS,
+  MAX_EXPORT_ROWS,
+  parseReportType,
+  parseReportFormat,
+  parseExportRequest,
+  escapeCsvValue,
+  toCsv,
+  getReportFileName,
+  validateReportSchedule,
+  getNextRunAt,
+  getReportRange,
+};
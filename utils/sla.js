@@ -0,0 +1,200 @@
+/**
+ * SLA evaluation for open chats.
+ * Pure logic - SlaService loads policies, chat timelines and records breaches.
+ */
+
+const { SLA_STATUS, SLA_METRIC } = require("../constants/statuses");
+
+const DEFAULT_WARNING_THRESHOLD_PERCENT = 80;
+
+const STATUS_SEVERITY = {
+  [SLA_STATUS.OK]: 0,
+  [SLA_STATUS.AT_RISK]: 1,
+  [SLA_STATUS.BREACHED]: 2,
+};
+
+/**
+ * Pick the most specific active policy for a chat:
+ * department + priority, then department, then global + priority, then global
+ */
+function selectPolicy(policies = [], deptId, priority) {
+  const active = policies.filter((policy) => policy.sla_policy_is_active !== false);
+  const sameDept = (policy) => Number(policy.dept_id) === Number(deptId);
+  const samePriority = (policy) => Number(policy.priority) === Number(priority);
+  const isNull = (value) => value === null || value === undefined;
+
+  return (
+    active.find((p) => sameDept(p) && samePriority(p)) ||
+    active.find((p) => sameDept(p) && isNull(p.priority)) ||
+    active.find((p) => isNull(p.dept_id) && samePriority(p)) ||
+    active.find((p) => isNull(p.dept_id) && isNull(p.priority)) ||
+    null
+  );
+}
+
+/**
+ * Reply state of a chat from its latest messages: when the last agent reply went out,
+ * and when the oldest client message still waiting for a reply was sent
+ * @param {Array<{ chat_created_at: string, client_id?: number, sys_user_id?: number }>} messages - Newest first
+ * @returns {{ last_agent_reply_at: string|null, unanswered_since: string|null }}
+ */
+function getReplyState(messages = []) {
+  let unansweredSince = null;
+  for (const message of messages) {
+    if (message.sys_user_id) {
+      return { last_agent_reply_at: message.chat_created_at, unanswered_since: unansweredSince };
+    }
+    if (message.client_id) unansweredSince = message.chat_created_at;
+  }
+  return { last_agent_reply_at: null, unanswered_since: unansweredSince };
+}
+
+/**
+ * Evaluate one metric: met, still ok, at risk or breached
+ */
+function evaluateMetric(metric, targetMinutes, startedAt, metAt, warningPercent, now) {
+  const start = new Date(startedAt).getTime();
+  const dueAt = new Date(start + targetMinutes * 60000);
+  const met = metAt ? new Date(metAt) : null;
+  const checkedAt = met || now;
+
+  let status = SLA_STATUS.OK;
+  if (checkedAt.getTime() > dueAt.getTime()) {
+    status = SLA_STATUS.BREACHED;
+  } else if (!met && now.getTime() - start >= targetMinutes * 60000 * (warningPercent / 100)) {
+    status = SLA_STATUS.AT_RISK;
+  }
+
+  return {
+    metric,
+    target_minutes: targetMinutes,
+    started_at: new Date(start).toISOString(),
+    due_at: dueAt.toISOString(),
+    met_at: met ? met.toISOString() : null,
+    status,
+  };
+}
+
+/**
+ * Evaluate a chat against its policy
+ * @param {Object} policy - sla_policy row
+ * @param {Object} chat - { created_at, first_response_at, resolved_at, reopened_at, unanswered_since }
+ * @param {Date} [now]
+ * @returns {{ status: string|null, due_at: string|null, metrics: Array }}
+ */
+function evaluateSla(policy, chat, now = new Date()) {
+  if (!policy) return { status: null, due_at: null, metrics: [] };
+
+  const warningPercent = policy.warning_threshold_percent || DEFAULT_WARNING_THRESHOLD_PERCENT;
+  const metrics = [];
+
+  if (policy.first_response_minutes) {
+    metrics.push(evaluateMetric(
+      SLA_METRIC.FIRST_RESPONSE,
+      policy.first_response_minutes,
+      chat.created_at,
+      chat.first_response_at,
+      warningPercent,
+      now,
+    ));
+  }
+
+  // Next response only applies once the first reply has gone out
+  if (policy.next_response_minutes && chat.first_response_at && chat.unanswered_since) {
+    metrics.push(evaluateMetric(
+      SLA_METRIC.NEXT_RESPONSE,
+      policy.next_response_minutes,
+      chat.unanswered_since,
+      null,
+      warningPercent,
+      now,
+    ));
+  }
+
+  // A reopened chat gets a fresh resolution target from when it was reopened
+  if (policy.resolution_minutes) {
+    metrics.push(evaluateMetric(
+      SLA_METRIC.RESOLUTION,
+      policy.resolution_minutes,
+      chat.reopened_at || chat.created_at,
+      chat.resolved_at,
+      warningPercent,
+      now,
+    ));
+  }
+
+  // A missed target keeps the chat marked breached even after it is met late
+  const status = metrics.reduce(
+    (worst, m) => (STATUS_SEVERITY[m.status] > STATUS_SEVERITY[worst] ? m.status : worst),
+    SLA_STATUS.OK,
+  );
+  const dueAt = metrics
+    .filter((m) => !m.met_at && m.status !== SLA_STATUS.BREACHED)
+    .map((m) => m.due_at)
+    .sort()[0] || null;
+
+  return { status, due_at: dueAt, metrics };
+}
+
+/**
+ * Recorded breaches that have since been met
+ * @param {Array} openBreaches - sla_breach rows with no met_at
+ * @param {Array} metrics - evaluateSla metrics for the same chat
+ * @param {string|null} lastAgentReplyAt - Closes next-response breaches
+ * @returns {Array<{ sla_breach_id: number, met_at: string }>}
+ */
+function getMetBreaches(openBreaches = [], metrics = [], lastAgentReplyAt = null) {
+  return openBreaches
+    .map((breach) => {
+      if (breach.sla_metric === SLA_METRIC.NEXT_RESPONSE) {
+        const replied = lastAgentReplyAt && new Date(lastAgentReplyAt) > new Date(breach.started_at);
+        return replied ? { sla_breach_id: breach.sla_breach_id, met_at: new Date(lastAgentReplyAt).toISOString() } : null;
+      }
+
+      const metric = metrics.find((m) => m.metric === breach.sla_metric && m.met_at);
+      return metric ? { sla_breach_id: breach.sla_breach_id, met_at: metric.met_at } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Validate SLA policy targets
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateSlaPolicy({
+  first_response_minutes,
+  next_response_minutes,
+  resolution_minutes,
+  warning_threshold_percent,
+} = {}) {
+  const targets = { first_response_minutes, next_response_minutes, resolution_minutes };
+  for (const [field, value] of Object.entries(targets)) {
+    if (value !== undefined && value !== null && (!Number.isInteger(value) || value <= 0)) {
+      return `${field} must be a positive integer or null`;
+    }
+  }
+
+  if (!first_response_minutes && !next_response_minutes && !resolution_minutes) {
+    return "At least one of first_response_minutes, next_response_minutes or resolution_minutes is required";
+  }
+
+  if (
+    warning_threshold_percent !== undefined &&
+    warning_threshold_percent !== null &&
+    (!Number.isInteger(warning_threshold_percent) || warning_threshold_percent < 1 || warning_threshold_percent > 99)
+  ) {
+    return "warning_threshold_percent must be an integer between 1 and 99";
+  }
+
+  return null;
+}
+
+module.exports = {
+  DEFAULT_WARNING_THRESHOLD_PERCENT,
+  STATUS_SEVERITY,
+  selectPolicy,
+  getReplyState,
+  getMetBreaches,
+  evaluateSla,
+  validateSlaPolicy,
+};
@@ -0,0 +1,279 @@
+/**
+ * Conversation transcripts: a plain model of one chat group and its text/HTML renderings.
+ * Pure logic - TranscriptService loads the rows, renders PDFs and sends the email.
+ */
+
+const { CHAT_MESSAGE_TYPE } = require("../constants/statuses");
+const { DEFAULT_TIMEZONE } = require("./businessHours");
+
+const TRANSCRIPT_FORMATS = {
+  PDF: "pdf",
+  HTML: "html",
+  TEXT: "text",
+};
+
+const TRANSCRIPT_CONTENT_TYPES = {
+  [TRANSCRIPT_FORMATS.PDF]: "application/pdf",
+  [TRANSCRIPT_FORMATS.HTML]: "text/html; charset=utf-8",
+  [TRANSCRIPT_FORMATS.TEXT]: "text/plain; charset=utf-8",
+};
+
+const TRANSCRIPT_EXTENSIONS = {
+  [TRANSCRIPT_FORMATS.PDF]: "pdf",
+  [TRANSCRIPT_FORMATS.HTML]: "html",
+  [TRANSCRIPT_FORMATS.TEXT]: "txt",
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function isValidEmail(value) {
+  return typeof value === "string" && value.length <= 254 && EMAIL_PATTERN.test(value.trim());
+}
+
+/**
+ * @returns {string|null} Normalised format, or null when unsupported
+ */
+function parseTranscriptFormat(value = TRANSCRIPT_FORMATS.PDF) {
+  const format = String(value).toLowerCase();
+  if (format === "txt") return TRANSCRIPT_FORMATS.TEXT;
+  return Object.values(TRANSCRIPT_FORMATS).includes(format) ? format : null;
+}
+
+/**
+ * System text for a chat_transfer_log row (same wording as the mobile message list)
+ */
+function describeTransfer(transfer) {
+  const toDept = transfer.to_dept?.dept_name || "Unknown Department";
+  const transferType = transfer.transfer_type || "manual";
+
+  if (transferType === "manual") return `Chat transferred to ${toDept}`;
+  if (transferType === "agent_offline") return "Chat reassigned (previous agent went offline)";
+  if (transferType === "overflow") return `Chat moved to ${toDept} (queue wait exceeded)`;
+  if (transferType === "abandoned") return "Chat closed (no agent available in time)";
+  return "Chat transferred";
+}
+
+function fullName(profile, fallback) {
+  if (!profile) return fallback;
+  return `${profile.prof_firstname || ""} ${profile.prof_lastname || ""}`.trim() || fallback;
+}
+
+// chat timestamps are stored as UTC without a zone
+function toDate(value) {
+  if (!value) return null;
+  const text = String(value);
+  return new Date(/[zZ]|[+-]\d{2}:?\d{2}$/.test(text) ? text : `${text}Z`);
+}
+
+function formatTimestamp(value, timeZone = DEFAULT_TIMEZONE) {
+  const date = toDate(value);
+  if (!date || isNaN(date.getTime())) return "";
+
+  return new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "short",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    hour12: false,
+  }).format(date);
+}
+
+/**
+ * Build the transcript model for a chat group
+ * @param {Object} params
+ * @param {Object} params.chatGroup - chat_group with client, department and agent joins
+ * @param {Object[]} params.messages - chat rows with sys_user/client joins and attachments
+ * @param {Object[]} params.transfers - chat_transfer_log rows
+ * @param {Object|null} params.feedback - chat_feedback row
+ * @param {boolean} params.includeInternalNotes - Only for agent-facing exports
+ */
+function buildTranscript({ chatGroup, messages = [], transfers = [], feedback = null, includeInternalNotes = false }) {
+  const clientName = fullName(chatGroup.client?.profile, "Client");
+  const agents = new Map();
+
+  if (chatGroup.sys_user_id) {
+    agents.set(chatGroup.sys_user_id, fullName(chatGroup.agent?.profile, "Agent"));
+  }
+
+  const entries = [];
+
+  for (const msg of messages) {
+    const isNote = msg.chat_type === CHAT_MESSAGE_TYPE.INTERNAL_NOTE;
+    if (isNote && !includeInternalNotes) continue;
+
+    let sender = "System";
+    if (msg.sys_user_id) {
+      sender = fullName(msg.sys_user?.profile, "Agent");
+      if (!agents.has(msg.sys_user_id)) agents.set(msg.sys_user_id, sender);
+    } else if (msg.client_id) {
+      sender = clientName;
+    }
+
+    entries.push({
+      kind: isNote ? "note" : msg.chat_type === CHAT_MESSAGE_TYPE.SYSTEM ? "system" : "message",
+      at: msg.chat_created_at,
+      sender,
+      body: msg.chat_deleted_at ? "(message unsent)" : msg.chat_body || "",
+      edited: Boolean(msg.chat_edited_at && !msg.chat_deleted_at),
+      attachments: msg.chat_deleted_at ? [] : (msg.attachments || []).map((a) => a.attachment_file_name),
+    });
+  }
+
+  for (const transfer of transfers) {
+    entries.push({
+      kind: "transfer",
+      at: transfer.transferred_at,
+      sender: "System",
+      body: describeTransfer(transfer),
+      edited: false,
+      attachments: [],
+    });
+  }
+
+  entries.sort((a, b) => toDate(a.at) - toDate(b.at));
+
+  return {
+    chat_group_id: chatGroup.chat_group_id,
+    status: chatGroup.status,
+    department: chatGroup.department?.dept_name || null,
+    created_at: chatGroup.created_at,
+    resolved_at: chatGroup.resolved_at || null,
+    client: { name: clientName, number: chatGroup.client?.client_number || null },
+    participants: [
+      { role: "client", name: clientName },
+      ...[...agents.values()].map((name) => ({ role: "agent", name })),
+    ],
+    entries,
+    feedback: feedback
+      ? { rating: feedback.rating, feedback_text: feedback.feedback_text || null }
+      : null,
+  };
+}
+
+/**
+ * Header lines shared by every format
+ */
+function getSummaryLines(transcript, timeZone) {
+  const lines = [
+    ["Chat", `#${transcript.chat_group_id}`],
+    ["Department", transcript.department || "-"],
+    ["Client", [transcript.client.name, transcript.client.number].filter(Boolean).join(" - ")],
+    ["Agents", transcript.participants.filter((p) => p.role === "agent").map((p) => p.name).join(", ") || "-"],
+    ["Started", formatTimestamp(transcript.created_at, timeZone) || "-"],
+  ];
+
+  if (transcript.resolved_at) {
+    lines.push(["Ended", formatTimestamp(transcript.resolved_at, timeZone)]);
+  }
+
+  return lines;
+}
+
+function describeEntry(entry) {
+  const labels = { note: " [internal note]", transfer: "", system: "", message: "" };
+  let text = entry.body;
+  if (entry.edited) text += " (edited)";
+  if (entry.attachments.length) {
+    text += `${text ? " " : ""}[attachments: ${entry.attachments.join(", ")}]`;
+  }
+  return { label: `${entry.sender}${labels[entry.kind] || ""}`, text };
+}
+
+function renderText(transcript, { timeZone = DEFAULT_TIMEZONE } = {}) {
+  const lines = [`Conversation transcript`, ""];
+
+  for (const [label, value] of getSummaryLines(transcript, timeZone)) {
+    lines.push(`${label}: ${value}`);
+  }
+
+  lines.push("", "-".repeat(60), "");
+
+  for (const entry of transcript.entries) {
+    const { label, text } = describeEntry(entry);
+    lines.push(`[${formatTimestamp(entry.at, timeZone)}] ${label}: ${text}`);
+  }
+
+  if (transcript.feedback) {
+    lines.push("", "-".repeat(60), "");
+    lines.push(`Rating: ${transcript.feedback.rating ?? "-"}/5`);
+    if (transcript.feedback.feedback_text) {
+      lines.push(`Feedback: ${transcript.feedback.feedback_text}`);
+    }
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function renderHtml(transcript, { timeZone = DEFAULT_TIMEZONE } = {}) {
+  const summary = getSummaryLines(transcript, timeZone)
+    .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+    .join("");
+
+  const entries = transcript.entries
+    .map((entry) => {
+      const { label, text } = describeEntry(entry);
+      return (
+        `<div class="entry ${entry.kind}">` +
+        `<div class="meta">${escapeHtml(formatTimestamp(entry.at, timeZone))} &middot; ${escapeHtml(label)}</div>` +
+        `<div class="body">${escapeHtml(text)}</div>` +
+        `</div>`
+      );
+    })
+    .join("\n");
+
+  const feedback = transcript.feedback
+    ? `<h2>Feedback</h2><p>Rating: ${escapeHtml(transcript.feedback.rating ?? "-")}/5</p>` +
+      (transcript.feedback.feedback_text ? `<p>${escapeHtml(transcript.feedback.feedback_text)}</p>` : "")
+    : "";
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Chat #${escapeHtml(transcript.chat_group_id)} transcript</title>
+<style>
+body { font-family: Arial, sans-serif; color: #222; max-width: 720px; margin: 24px auto; }
+th { text-align: left; padding-right: 12px; }
+.entry { margin: 10px 0; }
+.meta { color: #777; font-size: 12px; }
+.body { white-space: pre-wrap; }
+.note .body { background: #fff8dc; }
+.transfer .body, .system .body { font-style: italic; color: #555; }
+</style>
+</head>
+<body>
+<h1>Conversation transcript</h1>
+<table>${summary}</table>
+<hr>
+${entries}
+${feedback}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  TRANSCRIPT_FORMATS,
+  TRANSCRIPT_CONTENT_TYPES,
+  TRANSCRIPT_EXTENSIONS,
+  isValidEmail,
+  parseTranscriptFormat,
+  describeTransfer,
+  formatTimestamp,
+  buildTranscript,
+  getSummaryLines,
+  describeEntry,
+  renderText,
+  renderHtml,
+};
@@ -0,0 +1,134 @@
+/**
+ * Supervisor wallboard snapshot: queues, agents and SLA breaches per department.
+ * Pure logic - WallboardService loads the data, socket/wallboard.js pushes it.
+ */
+
+const { CHAT_STATUS, SLA_STATUS, USER_PRESENCE_STATUS } = require("../constants/statuses");
+
+const PRESENCE_STATES = Object.values(USER_PRESENCE_STATUS);
+
+// chat_group.created_at is stored without a time zone (UTC)
+function toDate(value) {
+  if (!value) return null;
+  const text = String(value);
+  return new Date(/[zZ]|[+-]\d{2}:?\d{2}$/.test(text) ? text : `${text}Z`);
+}
+
+const emptyPresenceCounts = () => Object.fromEntries(PRESENCE_STATES.map((state) => [state, 0]));
+
+/**
+ * Presence state from the Redis presence entry; no entry means offline
+ */
+function getPresenceState(presence) {
+  const state = presence?.userPresence;
+  return PRESENCE_STATES.includes(state) ? state : USER_PRESENCE_STATUS.OFFLINE;
+}
+
+/**
+ * Seconds a queued chat has waited in its current department's queue
+ */
+function getWaitSeconds(chat, now = new Date()) {
+  const since = toDate(chat.queued_at) || toDate(chat.created_at);
+  return since ? Math.max(0, Math.floor((now - since) / 1000)) : 0;
+}
+
+/**
+ * Build the wallboard from open chats, department members and their presence
+ * @param {Object} data
+ * @param {Array} data.departments - { dept_id, dept_name }
+ * @param {Array} data.members - { sys_user_id, dept_id, name }, one row per department membership
+ * @param {Array} data.chats - Queued and active chats
+ * @param {Object} data.presences - Redis presence entries by user id
+ */
+function buildWallboard({ departments = [], members = [], chats = [], presences = {} }, now = new Date()) {
+  const byDept = new Map(
+    departments.map((dept) => [
+      dept.dept_id,
+      {
+        dept_id: dept.dept_id,
+        dept_name: dept.dept_name,
+        queue_length: 0,
+        longest_wait_seconds: 0,
+        active_chats: 0,
+        sla_breached: 0,
+        agents: emptyPresenceCounts(),
+      },
+    ]),
+  );
+
+  const byAgent = new Map();
+  for (const member of members) {
+    if (!byAgent.has(member.sys_user_id)) {
+      byAgent.set(member.sys_user_id, {
+        sys_user_id: member.sys_user_id,
+        name: member.name,
+        status: getPresenceState(presences[member.sys_user_id]),
+        dept_ids: [],
+        active_chats: 0,
+        sla_breached: 0,
+      });
+    }
+
+    const agent = byAgent.get(member.sys_user_id);
+    agent.dept_ids.push(member.dept_id);
+    const dept = byDept.get(member.dept_id);
+    if (dept) dept.agents[agent.status] += 1;
+  }
+
+  const breaches = [];
+  for (const chat of chats) {
+    const dept = byDept.get(chat.dept_id);
+    const agent = byAgent.get(chat.sys_user_id);
+    const breached = chat.sla_status === SLA_STATUS.BREACHED;
+
+    if (chat.status === CHAT_STATUS.QUEUED && dept) {
+      dept.queue_length += 1;
+      dept.longest_wait_seconds = Math.max(dept.longest_wait_seconds, getWaitSeconds(chat, now));
+    }
+    if (chat.status === CHAT_STATUS.ACTIVE) {
+      if (dept) dept.active_chats += 1;
+      if (agent) agent.active_chats += 1;
+    }
+
+    if (breached) {
+      if (dept) dept.sla_breached += 1;
+      if (agent) agent.sla_breached += 1;
+      breaches.push({
+        chat_group_id: chat.chat_group_id,
+        dept_id: chat.dept_id,
+        sys_user_id: chat.sys_user_id,
+        status: chat.status,
+        priority: chat.priority ?? null,
+        sla_due_at: chat.sla_due_at,
+      });
+    }
+  }
+
+  const deptList = [...byDept.values()];
+  const agentList = [...byAgent.values()].sort(
+    (a, b) => b.active_chats - a.active_chats || String(a.name).localeCompare(String(b.name)),
+  );
+
+  const agentTotals = emptyPresenceCounts();
+  agentList.forEach((agent) => (agentTotals[agent.status] += 1));
+
+  return {
+    generated_at: now.toISOString(),
+    totals: {
+      queue_length: deptList.reduce((sum, dept) => sum + dept.queue_length, 0),
+      longest_wait_seconds: Math.max(0, ...deptList.map((dept) => dept.longest_wait_seconds)),
+      active_chats: chats.filter((chat) => chat.status === CHAT_STATUS.ACTIVE).length,
+      sla_breached: breaches.length,
+      agents: agentTotals,
+    },
+    departments: deptList,
+    agents: agentList,
+    sla_breaches: breaches.sort((a, b) => String(a.sla_due_at).localeCompare(String(b.sla_due_at))),
+  };
+}
+
+module.exports = {
+  getPresenceState,
+  getWaitSeconds,
+  buildWallboard,
+};
@@ -0,0 +1,168 @@
+/**
+ * Validation for chat tags and dispositions (wrap-up codes).
+ * Pure logic - WrapUpService owns the catalogues and chat tag storage.
+ */
+
+const MAX_TAG_NAME_LENGTH = 50;
+const MAX_TAGS_PER_CHAT = 20;
+const MAX_DISPOSITION_LABEL_LENGTH = 100;
+const MAX_DISPOSITION_NOTE_LENGTH = 1000;
+const DISPOSITION_CODE_PATTERN = /^[a-z0-9_]{1,50}$/;
+const TAG_COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+const WRAP_UP_ERRORS = {
+  TAG_NOT_FOUND: "One or more tags were not found for this chat's department",
+  TAGS_LOCKED: "Tags cannot be changed on a resolved chat",
+  DISPOSITION_REQUIRED: "A disposition is required to resolve chats in this department",
+  DISPOSITION_NOT_FOUND: "Disposition not found for this chat's department",
+};
+
+/**
+ * Trim a free-form tag and collapse inner whitespace
+ */
+function normalizeTagName(name) {
+  return typeof name === "string" ? name.trim().replace(/\s+/g, " ") : "";
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Whether a catalogue entry can be used in a department (dept_id NULL = every department)
+ */
+function isInDepartmentScope(entry, deptId) {
+  return entry.dept_id === null || entry.dept_id === undefined || String(entry.dept_id) === String(deptId);
+}
+
+/**
+ * Validate the tags sent for a chat: catalogue IDs, free-form names, or both
+ * Body: { tag_ids?: number[], tags?: string[] }
+ * @returns {{ tagIds: number[], tagNames: string[], error: string|null }}
+ */
+function parseChatTagsInput({ tag_ids, tags } = {}) {
+  if (tag_ids !== undefined && (!Array.isArray(tag_ids) || !tag_ids.every(isPositiveInteger))) {
+    return { tagIds: [], tagNames: [], error: "tag_ids must be an array of tag IDs" };
+  }
+  if (tags !== undefined && !Array.isArray(tags)) {
+    return { tagIds: [], tagNames: [], error: "tags must be an array of tag names" };
+  }
+
+  const tagIds = [...new Set(tag_ids || [])];
+  const tagNames = [];
+  const seen = new Set();
+
+  for (const raw of tags || []) {
+    const name = normalizeTagName(raw);
+    if (!name || name.length > MAX_TAG_NAME_LENGTH) {
+      return { tagIds: [], tagNames: [], error: `Tag names must be 1-${MAX_TAG_NAME_LENGTH} characters` };
+    }
+    if (!seen.has(name.toLowerCase())) {
+      seen.add(name.toLowerCase());
+      tagNames.push(name);
+    }
+  }
+
+  if (tagIds.length + tagNames.length > MAX_TAGS_PER_CHAT) {
+    return { tagIds: [], tagNames: [], error: `A chat can have at most ${MAX_TAGS_PER_CHAT} tags` };
+  }
+
+  return { tagIds, tagNames, error: null };
+}
+
+/**
+ * Parse a ?tag_ids=1,2 listing filter
+ * @returns {{ tagIds: number[]|null, error: string|null }} tagIds is null when no filter was given
+ */
+function parseTagFilter(value) {
+  if (value === undefined || value === null || value === "") return { tagIds: null, error: null };
+
+  const parts = (Array.isArray(value) ? value : String(value).split(",")).map((id) => Number(String(id).trim()));
+  if (!parts.every(isPositiveInteger)) {
+    return { tagIds: null, error: "tag_ids must be a comma-separated list of tag IDs" };
+  }
+
+  return { tagIds: [...new Set(parts)], error: null };
+}
+
+/**
+ * Validate a tag catalogue entry
+ * @param {{ partial?: boolean }} options - partial for updates, where fields may be omitted
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateTagInput(body = {}, { partial = false } = {}) {
+  if (!partial || body.tag_name !== undefined) {
+    const name = normalizeTagName(body.tag_name);
+    if (!name || name.length > MAX_TAG_NAME_LENGTH) {
+      return `tag_name must be 1-${MAX_TAG_NAME_LENGTH} characters`;
+    }
+  }
+  if (body.tag_color !== undefined && body.tag_color !== null && !TAG_COLOR_PATTERN.test(body.tag_color)) {
+    return "tag_color must be a hex color like #1a73e8";
+  }
+  if (body.dept_id !== undefined && body.dept_id !== null && !Number.isInteger(body.dept_id)) {
+    return "dept_id must be an integer or null";
+  }
+  if (body.tag_is_active !== undefined && typeof body.tag_is_active !== "boolean") {
+    return "tag_is_active must be a boolean";
+  }
+  return null;
+}
+
+/**
+ * Validate a disposition catalogue entry
+ * @param {{ partial?: boolean }} options - partial for updates, where fields may be omitted
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateDispositionInput(body = {}, { partial = false } = {}) {
+  if (!partial || body.disposition_code !== undefined) {
+    if (typeof body.disposition_code !== "string" || !DISPOSITION_CODE_PATTERN.test(body.disposition_code)) {
+      return "disposition_code must be 1-50 lowercase letters, digits or underscores";
+    }
+  }
+  if (!partial || body.disposition_label !== undefined) {
+    const label = typeof body.disposition_label === "string" ? body.disposition_label.trim() : "";
+    if (!label || label.length > MAX_DISPOSITION_LABEL_LENGTH) {
+      return `disposition_label must be 1-${MAX_DISPOSITION_LABEL_LENGTH} characters`;
+    }
+  }
+  if (body.dept_id !== undefined && body.dept_id !== null && !Number.isInteger(body.dept_id)) {
+    return "dept_id must be an integer or null";
+  }
+  if (body.disposition_is_active !== undefined && typeof body.disposition_is_active !== "boolean") {
+    return "disposition_is_active must be a boolean";
+  }
+  return null;
+}
+
+/**
+ * Check the disposition given when resolving a chat
+ * @param {Object|null} disposition - Catalogue row for the requested ID, or null when none was given/found
+ * @param {{ dispositionId?: number, deptId: number, requireDisposition: boolean }} context
+ * @returns {string|null} Error message, or null when the chat can be resolved
+ */
+function getDispositionError(disposition, { dispositionId = null, deptId, requireDisposition = false }) {
+  if (!dispositionId) {
+    return requireDisposition ? WRAP_UP_ERRORS.DISPOSITION_REQUIRED : null;
+  }
+
+  if (!disposition || !disposition.disposition_is_active || !isInDepartmentScope(disposition, deptId)) {
+    return WRAP_UP_ERRORS.DISPOSITION_NOT_FOUND;
+  }
+
+  return null;
+}
+
+module.exports = {
+  MAX_TAG_NAME_LENGTH,
+  MAX_TAGS_PER_CHAT,
+  MAX_DISPOSITION_NOTE_LENGTH,
+  WRAP_UP_ERRORS,
+  normalizeTagName,
+  isInDepartmentScope,
+  parseChatTagsInput,
+  parseTagFilter,
+  validateTagInput,
+  validateDispositionInput,
+  getDispositionError,
+};